@@ -0,0 +1,198 @@
+/**
+ * Service worker for offline practice
+ *
+ * - App shell: index.html and the assets it references are precached on install, other
+ *   same-origin files are served from the cache and refreshed in the background.
+ * - Question bank: questions.yaml is fetched network-first, so a newly published bank
+ *   replaces the cached copy as soon as the app is opened online.
+ * - Images: every image referenced by the bank (question images and the sign catalogue) is
+ *   cached on install and whenever a new bank is downloaded; images are served cache-first.
+ *
+ * Bump CACHE_VERSION to drop every cache of the previous version on activation.
+ */
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+const SCOPE_URL = self.registration.scope;
+const INDEX_URL = new URL('./', SCOPE_URL).href;
+const QUESTIONS_URL = new URL('questions.yaml', SCOPE_URL).href;
+const SHELL_FILES = ['manifest.webmanifest', 'icons/icon.svg', 'icons/icon-192.png'];
+
+/**
+ * Find the scripts, styles and icons referenced by index.html
+ * @param {string} html - Contents of index.html
+ * @returns {string[]} Absolute URLs inside the service worker scope
+ */
+function findShellAssets(html) {
+  const urls = [...html.matchAll(/(?:src|href)="([^"]+)"/g)].map(
+    ([, path]) => new URL(path, INDEX_URL).href
+  );
+  return urls.filter(url => url.startsWith(SCOPE_URL));
+}
+
+/**
+ * Find the image URLs referenced by the question bank: `image` fields of questions and
+ * `file` fields of the sign catalogue
+ * @param {string} yamlText - Contents of questions.yaml
+ * @returns {string[]} Absolute image URLs
+ */
+function findImageUrls(yamlText) {
+  const urls = [...yamlText.matchAll(/^\s*(?:image|file):\s*["']?([^"'\s#]+)["']?\s*$/gm)].map(
+    ([, path]) => new URL(path, QUESTIONS_URL).href
+  );
+  return [...new Set(urls)];
+}
+
+/**
+ * Cache the images of the question bank that are not cached yet.
+ * Cross-origin images are stored as opaque responses, which <img> can still display.
+ * @param {string} yamlText - Contents of questions.yaml
+ */
+async function cacheImages(yamlText) {
+  const cache = await caches.open(IMAGE_CACHE);
+
+  await Promise.allSettled(
+    findImageUrls(yamlText).map(async url => {
+      if (await cache.match(url)) return;
+
+      const sameOrigin = url.startsWith(self.location.origin);
+      const response = await fetch(url, { mode: sameOrigin ? 'same-origin' : 'no-cors' });
+      if (response.ok || response.type === 'opaque') {
+        await cache.put(url, response);
+      }
+    })
+  );
+}
+
+/**
+ * Precache the app shell, the question bank and its images
+ */
+async function precache() {
+  const shell = await caches.open(SHELL_CACHE);
+  const indexResponse = await fetch(INDEX_URL, { cache: 'reload' });
+  const html = await indexResponse.clone().text();
+  await shell.put(INDEX_URL, indexResponse);
+  await shell.addAll([
+    ...new Set([
+      ...findShellAssets(html),
+      ...SHELL_FILES.map(file => new URL(file, SCOPE_URL).href),
+    ]),
+  ]);
+
+  const bankResponse = await fetch(QUESTIONS_URL, { cache: 'reload' });
+  if (bankResponse.ok) {
+    const yamlText = await bankResponse.clone().text();
+    await (await caches.open(DATA_CACHE)).put(QUESTIONS_URL, bankResponse);
+    await cacheImages(yamlText);
+  }
+}
+
+/**
+ * Network-first strategy for the question bank; a fresh copy also refreshes the image cache
+ * @param {FetchEvent} event - Fetch event for questions.yaml
+ * @returns {Promise<Response>} Network response, or the cached bank when offline
+ */
+async function questionsNetworkFirst(event) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      await cache.put(QUESTIONS_URL, response.clone());
+      event.waitUntil(response.clone().text().then(cacheImages));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(QUESTIONS_URL);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Network-first strategy for page navigations, falling back to the cached app shell
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+async function navigationNetworkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(INDEX_URL);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Cache-first strategy for images
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>} Cached or downloaded image
+ */
+async function imageCacheFirst(request) {
+  const cached = await caches.match(request.url);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(IMAGE_CACHE);
+    await cache.put(request.url, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Stale-while-revalidate strategy for the rest of the app shell
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Cached response, or the network response on a cache miss
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request);
+  const update = fetch(event.request).then(async response => {
+    if (response.ok) await cache.put(event.request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => undefined));
+    return cached;
+  }
+  return update;
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(
+          keys.filter(key => !CURRENT_CACHES.includes(key)).map(key => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (`${url.origin}${url.pathname}` === QUESTIONS_URL) {
+    event.respondWith(questionsNetworkFirst(event));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(navigationNetworkFirst(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(imageCacheFirst(request));
+  } else if (request.url.startsWith(SCOPE_URL)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Question bank linter
+ * Checks public/questions.yaml with the same parser and schema the app uses, reports
+ * editorial problems and missing sign images, and prints bank statistics.
+ *
+ * Usage: npm run lint:questions [-- path/to/questions.yaml]
+ * Exits with code 1 when the bank has errors; warnings alone do not fail the run.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import yaml from 'js-yaml';
+import { lintQuestionBank } from '../src/utils/questionLint.js';
+import { formatValidationError } from '../src/utils/questionSchema.js';
+
+const DEFAULT_BANK_PATH = 'public/questions.yaml';
+
+/**
+ * Print a titled list of lint problems
+ * @param {string} title - Section title
+ * @param {Object[]} problems - Validation errors or warnings
+ */
+function printProblems(title, problems) {
+  if (problems.length === 0) return;
+
+  console.log(`\n${title} (${problems.length})`);
+  problems.forEach(problem => console.log(`  - ${formatValidationError(problem)}`));
+}
+
+/**
+ * Print question counts as an aligned table
+ * @param {string} title - Section title
+ * @param {Object.<string, number>} counts - Counts by label
+ */
+function printCounts(title, counts) {
+  const width = Math.max(...Object.keys(counts).map(label => label.length));
+
+  console.log(`\n${title}`);
+  Object.entries(counts).forEach(([label, count]) => {
+    console.log(`  ${label.padEnd(width)}  ${String(count).padStart(3)}`);
+  });
+}
+
+/**
+ * Check that every image of the sign catalogue exists next to the bank
+ * @param {Object} data - Parsed YAML document
+ * @param {string} bankPath - Absolute path of the question bank
+ * @returns {Object[]} Validation errors for missing files
+ */
+function findMissingSignFiles(data, bankPath) {
+  if (!Array.isArray(data?.signs)) return [];
+
+  return data.signs
+    .map((sign, index) => ({ sign, index }))
+    .filter(({ sign }) => typeof sign?.file === 'string' && sign.file.trim() !== '')
+    .filter(({ sign }) => !existsSync(resolve(dirname(bankPath), sign.file)))
+    .map(({ sign, index }) => ({
+      questionId: null,
+      field: `signs[${index}].file`,
+      reason: `"${sign.file}" does not exist`,
+    }));
+}
+
+/**
+ * Run the linter
+ * @param {string[]} args - Command line arguments
+ * @returns {number} Process exit code
+ */
+function main(args) {
+  const path = resolve(args[0] || DEFAULT_BANK_PATH);
+
+  let data;
+  try {
+    data = yaml.load(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`Unable to read ${path}: ${error.message}`);
+    return 1;
+  }
+
+  const { errors, warnings, stats } = lintQuestionBank(data);
+  errors.push(...findMissingSignFiles(data, path));
+
+  console.log(`Question bank: ${path}`);
+  console.log(`Questions: ${stats.total}`);
+  printCounts('By type', stats.byType);
+  printCounts('By category', stats.byCategory);
+  printProblems('Errors', errors);
+  printProblems('Warnings', warnings);
+
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+  return errors.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
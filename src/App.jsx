@@ -1,26 +1,46 @@
 import React from 'react';
 import Quiz from './components/Quiz';
 import ErrorBoundary from './components/ErrorBoundary';
+import LanguageProvider from './components/LanguageProvider';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import OfflineIndicator from './components/OfflineIndicator';
+import useTranslation from './hooks/useTranslation';
 import styles from './App.module.css';
 
+/**
+ * Application layout with the localized header and the quiz
+ */
+function AppContent() {
+  const { t } = useTranslation();
+
+  return (
+    <div className={styles.app}>
+      <header className={styles.appHeader}>
+        <h1>{t('app.title')}</h1>
+        <p>{t('app.subtitle')}</p>
+        <LanguageSwitcher />
+        <OfflineIndicator />
+      </header>
+      <main className={styles.appMain}>
+        <Quiz />
+      </main>
+    </div>
+  );
+}
+
 /**
  * Main application component for Romanian Traffic Rules Quiz
  * This is the entry point that displays the quiz loaded from questions.yaml
- * Wrapped with ErrorBoundary to catch and handle component errors gracefully
+ * Wrapped with LanguageProvider for the interface language and with ErrorBoundary
+ * to catch and handle component errors gracefully
  */
 function App() {
   return (
-    <ErrorBoundary>
-      <div className={styles.app}>
-        <header className={styles.appHeader}>
-          <h1>Romanian Traffic Rules Quiz</h1>
-          <p>Test your knowledge of Romanian traffic regulations</p>
-        </header>
-        <main className={styles.appMain}>
-          <Quiz />
-        </main>
-      </div>
-    </ErrorBoundary>
+    <LanguageProvider>
+      <ErrorBoundary>
+        <AppContent />
+      </ErrorBoundary>
+    </LanguageProvider>
   );
 }
 
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import {
+  formatNumericAnswer,
+  getAnswerOptions,
+  getCorrectIds,
+  getSelectedIds,
+  gradeAnswer,
+} from '../utils/grading';
+import IntersectionScene from './IntersectionScene';
+import styles from './AnswerReview.module.css';
+
+/**
+ * Step-by-step review of a finished attempt, showing the user's answer
+ * and the correct answer for every question
+ * @param {Object} props - Component props
+ * @param {Object[]} props.questions - Questions of the attempt
+ * @param {Object} props.answers - User's answers mapped by question ID
+ * @param {Function} props.onClose - Callback to leave the review
+ */
+function AnswerReview({ questions, answers, onClose }) {
+  const { t } = useTranslation();
+  const [index, setIndex] = useState(0);
+  const question = questions[index];
+
+  if (!question) {
+    return (
+      <div className={styles.review}>
+        <p>{t('review.empty')}</p>
+        <button className={styles.closeButton} onClick={onClose}>
+          {t('review.back')}
+        </button>
+      </div>
+    );
+  }
+
+  const answer = answers[question.id];
+  const verdict = gradeAnswer(question, answer);
+  const isOrdering = question.type === 'ordering';
+  const options = getAnswerOptions(question).map(option =>
+    question.type === 'true-false' ? { ...option, text: t(`question.${option.id}`) } : option
+  );
+  // Ordering questions are reviewed in the right order, with the position the user chose
+  const reviewOptions = isOrdering
+    ? getCorrectIds(question).map(id => options.find(option => option.id === id))
+    : options;
+  const answerOrder = isOrdering ? getSelectedIds(answer) : [];
+
+  return (
+    <div className={styles.review}>
+      <div className={styles.header}>
+        <span className={styles.counter}>
+          {t('review.counter', { current: index + 1, total: questions.length })}
+        </span>
+        {!verdict.answered && <span className={styles.unanswered}>{t('review.notAnswered')}</span>}
+      </div>
+
+      <h3 className={styles.text}>{question.text}</h3>
+
+      {question.scene ? (
+        <div className={styles.imageContainer}>
+          <IntersectionScene scene={question.scene} />
+        </div>
+      ) : (
+        question.image && (
+          <div className={styles.imageContainer}>
+            <img src={question.image} alt={t('question.imageAlt')} className={styles.image} />
+          </div>
+        )
+      )}
+
+      {question.type === 'numeric' && (
+        <ul className={styles.options}>
+          {verdict.answered && (
+            <li
+              className={`${styles.option} ${verdict.correct ? styles.correct : styles.incorrect}`}
+            >
+              {t('review.yourValue', {
+                answer: question.unit ? `${answer} ${question.unit}` : answer,
+              })}
+            </li>
+          )}
+          <li className={`${styles.option} ${styles.correct}`}>
+            {t('question.correctValue', { answer: formatNumericAnswer(question) })}
+          </li>
+        </ul>
+      )}
+
+      {reviewOptions.length > 0 && (
+        <ul className={styles.options}>
+          {reviewOptions.map(option => {
+            const isMissed = verdict.missed.includes(option.id);
+            const isCorrect = isMissed || verdict.right.includes(option.id);
+            const isSelected =
+              verdict.right.includes(option.id) || verdict.wrong.includes(option.id);
+            let optionClassName = styles.option;
+            if (isCorrect) {
+              optionClassName += ` ${styles.correct}`;
+            } else if (isSelected) {
+              optionClassName += ` ${styles.incorrect}`;
+            }
+            if (isMissed && verdict.answered) {
+              optionClassName += ` ${styles.missed}`;
+            }
+
+            return (
+              <li key={option.id} className={optionClassName}>
+                <span>{option.text}</span>
+                <span className={styles.markers}>
+                  {isOrdering && answerOrder.includes(option.id) && (
+                    <span className={styles.marker}>
+                      {t('review.yourPosition', { position: answerOrder.indexOf(option.id) + 1 })}
+                    </span>
+                  )}
+                  {isSelected && !isOrdering && (
+                    <span className={styles.marker}>{t('review.yourAnswer')}</span>
+                  )}
+                  {isCorrect && !isOrdering && (
+                    <span className={styles.marker}>{t('review.correctAnswer')}</span>
+                  )}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {question.explanation && (
+        <div className={styles.explanation}>
+          <strong>{t('question.explanation')}</strong> {question.explanation}
+        </div>
+      )}
+
+      <div className={styles.navigation}>
+        <button
+          className={styles.navButton}
+          onClick={() => setIndex(index - 1)}
+          disabled={index === 0}
+        >
+          {t('quiz.previous')}
+        </button>
+        <button className={styles.closeButton} onClick={onClose}>
+          {t('review.back')}
+        </button>
+        <button
+          className={styles.navButton}
+          onClick={() => setIndex(index + 1)}
+          disabled={index >= questions.length - 1}
+        >
+          {t('quiz.next')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AnswerReview;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import AnswerReview from './AnswerReview';
+import { axe } from '../test/axe';
+
+describe('AnswerReview Component', () => {
+  const mockClose = vi.fn();
+
+  const questions = [
+    {
+      id: 1,
+      text: 'What is the speed limit in urban areas?',
+      type: 'single',
+      options: [
+        { id: 'a', text: '50 km/h' },
+        { id: 'b', text: '60 km/h' },
+        { id: 'c', text: '70 km/h' },
+      ],
+      correct: 'a',
+      explanation: 'Default urban speed is 50 km/h.',
+    },
+    {
+      id: 2,
+      text: 'Which items are mandatory?',
+      type: 'multiple',
+      options: [
+        { id: 'a', text: 'First aid kit' },
+        { id: 'b', text: 'Fire extinguisher' },
+        { id: 'c', text: 'Umbrella' },
+      ],
+      correct: ['a', 'b'],
+    },
+  ];
+
+  beforeEach(() => {
+    mockClose.mockClear();
+  });
+
+  test('highlights the correct answer and a wrong user answer', () => {
+    render(<AnswerReview questions={questions} answers={{ 1: 'b' }} onClose={mockClose} />);
+
+    expect(screen.getByText('Question 1 of 2')).toBeInTheDocument();
+    expect(screen.getByText('50 km/h').closest('li').className).toMatch(/correct/);
+    expect(screen.getByText('60 km/h').closest('li').className).toMatch(/incorrect/);
+    expect(screen.getByText('Your answer')).toBeInTheDocument();
+    expect(screen.getByText('Correct answer')).toBeInTheDocument();
+    expect(screen.getByText('Default urban speed is 50 km/h.')).toBeInTheDocument();
+  });
+
+  test('steps through questions and marks unanswered ones', () => {
+    render(<AnswerReview questions={questions} answers={{ 1: 'a' }} onClose={mockClose} />);
+
+    expect(screen.getByText('Previous')).toBeDisabled();
+    fireEvent.click(screen.getByText('Next'));
+
+    expect(screen.getByText('Which items are mandatory?')).toBeInTheDocument();
+    expect(screen.getByText('Not answered')).toBeInTheDocument();
+    expect(screen.getAllByText('Correct answer')).toHaveLength(2);
+    expect(screen.getByText('Next')).toBeDisabled();
+  });
+
+  test('reviews ordering, true/false and numeric answers', () => {
+    const otherTypes = [
+      {
+        id: 3,
+        type: 'ordering',
+        text: 'In which order do the vehicles pass?',
+        options: [
+          { id: 'car', text: 'Car' },
+          { id: 'tram', text: 'Tram' },
+        ],
+        correct: ['tram', 'car'],
+      },
+      { id: 4, type: 'true-false', text: 'Horns may be used at night.', correct: false },
+      { id: 5, type: 'numeric', text: 'Alcohol limit?', correct: 0, unit: 'g/l' },
+    ];
+
+    render(
+      <AnswerReview
+        questions={otherTypes}
+        answers={{ 3: ['car', 'tram'], 4: 'false', 5: 0.2 }}
+        onClose={mockClose}
+      />
+    );
+
+    expect(screen.getByText('Tram').closest('li').className).toMatch(/incorrect/);
+    expect(screen.getByText('Your position: 2')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Next'));
+    expect(screen.getByText('False').closest('li').className).toMatch(/correct/);
+    expect(screen.getByText('Your answer')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Next'));
+    expect(screen.getByText('Your answer: 0.2 g/l').className).toMatch(/incorrect/);
+    expect(screen.getByText('Correct answer: 0 g/l')).toBeInTheDocument();
+  });
+
+  test('calls onClose when leaving the review', () => {
+    render(<AnswerReview questions={questions} answers={{}} onClose={mockClose} />);
+
+    fireEvent.click(screen.getByText('Back to Results'));
+    expect(mockClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = render(
+      <AnswerReview questions={questions} answers={{ 1: 'b' }} onClose={mockClose} />
+    );
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
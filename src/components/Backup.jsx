@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import useBackup from '../hooks/useBackup';
+import useTranslation from '../hooks/useTranslation';
+import { IMPORT_STRATEGIES, getBackupFileName } from '../utils/backup';
+import styles from './Backup.module.css';
+
+/**
+ * Offer a value as a JSON file download
+ * @param {Object} data - Value to serialize
+ * @param {string} fileName - Name of the downloaded file
+ */
+function downloadJson(data, fileName) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Screen for moving progress between devices: export a backup file and import one
+ * @param {Object} props - Component props
+ * @param {Object[]} props.questions - Question bank, needed to upgrade older saved progress
+ * @param {Function} props.onImported - Called once a backup has been imported
+ * @param {Function} props.onClose - Callback to go back to the quiz
+ */
+function Backup({ questions, onImported, onClose }) {
+  const { exportBackup, importBackup } = useBackup();
+  const { t } = useTranslation();
+  const [file, setFile] = useState(null);
+  const [strategy, setStrategy] = useState('merge');
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const context = { bank: questions };
+
+  /**
+   * Download a backup of everything saved on this device
+   */
+  const handleExport = async () => {
+    downloadJson(await exportBackup(context), getBackupFileName());
+  };
+
+  /**
+   * Import the chosen backup file with the chosen strategy
+   * @param {Event} event - Form submit event
+   */
+  const handleImport = async event => {
+    event.preventDefault();
+    setBusy(true);
+    let result;
+    try {
+      result = await importBackup(await file.text(), strategy, context);
+    } catch (error) {
+      console.error('Failed to import backup:', error);
+      result = { imported: false, error: 'readFailed', key: null };
+    }
+    setBusy(false);
+    setStatus(result);
+    if (result.imported) onImported();
+  };
+
+  return (
+    <div className={styles.backup}>
+      <div className={styles.header}>
+        <h2>{t('backup.title')}</h2>
+        <button className={styles.closeButton} onClick={onClose}>
+          {t('backup.back')}
+        </button>
+      </div>
+      <p className={styles.intro}>{t('backup.intro')}</p>
+
+      <section className={styles.section}>
+        <h3>{t('backup.exportTitle')}</h3>
+        <p>{t('backup.exportDescription')}</p>
+        <button className={styles.primaryButton} onClick={handleExport}>
+          {t('backup.download')}
+        </button>
+      </section>
+
+      <form className={styles.section} onSubmit={handleImport}>
+        <h3>{t('backup.importTitle')}</h3>
+        <label className={styles.fileLabel}>
+          {t('backup.file')}
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={event => {
+              setFile(event.target.files[0] || null);
+              setStatus(null);
+            }}
+          />
+        </label>
+        <fieldset className={styles.strategies}>
+          <legend>{t('backup.strategy')}</legend>
+          {IMPORT_STRATEGIES.map(option => (
+            <label key={option} className={styles.strategy}>
+              <input
+                type="radio"
+                name="strategy"
+                value={option}
+                checked={strategy === option}
+                onChange={() => setStrategy(option)}
+              />
+              {t(`backup.strategies.${option}`)}
+            </label>
+          ))}
+        </fieldset>
+        <button type="submit" className={styles.primaryButton} disabled={!file || busy}>
+          {t('backup.import')}
+        </button>
+
+        {status?.imported && (
+          <p className={styles.success} role="status">
+            {t('backup.imported')}
+          </p>
+        )}
+        {status?.error && (
+          <p className={styles.error} role="alert">
+            {t(`backup.errors.${status.error}`, {
+              key: status.key && t(`backup.keys.${status.key}`),
+            })}
+          </p>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default Backup;
@@ -0,0 +1,145 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Backup from './Backup';
+import { axe } from '../test/axe';
+import { BACKUP_FORMAT, createBackup } from '../utils/backup';
+import { getStorageKey, wrapEntry } from '../utils/storage';
+import { createMemoryAdapter, setStorageAdapter } from '../utils/storageAdapters';
+
+describe('Backup Component', () => {
+  const mockImported = vi.fn();
+  const mockClose = vi.fn();
+  const questions = [
+    {
+      id: 1,
+      options: [
+        { id: 'a', text: 'Yes' },
+        { id: 'b', text: 'No' },
+      ],
+    },
+  ];
+  const attempt = { id: 'attempt-1', date: '2025-08-17T10:30:00.000Z', mode: 'practice' };
+  let adapter;
+
+  beforeEach(() => {
+    mockImported.mockClear();
+    mockClose.mockClear();
+    adapter = createMemoryAdapter();
+    setStorageAdapter(adapter);
+  });
+
+  afterEach(() => {
+    setStorageAdapter(null);
+    localStorage.getItem.mockReset();
+  });
+
+  const renderBackup = () =>
+    render(<Backup questions={questions} onImported={mockImported} onClose={mockClose} />);
+
+  /**
+   * Choose a backup file and import it with a strategy
+   * @param {string} text - Content of the file
+   * @param {string} [strategy] - Label of the strategy to select
+   */
+  const importFile = (text, strategy) => {
+    // jsdom does not implement Blob.text()
+    const file = Object.assign(new File([text], 'backup.json', { type: 'application/json' }), {
+      text: async () => text,
+    });
+    fireEvent.change(screen.getByLabelText('Backup file'), { target: { files: [file] } });
+    if (strategy) fireEvent.click(screen.getByLabelText(strategy));
+    fireEvent.click(screen.getByRole('button', { name: 'Import Backup' }));
+  };
+
+  test('downloads a backup of the saved data', async () => {
+    await adapter.set(getStorageKey('attemptHistory'), wrapEntry('attemptHistory', [attempt]));
+    const createObjectURL = vi.fn(() => 'blob:backup');
+    const revokeObjectURL = vi.fn();
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    renderBackup();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Download Backup' }));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    const blob = createObjectURL.mock.calls[0][0];
+    const reader = new FileReader();
+    reader.readAsText(blob);
+    await new Promise(resolve => reader.addEventListener('load', resolve));
+    const backup = JSON.parse(reader.result);
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.entries.attemptHistory).toEqual({ version: 1, data: [attempt] });
+    expect(click.mock.contexts[0].download).toMatch(/^ro-traffic-rules-backup-.*\.json$/);
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:backup');
+    click.mockRestore();
+    vi.unstubAllGlobals();
+  });
+
+  test('merges an imported backup with the saved data by default', async () => {
+    const localAttempt = { ...attempt, id: 'attempt-0', date: '2025-08-16T10:30:00.000Z' };
+    await adapter.set(getStorageKey('attemptHistory'), wrapEntry('attemptHistory', [localAttempt]));
+    renderBackup();
+
+    importFile(JSON.stringify(createBackup({ attemptHistory: [attempt] })));
+
+    await waitFor(() => expect(mockImported).toHaveBeenCalled());
+    expect(screen.getByRole('status')).toHaveTextContent('Backup imported.');
+    expect((await adapter.get(getStorageKey('attemptHistory'))).data).toEqual([
+      localAttempt,
+      attempt,
+    ]);
+  });
+
+  test('replaces the saved data when asked to', async () => {
+    await adapter.set(getStorageKey('learningRecords'), wrapEntry('learningRecords', { 1: {} }));
+    renderBackup();
+
+    importFile(
+      JSON.stringify(createBackup({ attemptHistory: [attempt] })),
+      'Replace it with the backup'
+    );
+
+    await waitFor(() => expect(mockImported).toHaveBeenCalled());
+    expect((await adapter.get(getStorageKey('attemptHistory'))).data).toEqual([attempt]);
+    expect(await adapter.get(getStorageKey('learningRecords'))).toBeUndefined();
+    expect(localStorage.removeItem).toHaveBeenCalledWith(getStorageKey('quizProgress'));
+  });
+
+  test('explains why a file cannot be imported and leaves the data alone', async () => {
+    const backup = createBackup({ attemptHistory: [attempt] });
+    backup.entries.learningRecords = { version: 1, data: 'damaged' };
+    renderBackup();
+
+    importFile(JSON.stringify(backup), 'Replace it with the backup');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'The backup is damaged: the review schedule cannot be read.'
+    );
+    expect(await adapter.get(getStorageKey('attemptHistory'))).toBeUndefined();
+    expect(mockImported).not.toHaveBeenCalled();
+  });
+
+  test('rejects files that are not backups', async () => {
+    renderBackup();
+
+    importFile('{"answers": {}}');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'The file is not a backup of this app.'
+    );
+  });
+
+  test('calls onClose when going back', () => {
+    renderBackup();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Back to Quiz' }));
+
+    expect(mockClose).toHaveBeenCalled();
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = renderBackup();
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,163 @@
+import React from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { RANDOM_PRACTICE_SIZE } from '../utils/dashboard';
+import { MISTAKE_CLEAR_STREAK } from '../utils/mistakes';
+import { getTopicName } from '../utils/topics';
+import styles from './Dashboard.module.css';
+
+/**
+ * Home screen: what the learner knows across the whole bank, and tiles to choose what to do next
+ * @param {Object} props - Component props
+ * @param {Object} props.dashboard - Mastery, weakest categories, exam readiness and number of
+ *   mistakes to practise, from useQuiz's getDashboard; categories named after a topic carry its
+ *   `topicInfo` entry
+ * @param {Object} props.session - Session in progress
+ * @param {string} props.session.mode - Session mode
+ * @param {import('../utils/routes').Route} props.session.route - Route of the session
+ * @param {number} props.session.currentQuestionIndex - Index of the current question
+ * @param {number} props.session.totalQuestions - Number of questions of the session
+ * @param {boolean} props.session.isComplete - Whether the session shows its results
+ * @param {import('../utils/exam').ExamConfig} props.examConfig - Exam format
+ * @param {boolean} props.hasTopics - Whether the bank declares topics to practise
+ * @param {number} props.dueReviewCount - Number of questions due for review
+ * @param {Function} props.onNavigate - Called with the route of the chosen mode or screen
+ */
+function Dashboard({ dashboard, session, examConfig, hasTopics, dueReviewCount, onNavigate }) {
+  const { t, language } = useTranslation();
+  const { mastery, weakestCategories, readiness, mistakeCount } = dashboard;
+  const sessionMode = t(`history.modes.${session.mode}`);
+  // A running exam is only left by finishing it
+  const isExamRunning = session.mode === 'exam' && !session.isComplete;
+
+  const tiles = [
+    {
+      name: 'continue',
+      title: t('dashboard.continue'),
+      detail: session.isComplete
+        ? t('dashboard.continueResults', { mode: sessionMode })
+        : t('dashboard.continueQuestion', {
+            mode: sessionMode,
+            current: session.currentQuestionIndex + 1,
+            total: session.totalQuestions,
+          }),
+      route: session.route,
+    },
+    hasTopics && {
+      name: 'topics',
+      title: t('dashboard.byTopic'),
+      detail: t('dashboard.byTopicDetail'),
+      route: { name: 'topics' },
+      disabled: isExamRunning,
+    },
+    {
+      name: 'mistakes',
+      title: t('dashboard.mistakes'),
+      detail: t('dashboard.mistakesDetail', { count: mistakeCount, streak: MISTAKE_CLEAR_STREAK }),
+      route: { name: 'mistakes' },
+      disabled: isExamRunning || mistakeCount === 0,
+    },
+    {
+      name: 'exam',
+      title: t('dashboard.exam'),
+      detail: t('dashboard.examDetail', examConfig),
+      route: { name: 'exam' },
+      disabled: isExamRunning,
+    },
+    {
+      name: 'random',
+      title: t('dashboard.random', { count: RANDOM_PRACTICE_SIZE }),
+      detail: t('dashboard.randomDetail', { count: RANDOM_PRACTICE_SIZE }),
+      route: { name: 'random' },
+      disabled: isExamRunning,
+    },
+    {
+      name: 'review',
+      title: t('dashboard.review'),
+      detail: t('dashboard.reviewDetail', { count: dueReviewCount }),
+      route: { name: 'review' },
+      disabled: isExamRunning || dueReviewCount === 0,
+    },
+  ].filter(Boolean);
+
+  return (
+    <div className={styles.dashboard}>
+      <h2>{t('dashboard.title')}</h2>
+      <p className={styles.intro}>{t('dashboard.intro')}</p>
+
+      <dl className={styles.stats}>
+        <div className={styles.stat}>
+          <dt>{t('dashboard.mastery')}</dt>
+          <dd className={styles.value}>{mastery.percentage}%</dd>
+          <dd className={styles.detail}>
+            {t('dashboard.masteryDetail', { mastered: mastery.mastered, total: mastery.total })}
+          </dd>
+        </div>
+        <div className={styles.stat}>
+          <dt>{t('dashboard.unseen')}</dt>
+          <dd className={styles.value}>{mastery.unseen}</dd>
+          <dd className={styles.detail}>
+            {t('dashboard.unseenDetail', { count: mastery.unseen })}
+          </dd>
+        </div>
+        <div className={`${styles.stat} ${styles[readiness.status]}`}>
+          <dt>{t('dashboard.readiness')}</dt>
+          <dd className={styles.value}>{t(`dashboard.readinessLevels.${readiness.status}`)}</dd>
+          <dd className={styles.detail}>{t('dashboard.readinessDetail', readiness)}</dd>
+        </div>
+      </dl>
+
+      <section className={styles.weakest} aria-labelledby="dashboard-weakest">
+        <h3 id="dashboard-weakest">{t('dashboard.weakest')}</h3>
+        {weakestCategories.length > 0 ? (
+          <ul>
+            {weakestCategories.map(stats => (
+              <li key={stats.category}>
+                <span>
+                  {stats.topicInfo ? getTopicName(stats.topicInfo, language) : stats.category}
+                </span>
+                <span className={styles.detail}>{t('dashboard.categoryAccuracy', stats)}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className={styles.detail}>{t('dashboard.weakestEmpty')}</p>
+        )}
+      </section>
+
+      <section aria-labelledby="dashboard-modes">
+        <h3 id="dashboard-modes">{t('dashboard.modes')}</h3>
+        <ul className={styles.tiles}>
+          {tiles.map(tile => (
+            <li key={tile.name}>
+              <button
+                className={styles.tile}
+                onClick={() => onNavigate(tile.route)}
+                disabled={tile.disabled}
+              >
+                <span className={styles.tileTitle}>{tile.title}</span>
+                <span className={styles.detail}>{tile.detail}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <div className={styles.screens}>
+        <button className={styles.screenButton} onClick={() => onNavigate({ name: 'history' })}>
+          {t('dashboard.history')}
+        </button>
+        <button className={styles.screenButton} onClick={() => onNavigate({ name: 'stats' })}>
+          {t('dashboard.stats')}
+        </button>
+        <button className={styles.screenButton} onClick={() => onNavigate({ name: 'backup' })}>
+          {t('dashboard.backup')}
+        </button>
+        <button className={styles.screenButton} onClick={() => onNavigate({ name: 'print' })}>
+          {t('dashboard.print')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Dashboard;
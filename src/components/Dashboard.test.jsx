@@ -0,0 +1,163 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import Dashboard from './Dashboard';
+import LanguageProvider from './LanguageProvider';
+import { axe } from '../test/axe';
+import { getStorageKey, wrapEntry } from '../utils/storage';
+
+describe('Dashboard Component', () => {
+  const mockNavigate = vi.fn();
+  const dashboard = {
+    mastery: { total: 40, seen: 30, unseen: 10, mastered: 12, percentage: 30 },
+    weakestCategories: [
+      { category: 'Signs', answered: 8, correct: 3, incorrect: 5, correctPercentage: 38 },
+      { category: 'Priority', answered: 6, correct: 4, incorrect: 2, correctPercentage: 67 },
+    ],
+    readiness: { status: 'almost', expectedErrors: 6, maxErrors: 4, percentage: 78 },
+    mistakeCount: 7,
+  };
+  const session = {
+    mode: 'topic',
+    route: { name: 'topic', topicKeys: ['signs'], questionNumber: 3 },
+    currentQuestionIndex: 2,
+    totalQuestions: 12,
+    isComplete: false,
+  };
+  const examConfig = { questionCount: 26, passMark: 22, maxErrors: 4, durationMinutes: 30 };
+
+  beforeEach(() => {
+    mockNavigate.mockClear();
+  });
+
+  const renderDashboard = (props = {}) =>
+    render(
+      <Dashboard
+        dashboard={dashboard}
+        session={session}
+        examConfig={examConfig}
+        hasTopics
+        dueReviewCount={3}
+        onNavigate={mockNavigate}
+        {...props}
+      />
+    );
+
+  test('shows mastery, unseen questions and exam readiness', () => {
+    renderDashboard();
+
+    expect(screen.getByText('30%')).toBeInTheDocument();
+    expect(
+      screen.getByText('12 of 40 questions answered right at least twice in a row')
+    ).toBeInTheDocument();
+    expect(screen.getByText('10 questions you have never answered')).toBeInTheDocument();
+    expect(screen.getByText('Almost there')).toBeInTheDocument();
+    expect(
+      screen.getByText('About 6 wrong answers expected on an exam, 4 allowed')
+    ).toBeInTheDocument();
+  });
+
+  test('lists the weakest categories', () => {
+    renderDashboard();
+
+    const weakest = screen.getByRole('region', { name: 'Weakest Categories' });
+    const items = within(weakest).getAllByRole('listitem');
+    expect(items).toHaveLength(2);
+    expect(items[0]).toHaveTextContent('Signs3 of 8 right');
+  });
+
+  test('names the weakest topics in the interface language', () => {
+    localStorage.getItem.mockImplementation(key =>
+      key === getStorageKey('preferences')
+        ? JSON.stringify(wrapEntry('preferences', { language: 'ro', showRomanian: false }))
+        : null
+    );
+    const topicInfo = {
+      key: 'signs',
+      name: 'Signs',
+      translations: { ro: { name: 'Indicatoare' } },
+    };
+    const [signs, priority] = dashboard.weakestCategories;
+
+    render(
+      <LanguageProvider>
+        <Dashboard
+          dashboard={{ ...dashboard, weakestCategories: [{ ...signs, topicInfo }, priority] }}
+          session={session}
+          examConfig={examConfig}
+          hasTopics
+          dueReviewCount={3}
+          onNavigate={mockNavigate}
+        />
+      </LanguageProvider>
+    );
+
+    expect(screen.getByText('Indicatoare')).toBeInTheDocument();
+    expect(screen.getByText('Priority')).toBeInTheDocument();
+    expect(screen.queryByText('Signs')).not.toBeInTheDocument();
+    localStorage.getItem.mockReset();
+  });
+
+  test('says so when there are no wrong answers yet', () => {
+    renderDashboard({ dashboard: { ...dashboard, weakestCategories: [] } });
+
+    expect(screen.getByText('No wrong answers yet.')).toBeInTheDocument();
+  });
+
+  test('continues the session in progress', () => {
+    renderDashboard();
+
+    const tile = screen.getByRole('button', { name: /^Continue/ });
+    expect(tile).toHaveTextContent('Topic practice: question 3 of 12');
+    fireEvent.click(tile);
+
+    expect(mockNavigate).toHaveBeenCalledWith(session.route);
+  });
+
+  test('starts the mode of a tile', () => {
+    renderDashboard();
+
+    fireEvent.click(screen.getByRole('button', { name: /^Mistakes Only/ }));
+    fireEvent.click(screen.getByRole('button', { name: /^Exam Simulation/ }));
+    fireEvent.click(screen.getByRole('button', { name: /^Random 10/ }));
+    fireEvent.click(screen.getByRole('button', { name: /^Practice by Topic/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'History' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Question Statistics' }));
+
+    expect(mockNavigate.mock.calls.map(([route]) => route.name)).toEqual([
+      'mistakes',
+      'exam',
+      'random',
+      'topics',
+      'history',
+      'stats',
+    ]);
+  });
+
+  test('disables modes with nothing to practise', () => {
+    renderDashboard({
+      dashboard: { ...dashboard, mistakeCount: 0 },
+      dueReviewCount: 0,
+      hasTopics: false,
+    });
+
+    expect(screen.getByRole('button', { name: /^Mistakes Only/ })).toBeDisabled();
+    expect(screen.getByRole('button', { name: /^Daily Review/ })).toBeDisabled();
+    expect(screen.queryByRole('button', { name: /^Practice by Topic/ })).not.toBeInTheDocument();
+  });
+
+  test('only lets a running exam continue', () => {
+    renderDashboard({
+      session: { ...session, mode: 'exam', route: { name: 'exam', questionNumber: 3 } },
+    });
+
+    expect(screen.getByRole('button', { name: /^Continue/ })).toBeEnabled();
+    expect(screen.getByRole('button', { name: /^Exam Simulation/ })).toBeDisabled();
+    expect(screen.getByRole('button', { name: /^Random 10/ })).toBeDisabled();
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = renderDashboard();
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
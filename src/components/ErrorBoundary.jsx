@@ -1,4 +1,5 @@
 import React from 'react';
+import I18nContext from '../i18n/I18nContext';
 import styles from './ErrorBoundary.module.css';
 
 /**
@@ -6,6 +7,8 @@ import styles from './ErrorBoundary.module.css';
  * Displays a fallback UI when an error occurs instead of crashing the entire app
  */
 class ErrorBoundary extends React.Component {
+  static contextType = I18nContext;
+
   constructor(props) {
     super(props);
     this.state = { 
@@ -46,34 +49,34 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
+      const { t } = this.context;
+
       // Fallback UI when an error occurs
       return (
         <div className={styles.errorBoundary}>
           <div className={styles.errorContainer}>
-            <h2 className={styles.errorTitle}>Something went wrong</h2>
-            <p className={styles.errorMessage}>
-              The application encountered an unexpected error. This usually happens due to a temporary issue.
-            </p>
+            <h2 className={styles.errorTitle}>{t('errorBoundary.title')}</h2>
+            <p className={styles.errorMessage}>{t('errorBoundary.message')}</p>
             
             <div className={styles.errorActions}>
               <button 
                 onClick={this.handleReset}
                 className={styles.primaryButton}
               >
-                Try Again
+                {t('errorBoundary.tryAgain')}
               </button>
               <button 
                 onClick={this.handleReload}
                 className={styles.secondaryButton}
               >
-                Reload Page
+                {t('errorBoundary.reload')}
               </button>
             </div>
 
             {/* Show error details in development mode */}
             {import.meta.env.DEV && this.state.error && (
               <details className={styles.errorDetails}>
-                <summary>Error Details (Development)</summary>
+                <summary>{t('errorBoundary.details')}</summary>
                 <pre className={styles.errorStack}>
                   {this.state.error.toString()}
                   {this.state.errorInfo?.componentStack}
@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import styles from './ExamTimer.module.css';
+
+/**
+ * Format a duration as mm:ss
+ * @param {number} milliseconds - Remaining time in milliseconds
+ * @returns {string} Formatted time
+ */
+const formatRemaining = milliseconds => {
+  const totalSeconds = Math.max(0, Math.ceil(milliseconds / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+/**
+ * Countdown timer for exam simulations
+ * Only shows the time left; useQuiz ends the exam at its deadline whichever screen is shown.
+ * @param {Object} props - Component props
+ * @param {number} props.deadline - Timestamp when the exam runs out of time
+ */
+function ExamTimer({ deadline }) {
+  const { t } = useTranslation();
+  const [now, setNow] = useState(() => Date.now());
+  const remaining = deadline - now;
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const isRunningOut = remaining <= 5 * 60 * 1000;
+
+  return (
+    <div className={`${styles.timer} ${isRunningOut ? styles.runningOut : ''}`} role="timer">
+      <span className={styles.label}>{t('timer.label')}</span>
+      <span className={styles.value}>{formatRemaining(remaining)}</span>
+    </div>
+  );
+}
+
+export default ExamTimer;
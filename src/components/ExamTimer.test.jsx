@@ -0,0 +1,40 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import ExamTimer from './ExamTimer';
+
+describe('ExamTimer Component', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-08-17T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('shows the remaining time', () => {
+    render(<ExamTimer deadline={Date.now() + 30 * 60 * 1000} />);
+
+    expect(screen.getByText('30:00')).toBeInTheDocument();
+  });
+
+  test('counts down every second', () => {
+    render(<ExamTimer deadline={Date.now() + 90 * 1000} />);
+
+    act(() => {
+      vi.advanceTimersByTime(31 * 1000);
+    });
+
+    expect(screen.getByText('00:59')).toBeInTheDocument();
+  });
+
+  test('stops at zero when the time is up', () => {
+    render(<ExamTimer deadline={Date.now() + 2000} />);
+
+    act(() => {
+      vi.advanceTimersByTime(5000);
+    });
+
+    expect(screen.getByText('00:00')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import useAttemptHistory from '../hooks/useAttemptHistory';
+import useTranslation from '../hooks/useTranslation';
+import Results from './Results';
+import { getAttemptStatistics } from '../utils/history';
+import styles from './History.module.css';
+
+/**
+ * Format a duration in milliseconds as a short human readable string
+ * @param {number} milliseconds - Duration
+ * @returns {string} Formatted duration, e.g. "12m 05s"
+ */
+const formatDuration = milliseconds => {
+  const totalSeconds = Math.round(milliseconds / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+};
+
+/**
+ * Line chart of the score percentage of every attempt, oldest to newest
+ * @param {Object} props - Component props
+ * @param {Object[]} props.history - Attempts, oldest first
+ */
+function ScoreTrend({ history }) {
+  const { t } = useTranslation();
+  const width = 600;
+  const height = 160;
+  const padding = 20;
+  const step = history.length > 1 ? (width - padding * 2) / (history.length - 1) : 0;
+  const points = history.map((entry, index) => ({
+    x: history.length > 1 ? padding + index * step : width / 2,
+    y: height - padding - (entry.score.percentage / 100) * (height - padding * 2),
+    entry,
+  }));
+
+  return (
+    <svg
+      className={styles.chart}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={t('history.trend', { count: history.length })}
+    >
+      {[0, 50, 100].map(value => {
+        const y = height - padding - (value / 100) * (height - padding * 2);
+        return (
+          <g key={value}>
+            <line x1={padding} x2={width - padding} y1={y} y2={y} className={styles.gridLine} />
+            <text x={2} y={y + 4} className={styles.axisLabel}>
+              {value}
+            </text>
+          </g>
+        );
+      })}
+      <polyline className={styles.trendLine} points={points.map(p => `${p.x},${p.y}`).join(' ')} />
+      {points.map(({ x, y, entry }) => (
+        <circle key={entry.id} cx={x} cy={y} r={4} className={styles.trendPoint}>
+          <title>{`${new Date(entry.date).toLocaleDateString()}: ${entry.score.percentage}%`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * History screen listing past attempts with a score trend chart.
+ * Selecting an attempt opens it in the Results breakdown.
+ * @param {Object} props - Component props
+ * @param {Object[]} props.questions - Question bank, used to describe wrong answers
+ * @param {Function} props.onClose - Callback to leave the history screen
+ */
+function History({ questions, onClose }) {
+  const { history } = useAttemptHistory();
+  const { t } = useTranslation();
+  const [selectedAttempt, setSelectedAttempt] = useState(null);
+
+  if (selectedAttempt) {
+    return (
+      <Results
+        score={selectedAttempt.score.correct}
+        totalQuestions={selectedAttempt.score.total}
+        onRestart={() => setSelectedAttempt(null)}
+        getQuizStatistics={language => getAttemptStatistics(selectedAttempt, questions, language)}
+        examResult={selectedAttempt.examResult}
+        restartLabel={t('history.backToHistory')}
+      />
+    );
+  }
+
+  const attempts = [...history].reverse();
+
+  return (
+    <div className={styles.history}>
+      <div className={styles.header}>
+        <h2>{t('history.title')}</h2>
+        <button className={styles.closeButton} onClick={onClose}>
+          {t('history.back')}
+        </button>
+      </div>
+
+      {attempts.length === 0 ? (
+        <p className={styles.empty}>{t('history.empty')}</p>
+      ) : (
+        <>
+          <ScoreTrend history={history} />
+          <ul className={styles.attemptList}>
+            {attempts.map(entry => (
+              <li key={entry.id}>
+                <button className={styles.attempt} onClick={() => setSelectedAttempt(entry)}>
+                  <span className={styles.attemptDate}>{new Date(entry.date).toLocaleString()}</span>
+                  <span className={styles.attemptMode}>{t(`history.modes.${entry.mode}`)}</span>
+                  <span className={styles.attemptScore}>
+                    {entry.score.correct} / {entry.score.total} ({entry.score.percentage}%)
+                  </span>
+                  <span className={styles.attemptDuration}>{formatDuration(entry.durationMs)}</span>
+                  {entry.examResult && (
+                    <span className={entry.examResult.passed ? styles.passed : styles.failed}>
+                      {entry.examResult.passed ? t('history.passed') : t('history.failed')}
+                    </span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default History;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import History from './History';
+import { axe } from '../test/axe';
+
+vi.mock('../hooks/useAttemptHistory', () => ({
+  default: vi.fn(),
+}));
+
+import useAttemptHistory from '../hooks/useAttemptHistory';
+
+describe('History Component', () => {
+  const mockClose = vi.fn();
+  const questions = [
+    { id: 2, category: 'Speed limits', text: 'Motorway limit?', options: ['130', '150'], correct: '130' },
+  ];
+  const attempts = [
+    {
+      id: 'attempt-1',
+      date: '2025-08-10T10:00:00.000Z',
+      mode: 'practice',
+      durationMs: 65000,
+      score: { correct: 5, answered: 10, total: 10, percentage: 50 },
+      categoryAccuracy: {},
+      wrongQuestionIds: [],
+      examResult: null,
+    },
+    {
+      id: 'attempt-2',
+      date: '2025-08-17T10:00:00.000Z',
+      mode: 'exam',
+      durationMs: 20 * 60 * 1000,
+      score: { correct: 23, answered: 26, total: 26, percentage: 88 },
+      categoryAccuracy: { 'Speed limits': { correct: 1, answered: 2, accuracy: 0.5 } },
+      wrongQuestionIds: [2],
+      examResult: { passed: true, correct: 23, errors: 3, passMark: 22, maxErrors: 4, reason: 'completed' },
+    },
+  ];
+
+  beforeEach(() => {
+    mockClose.mockClear();
+    useAttemptHistory.mockReturnValue({ history: attempts, addAttempt: vi.fn(), clearHistory: vi.fn() });
+  });
+
+  test('shows an empty state without attempts', () => {
+    useAttemptHistory.mockReturnValue({ history: [], addAttempt: vi.fn(), clearHistory: vi.fn() });
+
+    render(<History questions={questions} onClose={mockClose} />);
+
+    expect(screen.getByText(/No finished attempts yet/)).toBeInTheDocument();
+  });
+
+  test('lists attempts newest first with the score trend', () => {
+    render(<History questions={questions} onClose={mockClose} />);
+
+    const items = screen.getAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('23 / 26 (88%)');
+    expect(items[0]).toHaveTextContent('Passed');
+    expect(items[1]).toHaveTextContent('5 / 10 (50%)');
+    expect(items[1]).toHaveTextContent('1m 05s');
+    expect(screen.getByRole('img', { name: 'Score trend over 2 attempts' })).toBeInTheDocument();
+  });
+
+  test('opens an attempt in the results breakdown', () => {
+    render(<History questions={questions} onClose={mockClose} />);
+
+    fireEvent.click(screen.getByText('23 / 26 (88%)'));
+    expect(screen.getByText('Exam Finished')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Show Details'));
+    expect(screen.getByText('Motorway limit?')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Back to History'));
+    expect(screen.getByText('Attempt History')).toBeInTheDocument();
+  });
+
+  test('calls onClose when leaving the history', () => {
+    render(<History questions={questions} onClose={mockClose} />);
+
+    fireEvent.click(screen.getByText('Back to Quiz'));
+    expect(mockClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = render(<History questions={questions} onClose={mockClose} />);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
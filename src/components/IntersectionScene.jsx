@@ -0,0 +1,272 @@
+import React, { useId } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import {
+  ROAD_HALF_WIDTH,
+  SCENE_SIZE,
+  getArmRotation,
+  getRoadsidePositions,
+  getTurnPath,
+  getVehicleBox,
+  normalizeScene,
+  placeOnArm,
+} from '../utils/scene';
+import { getSignName } from '../utils/signs';
+import styles from './IntersectionScene.module.css';
+
+const CENTER = SCENE_SIZE / 2;
+const ROAD_COLOR = '#5f6368';
+const MARKING_COLOR = '#ffffff';
+const SIGN_SIZE = 22;
+
+/** Body colours of the vehicles, in the order they are listed */
+const VEHICLE_COLORS = ['#d62828', '#1d4ed8', '#2a9d8f', '#f4a261', '#6d28d9'];
+
+/** Lamp colours of a traffic light, top to bottom */
+const LAMPS = [
+  { state: 'red', color: '#e53935' },
+  { state: 'yellow', color: '#fdd835' },
+  { state: 'green', color: '#43a047' },
+];
+
+/**
+ * Describe a scene in words, for screen readers
+ * @param {import('../utils/scene').Scene} scene - Normalized scene
+ * @param {Function} t - Translation function
+ * @param {string} language - Interface language
+ * @returns {string} Description of the layout, vehicles, lights and signs
+ */
+function describeScene(scene, t, language) {
+  const arm = name => t(`scene.arms.${name}`);
+
+  return [
+    t(`scene.layouts.${scene.layout}`),
+    ...scene.vehicles.map(vehicle =>
+      t('scene.vehicle', {
+        label: vehicle.label,
+        type: t(`scene.types.${vehicle.type}`),
+        arm: arm(vehicle.arm),
+        turn: t(`scene.turns.${vehicle.turn}`),
+      })
+    ),
+    ...scene.lights.map(light =>
+      t('scene.light', { arm: arm(light.arm), state: t(`scene.lights.${light.state}`) })
+    ),
+    ...scene.signs.map(sign =>
+      t('scene.sign', {
+        arm: arm(sign.arm),
+        name: sign.signInfo ? getSignName(sign.signInfo, language) : sign.code,
+      })
+    ),
+  ].join('. ');
+}
+
+/**
+ * SVG diagram of an intersection declared by the `scene` block of a question
+ * Drawn in a 200×200 view box that scales with its container, so hotspot regions given in
+ * percent line up with it.
+ * @param {Object} props - Component props
+ * @param {Object} props.scene - `scene` block of the question
+ */
+function IntersectionScene({ scene: rawScene }) {
+  const { t, language } = useTranslation();
+  // Marker IDs are document-wide; keep them unique per diagram and valid in url() references
+  const arrowId = `arrow-${useId().replace(/[^\w-]/g, '')}`;
+  const scene = normalizeScene(rawScene);
+  const isRoundabout = scene.layout === 'roundabout';
+  const rotate = arm => `rotate(${getArmRotation(arm)} ${CENTER} ${CENTER})`;
+  const nearEdge = CENTER + ROAD_HALF_WIDTH;
+
+  return (
+    <svg
+      className={styles.scene}
+      viewBox={`0 0 ${SCENE_SIZE} ${SCENE_SIZE}`}
+      role="img"
+      aria-label={describeScene(scene, t, language)}
+    >
+      <defs>
+        <marker
+          id={arrowId}
+          viewBox="0 0 10 10"
+          refX="5"
+          refY="5"
+          markerWidth="4"
+          markerHeight="4"
+          orient="auto-start-reverse"
+        >
+          <path d="M 0 0 L 10 5 L 0 10 z" fill="#212121" />
+        </marker>
+      </defs>
+
+      <rect width={SCENE_SIZE} height={SCENE_SIZE} fill="#a5d6a7" />
+
+      {/* Roads: every arm is drawn as the south arm and rotated into place */}
+      {scene.arms.map(arm => (
+        <g key={arm} transform={rotate(arm)}>
+          <rect
+            x={CENTER - ROAD_HALF_WIDTH}
+            y={CENTER}
+            width={ROAD_HALF_WIDTH * 2}
+            height={CENTER}
+            fill={ROAD_COLOR}
+          />
+          <line
+            x1={CENTER}
+            y1={nearEdge + 2}
+            x2={CENTER}
+            y2={SCENE_SIZE}
+            stroke={MARKING_COLOR}
+            strokeWidth="1.5"
+            strokeDasharray="8 6"
+          />
+          {/* Stop line across the lane leading into the junction */}
+          <line
+            x1={CENTER}
+            y1={nearEdge + 2}
+            x2={nearEdge}
+            y2={nearEdge + 2}
+            stroke={MARKING_COLOR}
+            strokeWidth="2"
+          />
+        </g>
+      ))}
+      <rect
+        x={CENTER - ROAD_HALF_WIDTH}
+        y={CENTER - ROAD_HALF_WIDTH}
+        width={ROAD_HALF_WIDTH * 2}
+        height={ROAD_HALF_WIDTH * 2}
+        fill={ROAD_COLOR}
+      />
+      {isRoundabout && (
+        <>
+          <circle cx={CENTER} cy={CENTER} r={ROAD_HALF_WIDTH + 16} fill={ROAD_COLOR} />
+          <circle
+            cx={CENTER}
+            cy={CENTER}
+            r={ROAD_HALF_WIDTH - 8}
+            fill="#a5d6a7"
+            stroke={MARKING_COLOR}
+            strokeWidth="2"
+          />
+        </>
+      )}
+
+      {/* Tram rails along the centre of both lanes */}
+      {scene.tracks && (
+        <g
+          transform={rotate(scene.tracks === 'east-west' ? 'west' : 'south')}
+          stroke="#263238"
+          strokeWidth="1"
+        >
+          {[-ROAD_HALF_WIDTH / 2, ROAD_HALF_WIDTH / 2].flatMap(offset =>
+            [-3, 3].map(rail => (
+              <line
+                key={`${offset}${rail}`}
+                x1={CENTER + offset + rail}
+                y1="0"
+                x2={CENTER + offset + rail}
+                y2={SCENE_SIZE}
+              />
+            ))
+          )}
+        </g>
+      )}
+
+      {scene.lights.map(light => {
+        const { x, y } = getRoadsidePositions(light.arm).light;
+        return (
+          <g key={`light-${light.arm}`} data-light={light.state}>
+            <rect x={x - 5} y={y - 13} width="10" height="26" rx="2" fill="#212121" />
+            {LAMPS.map(({ state, color }, index) => (
+              <circle
+                key={state}
+                cx={x}
+                cy={y - 8 + index * 8}
+                r="3"
+                fill={light.state === state ? color : '#424242'}
+              />
+            ))}
+          </g>
+        );
+      })}
+
+      {scene.signs.map(sign => {
+        const { x, y } = getRoadsidePositions(sign.arm).sign;
+        return sign.signInfo ? (
+          <image
+            key={`sign-${sign.arm}`}
+            href={sign.signInfo.file}
+            x={x - SIGN_SIZE / 2}
+            y={y - SIGN_SIZE / 2}
+            width={SIGN_SIZE}
+            height={SIGN_SIZE}
+          />
+        ) : (
+          <g key={`sign-${sign.arm}`}>
+            <circle
+              cx={x}
+              cy={y}
+              r={SIGN_SIZE / 2}
+              fill="#ffffff"
+              stroke="#c62828"
+              strokeWidth="2"
+            />
+            <text x={x} y={y + 3} className={styles.signCode}>
+              {sign.code}
+            </text>
+          </g>
+        );
+      })}
+
+      {scene.vehicles.map((vehicle, index) => {
+        const box = getVehicleBox(vehicle.type);
+        const label = placeOnArm(vehicle.arm, box.x + box.width / 2, box.y + box.length / 2);
+        const isAmbulance = vehicle.type === 'ambulance';
+        const color =
+          vehicle.type === 'tram'
+            ? '#f9a825'
+            : isAmbulance
+              ? '#ffffff'
+              : VEHICLE_COLORS[index % VEHICLE_COLORS.length];
+
+        return (
+          <g key={`${vehicle.label}-${index}`} data-vehicle={vehicle.label}>
+            <g transform={rotate(vehicle.arm)}>
+              <path
+                d={getTurnPath(scene.layout, vehicle.turn)}
+                fill="none"
+                stroke="#212121"
+                strokeWidth="2"
+                markerEnd={`url(#${arrowId})`}
+              />
+              <rect
+                x={box.x}
+                y={box.y}
+                width={box.width}
+                height={box.length}
+                rx={vehicle.type === 'bicycle' ? 3 : 4}
+                fill={color}
+                stroke="#212121"
+                strokeWidth="1"
+              />
+              {isAmbulance && (
+                <rect x={box.x + 4} y={box.y + 2} width={box.width - 8} height="3" fill="#1e88e5" />
+              )}
+            </g>
+            {vehicle.type !== 'bicycle' && (
+              <text
+                x={label.x}
+                y={label.y + 3.5}
+                className={styles.vehicleLabel}
+                fill={isAmbulance || vehicle.type === 'tram' ? '#212121' : '#ffffff'}
+              >
+                {vehicle.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default IntersectionScene;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import IntersectionScene from './IntersectionScene';
+import { axe } from '../test/axe';
+
+describe('IntersectionScene Component', () => {
+  const scene = {
+    tracks: 'north-south',
+    vehicles: [
+      { label: 'A', arm: 'north', type: 'tram' },
+      { label: 'B', arm: 'south', turn: 'left' },
+    ],
+    lights: [{ arm: 'south', state: 'green' }],
+    signs: [
+      {
+        arm: 'east',
+        code: 'B01',
+        signInfo: { code: 'B01', name: 'Give way', file: 'signs/B01.svg' },
+      },
+    ],
+  };
+
+  test('describes the scene for screen readers', () => {
+    render(<IntersectionScene scene={scene} />);
+
+    expect(screen.getByRole('img')).toHaveAccessibleName(
+      'Crossroads. A: tram coming from the north, going straight on. ' +
+        'B: car coming from the south, turning left. ' +
+        'Traffic light for traffic from the south: green. ' +
+        'Sign for traffic from the east: Give way'
+    );
+  });
+
+  test('draws every vehicle with its turn arrow', () => {
+    const { container } = render(<IntersectionScene scene={scene} />);
+    const vehicles = container.querySelectorAll('[data-vehicle]');
+
+    expect([...vehicles].map(vehicle => vehicle.textContent)).toEqual(['A', 'B']);
+    const arrow = vehicles[1].querySelector('path');
+    const markerId = container.querySelector('marker').id;
+    expect(arrow.getAttribute('marker-end')).toBe(`url(#${markerId})`);
+    expect(vehicles[0].querySelector('g').getAttribute('transform')).toBe('rotate(180 100 100)');
+  });
+
+  test('shows the light state and the sign image', () => {
+    const { container } = render(<IntersectionScene scene={scene} />);
+
+    expect(container.querySelector('[data-light]').dataset.light).toBe('green');
+    expect(container.querySelector('image').getAttribute('href')).toBe('signs/B01.svg');
+  });
+
+  test('falls back to the sign code when the sign is not in the catalogue', () => {
+    const { container } = render(
+      <IntersectionScene scene={{ layout: 'roundabout', signs: [{ arm: 'west', code: 'X99' }] }} />
+    );
+
+    expect(container.querySelector('image')).toBeNull();
+    expect(container).toHaveTextContent('X99');
+    expect(screen.getByRole('img')).toHaveAccessibleName(
+      'Roundabout. Sign for traffic from the west: X99'
+    );
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = render(<IntersectionScene scene={scene} />);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import useStorage from '../hooks/useStorage';
+import I18nContext from '../i18n/I18nContext';
+import { DEFAULT_LANGUAGE, LANGUAGES, translate } from '../i18n';
+
+const PREFERENCES_KEY = 'preferences';
+
+/**
+ * Pick the initial language from the browser settings
+ * @returns {string} Supported language code
+ */
+const detectLanguage = () => {
+  const browserLanguage = (navigator.language || '').slice(0, 2).toLowerCase();
+  return LANGUAGES.includes(browserLanguage) ? browserLanguage : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Provides the interface language to the component tree.
+ * The chosen language and the Romanian wording toggle are persisted through useStorage.
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application content
+ */
+function LanguageProvider({ children }) {
+  const storage = useStorage();
+  const [preferences, setPreferences] = useState(() => {
+    const stored = storage.getItem(PREFERENCES_KEY, {}) || {};
+    return {
+      language: LANGUAGES.includes(stored.language) ? stored.language : detectLanguage(),
+      showRomanian: Boolean(stored.showRomanian),
+    };
+  });
+
+  useEffect(() => {
+    document.documentElement.lang = preferences.language;
+  }, [preferences.language]);
+
+  /**
+   * Update and persist language preferences
+   * @param {Object} changes - Preference fields to change
+   */
+  const updatePreferences = changes => {
+    const nextPreferences = { ...preferences, ...changes };
+    setPreferences(nextPreferences);
+
+    try {
+      const stored = storage.getItem(PREFERENCES_KEY, {}) || {};
+      storage.setItem(PREFERENCES_KEY, { ...stored, ...nextPreferences });
+    } catch (error) {
+      console.error('Failed to save language preferences:', error);
+    }
+  };
+
+  const value = {
+    language: preferences.language,
+    setLanguage: language => updatePreferences({ language }),
+    showRomanian: preferences.showRomanian,
+    setShowRomanian: showRomanian => updatePreferences({ showRomanian }),
+    t: (key, params) => translate(preferences.language, key, params),
+  };
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export default LanguageProvider;
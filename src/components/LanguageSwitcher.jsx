@@ -0,0 +1,40 @@
+import React from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { EXAM_LANGUAGE, LANGUAGES } from '../i18n';
+import styles from './LanguageSwitcher.module.css';
+
+/**
+ * Language selector with a toggle for showing the official Romanian wording
+ * under the translated text
+ */
+function LanguageSwitcher() {
+  const { language, setLanguage, showRomanian, setShowRomanian, t } = useTranslation();
+
+  return (
+    <div className={styles.languageSwitcher}>
+      <label className={styles.field}>
+        <span>{t('language.label')}</span>
+        <select value={language} onChange={event => setLanguage(event.target.value)}>
+          {LANGUAGES.map(code => (
+            <option key={code} value={code}>
+              {t(`language.names.${code}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {language !== EXAM_LANGUAGE && (
+        <label className={styles.field}>
+          <input
+            type="checkbox"
+            checked={showRomanian}
+            onChange={event => setShowRomanian(event.target.checked)}
+          />
+          <span>{t('language.showRomanian')}</span>
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default LanguageSwitcher;
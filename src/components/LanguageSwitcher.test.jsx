@@ -0,0 +1,74 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import LanguageProvider from './LanguageProvider';
+import LanguageSwitcher from './LanguageSwitcher';
+import { axe } from '../test/axe';
+import Progress from './Progress';
+import { getStorageKey, wrapEntry } from '../utils/storage';
+
+describe('LanguageSwitcher Component', () => {
+  afterEach(() => {
+    localStorage.getItem.mockReset();
+  });
+
+  const renderWithProvider = () =>
+    render(
+      <LanguageProvider>
+        <LanguageSwitcher />
+        <Progress currentQuestion={0} totalQuestions={5} score={0} answers={{}} />
+      </LanguageProvider>
+    );
+
+  test('renders English by default', () => {
+    renderWithProvider();
+
+    expect(screen.getByRole('combobox')).toHaveValue('en');
+    expect(screen.getByText('Your Progress')).toBeInTheDocument();
+    expect(screen.getByLabelText('Show Romanian wording')).not.toBeChecked();
+  });
+
+  test('switches the interface to Romanian and saves the choice', () => {
+    renderWithProvider();
+
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'ro' } });
+
+    expect(screen.getByText('Progresul tău')).toBeInTheDocument();
+    expect(document.documentElement.lang).toBe('ro');
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      getStorageKey('preferences'),
+      JSON.stringify({ version: 1, data: { language: 'ro', showRomanian: false } })
+    );
+    // Romanian wording is already the main text, so the toggle is hidden
+    expect(screen.queryByRole('checkbox')).not.toBeInTheDocument();
+  });
+
+  test('restores saved preferences', () => {
+    localStorage.getItem.mockImplementation(key =>
+      key === getStorageKey('preferences')
+        ? JSON.stringify(wrapEntry('preferences', { language: 'en', showRomanian: true }))
+        : null
+    );
+
+    renderWithProvider();
+
+    expect(screen.getByLabelText('Show Romanian wording')).toBeChecked();
+  });
+
+  test('toggles the Romanian wording', () => {
+    renderWithProvider();
+
+    fireEvent.click(screen.getByLabelText('Show Romanian wording'));
+
+    expect(screen.getByLabelText('Show Romanian wording')).toBeChecked();
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      getStorageKey('preferences'),
+      JSON.stringify({ version: 1, data: { language: 'en', showRomanian: true } })
+    );
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = renderWithProvider();
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
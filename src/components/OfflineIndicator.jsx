@@ -0,0 +1,22 @@
+import React from 'react';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import useTranslation from '../hooks/useTranslation';
+import styles from './OfflineIndicator.module.css';
+
+/**
+ * Banner shown while the browser is offline and the quiz runs from the cached question bank
+ */
+function OfflineIndicator() {
+  const { t } = useTranslation();
+  const isOnline = useOnlineStatus();
+
+  if (isOnline) return null;
+
+  return (
+    <div className={styles.offline} role="status">
+      {t('offline.message')}
+    </div>
+  );
+}
+
+export default OfflineIndicator;
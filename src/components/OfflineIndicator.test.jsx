@@ -0,0 +1,40 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import OfflineIndicator from './OfflineIndicator';
+import { axe } from '../test/axe';
+
+describe('OfflineIndicator Component', () => {
+  test('renders nothing while online', () => {
+    const { container } = render(<OfflineIndicator />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('announces when the connection is lost', () => {
+    render(<OfflineIndicator />);
+
+    act(() => {
+      window.dispatchEvent(new Event('offline'));
+    });
+
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'You are offline. Practising with the saved question bank.'
+    );
+
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = render(<OfflineIndicator />);
+
+    act(() => {
+      window.dispatchEvent(new Event('offline'));
+    });
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { localizeQuestion } from '../i18n';
+import { formatNumericAnswer, getAnswerOptions } from '../utils/grading';
+import { createPrintSheet, getCorrectOptions, getOptionLetter } from '../utils/printSheet';
+import { createSeed } from '../utils/shuffle';
+import { getSignName } from '../utils/signs';
+import { getTopicName } from '../utils/topics';
+import IntersectionScene from './IntersectionScene';
+import styles from './PrintSheet.module.css';
+
+/**
+ * List the topics and subtopics a sheet can be printed for, with their labels
+ * @param {Object[]} topics - Topic hierarchy
+ * @param {Object[]} questions - Question bank
+ * @param {string} language - Interface language
+ * @returns {{key: string, name: string, isSubtopic: boolean}[]} Selectable topics, each followed
+ *   by its subtopics
+ */
+const getTopicChoices = (topics, questions, language) => {
+  const used = new Set(questions.map(question => question.topic));
+  return topics.flatMap(topic => {
+    const subtopics = topic.subtopics.filter(subtopic => used.has(subtopic.key));
+    if (!used.has(topic.key) && subtopics.length === 0) return [];
+    return [
+      { key: topic.key, name: getTopicName(topic, language), isSubtopic: false },
+      ...subtopics.map(subtopic => ({
+        key: subtopic.key,
+        name: getTopicName(subtopic, language),
+        isSubtopic: true,
+      })),
+    ];
+  });
+};
+
+/**
+ * One question as printed on the sheet, with boxes to tick or fill in
+ * @param {Object} props - Component props
+ * @param {Object} props.question - Localized question
+ */
+function SheetQuestion({ question }) {
+  const { t, language } = useTranslation();
+  const isHotspot = question.type === 'hotspot';
+  const options = getAnswerOptions(question).map(option =>
+    question.type === 'true-false' ? { ...option, text: t(`question.${option.id}`) } : option
+  );
+  const imageAlt = question.signInfo
+    ? getSignName(question.signInfo, language)
+    : t('question.imageAlt');
+
+  const instruction = {
+    multiple: t('print.instructions.multiple'),
+    ordering: t('print.instructions.ordering'),
+    hotspot: t('print.instructions.hotspot'),
+    numeric: t('print.instructions.numeric'),
+  }[question.type];
+
+  return (
+    <li className={styles.question}>
+      <p className={styles.text}>{question.text}</p>
+
+      {(question.image || question.scene) && (
+        <div className={styles.imageFrame}>
+          {question.scene ? (
+            <IntersectionScene scene={question.scene} />
+          ) : (
+            <img src={question.image} alt={imageAlt} className={styles.image} />
+          )}
+          {/* Hotspot regions are labelled with the letter to tick */}
+          {isHotspot &&
+            options.map((option, index) => (
+              <span
+                key={option.id}
+                className={styles.region}
+                style={{
+                  left: `${option.area.x}%`,
+                  top: `${option.area.y}%`,
+                  width: `${option.area.width}%`,
+                  height: `${option.area.height}%`,
+                }}
+              >
+                {getOptionLetter(index)}
+              </span>
+            ))}
+        </div>
+      )}
+
+      {instruction && <p className={styles.instruction}>{instruction}</p>}
+
+      {question.type === 'numeric' ? (
+        <p className={styles.answerLine}>
+          {t('print.answer')} <span className={styles.blank} />
+          {question.unit && ` ${question.unit}`}
+        </p>
+      ) : (
+        <ul className={isHotspot ? styles.regionOptions : styles.options}>
+          {options.map((option, index) => (
+            <li key={option.id} className={styles.option}>
+              <span
+                className={question.type === 'ordering' ? styles.positionBox : styles.checkbox}
+                aria-hidden="true"
+              />
+              <span className={styles.letter}>{getOptionLetter(index)}.</span>
+              {/* Hotspot regions are only letters on the image */}
+              {!isHotspot && <span>{option.text}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Print view for paper tests: an exam draw or a topic laid out as a numbered sheet, followed
+ * on a new page by its answer key. Everything but the sheet and the key is hidden when printing.
+ * @param {Object} props - Component props
+ * @param {Object[]} props.questions - Question bank
+ * @param {Object[]} props.topics - Topic hierarchy
+ * @param {Object} props.examConfig - Exam settings, for the size of exam draws
+ * @param {Function} props.onClose - Callback to go back to the quiz
+ */
+function PrintSheet({ questions, topics, examConfig, onClose }) {
+  const { t, language } = useTranslation();
+  const topicChoices = getTopicChoices(topics, questions, language);
+  const [source, setSource] = useState('exam');
+  const [topicKey, setTopicKey] = useState(topicChoices[0]?.key ?? '');
+  const [seed, setSeed] = useState(createSeed);
+  const [withAnswerKey, setWithAnswerKey] = useState(true);
+
+  const sheet = createPrintSheet(questions, {
+    source,
+    questionCount: examConfig.questionCount,
+    topics,
+    topicKeys: [topicKey],
+    seed,
+  });
+  const sheetQuestions = sheet.questions.map(question => localizeQuestion(question, language));
+  const title =
+    source === 'exam'
+      ? t('print.examTitle')
+      : topicChoices.find(choice => choice.key === topicKey)?.name;
+
+  /**
+   * Describe the correct answer of a question for the answer key
+   * @param {Object} question - Localized question as printed
+   * @returns {string} Correct letters with their texts, or the value of a numeric question
+   */
+  const describeAnswer = question => {
+    if (question.type === 'numeric') return formatNumericAnswer(question);
+
+    const correct = getCorrectOptions(question);
+    // Ordering answers are a sequence of letters, hotspot regions have no printed text
+    if (question.type === 'ordering' || question.type === 'hotspot') {
+      return correct.map(option => option.letter).join(', ');
+    }
+    return correct
+      .map(option => {
+        const text = question.type === 'true-false' ? t(`question.${option.id}`) : option.text;
+        return `${option.letter}. ${text}`;
+      })
+      .join('; ');
+  };
+
+  return (
+    <div className={styles.printSheet}>
+      <div className={styles.controls}>
+        <div className={styles.header}>
+          <h2>{t('print.title')}</h2>
+          <button className={styles.closeButton} onClick={onClose}>
+            {t('print.back')}
+          </button>
+        </div>
+        <p className={styles.intro}>{t('print.intro')}</p>
+
+        <fieldset className={styles.sources}>
+          <legend>{t('print.source')}</legend>
+          <label className={styles.choice}>
+            <input
+              type="radio"
+              name="source"
+              checked={source === 'exam'}
+              onChange={() => setSource('exam')}
+            />
+            {t('print.sources.exam', { count: examConfig.questionCount })}
+          </label>
+          {topicChoices.length > 0 && (
+            <label className={styles.choice}>
+              <input
+                type="radio"
+                name="source"
+                checked={source === 'topic'}
+                onChange={() => setSource('topic')}
+              />
+              {t('print.sources.topic')}
+              <select
+                value={topicKey}
+                onChange={event => {
+                  setTopicKey(event.target.value);
+                  setSource('topic');
+                }}
+                aria-label={t('print.topic')}
+              >
+                {topicChoices.map(choice => (
+                  <option key={choice.key} value={choice.key}>
+                    {choice.isSubtopic ? `— ${choice.name}` : choice.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </fieldset>
+
+        <label className={styles.choice}>
+          <input
+            type="checkbox"
+            checked={withAnswerKey}
+            onChange={event => setWithAnswerKey(event.target.checked)}
+          />
+          {t('print.includeAnswerKey')}
+        </label>
+
+        <div className={styles.actions}>
+          <button className={styles.secondaryButton} onClick={() => setSeed(createSeed())}>
+            {t('print.newDraw')}
+          </button>
+          <button
+            className={styles.primaryButton}
+            onClick={() => window.print()}
+            disabled={sheetQuestions.length === 0}
+          >
+            {t('print.print')}
+          </button>
+        </div>
+      </div>
+
+      <article className={styles.sheet} aria-label={t('print.sheet')}>
+        <header className={styles.sheetHeader}>
+          <h2>{title}</h2>
+          <p className={styles.sheetCode}>{t('print.sheetCode', { code: sheet.code })}</p>
+          <div className={styles.candidate}>
+            <span>
+              {t('print.name')} <span className={styles.blank} />
+            </span>
+            <span>
+              {t('print.date')} <span className={styles.blank} />
+            </span>
+          </div>
+        </header>
+        <ol className={styles.questions}>
+          {sheetQuestions.map(question => (
+            <SheetQuestion key={question.id} question={question} />
+          ))}
+        </ol>
+      </article>
+
+      {withAnswerKey && (
+        <section className={styles.answerKey} aria-label={t('print.answerKey')}>
+          <h2>{t('print.answerKeyTitle', { title, code: sheet.code })}</h2>
+          <table>
+            <thead>
+              <tr>
+                <th scope="col">{t('print.number')}</th>
+                <th scope="col">{t('print.correctAnswer')}</th>
+                <th scope="col">{t('print.explanation')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sheetQuestions.map((question, index) => (
+                <tr key={question.id}>
+                  <td>{index + 1}</td>
+                  <td>{describeAnswer(question)}</td>
+                  <td>{question.explanation}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default PrintSheet;
@@ -0,0 +1,135 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import PrintSheet from './PrintSheet';
+import { axe } from '../test/axe';
+
+describe('PrintSheet Component', () => {
+  const mockClose = vi.fn();
+  const topics = [
+    { key: 'speed', name: 'Speed', subtopics: [{ key: 'speed-limits', name: 'Speed limits' }] },
+    { key: 'alcohol', name: 'Alcohol', subtopics: [] },
+  ];
+  const questions = [
+    {
+      id: 1,
+      type: 'single',
+      topic: 'speed-limits',
+      text: 'What is the urban speed limit?',
+      options: [
+        { id: 'a', text: '30 km/h' },
+        { id: 'b', text: '50 km/h' },
+      ],
+      correct: 'b',
+      explanation: 'Default urban speed is 50 km/h.',
+    },
+    {
+      id: 2,
+      type: 'numeric',
+      topic: 'alcohol',
+      text: 'What is the legal alcohol limit?',
+      correct: 0,
+      unit: 'g/l',
+    },
+    {
+      id: 3,
+      type: 'true-false',
+      topic: 'speed-limits',
+      text: 'Motorways have no speed limit.',
+      correct: false,
+    },
+  ];
+  const examConfig = { questionCount: 3, passMark: 2, maxErrors: 1, durationMinutes: 5 };
+
+  beforeEach(() => {
+    mockClose.mockClear();
+  });
+
+  const renderSheet = () =>
+    render(
+      <PrintSheet
+        questions={questions}
+        topics={topics}
+        examConfig={examConfig}
+        onClose={mockClose}
+      />
+    );
+
+  test('lays out an exam draw as a numbered sheet with boxes to tick', () => {
+    renderSheet();
+
+    const sheet = screen.getByRole('article', { name: 'Exam sheet' });
+    expect(within(sheet).getByRole('heading', { name: 'Driving Theory Test' })).toBeInTheDocument();
+    const items = within(sheet)
+      .getAllByRole('listitem')
+      .filter(item => item.parentElement.tagName === 'OL');
+    expect(items).toHaveLength(3);
+    expect(within(sheet).getByText('30 km/h')).toBeInTheDocument();
+    expect(within(sheet).getByText('True')).toBeInTheDocument();
+    expect(within(sheet).getByText(/g\/l/)).toBeInTheDocument();
+    expect(within(sheet).getByText(/^Sheet /)).toBeInTheDocument();
+  });
+
+  test('lists the correct answers and explanations on the answer key', () => {
+    renderSheet();
+
+    const answerKey = screen.getByRole('region', { name: 'Answer key' });
+    const rows = within(answerKey).getAllByRole('row');
+    expect(rows).toHaveLength(4);
+    expect(within(answerKey).getByText(/\. 50 km\/h$/)).toBeInTheDocument();
+    expect(within(answerKey).getByText('Default urban speed is 50 km/h.')).toBeInTheDocument();
+    expect(within(answerKey).getByText('0 g/l')).toBeInTheDocument();
+    expect(within(answerKey).getByText(/\. False$/)).toBeInTheDocument();
+  });
+
+  test('prints the code of the draw on the sheet and on its answer key', () => {
+    renderSheet();
+
+    const code = screen.getByText(/^Sheet /).textContent.replace('Sheet ', '');
+    expect(
+      screen.getByRole('heading', { name: `Answer Key: Driving Theory Test, sheet ${code}` })
+    ).toBeInTheDocument();
+  });
+
+  test('prints every question of a chosen topic', () => {
+    renderSheet();
+
+    fireEvent.change(screen.getByLabelText('Topic'), { target: { value: 'alcohol' } });
+
+    const sheet = screen.getByRole('article', { name: 'Exam sheet' });
+    expect(within(sheet).getByRole('heading', { name: 'Alcohol' })).toBeInTheDocument();
+    expect(within(sheet).getByText('What is the legal alcohol limit?')).toBeInTheDocument();
+    expect(within(sheet).queryByText('What is the urban speed limit?')).not.toBeInTheDocument();
+  });
+
+  test('leaves out the answer key when asked to', () => {
+    renderSheet();
+
+    fireEvent.click(screen.getByLabelText('Print the answer key on a separate page'));
+
+    expect(screen.queryByRole('region', { name: 'Answer key' })).not.toBeInTheDocument();
+  });
+
+  test('opens the print dialog', () => {
+    const print = vi.spyOn(window, 'print').mockImplementation(() => {});
+    renderSheet();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Print' }));
+
+    expect(print).toHaveBeenCalled();
+    print.mockRestore();
+  });
+
+  test('calls onClose when going back', () => {
+    renderSheet();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Back to Quiz' }));
+
+    expect(mockClose).toHaveBeenCalled();
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = renderSheet();
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
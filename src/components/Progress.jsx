@@ -1,4 +1,5 @@
 import React from 'react';
+import useTranslation from '../hooks/useTranslation';
 import styles from './Progress.module.css';
 
 /**
@@ -10,6 +11,7 @@ import styles from './Progress.module.css';
  * @param {Object} props.answers - User's answers object
  */
 function Progress({ currentQuestion, totalQuestions, score, answers }) {
+  const { t } = useTranslation();
   const progressPercentage =
     totalQuestions > 0 ? Math.round(((currentQuestion + 1) / totalQuestions) * 100) : 0;
   const answeredQuestions = Object.keys(answers || {}).length;
@@ -17,7 +19,7 @@ function Progress({ currentQuestion, totalQuestions, score, answers }) {
   return (
     <div className={styles.progress}>
       <div className={styles.header}>
-        <h3>Your Progress</h3>
+        <h3>{t('progress.title')}</h3>
       </div>
 
       <div className={styles.progressBar}>
@@ -26,19 +28,19 @@ function Progress({ currentQuestion, totalQuestions, score, answers }) {
 
       <div className={styles.stats}>
         <div className={styles.stat}>
-          <span className={styles.statLabel}>Question:</span>
+          <span className={styles.statLabel}>{t('progress.question')}</span>
           <span className={styles.statValue}>
             {currentQuestion + 1} / {totalQuestions}
           </span>
         </div>
 
         <div className={styles.stat}>
-          <span className={styles.statLabel}>Answered:</span>
+          <span className={styles.statLabel}>{t('progress.answered')}</span>
           <span className={styles.statValue}>{answeredQuestions}</span>
         </div>
 
         <div className={styles.stat}>
-          <span className={styles.statLabel}>Score:</span>
+          <span className={styles.statLabel}>{t('progress.score')}</span>
           <span className={styles.statValue}>{score}</span>
         </div>
       </div>
@@ -1,6 +1,7 @@
 import React from 'react';
 import { render, screen } from '@testing-library/react';
 import Progress from './Progress';
+import { axe } from '../test/axe';
 
 describe('Progress Component', () => {
   test('displays current progress correctly', () => {
@@ -72,4 +73,12 @@ describe('Progress Component', () => {
     const progressFill = document.querySelector('[style*="width: 0%"]');
     expect(progressFill).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = render(
+      <Progress currentQuestion={4} totalQuestions={10} score={3} answers={{ 1: 0 }} />
+    );
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -1,163 +1,460 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useId, useRef } from 'react';
+import useShortcuts from '../hooks/useShortcuts';
+import useTranslation from '../hooks/useTranslation';
+import { CONFIDENCE_LEVELS } from '../utils/answerLog';
+import { formatNumericAnswer, getAnswerOptions, getCorrectTexts, gradeAnswer } from '../utils/grading';
+import { getSignName } from '../utils/signs';
+import { getTopicName } from '../utils/topics';
+import IntersectionScene from './IntersectionScene';
 import styles from './Question.module.css';
 
+/**
+ * Read a number typed by the user, accepting a decimal comma as written in Romanian
+ * @param {string} value - Input value
+ * @returns {number} Parsed number, NaN when the input is not a number
+ */
+const parseNumber = value => (value.trim() === '' ? NaN : Number(value.trim().replace(',', '.')));
+
+/** Number keys pick the first nine options */
+const MAX_SHORTCUT_OPTIONS = 9;
+
 /**
  * Question component for displaying individual quiz questions
+ * Choice options are exposed as radio buttons or checkboxes, number keys pick an option and Enter
+ * submits; the feedback and the explanation are announced to screen readers once answered.
+ * Before answering, the learner can say how sure they are.
  * @param {Object} props - Component props
  * @param {Object} props.question - Question object with text, options, etc.
- * @param {Function} props.onAnswer - Callback when user selects an answer
+ * @param {Function} props.onAnswer - Callback when user selects an answer: option ID(s), the
+ *   option IDs in the chosen order for ordering questions, or a number for numeric questions;
+ *   then `{ confidence, timeSpent }`, the confidence chosen (or null) and the milliseconds since
+ *   the question was shown
  * @param {number} props.currentIndex - Current question index
  * @param {number} props.totalQuestions - Total number of questions
+ * @param {Object} [props.secondaryQuestion] - Same question in Romanian, shown under the main wording
+ * @param {string|string[]|number} [props.savedAnswer] - Answer already recorded for the question
+ * @param {boolean} [props.locked=false] - Whether the saved answer is final, as on an exam: it is
+ *   shown with its verdict and cannot be changed
  */
-function Question({ question, onAnswer, currentIndex, totalQuestions }) {
+function Question({
+  question,
+  onAnswer,
+  currentIndex,
+  totalQuestions,
+  secondaryQuestion,
+  savedAnswer,
+  locked = false,
+}) {
+  const { t, language } = useTranslation();
   const [selectedOptions, setSelectedOptions] = useState([]);
+  const [order, setOrder] = useState(null);
+  const [numericValue, setNumericValue] = useState('');
   const [answerSubmitted, setAnswerSubmitted] = useState(false);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
-
-  if (!question) {
-    return <div className={styles.question}>Loading question...</div>;
-  }
+  const [imageFailed, setImageFailed] = useState(false);
+  const [confidence, setConfidence] = useState(null);
+  const numericInputId = useId();
+  const headingId = useId();
+  const confidenceId = useId();
+  const headingRef = useRef(null);
+  const shownQuestionId = useRef(question?.id);
+  const shownAt = useRef(null);
 
   // Reset state when question changes
   useEffect(() => {
     setSelectedOptions([]);
+    setOrder(null);
+    setNumericValue('');
     setAnswerSubmitted(false);
     setSelectedAnswer(null);
-  }, [question.id]);
+    setImageFailed(false);
+    setConfidence(null);
+    shownAt.current = Date.now();
+  }, [question?.id]);
+
+  // Move focus to the new question so keyboard and screen reader users start reading there,
+  // but leave it alone when the page first loads
+  useEffect(() => {
+    if (shownQuestionId.current === question?.id) return;
+    shownQuestionId.current = question?.id;
+    headingRef.current?.focus();
+  }, [question?.id]);
+
+  // Defined below the loading state, which never listens
+  useShortcuts(event => handleShortcut(event), Boolean(question));
+
+  if (!question) {
+    return <div className={styles.question}>{t('question.loading')}</div>;
+  }
 
   const isMultipleChoice = question.type === 'multiple';
+  const isOrdering = question.type === 'ordering';
+  const isNumeric = question.type === 'numeric';
+  const isHotspot = question.type === 'hotspot';
+  const needsSubmit = isMultipleChoice || isOrdering || isNumeric;
+  // Questions answered by picking options, which number keys can pick
+  const isChoice = !isOrdering && !isNumeric;
+  // A final answer recorded before is shown as it was given instead of asking again
+  const isLocked = locked && savedAnswer !== undefined;
+  const isAnswered = answerSubmitted || isLocked;
+  const givenAnswer = isLocked ? savedAnswer : selectedAnswer;
+  const chosenOptions = isLocked && isMultipleChoice ? savedAnswer : selectedOptions;
+  // Sign images are described by the sign's official name
+  const imageAlt = question.signInfo
+    ? getSignName(question.signInfo, language)
+    : t('question.imageAlt');
 
-  // Function to check if an answer is correct
-  const isAnswerCorrect = (answer) => {
-    if (isMultipleChoice) {
-      const correctAnswers = question.correct;
-      const userAnswers = Array.isArray(answer) ? answer : [answer];
-      return correctAnswers.length === userAnswers.length &&
-        correctAnswers.every(correctAnswer => {
-          const correctIndex = question.options.indexOf(correctAnswer);
-          return userAnswers.includes(correctIndex);
-        });
-    } else {
-      const correctIndex = question.options.indexOf(question.correct);
-      return answer === correctIndex;
-    }
-  };
+  // True/false questions are answered with their implicit options, labelled in the interface language
+  const options = getAnswerOptions(question).map(option =>
+    question.type === 'true-false' ? { ...option, text: t(`question.${option.id}`) } : option
+  );
+  // Ordering questions start in the (shuffled) order of their options
+  const currentOrder =
+    order ?? (isLocked && isOrdering ? savedAnswer : options.map(option => option.id));
+  const pendingAnswer = isMultipleChoice
+    ? chosenOptions
+    : isOrdering
+      ? currentOrder
+      : parseNumber(numericValue);
+  const canSubmit = isMultipleChoice
+    ? chosenOptions.length > 0
+    : isOrdering || Number.isFinite(pendingAnswer);
 
-  // Function to get the correct answer index(es)
-  const getCorrectAnswerIndices = () => {
-    if (isMultipleChoice) {
-      return question.correct.map(correctAnswer => 
-        question.options.indexOf(correctAnswer)
-      );
-    } else {
-      return [question.options.indexOf(question.correct)];
-    }
+  // Only which options were right, wrong or missed is shown here, so the default policy is enough
+  const verdict = isAnswered ? gradeAnswer(question, givenAnswer) : null;
+  // The Romanian wording of each option, matched by option ID
+  const secondaryTexts = Object.fromEntries(
+    (secondaryQuestion?.options || []).map(option => [option.id, option.text])
+  );
+
+  /**
+   * Get the feedback classes of an option once the answer is submitted
+   * @param {string} optionId - Option ID
+   * @returns {string} Class names to append
+   */
+  const getFeedbackClassName = optionId => {
+    if (!verdict) return '';
+    if (verdict.right.includes(optionId)) return ` ${styles.correct}`;
+    if (verdict.missed.includes(optionId)) return ` ${styles.correct} ${styles.missed}`;
+    if (verdict.wrong.includes(optionId)) return ` ${styles.incorrect}`;
+    return '';
   };
 
-  const correctIndices = getCorrectAnswerIndices();
+  /**
+   * Hand the answer over with how it was given
+   * @param {string|string[]|number} answer - Answer to submit
+   */
+  const submitAnswer = answer => {
+    setSelectedAnswer(answer);
+    setAnswerSubmitted(true);
+    onAnswer(answer, { confidence, timeSpent: Date.now() - shownAt.current });
+  };
 
-  const handleOptionClick = (index) => {
+  const handleOptionClick = (optionId) => {
     // Don't allow changes after answer is submitted
-    if (answerSubmitted) return;
+    if (isAnswered) return;
 
     if (isMultipleChoice) {
-      const newSelected = selectedOptions.includes(index)
-        ? selectedOptions.filter(i => i !== index)
-        : [...selectedOptions, index];
+      const newSelected = selectedOptions.includes(optionId)
+        ? selectedOptions.filter(id => id !== optionId)
+        : [...selectedOptions, optionId];
       setSelectedOptions(newSelected);
     } else {
       // For single choice, immediately submit the answer
-      setSelectedAnswer(index);
-      setAnswerSubmitted(true);
-      onAnswer(index);
+      submitAnswer(optionId);
     }
   };
 
-  const handleSubmitMultiple = () => {
-    if (selectedOptions.length === 0 || answerSubmitted) return;
+  const handleMove = (index, offset) => {
+    const newOrder = [...currentOrder];
+    [newOrder[index], newOrder[index + offset]] = [newOrder[index + offset], newOrder[index]];
+    setOrder(newOrder);
+  };
+
+  const handleSubmit = () => {
+    if (!canSubmit || isAnswered) return;
     
-    setSelectedAnswer(selectedOptions);
-    setAnswerSubmitted(true);
-    onAnswer(selectedOptions);
+    submitAnswer(pendingAnswer);
   };
 
+  /**
+   * Pick an option with its number key, or submit with Enter
+   * @param {KeyboardEvent} event - Key press outside form fields
+   */
+  const handleShortcut = event => {
+    if (isAnswered) return;
+
+    const option = isChoice && options.find((_, index) => getShortcut(index) === event.key);
+    if (option) {
+      event.preventDefault();
+      handleOptionClick(option.id);
+      return;
+    }
+
+    // Enter on a button other than an option (a move button, say) keeps its own meaning
+    const isOtherButton =
+      event.target.closest?.('button') && !event.target.closest('[role="checkbox"]');
+    if (event.key === 'Enter' && needsSubmit && !isOtherButton) {
+      event.preventDefault();
+      handleSubmit();
+    }
+  };
+
+  /**
+   * Key that picks an option, for assistive technology to announce
+   * @param {number} index - Position of the option
+   * @returns {string|undefined} Number key, or undefined past the ninth option
+   */
+  const getShortcut = index => (index < MAX_SHORTCUT_OPTIONS ? String(index + 1) : undefined);
+
+  const renderOptionText = option =>
+    secondaryQuestion ? (
+      <span className={styles.optionText}>
+        {option.text}
+        <span className={styles.secondaryText} lang="ro">
+          {secondaryTexts[option.id]}
+        </span>
+      </span>
+    ) : (
+      option.text
+    );
+
   return (
     <div className={styles.question}>
       <div className={styles.header}>
         <span className={styles.counter}>
-          Question {currentIndex + 1} of {totalQuestions}
+          {t('question.counter', { current: currentIndex + 1, total: totalQuestions })}
         </span>
         {question.category && (
-          <span className={styles.category}>{question.category}</span>
+          <span className={styles.category}>
+            {question.topicInfo ? getTopicName(question.topicInfo, language) : question.category}
+          </span>
         )}
       </div>
       
-      <h3 className={styles.text}>{question.text}</h3>
+      <h3 id={headingId} ref={headingRef} tabIndex={-1} className={styles.text}>
+        {question.text}
+        {secondaryQuestion && (
+          <span className={styles.secondaryText} lang="ro">
+            {secondaryQuestion.text}
+          </span>
+        )}
+      </h3>
       
-      {question.image && (
+      {(question.image || question.scene) && (
         <div className={styles.imageContainer}>
-          <img src={question.image} alt="Question illustration" className={styles.image} />
+          {imageFailed ? (
+            <div className={styles.imageFallback} role="img" aria-label={imageAlt}>
+              <span>{t('question.imageUnavailable')}</span>
+              {question.sign && (
+                <span className={styles.signCode}>
+                  {t('question.signCode', { code: question.sign })}
+                </span>
+              )}
+            </div>
+          ) : (
+            <div
+              className={styles.imageFrame}
+              {...(isHotspot && { role: 'radiogroup', 'aria-labelledby': headingId })}
+            >
+              {question.scene ? (
+                <IntersectionScene scene={question.scene} />
+              ) : (
+                <img
+                  src={question.image}
+                  alt={imageAlt}
+                  className={styles.image}
+                  onError={() => setImageFailed(true)}
+                />
+              )}
+              {/* Hotspot options are regions of the image, positioned in percent of its size */}
+              {isHotspot && options.map((option, index) => (
+                <button
+                  key={option.id}
+                  role="radio"
+                  aria-checked={givenAnswer === option.id}
+                  aria-keyshortcuts={getShortcut(index)}
+                  className={`${styles.hotspot}${getFeedbackClassName(option.id)}`}
+                  style={{
+                    left: `${option.area.x}%`,
+                    top: `${option.area.y}%`,
+                    width: `${option.area.width}%`,
+                    height: `${option.area.height}%`,
+                  }}
+                  onClick={() => handleOptionClick(option.id)}
+                  disabled={isAnswered}
+                  aria-label={option.text}
+                />
+              ))}
+            </div>
+          )}
         </div>
       )}
       
+      {/* Chosen before answering, since single choice answers are revealed on click */}
+      <div className={styles.confidence}>
+        <span id={confidenceId}>
+          {t('question.confidence.label')}
+        </span>
+        <div role="radiogroup" aria-labelledby={confidenceId} className={styles.confidenceLevels}>
+          {CONFIDENCE_LEVELS.map(level => (
+            <button
+              key={level}
+              role="radio"
+              aria-checked={confidence === level}
+              className={styles.confidenceLevel}
+              onClick={() => setConfidence(current => (current === level ? null : level))}
+              disabled={isAnswered}
+            >
+              {t(`question.confidence.${level}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
       {isMultipleChoice && (
-        <p className={styles.instruction}>Select all correct answers:</p>
+        <p className={styles.instruction}>{t('question.selectAll')}</p>
+      )}
+      {isOrdering && (
+        <p className={styles.instruction}>{t('question.orderItems')}</p>
+      )}
+      {isHotspot && !imageFailed && (
+        <p className={styles.instruction}>{t('question.clickRegion')}</p>
       )}
       
-      <div className={styles.options}>
-        {question.options?.map((option, index) => {
-          let optionClassName = styles.option;
-          
-          // Add selection state for multiple choice
-          if (isMultipleChoice && selectedOptions.includes(index)) {
-            optionClassName += ` ${styles.selected}`;
-          }
-          
-          // Add feedback styling after answer is submitted
-          if (answerSubmitted) {
-            if (correctIndices.includes(index)) {
-              optionClassName += ` ${styles.correct}`;
-            } else if (
-              (isMultipleChoice && selectedOptions.includes(index)) ||
-              (!isMultipleChoice && selectedAnswer === index)
-            ) {
-              optionClassName += ` ${styles.incorrect}`;
-            }
-          }
-          
-          return (
-            <button 
-              key={index} 
-              className={optionClassName}
-              onClick={() => handleOptionClick(index)}
-              disabled={answerSubmitted}
-            >
-              {isMultipleChoice && (
-                <span className={styles.checkbox}>
-                  {selectedOptions.includes(index) ? '☑' : '☐'}
+      {isOrdering && (
+        <ol className={styles.options}>
+          {currentOrder.map((optionId, index) => {
+            const option = options.find(item => item.id === optionId);
+            return (
+              <li
+                key={optionId}
+                className={`${styles.option} ${styles.orderItem}${getFeedbackClassName(optionId)}`}
+              >
+                <span className={styles.orderPosition}>{index + 1}.</span>
+                {renderOptionText(option)}
+                <span className={styles.orderButtons}>
+                  <button
+                    className={styles.moveButton}
+                    onClick={() => handleMove(index, -1)}
+                    disabled={isAnswered || index === 0}
+                    aria-label={t('question.moveUp', { option: option.text })}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className={styles.moveButton}
+                    onClick={() => handleMove(index, 1)}
+                    disabled={isAnswered || index === currentOrder.length - 1}
+                    aria-label={t('question.moveDown', { option: option.text })}
+                  >
+                    ↓
+                  </button>
                 </span>
-              )}
-              {option}
-            </button>
-          );
-        })}
-      </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {isNumeric && (
+        <div className={styles.numericAnswer}>
+          <label htmlFor={numericInputId}>{t('question.numericLabel')}</label>
+          <input
+            id={numericInputId}
+            type="text"
+            inputMode="decimal"
+            className={`${styles.numericInput}${
+              verdict ? ` ${verdict.correct ? styles.correct : styles.incorrect}` : ''
+            }`}
+            value={isLocked ? String(savedAnswer) : numericValue}
+            onChange={event => setNumericValue(event.target.value)}
+            onKeyDown={event => event.key === 'Enter' && handleSubmit()}
+            disabled={isAnswered}
+          />
+          {question.unit && <span className={styles.unit}>{question.unit}</span>}
+        </div>
+      )}
+
+      {/* Without its image, a hotspot question is answered from the list of regions */}
+      {!isOrdering && !isNumeric && (!isHotspot || imageFailed) && (
+        <div
+          className={styles.options}
+          role={isMultipleChoice ? 'group' : 'radiogroup'}
+          aria-labelledby={headingId}
+        >
+          {options.map((option, index) => {
+            let optionClassName = styles.option;
+            const isSelected = isMultipleChoice
+              ? chosenOptions.includes(option.id)
+              : givenAnswer === option.id;
+            
+            // Add selection state for multiple choice
+            if (isMultipleChoice && isSelected) {
+              optionClassName += ` ${styles.selected}`;
+            }
+            
+            // Add feedback styling after answer is submitted
+            optionClassName += getFeedbackClassName(option.id);
+            
+            return (
+              <button 
+                key={option.id} 
+                role={isMultipleChoice ? 'checkbox' : 'radio'}
+                aria-checked={isSelected}
+                aria-keyshortcuts={getShortcut(index)}
+                className={optionClassName}
+                onClick={() => handleOptionClick(option.id)}
+                disabled={isAnswered}
+              >
+                {isMultipleChoice && <span className={styles.checkbox} aria-hidden="true" />}
+                {renderOptionText(option)}
+              </button>
+            );
+          })}
+        </div>
+      )}
       
-      {isMultipleChoice && (
+      {needsSubmit && (
         <button 
           className={styles.submitButton}
-          onClick={handleSubmitMultiple}
-          disabled={selectedOptions.length === 0 || answerSubmitted}
+          onClick={handleSubmit}
+          disabled={!canSubmit || isAnswered}
+          aria-keyshortcuts="Enter"
         >
-          {answerSubmitted ? 'Answer Submitted' : 'Submit Answer'}
+          {isAnswered ? t('question.submitted') : t('question.submit')}
         </button>
       )}
-      
-      {answerSubmitted && question.explanation && (
-        <div className={styles.explanation}>
-          <strong>Explanation:</strong> {question.explanation}
-        </div>
-      )}
+
+      {/* Stays in the page between answers so screen readers announce what appears in it */}
+      <div role="status">
+        {verdict && (
+          <p className={styles.visuallyHidden}>
+            {verdict.correct ? t('question.correct') : t('question.incorrect')}
+          </p>
+        )}
+        {verdict && !verdict.correct && isNumeric && (
+          <p className={styles.correctValue}>
+            {t('question.correctValue', { answer: formatNumericAnswer(question) })}
+          </p>
+        )}
+        {verdict && !verdict.correct && isOrdering && (
+          <p className={styles.correctValue}>
+            {t('question.correctOrder', { answer: getCorrectTexts(question).join(' → ') })}
+          </p>
+        )}
+
+        {isAnswered && question.explanation && (
+          <div className={styles.explanation}>
+            <strong>{t('question.explanation')}</strong> {question.explanation}
+            {secondaryQuestion?.explanation && (
+              <span className={styles.secondaryText} lang="ro">
+                {secondaryQuestion.explanation}
+              </span>
+            )}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -1,6 +1,9 @@
 import React from 'react'
-import { render, screen } from '@testing-library/react'
+import { fireEvent, render, screen } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
+import { axe } from '../test/axe'
+import { getStorageKey, wrapEntry } from '../utils/storage'
+import LanguageProvider from './LanguageProvider'
 import Question from './Question'
 
 describe('Question Component', () => {
@@ -10,8 +13,13 @@ describe('Question Component', () => {
     id: 1,
     text: 'What is the speed limit in urban areas?',
     type: 'single',
-    options: ['50 km/h', '60 km/h', '70 km/h', '80 km/h'],
-    correct: '50 km/h',
+    options: [
+      { id: 'a', text: '50 km/h' },
+      { id: 'b', text: '60 km/h' },
+      { id: 'c', text: '70 km/h' },
+      { id: 'd', text: '80 km/h' }
+    ],
+    correct: 'a',
     category: 'speed'
   }
 
@@ -19,8 +27,13 @@ describe('Question Component', () => {
     id: 2,
     text: 'Which of the following are required when driving?',
     type: 'multiple',
-    options: ['Seatbelt', 'Driver\'s license', 'Insurance', 'Sunglasses'],
-    correct: ['Seatbelt', 'Driver\'s license', 'Insurance'],
+    options: [
+      { id: 'a', text: 'Seatbelt' },
+      { id: 'b', text: 'Driver\'s license' },
+      { id: 'c', text: 'Insurance' },
+      { id: 'd', text: 'Sunglasses' }
+    ],
+    correct: ['a', 'b', 'c'],
     category: 'safety'
   }
 
@@ -90,7 +103,87 @@ describe('Question Component', () => {
     const firstOption = screen.getByText('50 km/h')
     await user.click(firstOption)
     
-    expect(mockOnAnswer).toHaveBeenCalledWith(0)
+    expect(mockOnAnswer).toHaveBeenCalledWith('a', expect.any(Object))
+  })
+
+  test('passes the confidence chosen before answering and the time spent', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000)
+    render(
+      <Question 
+        question={mockSingleChoiceQuestion} 
+        onAnswer={mockOnAnswer} 
+        currentIndex={0} 
+        totalQuestions={5} 
+      />
+    )
+
+    expect(screen.getByRole('radiogroup', { name: 'How sure are you?' })).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('radio', { name: 'Guessing' }))
+    expect(screen.getByRole('radio', { name: 'Guessing' })).toBeChecked()
+    now.mockReturnValue(13500)
+    fireEvent.click(screen.getByRole('radio', { name: '50 km/h' }))
+
+    expect(mockOnAnswer).toHaveBeenCalledWith('a', { confidence: 'guessed', timeSpent: 12500 })
+    expect(screen.getByRole('radio', { name: 'Sure' })).toBeDisabled()
+    now.mockRestore()
+  })
+
+  test('shows a locked answer with its verdict and keeps it from changing', () => {
+    render(
+      <Question 
+        question={mockMultipleChoiceQuestion} 
+        onAnswer={mockOnAnswer} 
+        currentIndex={1} 
+        totalQuestions={5} 
+        savedAnswer={['a', 'd']}
+        locked
+      />
+    )
+
+    expect(screen.getByRole('checkbox', { name: 'Seatbelt' })).toBeChecked()
+    expect(screen.getByRole('checkbox', { name: 'Sunglasses' }).className).toMatch(/incorrect/)
+    expect(screen.getByRole('checkbox', { name: 'Insurance' }).className).toMatch(/missed/)
+    expect(screen.getByRole('checkbox', { name: 'Insurance' })).toBeDisabled()
+    expect(screen.getByText('Answer Submitted')).toBeDisabled()
+    expect(screen.getByText('Incorrect.')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Insurance' }))
+    expect(mockOnAnswer).not.toHaveBeenCalled()
+  })
+
+  test('asks again for an answer that is not locked', () => {
+    render(
+      <Question 
+        question={mockSingleChoiceQuestion} 
+        onAnswer={mockOnAnswer} 
+        currentIndex={0} 
+        totalQuestions={5} 
+        savedAnswer="b"
+      />
+    )
+
+    expect(screen.getByRole('radio', { name: '60 km/h' })).not.toBeChecked()
+    fireEvent.click(screen.getByRole('radio', { name: '50 km/h' }))
+    expect(mockOnAnswer).toHaveBeenCalledWith('a', expect.any(Object))
+  })
+
+  test('leaves the confidence out unless one is chosen', () => {
+    render(
+      <Question 
+        question={mockSingleChoiceQuestion} 
+        onAnswer={mockOnAnswer} 
+        currentIndex={0} 
+        totalQuestions={5} 
+      />
+    )
+
+    // Choosing the same level again takes it back
+    fireEvent.click(screen.getByRole('radio', { name: 'Sure' }))
+    fireEvent.click(screen.getByRole('radio', { name: 'Sure' }))
+    expect(screen.getByRole('radio', { name: 'Sure' })).not.toBeChecked()
+    fireEvent.click(screen.getByRole('radio', { name: '50 km/h' }))
+
+    expect(mockOnAnswer).toHaveBeenCalledWith('a', expect.objectContaining({ confidence: null }))
   })
 
   test('handles multiple choice question selection and submission', async () => {
@@ -113,7 +206,7 @@ describe('Question Component', () => {
     const submitButton = screen.getByRole('button', { name: /submit/i })
     await user.click(submitButton)
     
-    expect(mockOnAnswer).toHaveBeenCalledWith([0, 1])
+    expect(mockOnAnswer).toHaveBeenCalledWith(['a', 'b'], expect.any(Object))
   })
 
   test('shows question counter', () => {
@@ -254,4 +347,400 @@ describe('Question Component', () => {
     // Check submit button changes
     expect(screen.getByRole('button', { name: /answer submitted/i })).toBeInTheDocument()
   })
-})
\ No newline at end of file
+
+  test('marks correct options that were not selected', async () => {
+    const user = userEvent.setup()
+
+    render(
+      <Question 
+        question={mockMultipleChoiceQuestion} 
+        onAnswer={mockOnAnswer} 
+        currentIndex={1} 
+        totalQuestions={5} 
+      />
+    )
+
+    await user.click(screen.getByText('Seatbelt'))
+    await user.click(screen.getByText('Sunglasses'))
+    await user.click(screen.getByRole('button', { name: /submit/i }))
+
+    expect(screen.getByText('Seatbelt').className).not.toMatch(/missed/)
+    expect(screen.getByText('Insurance').className).toMatch(/correct/)
+    expect(screen.getByText('Insurance').className).toMatch(/missed/)
+    expect(screen.getByText('Sunglasses').className).toMatch(/incorrect/)
+  })
+
+  test('shows the Romanian wording under the main text', () => {
+    const romanianQuestion = {
+      ...mockSingleChoiceQuestion,
+      text: 'Care este limita de viteză în localitate?',
+      options: [
+        { id: 'a', text: '50 km/h (RO)' },
+        { id: 'b', text: '60 km/h (RO)' },
+        { id: 'c', text: '70 km/h (RO)' },
+        { id: 'd', text: '80 km/h (RO)' }
+      ]
+    }
+
+    render(
+      <Question 
+        question={mockSingleChoiceQuestion} 
+        secondaryQuestion={romanianQuestion}
+        onAnswer={mockOnAnswer} 
+        currentIndex={0} 
+        totalQuestions={5} 
+      />
+    )
+
+    expect(screen.getByText('What is the speed limit in urban areas?')).toBeInTheDocument()
+    expect(screen.getByText('Care este limita de viteză în localitate?')).toHaveAttribute('lang', 'ro')
+    expect(screen.getByText('60 km/h (RO)')).toBeInTheDocument()
+  })
+  describe('other question types', () => {
+    test('answers true/false statements with translated labels', async () => {
+      const user = userEvent.setup()
+      const statement = { id: 20, type: 'true-false', text: 'You may overtake on a crossing.', correct: false }
+
+      render(<Question question={statement} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />)
+
+      await user.click(screen.getByRole('radio', { name: 'True' }))
+
+      expect(mockOnAnswer).toHaveBeenCalledWith('true', expect.any(Object))
+      expect(screen.getByRole('radio', { name: 'True' }).className).toMatch(/incorrect/)
+      expect(screen.getByRole('radio', { name: 'False' }).className).toMatch(/missed/)
+    })
+
+    test('reorders items and submits their order', async () => {
+      const user = userEvent.setup()
+      const ordering = {
+        id: 21,
+        type: 'ordering',
+        text: 'In which order do the vehicles pass?',
+        options: [
+          { id: 'car', text: 'Car' },
+          { id: 'tram', text: 'Tram' },
+          { id: 'bike', text: 'Bicycle' }
+        ],
+        correct: ['tram', 'car', 'bike']
+      }
+
+      render(<Question question={ordering} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />)
+
+      expect(screen.getByRole('button', { name: 'Move "Car" up' })).toBeDisabled()
+      await user.click(screen.getByRole('button', { name: 'Move "Tram" up' }))
+      await user.click(screen.getByRole('button', { name: /submit/i }))
+
+      expect(mockOnAnswer).toHaveBeenCalledWith(['tram', 'car', 'bike'], expect.any(Object))
+      expect(screen.getAllByRole('listitem').map(item => item.textContent)).toEqual([
+        expect.stringContaining('Tram'),
+        expect.stringContaining('Car'),
+        expect.stringContaining('Bicycle')
+      ])
+      expect(screen.queryByText(/Correct order/)).not.toBeInTheDocument()
+    })
+
+    test('accepts a numeric answer written with a decimal comma', async () => {
+      const user = userEvent.setup()
+      const numeric = { id: 22, type: 'numeric', text: 'Braking distance?', correct: 0.5, tolerance: 0.1, unit: 'm' }
+
+      render(<Question question={numeric} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />)
+
+      const submitButton = screen.getByRole('button', { name: /submit/i })
+      expect(submitButton).toBeDisabled()
+
+      await user.type(screen.getByLabelText('Your answer'), '0,7')
+      await user.click(submitButton)
+
+      expect(mockOnAnswer).toHaveBeenCalledWith(0.7, expect.any(Object))
+      expect(screen.getByText('Correct answer: 0.5 m')).toBeInTheDocument()
+    })
+
+    test('answers a hotspot question by clicking a region of the image', async () => {
+      const user = userEvent.setup()
+      const hotspot = {
+        id: 23,
+        type: 'hotspot',
+        text: 'Which vehicle passes first?',
+        image: 'intersection.svg',
+        options: [
+          { id: 'left', text: 'Car on the left', area: { x: 0, y: 40, width: 30, height: 20 } },
+          { id: 'right', text: 'Car on the right', area: { x: 70, y: 40, width: 30, height: 20 } }
+        ],
+        correct: 'right'
+      }
+
+      render(<Question question={hotspot} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />)
+
+      const region = screen.getByRole('radio', { name: 'Car on the right' })
+      expect(region.style.left).toBe('70%')
+      await user.click(region)
+
+      expect(mockOnAnswer).toHaveBeenCalledWith('right', expect.any(Object))
+      expect(region.className).toMatch(/correct/)
+    })
+  })
+
+  describe('intersection scenes', () => {
+    test('draws the scene in place of an image and keeps hotspot regions on it', () => {
+      const sceneQuestion = {
+        id: 24,
+        type: 'hotspot',
+        text: 'Which vehicle passes first?',
+        scene: { vehicles: [{ label: 'A', arm: 'south' }, { label: 'B', arm: 'east' }] },
+        options: [
+          { id: 'a', text: 'Car A', area: { x: 50, y: 65, width: 15, height: 15 } },
+          { id: 'b', text: 'Car B', area: { x: 65, y: 35, width: 15, height: 15 } }
+        ],
+        correct: 'b'
+      }
+
+      render(<Question question={sceneQuestion} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />)
+
+      expect(screen.queryByRole('img', { name: 'Question illustration' })).not.toBeInTheDocument()
+      expect(screen.getByRole('img', { name: /^Crossroads\. A: car coming from the south/ })).toBeInTheDocument()
+      fireEvent.click(screen.getByRole('radio', { name: 'Car B' }))
+
+      expect(mockOnAnswer).toHaveBeenCalledWith('b', expect.any(Object))
+    })
+  })
+
+  test('names the topic in the interface language', () => {
+    localStorage.getItem.mockImplementation(key =>
+      key === getStorageKey('preferences')
+        ? JSON.stringify(wrapEntry('preferences', { language: 'ro', showRomanian: false }))
+        : null
+    )
+    const topicInfo = { key: 'speed', name: 'Speed limits', translations: { ro: { name: 'Limite de viteză' } } }
+
+    render(
+      <LanguageProvider>
+        <Question
+          question={{ ...mockSingleChoiceQuestion, category: 'Speed limits', topicInfo }}
+          onAnswer={mockOnAnswer}
+          currentIndex={0}
+          totalQuestions={5}
+        />
+      </LanguageProvider>
+    )
+
+    expect(screen.getByText('Limite de viteză')).toBeInTheDocument()
+    expect(screen.queryByText('Speed limits')).not.toBeInTheDocument()
+    localStorage.getItem.mockReset()
+  })
+
+  describe('sign images', () => {
+    const signQuestion = {
+      id: 11,
+      text: 'What does this sign mean?',
+      type: 'image',
+      sign: 'B02',
+      image: 'signs/B02.svg',
+      signInfo: { code: 'B02', name: 'Stop', file: 'signs/B02.svg' },
+      options: [
+        { id: 'a', text: 'Stop' },
+        { id: 'b', text: 'Give way' }
+      ],
+      correct: 'a'
+    }
+
+    test('uses the official sign name as alt text', () => {
+      render(
+        <Question question={signQuestion} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />
+      )
+
+      expect(screen.getByRole('img', { name: 'Stop' })).toHaveAttribute('src', 'signs/B02.svg')
+    })
+
+    test('falls back to a generic alt text for other images', () => {
+      const { signInfo: _signInfo, sign: _sign, ...photoQuestion } = signQuestion
+
+      render(
+        <Question question={photoQuestion} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />
+      )
+
+      expect(screen.getByRole('img', { name: 'Question illustration' })).toBeInTheDocument()
+    })
+
+    test('shows a placeholder when the image fails to load', () => {
+      const { rerender } = render(
+        <Question question={signQuestion} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />
+      )
+
+      fireEvent.error(screen.getByRole('img', { name: 'Stop' }))
+
+      const placeholder = screen.getByRole('img', { name: 'Stop' })
+      expect(placeholder.tagName).toBe('DIV')
+      expect(placeholder).toHaveTextContent('Image unavailable')
+      expect(placeholder).toHaveTextContent('Sign B02')
+
+      rerender(
+        <Question
+          question={{ ...signQuestion, id: 12 }}
+          onAnswer={mockOnAnswer}
+          currentIndex={1}
+          totalQuestions={5}
+        />
+      )
+      expect(screen.getByRole('img', { name: 'Stop' }).tagName).toBe('IMG')
+    })
+  })
+
+  describe('accessibility', () => {
+    const ordering = {
+      id: 30,
+      type: 'ordering',
+      text: 'In which order do the vehicles pass?',
+      options: [
+        { id: 'car', text: 'Car' },
+        { id: 'tram', text: 'Tram' }
+      ],
+      correct: ['tram', 'car']
+    }
+
+    test('exposes single choice options as a radio group named by the question', async () => {
+      const user = userEvent.setup()
+
+      render(
+        <Question question={mockSingleChoiceQuestion} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />
+      )
+
+      expect(screen.getByRole('radiogroup', { name: 'What is the speed limit in urban areas?' })).toBeInTheDocument()
+      await user.click(screen.getByRole('radio', { name: '60 km/h' }))
+
+      expect(screen.getByRole('radio', { name: '60 km/h' })).toBeChecked()
+      expect(screen.getByRole('radio', { name: '50 km/h' })).not.toBeChecked()
+    })
+
+    test('exposes multiple choice options as checkboxes', async () => {
+      const user = userEvent.setup()
+
+      render(
+        <Question question={mockMultipleChoiceQuestion} onAnswer={mockOnAnswer} currentIndex={1} totalQuestions={5} />
+      )
+
+      expect(screen.getByRole('group', { name: 'Which of the following are required when driving?' })).toBeInTheDocument()
+      await user.click(screen.getByRole('checkbox', { name: 'Seatbelt' }))
+
+      expect(screen.getByRole('checkbox', { name: 'Seatbelt' })).toBeChecked()
+      expect(screen.getByRole('checkbox', { name: 'Insurance' })).not.toBeChecked()
+    })
+
+    test('picks options with number keys and submits with Enter', async () => {
+      const user = userEvent.setup()
+
+      render(
+        <Question question={mockMultipleChoiceQuestion} onAnswer={mockOnAnswer} currentIndex={1} totalQuestions={5} />
+      )
+
+      await user.keyboard('13{Enter}')
+
+      expect(mockOnAnswer).toHaveBeenCalledWith(['a', 'c'], expect.any(Object))
+    })
+
+    test('answers single choice questions with a number key', async () => {
+      const user = userEvent.setup()
+
+      render(
+        <Question question={mockSingleChoiceQuestion} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />
+      )
+
+      await user.keyboard('9')
+      expect(mockOnAnswer).not.toHaveBeenCalled()
+
+      await user.keyboard('2')
+      await user.keyboard('3')
+
+      expect(mockOnAnswer).toHaveBeenCalledTimes(1)
+      expect(mockOnAnswer).toHaveBeenCalledWith('b', expect.any(Object))
+    })
+
+    test('leaves number keys to the numeric answer field', async () => {
+      const user = userEvent.setup()
+      const numeric = { id: 31, type: 'numeric', text: 'Braking distance?', correct: 12 }
+
+      render(<Question question={numeric} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />)
+
+      await user.type(screen.getByLabelText('Your answer'), '12{Enter}')
+
+      expect(mockOnAnswer).toHaveBeenCalledTimes(1)
+      expect(mockOnAnswer).toHaveBeenCalledWith(12, expect.any(Object))
+    })
+
+    test('keeps Enter on a move button for moving the item', async () => {
+      const user = userEvent.setup()
+
+      render(<Question question={ordering} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />)
+
+      screen.getByRole('button', { name: 'Move "Tram" up' }).focus()
+      await user.keyboard('{Enter}')
+      expect(mockOnAnswer).not.toHaveBeenCalled()
+
+      await user.click(document.body)
+      await user.keyboard('{Enter}')
+      expect(mockOnAnswer).toHaveBeenCalledWith(['tram', 'car'], expect.any(Object))
+    })
+
+    test('announces the verdict and the explanation', async () => {
+      const user = userEvent.setup()
+
+      render(
+        <Question
+          question={{ ...mockSingleChoiceQuestion, explanation: 'Default urban speed is 50 km/h.' }}
+          onAnswer={mockOnAnswer}
+          currentIndex={0}
+          totalQuestions={5}
+        />
+      )
+
+      expect(screen.getByRole('status')).toBeEmptyDOMElement()
+      await user.click(screen.getByRole('radio', { name: '70 km/h' }))
+
+      expect(screen.getByRole('status')).toHaveTextContent('Incorrect.')
+      expect(screen.getByRole('status')).toHaveTextContent('Default urban speed is 50 km/h.')
+    })
+
+    test('moves focus to the question when it changes', () => {
+      const { rerender } = render(
+        <Question question={mockSingleChoiceQuestion} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />
+      )
+
+      expect(document.body).toHaveFocus()
+
+      rerender(
+        <Question question={mockMultipleChoiceQuestion} onAnswer={mockOnAnswer} currentIndex={1} totalQuestions={5} />
+      )
+
+      expect(screen.getByRole('heading', { name: 'Which of the following are required when driving?' })).toHaveFocus()
+    })
+
+    test.each([
+      ['single choice', mockSingleChoiceQuestion],
+      ['multiple choice', mockMultipleChoiceQuestion],
+      ['ordering', ordering],
+      ['numeric', { id: 32, type: 'numeric', text: 'Braking distance?', correct: 12, unit: 'm' }],
+      [
+        'hotspot',
+        {
+          id: 33,
+          type: 'hotspot',
+          text: 'Which vehicle passes first?',
+          image: 'intersection.svg',
+          options: [
+            { id: 'left', text: 'Car on the left', area: { x: 0, y: 40, width: 30, height: 20 } },
+            { id: 'right', text: 'Car on the right', area: { x: 70, y: 40, width: 30, height: 20 } }
+          ],
+          correct: 'right'
+        }
+      ]
+    ])('has no detectable accessibility violations for %s questions', async (_type, question) => {
+      const { container } = render(
+        <Question question={{ ...question, explanation: 'Explained.' }} onAnswer={mockOnAnswer} currentIndex={0} totalQuestions={5} />
+      )
+
+      expect(await axe(container)).toHaveNoViolations()
+
+      await userEvent.setup().keyboard('1{Enter}')
+      expect(await axe(container)).toHaveNoViolations()
+    })
+  })
+})
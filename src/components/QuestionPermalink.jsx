@@ -0,0 +1,52 @@
+import React from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { EXAM_LANGUAGE, hasTranslation, localizeQuestion } from '../i18n';
+import Question from './Question';
+import styles from './QuestionPermalink.module.css';
+
+/**
+ * A single question of the bank opened from its permalink (`#/questions/<id>`), to share or
+ * bookmark it. It can be answered to see the feedback, but the answer is not saved.
+ * @param {Object} props - Component props
+ * @param {number} props.questionId - ID in the permalink
+ * @param {Object} [props.question] - Question with that ID, undefined when the bank has none
+ * @param {number} props.position - Index of the question in the bank
+ * @param {number} props.totalQuestions - Number of questions in the bank
+ * @param {Function} props.onClose - Callback to go back to the quiz
+ */
+function QuestionPermalink({ questionId, question, position, totalQuestions, onClose }) {
+  const { t, language, showRomanian } = useTranslation();
+  const romanianQuestion =
+    question &&
+    showRomanian &&
+    language !== EXAM_LANGUAGE &&
+    hasTranslation(question, EXAM_LANGUAGE)
+      ? localizeQuestion(question, EXAM_LANGUAGE)
+      : null;
+
+  return (
+    <div className={styles.questionPermalink}>
+      <div className={styles.header}>
+        <h2>{t('permalink.title', { id: questionId })}</h2>
+        <button className={styles.closeButton} onClick={onClose}>
+          {t('permalink.back')}
+        </button>
+      </div>
+      <p className={styles.intro}>
+        {question ? t('permalink.intro') : t('permalink.notFound', { id: questionId })}
+      </p>
+
+      {question && (
+        <Question
+          question={localizeQuestion(question, language)}
+          secondaryQuestion={romanianQuestion}
+          onAnswer={() => {}}
+          currentIndex={position}
+          totalQuestions={totalQuestions}
+        />
+      )}
+    </div>
+  );
+}
+
+export default QuestionPermalink;
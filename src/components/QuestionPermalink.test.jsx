@@ -0,0 +1,72 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import QuestionPermalink from './QuestionPermalink';
+import { axe } from '../test/axe';
+
+describe('QuestionPermalink Component', () => {
+  const mockClose = vi.fn();
+  const question = {
+    id: 42,
+    type: 'single',
+    text: 'What is the urban speed limit?',
+    options: [
+      { id: 'a', text: '30 km/h' },
+      { id: 'b', text: '50 km/h' },
+    ],
+    correct: 'b',
+    explanation: 'Default urban speed is 50 km/h.',
+  };
+
+  beforeEach(() => {
+    mockClose.mockClear();
+  });
+
+  const renderPermalink = props =>
+    render(
+      <QuestionPermalink
+        questionId={42}
+        question={question}
+        position={9}
+        totalQuestions={120}
+        onClose={mockClose}
+        {...props}
+      />
+    );
+
+  test('shows the question at its place in the bank', () => {
+    renderPermalink();
+
+    expect(screen.getByRole('heading', { name: 'Question 42' })).toBeInTheDocument();
+    expect(screen.getByText('What is the urban speed limit?')).toBeInTheDocument();
+    expect(screen.getByText('Question 10 of 120')).toBeInTheDocument();
+  });
+
+  test('can be answered to see the explanation', () => {
+    renderPermalink();
+
+    fireEvent.click(screen.getByRole('radio', { name: '50 km/h' }));
+
+    expect(screen.getByText('Default urban speed is 50 km/h.')).toBeInTheDocument();
+  });
+
+  test('says so when the bank has no question with the ID', () => {
+    renderPermalink({ questionId: 999, question: undefined, position: -1 });
+
+    expect(screen.getByText('There is no question 999 in the question bank.')).toBeInTheDocument();
+    expect(screen.queryByRole('radiogroup')).not.toBeInTheDocument();
+  });
+
+  test('calls onClose when going back', () => {
+    renderPermalink();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Back to Quiz' }));
+
+    expect(mockClose).toHaveBeenCalled();
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = renderPermalink();
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,114 @@
+import React, { useId, useState } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { formatRoute } from '../utils/routes';
+import styles from './QuestionStats.module.css';
+
+/** Ways to narrow the list, with the questions each keeps */
+const FILTERS = {
+  all: () => true,
+  guessed: stats => stats.isGuessed,
+  slow: stats => stats.isSlow,
+  wrong: stats => !stats.lastAnswer.correct,
+};
+
+/**
+ * Statistics screen listing every answered question with its attempts, right answers and
+ * average time, flagging the ones right only by guessing, slow to answer or last answered wrong
+ * @param {Object} props - Component props
+ * @param {Object} props.statistics - Statistics from useQuiz's getQuestionStatistics
+ * @param {import('../utils/answerLog').QuestionStats[]} props.statistics.questions - Statistics
+ *   of the answered questions
+ * @param {number} props.statistics.slowAnswerTime - Exam time per question, in milliseconds
+ * @param {Function} props.onClose - Callback to leave the statistics screen
+ */
+function QuestionStats({ statistics, onClose }) {
+  const { t } = useTranslation();
+  const [filter, setFilter] = useState('all');
+  const filterId = useId();
+  const { questions, slowAnswerTime } = statistics;
+  const shown = questions.filter(FILTERS[filter]);
+
+  /**
+   * Format a time as whole seconds
+   * @param {number|null} milliseconds - Time, null when never timed
+   * @returns {string} Seconds, or a dash
+   */
+  const formatSeconds = milliseconds =>
+    milliseconds === null ? '–' : t('stats.seconds', { seconds: Math.round(milliseconds / 1000) });
+
+  return (
+    <div className={styles.stats}>
+      <div className={styles.header}>
+        <h2>{t('stats.title')}</h2>
+        <button className={styles.closeButton} onClick={onClose}>
+          {t('stats.back')}
+        </button>
+      </div>
+
+      {questions.length === 0 ? (
+        <p className={styles.empty}>{t('stats.empty')}</p>
+      ) : (
+        <>
+          <p className={styles.intro}>
+            {t('stats.intro', { pace: Math.round(slowAnswerTime / 1000) })}
+          </p>
+          <div className={styles.filter}>
+            <label htmlFor={filterId}>{t('stats.filter')}</label>
+            <select id={filterId} value={filter} onChange={event => setFilter(event.target.value)}>
+              {Object.keys(FILTERS).map(key => (
+                <option key={key} value={key}>
+                  {t(`stats.filters.${key}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {shown.length === 0 ? (
+            <p className={styles.empty}>{t('stats.filterEmpty')}</p>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th scope="col">{t('stats.columns.question')}</th>
+                  <th scope="col">{t('stats.columns.attempts')}</th>
+                  <th scope="col">{t('stats.columns.correct')}</th>
+                  <th scope="col">{t('stats.columns.averageTime')}</th>
+                  <th scope="col">{t('stats.columns.flags')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map(stats => (
+                  <tr key={stats.question.id}>
+                    <td>
+                      <a href={formatRoute({ name: 'question', questionId: stats.question.id })}>
+                        {stats.question.text}
+                      </a>
+                    </td>
+                    <td>{stats.attempts}</td>
+                    <td>{stats.correct}</td>
+                    <td>{formatSeconds(stats.averageTime)}</td>
+                    <td>
+                      <span className={styles.flags}>
+                        {stats.isGuessed && (
+                          <span className={styles.guessed}>{t('stats.flags.guessed')}</span>
+                        )}
+                        {stats.isSlow && (
+                          <span className={styles.slow}>{t('stats.flags.slow')}</span>
+                        )}
+                        {!stats.lastAnswer.correct && (
+                          <span className={styles.wrong}>{t('stats.flags.wrong')}</span>
+                        )}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default QuestionStats;
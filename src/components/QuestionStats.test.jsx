@@ -0,0 +1,105 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import QuestionStats from './QuestionStats';
+import { axe } from '../test/axe';
+
+describe('QuestionStats Component', () => {
+  const mockClose = vi.fn();
+  const answer = { correct: true, confidence: 'sure' };
+  const statistics = {
+    slowAnswerTime: 69000,
+    questions: [
+      {
+        question: { id: 1, text: 'What does this sign mean?' },
+        attempts: 3,
+        correct: 2,
+        averageTime: 12400,
+        lastAnswer: { ...answer, confidence: 'guessed' },
+        isGuessed: true,
+        isSlow: false,
+      },
+      {
+        question: { id: 2, text: 'Who goes first?' },
+        attempts: 1,
+        correct: 0,
+        averageTime: 95000,
+        lastAnswer: { ...answer, correct: false },
+        isGuessed: false,
+        isSlow: true,
+      },
+      {
+        question: { id: 3, text: 'What is the speed limit?' },
+        attempts: 2,
+        correct: 2,
+        averageTime: null,
+        lastAnswer: answer,
+        isGuessed: false,
+        isSlow: false,
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    mockClose.mockClear();
+  });
+
+  const getRows = () => screen.getAllByRole('row').slice(1);
+
+  test('lists the answered questions with their attempts, right answers and time', () => {
+    render(<QuestionStats statistics={statistics} onClose={mockClose} />);
+
+    expect(screen.getByText(/slower than 69 s/)).toBeInTheDocument();
+    const rows = getRows();
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toHaveTextContent('What does this sign mean?3212 sGuessed');
+    expect(rows[1]).toHaveTextContent('Who goes first?1095 sSlowWrong');
+    expect(rows[2]).toHaveTextContent('What is the speed limit?22–');
+    expect(within(rows[0]).getByRole('link')).toHaveAttribute('href', '#/questions/1');
+  });
+
+  test('narrows the list to the flagged questions', () => {
+    render(<QuestionStats statistics={statistics} onClose={mockClose} />);
+    const filter = screen.getByLabelText('Show');
+
+    fireEvent.change(filter, { target: { value: 'guessed' } });
+    expect(getRows()).toHaveLength(1);
+    expect(getRows()[0]).toHaveTextContent('What does this sign mean?');
+
+    fireEvent.change(filter, { target: { value: 'slow' } });
+    expect(getRows()[0]).toHaveTextContent('Who goes first?');
+
+    fireEvent.change(filter, { target: { value: 'wrong' } });
+    expect(getRows()).toHaveLength(1);
+  });
+
+  test('says so when nothing matches or nothing was answered', () => {
+    const { rerender } = render(
+      <QuestionStats
+        statistics={{ ...statistics, questions: statistics.questions.slice(2) }}
+        onClose={mockClose}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText('Show'), { target: { value: 'slow' } });
+    expect(screen.getByText('No questions to show.')).toBeInTheDocument();
+
+    rerender(<QuestionStats statistics={{ ...statistics, questions: [] }} onClose={mockClose} />);
+    expect(
+      screen.getByText('No answers yet. Answer a few questions to see them here.')
+    ).toBeInTheDocument();
+  });
+
+  test('calls onClose when the back button is clicked', () => {
+    render(<QuestionStats statistics={statistics} onClose={mockClose} />);
+
+    fireEvent.click(screen.getByText('Back to Quiz'));
+
+    expect(mockClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = render(<QuestionStats statistics={statistics} onClose={mockClose} />);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -1,38 +1,164 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import useQuiz from '../hooks/useQuiz';
+import useRoute from '../hooks/useRoute';
+import useShortcuts from '../hooks/useShortcuts';
+import useTranslation from '../hooks/useTranslation';
+import { EXAM_LANGUAGE, hasTranslation, localizeQuestion } from '../i18n';
+import { formatValidationError } from '../utils/questionSchema';
+import { formatRoute, getSessionRoute, isSessionRoute, matchesSession } from '../utils/routes';
 import Question from './Question';
 import Results from './Results';
 import Progress from './Progress';
 import LoadingSpinner from './LoadingSpinner';
+import ExamTimer from './ExamTimer';
+import History from './History';
+import TopicPicker from './TopicPicker';
+import Backup from './Backup';
+import PrintSheet from './PrintSheet';
+import QuestionPermalink from './QuestionPermalink';
+import Dashboard from './Dashboard';
+import QuestionStats from './QuestionStats';
 import styles from './Quiz.module.css';
 
 /**
  * Main Quiz component that displays questions loaded from questions.yaml
  * and manages quiz flow using the useQuiz hook for state management
+ * The screen and the session follow the route in the URL, and the route follows the session.
+ * The home route shows the dashboard, where a mode is chosen.
  */
 function Quiz() {
   const {
+    bank,
     questions,
     currentQuestion,
     currentQuestionIndex,
     answers,
     loading,
     error,
+    validationErrors,
     answerQuestion,
+    goToQuestion,
     nextQuestion,
     previousQuestion,
     resetQuiz,
     retryLoading,
     score,
     storageAvailable,
+    storageFallback,
     retryCount,
-    getQuizStatistics
+    getQuizStatistics,
+    mode,
+    topicKeys,
+    examConfig,
+    deadline,
+    isFinished,
+    examResult,
+    answerAnalysis,
+    progress,
+    dueReviewCount,
+    startExam,
+    startReview,
+    startTopicPractice,
+    startMistakesPractice,
+    startRandomPractice,
+    getDashboard,
+    getQuestionStatistics,
+    topics,
+    finishQuiz
   } = useQuiz();
+  const { t, language, showRomanian } = useTranslation();
+  const [confirmingFinish, setConfirmingFinish] = useState(false);
+  const { route, navigate } = useRoute();
+  const lastSync = useRef({ route: null, session: null });
+
+  const sessionRoute =
+    !loading && !error && bank?.length > 0
+      ? getSessionRoute({ mode, topicKeys, questions, currentQuestionIndex, isFinished })
+      : null;
+  const isAnswering =
+    !loading &&
+    !error &&
+    isSessionRoute(route) &&
+    !isFinished &&
+    currentQuestionIndex < questions.length;
+
+  /**
+   * Change the session to the one a route addresses
+   * @param {import('../utils/routes').Route} target - Session route that does not match the
+   *   session in progress
+   * @returns {boolean} Whether the session was changed
+   */
+  const followRoute = target => {
+    const isSameSession = matchesSession({ ...target, questionNumber: undefined }, sessionRoute);
+    if (isSameSession) {
+      if (!target.questionNumber || target.questionNumber > questions.length) return false;
+      goToQuestion(target.questionNumber - 1);
+      return true;
+    }
+
+    // Results are never started, and a running exam is only left by finishing it
+    if (target.results || (mode === 'exam' && !isFinished)) return false;
+
+    switch (target.name) {
+      case 'exam':
+        return startExam();
+      case 'review':
+        return startReview();
+      case 'topic':
+        return startTopicPractice(target.topicKeys);
+      case 'mistakes':
+        return startMistakesPractice();
+      case 'random':
+        return startRandomPractice();
+      default:
+        resetQuiz();
+        return true;
+    }
+  };
+
+  // Keep the address and the session in step. A new address is followed (links, back and
+  // forward); a session that moved on its own (next question, finish, reset) is written to the
+  // address, as a new history entry so back returns to where it was.
+  useEffect(() => {
+    if (!sessionRoute || !isSessionRoute(route)) return;
+
+    const routeHash = formatRoute(route);
+    const sessionHash = formatRoute(sessionRoute);
+    const hasRouteMoved = lastSync.current.route !== routeHash;
+    const hasSessionMoved = lastSync.current.session !== sessionHash;
+    lastSync.current = { route: routeHash, session: sessionHash };
+
+    if (matchesSession(route, sessionRoute)) {
+      // Fill in the position a route left out
+      if (routeHash !== sessionHash) navigate(sessionRoute, { replace: true });
+    } else if (hasRouteMoved) {
+      if (!followRoute(route)) navigate(sessionRoute, { replace: true });
+    } else if (hasSessionMoved) {
+      navigate(sessionRoute);
+    }
+    // Otherwise the session is still catching up with the route it followed
+  });
+
+  /**
+   * Leave a screen or the session for the dashboard
+   */
+  const showHome = () => navigate({ name: 'home' });
+
+  // Arrow keys move between questions while one is on screen
+  useShortcuts(event => {
+    if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      previousQuestion();
+    } else if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      nextQuestion();
+    }
+  }, isAnswering);
 
   if (loading) {
     const loadingMessage = retryCount > 0 
-      ? `Loading questions... (Attempt ${retryCount + 1})`
-      : 'Loading questions from questions.yaml...';
+      ? t('quiz.loadingAttempt', { attempt: retryCount + 1 })
+      : t('quiz.loading');
       
     return (
       <div className={styles.quiz}>
@@ -47,12 +173,25 @@ function Quiz() {
     return (
       <div className={styles.quiz}>
         <div className={styles.error}>
-          <h3>Unable to Load Quiz</h3>
+          <h3>{t('quiz.errorTitle')}</h3>
           <p className={styles.errorMessage}>{error}</p>
+
+          {import.meta.env.DEV && validationErrors.length > 0 && (
+            <details className={styles.validationErrors} open>
+              <summary>{t('quiz.validationErrors')}</summary>
+              <ul>
+                {validationErrors.map(validationError => (
+                  <li key={formatValidationError(validationError)}>
+                    {formatValidationError(validationError)}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
           
           {!storageAvailable && (
             <div className={styles.storageWarning}>
-              <p>⚠️ Storage is unavailable. Your progress will not be saved.</p>
+              <p>{t('quiz.storageError')}</p>
             </div>
           )}
           
@@ -62,27 +201,27 @@ function Quiz() {
                 onClick={retryLoading} 
                 className={styles.retryButton}
               >
-                Try Again
+                {t('quiz.tryAgain')}
               </button>
             )}
             <button 
               onClick={() => window.location.reload()} 
               className={styles.reloadButton}
             >
-              Reload Page
+              {t('quiz.reloadPage')}
             </button>
           </div>
           
           {retryCount >= 3 && (
             <div className={styles.troubleshooting}>
               <details>
-                <summary>Troubleshooting Tips</summary>
+                <summary>{t('quiz.troubleshooting')}</summary>
                 <ul>
-                  <li>Check your internet connection</li>
-                  <li>Try refreshing the page</li>
-                  <li>Clear your browser cache</li>
-                  <li>Try accessing the site in a different browser</li>
-                  <li>Contact support if the problem persists</li>
+                  <li>{t('quiz.tips.connection')}</li>
+                  <li>{t('quiz.tips.refresh')}</li>
+                  <li>{t('quiz.tips.cache')}</li>
+                  <li>{t('quiz.tips.browser')}</li>
+                  <li>{t('quiz.tips.support')}</li>
                 </ul>
               </details>
             </div>
@@ -96,20 +235,20 @@ function Quiz() {
     return (
       <div className={styles.quiz}>
         <div className={styles.error}>
-          <h3>No Questions Available</h3>
-          <p>The quiz questions could not be loaded or the questions file is empty.</p>
+          <h3>{t('quiz.noQuestionsTitle')}</h3>
+          <p>{t('quiz.noQuestionsMessage')}</p>
           <div className={styles.errorActions}>
             <button 
               onClick={retryLoading} 
               className={styles.retryButton}
             >
-              Retry Loading
+              {t('quiz.retryLoading')}
             </button>
             <button 
               onClick={() => window.location.reload()} 
               className={styles.reloadButton}
             >
-              Reload Page
+              {t('quiz.reloadPage')}
             </button>
           </div>
         </div>
@@ -117,29 +256,172 @@ function Quiz() {
     );
   }
 
-  const isQuizComplete = currentQuestionIndex >= questions.length;
+  const isQuizComplete = isFinished || currentQuestionIndex >= questions.length;
+
+  if (route.name === 'home') {
+    return (
+      <div className={styles.quiz}>
+        <Dashboard
+          dashboard={getDashboard()}
+          session={{
+            mode,
+            route: sessionRoute,
+            currentQuestionIndex,
+            totalQuestions: questions.length,
+            isComplete: isQuizComplete,
+          }}
+          examConfig={examConfig}
+          hasTopics={topics?.length > 0}
+          dueReviewCount={dueReviewCount || 0}
+          onNavigate={navigate}
+        />
+      </div>
+    );
+  }
+
+  if (route.name === 'history') {
+    return (
+      <div className={styles.quiz}>
+        <History questions={bank || questions} onClose={showHome} />
+      </div>
+    );
+  }
+
+  if (route.name === 'stats') {
+    return (
+      <div className={styles.quiz}>
+        <QuestionStats statistics={getQuestionStatistics()} onClose={showHome} />
+      </div>
+    );
+  }
+
+  if (route.name === 'topics') {
+    return (
+      <div className={styles.quiz}>
+        <TopicPicker
+          topics={topics}
+          questions={bank}
+          onStart={selectedKeys => navigate({ name: 'topic', topicKeys: selectedKeys })}
+          onClose={showHome}
+        />
+      </div>
+    );
+  }
+
+  if (route.name === 'backup') {
+    return (
+      <div className={styles.quiz}>
+        <Backup
+          questions={bank}
+          // The quiz state was loaded from the data the import replaced
+          onImported={() => window.location.reload()}
+          onClose={showHome}
+        />
+      </div>
+    );
+  }
+
+  if (route.name === 'print') {
+    return (
+      <div className={styles.quiz}>
+        <PrintSheet
+          questions={bank}
+          topics={topics}
+          examConfig={examConfig}
+          onClose={showHome}
+        />
+      </div>
+    );
+  }
+
+  if (route.name === 'question') {
+    const position = (bank || []).findIndex(question => question.id === route.questionId);
+    return (
+      <div className={styles.quiz}>
+        <QuestionPermalink
+          questionId={route.questionId}
+          question={bank?.[position]}
+          position={position}
+          totalQuestions={bank?.length || 0}
+          onClose={showHome}
+        />
+      </div>
+    );
+  }
+
+  const homeBar = (
+    <div className={styles.examBar}>
+      <span className={styles.examInfo}>{t(`history.modes.${mode}`)}</span>
+      <button onClick={showHome} className={styles.examButton}>
+        {t('quiz.home')}
+      </button>
+    </div>
+  );
 
   if (isQuizComplete) {
     return (
       <div className={styles.quiz}>
+        {homeBar}
         <Results 
           score={score}
           totalQuestions={questions.length}
           onRestart={resetQuiz}
           getQuizStatistics={getQuizStatistics}
+          examResult={examResult}
+          questions={questions.map(question => localizeQuestion(question, language))}
+          answers={answers}
         />
       </div>
     );
   }
 
+  const isExam = mode === 'exam';
+  const displayedQuestion = currentQuestion && localizeQuestion(currentQuestion, language);
+  const romanianQuestion =
+    showRomanian && language !== EXAM_LANGUAGE && hasTranslation(currentQuestion, EXAM_LANGUAGE)
+      ? localizeQuestion(currentQuestion, EXAM_LANGUAGE)
+      : null;
+  const unansweredCount = progress?.remainingQuestions || 0;
+
+  /**
+   * Finish the attempt, asking for confirmation while questions are unanswered
+   */
+  const handleFinish = () => {
+    if (unansweredCount > 0 && !confirmingFinish) {
+      setConfirmingFinish(true);
+      return;
+    }
+    setConfirmingFinish(false);
+    finishQuiz();
+  };
+
   return (
     <div className={styles.quiz}>
-      {!storageAvailable && (
+      {(!storageAvailable || storageFallback === 'memory') && (
+        <div className={styles.storageWarning}>
+          <p>{t('quiz.storageWarning')}</p>
+        </div>
+      )}
+      {storageAvailable && storageFallback === 'localStorage' && (
         <div className={styles.storageWarning}>
-          <p>⚠️ Storage unavailable. Your progress will not be saved between sessions.</p>
+          <p>{t('quiz.storageFallback')}</p>
         </div>
       )}
       
+      {isExam ? (
+        <div className={styles.examBar}>
+          <ExamTimer deadline={deadline} />
+          <span className={styles.examErrors}>
+            {t('quiz.examErrors', {
+              errors: answerAnalysis?.incorrectAnswers.length || 0,
+              maxErrors: examConfig.maxErrors,
+            })}
+          </span>
+        </div>
+      ) : (
+        homeBar
+      )}
+
       <Progress 
         currentQuestion={currentQuestionIndex}
         totalQuestions={questions.length}
@@ -150,29 +432,63 @@ function Quiz() {
       <div className={styles.content}>
         {currentQuestion && (
           <Question
-            question={currentQuestion}
+            question={displayedQuestion}
+            secondaryQuestion={romanianQuestion}
             onAnswer={answerQuestion}
             currentIndex={currentQuestionIndex}
             totalQuestions={questions.length}
+            // Exam answers are final, so an answered exam question shows its answer
+            savedAnswer={answers?.[currentQuestion.id]}
+            locked={isExam}
           />
         )}
+        {currentQuestion && !isExam && (
+          <a
+            className={styles.permalink}
+            href={formatRoute({ name: 'question', questionId: currentQuestion.id })}
+          >
+            {t('quiz.questionLink')}
+          </a>
+        )}
         
         <div className={styles.navigation}>
           <button 
             onClick={previousQuestion}
             disabled={currentQuestionIndex === 0}
             className={styles.navButton}
+            aria-keyshortcuts="ArrowLeft"
+          >
+            {t('quiz.previous')}
+          </button>
+          <button
+            onClick={handleFinish}
+            className={styles.finishButton}
           >
-            Previous
+            {t('quiz.finish')}
           </button>
           <button 
             onClick={nextQuestion}
             disabled={currentQuestionIndex >= questions.length - 1}
             className={styles.navButton}
+            aria-keyshortcuts="ArrowRight"
           >
-            Next
+            {t('quiz.next')}
           </button>
         </div>
+
+        {confirmingFinish && (
+          <div className={styles.confirmFinish} role="alertdialog" aria-labelledby="confirm-finish-title">
+            <p id="confirm-finish-title">{t('quiz.confirmFinish', { count: unansweredCount })}</p>
+            <div className={styles.errorActions}>
+              <button onClick={handleFinish} className={styles.retryButton}>
+                {t('quiz.finishAnyway')}
+              </button>
+              <button onClick={() => setConfirmingFinish(false)} className={styles.reloadButton}>
+                {t('quiz.keepAnswering')}
+              </button>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,5 +1,6 @@
 import React from 'react'
-import { render, screen } from '@testing-library/react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import { axe } from '../test/axe'
 import Quiz from './Quiz'
 
 // Mock useQuiz hook
@@ -14,6 +15,7 @@ describe('Quiz Component', () => {
     questions: [],
     loading: false,
     error: null,
+    validationErrors: [],
     currentQuestionIndex: 0,
     currentQuestion: null,
     score: 0,
@@ -22,11 +24,26 @@ describe('Quiz Component', () => {
     nextQuestion: vi.fn(),
     previousQuestion: vi.fn(),
     resetQuiz: vi.fn(),
-    loadQuestions: vi.fn()
+    loadQuestions: vi.fn(),
+    getDashboard: vi.fn(() => ({
+      mastery: { total: 3, seen: 2, unseen: 1, mastered: 1, percentage: 33 },
+      weakestCategories: [
+        { category: 'Signs', answered: 2, correct: 1, incorrect: 1, correctPercentage: 50 }
+      ],
+      readiness: { status: 'almost', expectedErrors: 2, maxErrors: 1, percentage: 67 },
+      mistakeCount: 1
+    })),
+    getQuestionStatistics: vi.fn(() => ({ questions: [], slowAnswerTime: 69000 }))
   }
 
   beforeEach(() => {
     useQuiz.mockReturnValue(mockUseQuiz)
+    // Home is the dashboard; the tests below are about the session
+    window.history.replaceState(null, '', '#/practice')
+  })
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '#/')
   })
 
   test('shows loading state', () => {
@@ -52,6 +69,23 @@ describe('Quiz Component', () => {
     expect(screen.getByText('Failed to load questions')).toBeInTheDocument()
   })
 
+  test('lists question bank problems in development', () => {
+    useQuiz.mockReturnValue({
+      ...mockUseQuiz,
+      error: 'Invalid question format found in 1 question(s)',
+      validationErrors: [
+        { questionId: 12, field: 'correct', reason: '"Stop" does not match any option' }
+      ]
+    })
+
+    render(<Quiz />)
+
+    expect(screen.getByText('Problems in questions.yaml (development)')).toBeInTheDocument()
+    expect(
+      screen.getByText('Question 12 › correct: "Stop" does not match any option')
+    ).toBeInTheDocument()
+  })
+
   test('shows quiz complete state', () => {
     const mockQuestions = [
       { id: 1, text: 'Question 1', type: 'single', options: ['A', 'B'], correct: 0 }
@@ -104,6 +138,26 @@ describe('Quiz Component', () => {
     expect(screen.getByText('Score:')).toBeInTheDocument()
   })
 
+  test('says so when progress is kept in a fallback storage', () => {
+    const mockQuestion = { id: 1, text: 'Question 1', type: 'single', options: ['A', 'B'], correct: 0 }
+    const session = {
+      ...mockUseQuiz,
+      questions: [mockQuestion],
+      currentQuestion: mockQuestion,
+      storageAvailable: true,
+      storageFallback: 'localStorage'
+    }
+    useQuiz.mockReturnValue(session)
+    const { rerender } = render(<Quiz />)
+
+    expect(screen.getByText(/browser database is unavailable/)).toBeInTheDocument()
+    expect(screen.queryByText(/Storage unavailable/)).not.toBeInTheDocument()
+
+    useQuiz.mockReturnValue({ ...session, storageFallback: 'memory' })
+    rerender(<Quiz />)
+    expect(screen.getByText(/Storage unavailable/)).toBeInTheDocument()
+  })
+
   test('shows navigation buttons', () => {
     const mockQuestion = {
       id: 1,
@@ -125,4 +179,417 @@ describe('Quiz Component', () => {
     expect(screen.getByText('Previous')).toBeInTheDocument()
     expect(screen.getByText('Next')).toBeInTheDocument()
   })
-})
\ No newline at end of file
+
+  test('shows timer and error count during an exam', () => {
+    const mockQuestion = {
+      id: 1,
+      text: 'What is the speed limit?',
+      type: 'single',
+      options: ['50 km/h', '60 km/h'],
+      correct: '50 km/h'
+    }
+
+    useQuiz.mockReturnValue({
+      ...mockUseQuiz,
+      questions: [mockQuestion],
+      currentQuestion: mockQuestion,
+      mode: 'exam',
+      examConfig: { questionCount: 26, passMark: 22, maxErrors: 4, durationMinutes: 30 },
+      deadline: Date.now() + 30 * 60 * 1000,
+      answerAnalysis: { correctAnswers: [], incorrectAnswers: [{ questionId: 2 }], unanswered: [] },
+      finishQuiz: vi.fn()
+    })
+
+    render(<Quiz />)
+
+    expect(screen.getByRole('timer')).toBeInTheDocument()
+    expect(screen.getByText('Errors: 1 / 4')).toBeInTheDocument()
+    expect(screen.queryByText('Start Exam')).not.toBeInTheDocument()
+  })
+
+  test('finishes immediately when every question is answered', () => {
+    const mockQuestion = {
+      id: 1,
+      text: 'What is the speed limit?',
+      type: 'single',
+      options: ['50 km/h', '60 km/h'],
+      correct: '50 km/h'
+    }
+    const finishQuiz = vi.fn()
+
+    useQuiz.mockReturnValue({
+      ...mockUseQuiz,
+      questions: [mockQuestion],
+      currentQuestion: mockQuestion,
+      answers: { 1: 0 },
+      progress: { remainingQuestions: 0 },
+      finishQuiz
+    })
+
+    render(<Quiz />)
+    fireEvent.click(screen.getByText('Finish Quiz'))
+
+    expect(finishQuiz).toHaveBeenCalledTimes(1)
+    expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument()
+  })
+
+  test('asks for confirmation before finishing with unanswered questions', () => {
+    const mockQuestion = {
+      id: 1,
+      text: 'What is the speed limit?',
+      type: 'single',
+      options: ['50 km/h', '60 km/h'],
+      correct: '50 km/h'
+    }
+    const finishQuiz = vi.fn()
+
+    useQuiz.mockReturnValue({
+      ...mockUseQuiz,
+      questions: [mockQuestion, { ...mockQuestion, id: 2 }],
+      currentQuestion: mockQuestion,
+      progress: { remainingQuestions: 2 },
+      finishQuiz
+    })
+
+    render(<Quiz />)
+    fireEvent.click(screen.getByText('Finish Quiz'))
+
+    expect(finishQuiz).not.toHaveBeenCalled()
+    expect(screen.getByRole('alertdialog')).toHaveTextContent('You have 2 unanswered questions.')
+
+    fireEvent.click(screen.getByText('Keep Answering'))
+    expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Finish Quiz'))
+    fireEvent.click(screen.getByText('Finish Anyway'))
+    expect(finishQuiz).toHaveBeenCalledTimes(1)
+  })
+
+  test('shows results once the quiz is finished', () => {
+    const mockQuestion = {
+      id: 1,
+      text: 'What is the speed limit?',
+      type: 'single',
+      options: ['50 km/h', '60 km/h'],
+      correct: '50 km/h'
+    }
+
+    useQuiz.mockReturnValue({
+      ...mockUseQuiz,
+      questions: [mockQuestion],
+      currentQuestion: mockQuestion,
+      isFinished: true
+    })
+
+    render(<Quiz />)
+
+    expect(screen.getByText('Quiz Complete!')).toBeInTheDocument()
+    expect(screen.getByText('Review Answers')).toBeInTheDocument()
+  })
+
+  describe('keyboard and screen readers', () => {
+    const mockQuestion = {
+      id: 1,
+      text: 'What is the speed limit?',
+      type: 'single',
+      options: [
+        { id: 'a', text: '50 km/h' },
+        { id: 'b', text: '60 km/h' }
+      ],
+      correct: 'a'
+    }
+
+    beforeEach(() => {
+      mockUseQuiz.nextQuestion.mockClear()
+      mockUseQuiz.previousQuestion.mockClear()
+      useQuiz.mockReturnValue({
+        ...mockUseQuiz,
+        questions: [mockQuestion, { ...mockQuestion, id: 2 }],
+        currentQuestion: mockQuestion,
+        examConfig: { questionCount: 26, passMark: 22, maxErrors: 4, durationMinutes: 30 }
+      })
+    })
+
+    test('moves between questions with the arrow keys', () => {
+      render(<Quiz />)
+
+      fireEvent.keyDown(document.body, { key: 'ArrowRight' })
+      expect(mockUseQuiz.nextQuestion).toHaveBeenCalledTimes(1)
+
+      fireEvent.keyDown(document.body, { key: 'ArrowLeft' })
+      expect(mockUseQuiz.previousQuestion).toHaveBeenCalledTimes(1)
+    })
+
+    test('leaves arrow keys alone away from the questions', () => {
+      render(<Quiz />)
+      fireEvent.click(screen.getByText('Home'))
+
+      fireEvent.keyDown(document.body, { key: 'ArrowRight' })
+
+      expect(mockUseQuiz.nextQuestion).not.toHaveBeenCalled()
+    })
+
+    test('has no detectable accessibility violations', async () => {
+      const { container } = render(<Quiz />)
+
+      expect(await axe(container)).toHaveNoViolations()
+    })
+  })
+
+  describe('routing', () => {
+    const questions = [1, 2, 3].map(id => ({
+      id,
+      text: `Question ${id}?`,
+      type: 'single',
+      options: [
+        { id: 'a', text: 'Yes' },
+        { id: 'b', text: 'No' }
+      ],
+      correct: 'a'
+    }))
+    const examConfig = { questionCount: 3, passMark: 2, maxErrors: 1, durationMinutes: 5 }
+
+    /**
+     * Quiz state of a session at a question
+     * @param {Object} [overrides] - Fields that differ from a practice session at question 1
+     */
+    const mockSession = (overrides = {}) => {
+      const currentQuestionIndex = overrides.currentQuestionIndex ?? 0
+      const session = {
+        ...mockUseQuiz,
+        bank: questions,
+        questions,
+        currentQuestionIndex,
+        currentQuestion: questions[currentQuestionIndex],
+        mode: 'practice',
+        isFinished: false,
+        examConfig,
+        topics: [],
+        goToQuestion: vi.fn(),
+        startExam: vi.fn(() => true),
+        startReview: vi.fn(() => false),
+        startTopicPractice: vi.fn(() => true),
+        startMistakesPractice: vi.fn(() => true),
+        startRandomPractice: vi.fn(() => true),
+        resetQuiz: vi.fn(),
+        ...overrides
+      }
+      useQuiz.mockReturnValue(session)
+      return session
+    }
+
+    /**
+     * Change the address as back, forward or a typed link would
+     * @param {string} hash - New fragment
+     */
+    const visit = hash => {
+      act(() => {
+        window.history.pushState(null, '', hash)
+        window.dispatchEvent(new HashChangeEvent('hashchange'))
+      })
+    }
+
+    test('writes the current question to the address', () => {
+      mockSession({ currentQuestionIndex: 1 })
+
+      render(<Quiz />)
+
+      expect(window.location.hash).toBe('#/practice/2')
+    })
+
+    test('adds a history entry when the session moves to another question', () => {
+      mockSession()
+      const { rerender } = render(<Quiz />)
+      const length = window.history.length
+
+      mockSession({ currentQuestionIndex: 2 })
+      rerender(<Quiz />)
+
+      expect(window.location.hash).toBe('#/practice/3')
+      expect(window.history.length).toBe(length + 1)
+    })
+
+    test('follows back and forward to another question', () => {
+      const session = mockSession({ currentQuestionIndex: 1 })
+      render(<Quiz />)
+
+      visit('#/practice/1')
+
+      expect(session.goToQuestion).toHaveBeenCalledWith(0)
+    })
+
+    test('starts the session a link leads to', () => {
+      window.history.replaceState(null, '', '#/exam')
+      const session = mockSession()
+
+      render(<Quiz />)
+
+      expect(session.startExam).toHaveBeenCalledTimes(1)
+    })
+
+    test('starts a topic session from the topic picker', () => {
+      const session = mockSession({
+        topics: [{ key: 'signs', name: 'Signs', subtopics: [] }],
+        bank: questions.map(question => ({ ...question, topic: 'signs' }))
+      })
+      render(<Quiz />)
+
+      fireEvent.click(screen.getByText('Home'))
+      fireEvent.click(screen.getByText('Practice by Topic'))
+      expect(window.location.hash).toBe('#/topics')
+      fireEvent.click(screen.getByLabelText(/^Signs/))
+      fireEvent.click(screen.getByText('Practise 3 Questions'))
+
+      expect(window.location.hash).toBe('#/topics/signs')
+      expect(session.startTopicPractice).toHaveBeenCalledWith(['signs'])
+    })
+
+    test('returns to the session when a link cannot be followed', () => {
+      window.history.replaceState(null, '', '#/review')
+      const session = mockSession()
+
+      render(<Quiz />)
+
+      expect(session.startReview).toHaveBeenCalled()
+      expect(window.location.hash).toBe('#/practice/1')
+    })
+
+    test('shows the final answer when going back to an answered exam question', () => {
+      const session = mockSession({
+        mode: 'exam',
+        deadline: Date.now() + 60000,
+        finishQuiz: vi.fn(),
+        answers: { 1: 'b' },
+        answerQuestion: vi.fn()
+      })
+      render(<Quiz />)
+
+      const given = screen.getByRole('radio', { name: 'No' })
+      expect(given).toBeChecked()
+      expect(given.className).toMatch(/incorrect/)
+      expect(screen.getByRole('radio', { name: 'Yes' })).toBeDisabled()
+
+      fireEvent.click(screen.getByRole('radio', { name: 'Yes' }))
+      fireEvent.keyDown(document.body, { key: '1' })
+      expect(session.answerQuestion).not.toHaveBeenCalled()
+    })
+
+    test('keeps a running exam when the address leads elsewhere', () => {
+      const session = mockSession({ mode: 'exam', deadline: Date.now() + 60000, finishQuiz: vi.fn() })
+      render(<Quiz />)
+
+      visit('#/practice/2')
+
+      expect(session.resetQuiz).not.toHaveBeenCalled()
+      expect(window.location.hash).toBe('#/exam/1')
+    })
+
+    test('addresses the results of a finished session', () => {
+      window.history.replaceState(null, '', '#/exam/2')
+      const session = mockSession({ mode: 'exam', isFinished: true })
+
+      render(<Quiz />)
+
+      expect(window.location.hash).toBe('#/exam/results')
+      expect(screen.getByText('Quiz Complete!')).toBeInTheDocument()
+      expect(session.startExam).not.toHaveBeenCalled()
+    })
+
+    test('starts the mode again from its address once the session is finished', () => {
+      window.history.replaceState(null, '', '#/exam/results')
+      const session = mockSession({ mode: 'exam', isFinished: true })
+      render(<Quiz />)
+
+      visit('#/exam')
+
+      expect(session.startExam).toHaveBeenCalledTimes(1)
+    })
+
+    test('opens screens from their routes and goes back home', () => {
+      mockSession({ currentQuestionIndex: 1 })
+      render(<Quiz />)
+
+      fireEvent.click(screen.getByText('Home'))
+      fireEvent.click(screen.getByText('Print Sheets'))
+      expect(window.location.hash).toBe('#/print')
+      expect(screen.getByText('Print Exam Sheets')).toBeInTheDocument()
+
+      fireEvent.click(screen.getByText('Back to Quiz'))
+      expect(window.location.hash).toBe('#/')
+      expect(screen.getByText('Where You Stand')).toBeInTheDocument()
+    })
+
+    test('opens the question statistics from the dashboard', () => {
+      window.history.replaceState(null, '', '#/')
+      mockSession()
+      render(<Quiz />)
+
+      fireEvent.click(screen.getByRole('button', { name: 'Question Statistics' }))
+
+      expect(window.location.hash).toBe('#/stats')
+      expect(screen.getByRole('heading', { name: 'Question Statistics' })).toBeInTheDocument()
+    })
+
+    test('lands on the dashboard and continues the session from it', () => {
+      window.history.replaceState(null, '', '#/')
+      mockSession({ currentQuestionIndex: 1 })
+      render(<Quiz />)
+
+      expect(screen.getByText('Where You Stand')).toBeInTheDocument()
+      expect(window.location.hash).toBe('#/')
+
+      fireEvent.click(screen.getByRole('button', { name: /^Continue/ }))
+
+      expect(window.location.hash).toBe('#/practice/2')
+      expect(screen.getByText('Question 2?')).toBeInTheDocument()
+    })
+
+    test('starts the mode of a dashboard tile', () => {
+      window.history.replaceState(null, '', '#/')
+      const session = mockSession()
+      render(<Quiz />)
+
+      fireEvent.click(screen.getByRole('button', { name: /^Random 10/ }))
+      expect(window.location.hash).toBe('#/random')
+      expect(session.startRandomPractice).toHaveBeenCalledTimes(1)
+
+      visit('#/mistakes')
+      expect(session.startMistakesPractice).toHaveBeenCalledTimes(1)
+    })
+
+    test('starts a new exam from its tile once the last one is finished', () => {
+      window.history.replaceState(null, '', '#/exam/results')
+      const session = mockSession({
+        mode: 'exam',
+        isFinished: true,
+        startExam: vi.fn(() => {
+          mockSession({ mode: 'exam', deadline: Date.now() + 60000, finishQuiz: vi.fn() })
+          return true
+        })
+      })
+      const { rerender } = render(<Quiz />)
+
+      fireEvent.click(screen.getByText('Home'))
+      fireEvent.click(screen.getByRole('button', { name: /^Exam Simulation/ }))
+      rerender(<Quiz />)
+
+      expect(session.startExam).toHaveBeenCalledTimes(1)
+      expect(window.location.hash).toBe('#/exam/1')
+      expect(screen.getByText('Question 1?')).toBeInTheDocument()
+    })
+
+    test('shows a single question from its permalink', () => {
+      mockSession()
+      render(<Quiz />)
+
+      const link = screen.getByRole('link', { name: 'Link to this question' })
+      expect(link).toHaveAttribute('href', '#/questions/1')
+
+      visit('#/questions/3')
+
+      expect(screen.getByRole('heading', { name: 'Question 3' })).toBeInTheDocument()
+      expect(screen.getByText('Question 3?')).toBeInTheDocument()
+      expect(screen.getByText('Question 3 of 3')).toBeInTheDocument()
+    })
+  })
+})
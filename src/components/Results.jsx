@@ -1,24 +1,124 @@
 import React, { useState } from 'react';
+import AnswerReview from './AnswerReview';
+import useTranslation from '../hooks/useTranslation';
+import { getTopicName } from '../utils/topics';
 import styles from './Results.module.css';
 
+/**
+ * Name of the category of a statistics entry, in the interface language when it is a topic
+ * @param {Object} entry - Category or question entry of the statistics
+ * @param {string} language - Language code
+ * @returns {string} Category name
+ */
+const getCategoryName = (entry, language) =>
+  entry.topicInfo ? getTopicName(entry.topicInfo, language) : entry.category;
+
+/**
+ * Questions answered in a way worth another look, though not necessarily wrong
+ * @param {Object} props - Component props
+ * @param {string} props.title - Heading of the list
+ * @param {Object[]} props.details - Flagged questions, from getQuizStatistics
+ * @param {number} [props.slowAnswerTime] - Exam time per question, shows the time of each answer
+ */
+function FlaggedAnswers({ title, details, slowAnswerTime }) {
+  const { t, language } = useTranslation();
+
+  return (
+    <div className={styles.flaggedAnswers}>
+      <h4>{title}</h4>
+      <div className={styles.wrongAnswerList}>
+        {details.map(answer => (
+          <div key={answer.id} className={styles.wrongAnswerItem}>
+            <div className={styles.questionText}>{answer.text}</div>
+            <div className={styles.answerDetails}>
+              {slowAnswerTime && (
+                <span className={styles.timeSpent}>
+                  {t('results.timeSpent', {
+                    seconds: Math.round(answer.timeSpent / 1000),
+                    pace: Math.round(slowAnswerTime / 1000),
+                  })}
+                </span>
+              )}
+              <span className={styles.category}>
+                {t('results.category', { category: getCategoryName(answer, language) })}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Pass/fail verdict of an exam simulation based on the official exam rule
+ * @param {Object} props - Component props
+ * @param {Object} props.examResult - Exam verdict from useQuiz
+ */
+function ExamVerdict({ examResult }) {
+  const { t } = useTranslation();
+  const { passed, errors, maxErrors, reason } = examResult;
+
+  if (passed) {
+    return <p className={styles.success}>{t('results.examPassed', examResult)}</p>;
+  }
+
+  let detail = t('results.examFailedScore', examResult);
+  if (reason === 'errors' || errors > maxErrors) {
+    detail = t('results.examFailedErrors', examResult);
+  } else if (reason === 'time') {
+    detail = t('results.examFailedTime', examResult);
+  }
+
+  return <p className={styles.danger}>{t('results.examFailed', { detail })}</p>;
+}
+
 /**
  * Results component for displaying final quiz results with detailed statistics
  * @param {Object} props - Component props
  * @param {number} props.score - User's final score
  * @param {number} props.totalQuestions - Total number of questions
  * @param {Function} props.onRestart - Callback to restart the quiz
- * @param {Function} props.getQuizStatistics - Function to get detailed quiz statistics
+ * @param {Function} props.getQuizStatistics - Function to get detailed quiz statistics, called
+ *   with the interface language
+ * @param {Object} [props.examResult] - Exam verdict when the attempt was an exam simulation
+ * @param {Object[]} [props.questions] - Questions of the attempt, enables the answer review
+ * @param {Object} [props.answers] - User's answers mapped by question ID
+ * @param {string} [props.restartLabel] - Label of the restart button, "Start Over" by default
  */
-function Results({ score, totalQuestions, onRestart, getQuizStatistics }) {
+function Results({
+  score,
+  totalQuestions,
+  onRestart,
+  getQuizStatistics,
+  examResult,
+  questions,
+  answers,
+  restartLabel,
+}) {
+  const { t, language } = useTranslation();
   const [showDetails, setShowDetails] = useState(false);
+  const [showReview, setShowReview] = useState(false);
+
+  if (showReview) {
+    return (
+      <div className={styles.results}>
+        <AnswerReview
+          questions={questions}
+          answers={answers || {}}
+          onClose={() => setShowReview(false)}
+        />
+      </div>
+    );
+  }
   
   const percentage = totalQuestions > 0 ? Math.round((score / totalQuestions) * 100) : 0;
-  const statistics = getQuizStatistics ? getQuizStatistics() : null;
+  const statistics = getQuizStatistics ? getQuizStatistics(language) : null;
 
   return (
     <div className={styles.results}>
       <div className={styles.header}>
-        <h2>Quiz Complete!</h2>
+        <h2>{examResult ? t('results.examTitle') : t('results.title')}</h2>
       </div>
       
       <div className={styles.scoreContainer}>
@@ -31,38 +131,40 @@ function Results({ score, totalQuestions, onRestart, getQuizStatistics }) {
       </div>
       
       <div className={styles.message}>
-        {percentage >= 80 ? (
-          <p className={styles.success}>Excellent! You passed the quiz.</p>
+        {examResult ? (
+          <ExamVerdict examResult={examResult} />
+        ) : percentage >= 80 ? (
+          <p className={styles.success}>{t('results.passed')}</p>
         ) : percentage >= 60 ? (
-          <p className={styles.warning}>Good job! You can do even better.</p>
+          <p className={styles.warning}>{t('results.good')}</p>
         ) : (
-          <p className={styles.danger}>Keep practicing to improve your score.</p>
+          <p className={styles.danger}>{t('results.keepPracticing')}</p>
         )}
       </div>
 
       {statistics && (
         <div className={styles.statistics}>
           <div className={styles.statisticsHeader}>
-            <h3>Quiz Statistics</h3>
+            <h3>{t('results.statistics')}</h3>
             <button 
               className={styles.detailsButton}
               onClick={() => setShowDetails(!showDetails)}
             >
-              {showDetails ? 'Hide Details' : 'Show Details'}
+              {showDetails ? t('results.hideDetails') : t('results.showDetails')}
             </button>
           </div>
           
           <div className={styles.basicStats}>
             <div className={styles.statItem}>
-              <span className={styles.statLabel}>Questions Answered:</span>
+              <span className={styles.statLabel}>{t('results.answered')}</span>
               <span className={styles.statValue}>{statistics.answeredQuestions}</span>
             </div>
             <div className={styles.statItem}>
-              <span className={styles.statLabel}>Accuracy:</span>
+              <span className={styles.statLabel}>{t('results.accuracy')}</span>
               <span className={styles.statValue}>{Math.round(statistics.accuracy)}%</span>
             </div>
             <div className={styles.statItem}>
-              <span className={styles.statLabel}>Wrong Answers:</span>
+              <span className={styles.statLabel}>{t('results.wrongAnswers')}</span>
               <span className={styles.statValue}>{statistics.wrongAnswers}</span>
             </div>
           </div>
@@ -71,13 +173,18 @@ function Results({ score, totalQuestions, onRestart, getQuizStatistics }) {
             <div className={styles.detailedStats}>
               {statistics.missedCategories.length > 0 && (
                 <div className={styles.missedCategories}>
-                  <h4>Areas for Improvement</h4>
+                  <h4>{t('results.areasForImprovement')}</h4>
                   <div className={styles.categoryList}>
                     {statistics.missedCategories.slice(0, 5).map((category) => (
                       <div key={category.category} className={styles.categoryItem}>
-                        <span className={styles.categoryName}>{category.category}</span>
+                        <span className={styles.categoryName}>
+                          {getCategoryName(category, language)}
+                        </span>
                         <span className={styles.categoryAccuracy}>
-                          {Math.round(category.accuracy * 100)}% ({category.missed} wrong)
+                          {t('results.categoryAccuracy', {
+                            accuracy: Math.round(category.accuracy * 100),
+                            missed: category.missed,
+                          })}
                         </span>
                       </div>
                     ))}
@@ -85,34 +192,92 @@ function Results({ score, totalQuestions, onRestart, getQuizStatistics }) {
                 </div>
               )}
 
+              {statistics.topicStats?.some(topic => topic.answered > 0) && (
+                <div className={styles.topicResults}>
+                  <h4>{t('results.topicResults')}</h4>
+                  <ul className={styles.topicList}>
+                    {statistics.topicStats
+                      .filter(topic => topic.answered > 0)
+                      .map(topic => (
+                        <li key={topic.key}>
+                          <div className={styles.categoryItem}>
+                            <span className={styles.categoryName}>
+                              {getTopicName(topic, language)}
+                            </span>
+                            <span className={styles.topicScore}>
+                              {t('results.topicAccuracy', topic)}
+                            </span>
+                          </div>
+                          <ul className={styles.subtopicList}>
+                            {topic.subtopics
+                              .filter(subtopic => subtopic.answered > 0)
+                              .map(subtopic => (
+                                <li key={subtopic.key} className={styles.subtopicItem}>
+                                  <span>{getTopicName(subtopic, language)}</span>
+                                  <span>{t('results.topicAccuracy', subtopic)}</span>
+                                </li>
+                              ))}
+                          </ul>
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              )}
+
               {statistics.wrongAnswerDetails.length > 0 && (
                 <div className={styles.wrongAnswers}>
-                  <h4>Questions You Got Wrong</h4>
+                  <h4>{t('results.wrongQuestions')}</h4>
                   <div className={styles.wrongAnswerList}>
                     {statistics.wrongAnswerDetails.map((answer) => (
                       <div key={answer.id} className={styles.wrongAnswerItem}>
                         <div className={styles.questionText}>{answer.text}</div>
                         <div className={styles.answerDetails}>
                           <span className={styles.correctAnswer}>
-                            Correct: {Array.isArray(answer.correctAnswer) 
-                              ? answer.correctAnswer.join(', ') 
-                              : answer.correctAnswer}
+                            {t('results.correctAnswer', {
+                              answer: Array.isArray(answer.correctAnswer)
+                                ? answer.correctAnswer.join(', ')
+                                : answer.correctAnswer,
+                            })}
+                          </span>
+                          <span className={styles.category}>
+                            {t('results.category', {
+                              category: getCategoryName(answer, language),
+                            })}
                           </span>
-                          <span className={styles.category}>Category: {answer.category}</span>
                         </div>
                       </div>
                     ))}
                   </div>
                 </div>
               )}
+
+              {statistics.guessedAnswerDetails?.length > 0 && (
+                <FlaggedAnswers
+                  title={t('results.guessedQuestions')}
+                  details={statistics.guessedAnswerDetails}
+                />
+              )}
+
+              {statistics.slowAnswerDetails?.length > 0 && (
+                <FlaggedAnswers
+                  title={t('results.slowQuestions')}
+                  details={statistics.slowAnswerDetails}
+                  slowAnswerTime={statistics.slowAnswerTime}
+                />
+              )}
             </div>
           )}
         </div>
       )}
       
       <div className={styles.actions}>
+        {questions?.length > 0 && (
+          <button className={styles.reviewButton} onClick={() => setShowReview(true)}>
+            {t('results.reviewAnswers')}
+          </button>
+        )}
         <button className={styles.restartButton} onClick={onRestart}>
-          Start Over
+          {restartLabel || t('results.startOver')}
         </button>
       </div>
     </div>
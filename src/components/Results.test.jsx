@@ -1,6 +1,9 @@
 import React from 'react';
 import { render, screen, fireEvent } from '@testing-library/react';
 import Results from './Results';
+import LanguageProvider from './LanguageProvider';
+import { axe } from '../test/axe';
+import { getStorageKey, wrapEntry } from '../utils/storage';
 
 describe('Results Component', () => {
   const mockRestart = vi.fn();
@@ -159,4 +162,185 @@ describe('Results Component', () => {
     fireEvent.click(screen.getByText('Start Over'));
     expect(mockRestart).toHaveBeenCalledTimes(1);
   });
-});
\ No newline at end of file
+
+  test('shows a pass verdict for a passed exam', () => {
+    render(
+      <Results
+        score={23}
+        totalQuestions={26}
+        onRestart={mockRestart}
+        getQuizStatistics={null}
+        examResult={{ passed: true, correct: 23, errors: 3, passMark: 22, maxErrors: 4, reason: 'completed' }}
+      />
+    );
+
+    expect(screen.getByText('Exam Finished')).toBeInTheDocument();
+    expect(screen.getByText('Exam passed! 23 correct answers (22 needed).')).toBeInTheDocument();
+  });
+
+  test('uses the exam rule instead of the percentage threshold', () => {
+    render(
+      <Results
+        score={21}
+        totalQuestions={26}
+        onRestart={mockRestart}
+        getQuizStatistics={null}
+        examResult={{ passed: false, correct: 21, errors: 5, passMark: 22, maxErrors: 4, reason: 'errors' }}
+      />
+    );
+
+    expect(screen.getByText('Exam failed. More than 4 wrong answers.')).toBeInTheDocument();
+    expect(screen.queryByText('Excellent! You passed the quiz.')).not.toBeInTheDocument();
+  });
+
+  test('opens the answer review sub-view', () => {
+    const questions = [
+      { id: 1, text: 'What is the speed limit?', options: ['50 km/h', '60 km/h'], correct: '50 km/h' },
+    ];
+
+    render(
+      <Results
+        score={0}
+        totalQuestions={1}
+        onRestart={mockRestart}
+        getQuizStatistics={null}
+        questions={questions}
+        answers={{ 1: 1 }}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Review Answers'));
+    expect(screen.getByText('What is the speed limit?')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Back to Results'));
+    expect(screen.getByText('Quiz Complete!')).toBeInTheDocument();
+  });
+
+  test('shows results by topic with their subtopics', () => {
+    const mockStatistics = {
+      answeredQuestions: 3,
+      accuracy: 66.7,
+      wrongAnswers: 1,
+      missedCategories: [],
+      wrongAnswerDetails: [],
+      topicStats: [
+        {
+          key: 'lights',
+          name: 'Lights',
+          total: 4,
+          answered: 3,
+          correct: 2,
+          subtopics: [
+            { key: 'headlights', name: 'Headlights', answered: 2, correct: 2 },
+            { key: 'fog-lights', name: 'Fog lights', answered: 1, correct: 0 },
+            { key: 'hazard-lights', name: 'Hazard lights', answered: 0, correct: 0 },
+          ],
+        },
+        { key: 'alcohol', name: 'Alcohol', total: 1, answered: 0, correct: 0, subtopics: [] },
+      ],
+    };
+
+    render(
+      <Results
+        score={2}
+        totalQuestions={5}
+        onRestart={mockRestart}
+        getQuizStatistics={() => mockStatistics}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Show Details'));
+
+    expect(screen.getByText('Results by Topic')).toBeInTheDocument();
+    expect(screen.getByText('2 / 3 correct')).toBeInTheDocument();
+    expect(screen.getByText('Fog lights')).toBeInTheDocument();
+    expect(screen.getByText('0 / 1 correct')).toBeInTheDocument();
+    expect(screen.queryByText('Hazard lights')).not.toBeInTheDocument();
+    expect(screen.queryByText('Alcohol')).not.toBeInTheDocument();
+  });
+
+  test('names topics in the interface language and asks for localized statistics', () => {
+    localStorage.getItem.mockImplementation(key =>
+      key === getStorageKey('preferences')
+        ? JSON.stringify(wrapEntry('preferences', { language: 'ro', showRomanian: false }))
+        : null
+    );
+    const topicInfo = { key: 'lights', name: 'Lights', translations: { ro: { name: 'Lumini' } } };
+    const getStatistics = vi.fn(() => ({
+      answeredQuestions: 1,
+      accuracy: 0,
+      wrongAnswers: 1,
+      missedCategories: [{ category: 'Lights', topicInfo, accuracy: 0, missed: 1, total: 1 }],
+      wrongAnswerDetails: [
+        {
+          id: 1,
+          category: 'Lights',
+          topicInfo,
+          text: 'Când aprindem farurile?',
+          correctAnswer: 'Noaptea',
+        },
+      ],
+    }));
+
+    render(
+      <LanguageProvider>
+        <Results
+          score={0}
+          totalQuestions={1}
+          onRestart={mockRestart}
+          getQuizStatistics={getStatistics}
+        />
+      </LanguageProvider>
+    );
+    fireEvent.click(screen.getByText('Arată detalii'));
+
+    expect(getStatistics).toHaveBeenCalledWith('ro');
+    expect(screen.getByText('Lumini')).toBeInTheDocument();
+    expect(screen.getByText('Categorie: Lumini')).toBeInTheDocument();
+    expect(screen.queryByText(/Lights/)).not.toBeInTheDocument();
+    localStorage.getItem.mockReset();
+  });
+
+  test('flags questions answered right by guessing and slow answers', () => {
+    const mockStatistics = {
+      answeredQuestions: 3,
+      accuracy: 100,
+      wrongAnswers: 0,
+      missedCategories: [],
+      wrongAnswerDetails: [],
+      slowAnswerTime: 69000,
+      guessedAnswerDetails: [
+        { id: 1, category: 'Signs', text: 'What does this sign mean?', timeSpent: 4000 },
+      ],
+      slowAnswerDetails: [
+        { id: 2, category: 'Priority', text: 'Who goes first?', timeSpent: 95400 },
+      ],
+    };
+
+    render(
+      <Results
+        score={3}
+        totalQuestions={3}
+        onRestart={mockRestart}
+        getQuizStatistics={() => mockStatistics}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Show Details'));
+
+    expect(screen.getByText('Right, but Guessed')).toBeInTheDocument();
+    expect(screen.getByText('What does this sign mean?')).toBeInTheDocument();
+    expect(screen.getByText('Slow to Answer')).toBeInTheDocument();
+    expect(screen.getByText('Who goes first?')).toBeInTheDocument();
+    expect(screen.getByText('95 s, the exam allows 69 s per question')).toBeInTheDocument();
+    expect(screen.queryByText('4 s, the exam allows 69 s per question')).not.toBeInTheDocument();
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = render(
+      <Results score={8} totalQuestions={10} onRestart={mockRestart} getQuizStatistics={null} />
+    );
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
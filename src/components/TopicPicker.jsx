@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { getTopicName } from '../utils/topics';
+import styles from './TopicPicker.module.css';
+
+/**
+ * List the selectable keys of a topic: its subtopics with questions, plus the topic itself
+ * when questions are filed directly under it
+ * @param {Object} topic - Topic from the taxonomy
+ * @param {Object.<string, number>} counts - Number of questions per topic or subtopic key
+ * @returns {{key: string, entry: Object}[]} Selectable entries
+ */
+const getSelectableEntries = (topic, counts) => [
+  ...(counts[topic.key] ? [{ key: topic.key, entry: topic }] : []),
+  ...topic.subtopics
+    .filter(subtopic => counts[subtopic.key])
+    .map(subtopic => ({ key: subtopic.key, entry: subtopic })),
+];
+
+/**
+ * Topic picker for starting a practice session limited to chosen topics and subtopics
+ * @param {Object} props - Component props
+ * @param {Object[]} props.topics - Topic hierarchy from useQuiz
+ * @param {Object[]} props.questions - Question bank, used to count questions per topic
+ * @param {Function} props.onStart - Called with the selected topic and subtopic keys
+ * @param {Function} props.onClose - Callback to go back to the quiz
+ */
+function TopicPicker({ topics, questions, onStart, onClose }) {
+  const { t, language } = useTranslation();
+  const [selected, setSelected] = useState(() => new Set());
+
+  const counts = {};
+  questions.forEach(question => {
+    if (question.topic) counts[question.topic] = (counts[question.topic] || 0) + 1;
+  });
+
+  const groups = topics
+    .map(topic => ({ topic, entries: getSelectableEntries(topic, counts) }))
+    .filter(group => group.entries.length > 0);
+  const selectedCount = [...selected].reduce((total, key) => total + (counts[key] || 0), 0);
+
+  /**
+   * Add or remove keys from the selection
+   * @param {string[]} keys - Keys to change
+   * @param {boolean} isSelected - Whether the keys become selected
+   */
+  const setKeys = (keys, isSelected) => {
+    setSelected(current => {
+      const next = new Set(current);
+      keys.forEach(key => (isSelected ? next.add(key) : next.delete(key)));
+      return next;
+    });
+  };
+
+  return (
+    <div className={styles.topicPicker}>
+      <div className={styles.header}>
+        <h2>{t('topics.title')}</h2>
+        <button className={styles.closeButton} onClick={onClose}>
+          {t('topics.back')}
+        </button>
+      </div>
+      <p className={styles.intro}>{t('topics.intro')}</p>
+
+      <div className={styles.topicList}>
+        {groups.map(({ topic, entries }) => {
+          const keys = entries.map(item => item.key);
+          const selectedKeys = keys.filter(key => selected.has(key));
+          const topicCount = keys.reduce((total, key) => total + counts[key], 0);
+
+          return (
+            <fieldset key={topic.key} className={styles.topic}>
+              <legend>
+                <label className={styles.topicLabel}>
+                  <input
+                    type="checkbox"
+                    checked={selectedKeys.length === keys.length}
+                    ref={input => {
+                      if (input) {
+                        input.indeterminate =
+                          selectedKeys.length > 0 && selectedKeys.length < keys.length;
+                      }
+                    }}
+                    onChange={event => setKeys(keys, event.target.checked)}
+                  />
+                  <span>{getTopicName(topic, language)}</span>
+                  <span className={styles.count}>
+                    {t('topics.questionCount', { count: topicCount })}
+                  </span>
+                </label>
+              </legend>
+
+              {entries.some(item => item.entry !== topic) && (
+                <ul className={styles.subtopicList}>
+                  {entries.map(({ key, entry }) => (
+                    <li key={key}>
+                      <label className={styles.subtopicLabel}>
+                        <input
+                          type="checkbox"
+                          checked={selected.has(key)}
+                          onChange={event => setKeys([key], event.target.checked)}
+                        />
+                        <span>
+                          {entry === topic ? t('topics.general') : getTopicName(entry, language)}
+                        </span>
+                        <span className={styles.count}>{counts[key]}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </fieldset>
+          );
+        })}
+      </div>
+
+      <div className={styles.actions}>
+        <button
+          className={styles.clearButton}
+          onClick={() => setSelected(new Set())}
+          disabled={selected.size === 0}
+        >
+          {t('topics.clear')}
+        </button>
+        <button
+          className={styles.startButton}
+          onClick={() => onStart([...selected])}
+          disabled={selectedCount === 0}
+        >
+          {t('topics.start', { count: selectedCount })}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TopicPicker;
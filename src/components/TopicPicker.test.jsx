@@ -0,0 +1,98 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TopicPicker from './TopicPicker';
+import { axe } from '../test/axe';
+
+describe('TopicPicker Component', () => {
+  const mockStart = vi.fn();
+  const mockClose = vi.fn();
+  const topics = [
+    {
+      key: 'lights',
+      name: 'Lights',
+      subtopics: [
+        { key: 'headlights', name: 'Headlights' },
+        { key: 'fog-lights', name: 'Fog lights' },
+        { key: 'bulbs', name: 'Bulbs' },
+      ],
+    },
+    { key: 'alcohol', name: 'Alcohol', subtopics: [] },
+    { key: 'towing', name: 'Towing', subtopics: [] },
+  ];
+  const questions = [
+    { id: 1, topic: 'headlights' },
+    { id: 2, topic: 'headlights' },
+    { id: 3, topic: 'fog-lights' },
+    { id: 4, topic: 'alcohol' },
+  ];
+
+  beforeEach(() => {
+    mockStart.mockClear();
+    mockClose.mockClear();
+  });
+
+  const renderPicker = () =>
+    render(
+      <TopicPicker topics={topics} questions={questions} onStart={mockStart} onClose={mockClose} />
+    );
+
+  test('lists topics and subtopics that have questions', () => {
+    renderPicker();
+
+    expect(screen.getByText('Practice by Topic')).toBeInTheDocument();
+    expect(screen.getByLabelText(/^Lights/)).toBeInTheDocument();
+    expect(screen.getByLabelText(/^Headlights/)).toBeInTheDocument();
+    expect(screen.getByLabelText(/^Alcohol/)).toBeInTheDocument();
+    expect(screen.getByText('3 questions')).toBeInTheDocument();
+    expect(screen.queryByText('Bulbs')).not.toBeInTheDocument();
+    expect(screen.queryByText('Towing')).not.toBeInTheDocument();
+  });
+
+  test('selecting a topic selects all of its subtopics', () => {
+    renderPicker();
+
+    fireEvent.click(screen.getByLabelText(/^Lights/));
+
+    expect(screen.getByLabelText(/^Headlights/)).toBeChecked();
+    expect(screen.getByLabelText(/^Fog lights/)).toBeChecked();
+
+    fireEvent.click(screen.getByText('Practise 3 Questions'));
+    expect(mockStart).toHaveBeenCalledWith(['headlights', 'fog-lights']);
+  });
+
+  test('marks a partly selected topic as indeterminate', () => {
+    renderPicker();
+
+    fireEvent.click(screen.getByLabelText(/^Fog lights/));
+
+    expect(screen.getByLabelText(/^Lights/)).not.toBeChecked();
+    expect(screen.getByLabelText(/^Lights/).indeterminate).toBe(true);
+    expect(screen.getByText('Practise 1 Question')).toBeEnabled();
+  });
+
+  test('cannot start without a selection', () => {
+    renderPicker();
+
+    expect(screen.getByText('Practise 0 Questions')).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText(/^Alcohol/));
+    fireEvent.click(screen.getByText('Clear Selection'));
+
+    expect(screen.getByLabelText(/^Alcohol/)).not.toBeChecked();
+    expect(screen.getByText('Practise 0 Questions')).toBeDisabled();
+  });
+
+  test('goes back to the quiz', () => {
+    renderPicker();
+
+    fireEvent.click(screen.getByText('Back to Quiz'));
+
+    expect(mockClose).toHaveBeenCalled();
+  });
+
+  test('has no detectable accessibility violations', async () => {
+    const { container } = renderPicker();
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,59 @@
+import { useEffect, useState } from 'react';
+import useStorage from './useStorage';
+import { MAX_HISTORY_ENTRIES } from '../utils/history';
+
+const HISTORY_KEY = 'attemptHistory';
+
+/**
+ * Custom hook for the persistent history of finished quiz attempts
+ * Attempts are stored oldest first through the storage adapter of useStorage and capped at
+ * MAX_HISTORY_ENTRIES. The history is empty until it has loaded.
+ */
+function useAttemptHistory() {
+  const { loadItem, saveItem, deleteItem } = useStorage();
+  const [history, setHistory] = useState([]);
+
+  // Load the saved attempts on mount
+  useEffect(() => {
+    let isCurrent = true;
+    loadItem(HISTORY_KEY, []).then(stored => {
+      if (isCurrent) setHistory(stored || []);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [loadItem]);
+
+  /**
+   * Append a finished attempt to the history
+   * The saved history is read again first, as other views keep their own copy of it.
+   * @param {import('../utils/history').AttemptEntry} entry - Attempt to save
+   * @returns {Promise<boolean>} True if the history was saved
+   */
+  const addAttempt = async entry => {
+    const stored = (await loadItem(HISTORY_KEY, [])) || [];
+    const nextHistory = [...stored.filter(item => item.id !== entry.id), entry].slice(
+      -MAX_HISTORY_ENTRIES
+    );
+
+    setHistory(nextHistory);
+    return saveItem(HISTORY_KEY, nextHistory);
+  };
+
+  /**
+   * Remove every saved attempt
+   * @returns {Promise<boolean>} True if the history was deleted
+   */
+  const clearHistory = () => {
+    setHistory([]);
+    return deleteItem(HISTORY_KEY);
+  };
+
+  return {
+    history,
+    addAttempt,
+    clearHistory,
+  };
+}
+
+export default useAttemptHistory;
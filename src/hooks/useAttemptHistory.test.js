@@ -0,0 +1,88 @@
+import { renderHook, act, waitFor } from '@testing-library/react'
+import useAttemptHistory from './useAttemptHistory'
+import { IDBFactory } from 'fake-indexeddb'
+import { getStorageKey, wrapEntry } from '../utils/storage'
+import { createIndexedDBAdapter, setStorageAdapter } from '../utils/storageAdapters'
+
+const makeEntry = id => ({
+  id,
+  date: '2025-08-17T10:30:00.000Z',
+  mode: 'practice',
+  durationMs: 1000,
+  score: { correct: 1, answered: 1, total: 1, percentage: 100 },
+  categoryAccuracy: {},
+  wrongQuestionIds: [],
+  examResult: null,
+})
+
+const HISTORY_KEY = getStorageKey('attemptHistory')
+
+const saveHistory = entries => {
+  localStorage.getItem.mockImplementation(key =>
+    key === HISTORY_KEY ? JSON.stringify(wrapEntry('attemptHistory', entries)) : null
+  )
+}
+
+describe('useAttemptHistory', () => {
+  afterEach(() => {
+    localStorage.getItem.mockReset()
+  })
+
+  test('loads saved attempts from storage', async () => {
+    saveHistory([makeEntry('attempt-1')])
+
+    const { result } = renderHook(() => useAttemptHistory())
+
+    await waitFor(() => expect(result.current.history).toHaveLength(1))
+    expect(localStorage.getItem).toHaveBeenCalledWith(HISTORY_KEY)
+  })
+
+  test('starts with an empty history', () => {
+    const { result } = renderHook(() => useAttemptHistory())
+
+    expect(result.current.history).toEqual([])
+  })
+
+  test('appends attempts and saves them', async () => {
+    saveHistory([makeEntry('attempt-1')])
+    const { result } = renderHook(() => useAttemptHistory())
+
+    await act(async () => {
+      expect(await result.current.addAttempt(makeEntry('attempt-2'))).toBe(true)
+    })
+
+    expect(result.current.history.map(entry => entry.id)).toEqual(['attempt-1', 'attempt-2'])
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      HISTORY_KEY,
+      JSON.stringify({ version: 1, data: [makeEntry('attempt-1'), makeEntry('attempt-2')] })
+    )
+  })
+
+  test('clears the history', async () => {
+    saveHistory([makeEntry('attempt-1')])
+    const { result } = renderHook(() => useAttemptHistory())
+    await waitFor(() => expect(result.current.history).toHaveLength(1))
+
+    await act(async () => {
+      await result.current.clearHistory()
+    })
+
+    expect(result.current.history).toEqual([])
+    expect(localStorage.removeItem).toHaveBeenCalledWith(HISTORY_KEY)
+  })
+
+  test('keeps attempts in IndexedDB across page loads', async () => {
+    setStorageAdapter(createIndexedDBAdapter({ factory: new IDBFactory() }))
+    const firstLoad = renderHook(() => useAttemptHistory())
+    await act(async () => {
+      await firstLoad.result.current.addAttempt(makeEntry('attempt-1'))
+    })
+    firstLoad.unmount()
+
+    const { result } = renderHook(() => useAttemptHistory())
+
+    await waitFor(() => expect(result.current.history).toEqual([makeEntry('attempt-1')]))
+    expect(localStorage.setItem).not.toHaveBeenCalledWith(HISTORY_KEY, expect.anything())
+    setStorageAdapter(null)
+  })
+})
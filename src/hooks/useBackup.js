@@ -0,0 +1,79 @@
+import useStorage from './useStorage';
+import { BACKUP_KEYS, createBackup, mergeBackup, parseBackup } from '../utils/backup';
+
+/** Keys kept in the storage adapter rather than in localStorage (see useStorage) */
+const ADAPTER_KEYS = ['attemptHistory', 'learningRecords', 'mistakePool', 'answerLog'];
+
+/**
+ * Custom hook for exporting everything the app saves to a backup and importing it again
+ * Reads and writes go through useStorage, so every key stays in the storage it normally uses.
+ */
+function useBackup() {
+  const storage = useStorage();
+
+  /**
+   * Read every saved value a backup holds
+   * @param {Object} [context] - Data the migrations need, e.g. `{ bank }`
+   * @returns {Promise<Object.<string, *>>} Saved values by storage key, without missing ones
+   */
+  const readValues = async (context = {}) => {
+    const values = {};
+    for (const key of BACKUP_KEYS) {
+      const value = ADAPTER_KEYS.includes(key)
+        ? await storage.loadItem(key, null, context)
+        : storage.getItem(key, null, context);
+      if (value !== null) values[key] = value;
+    }
+    return values;
+  };
+
+  /**
+   * Build a backup of the saved values
+   * @param {Object} [context] - Data the migrations need, e.g. `{ bank }`
+   * @returns {Promise<import('../utils/backup').Backup>} Backup to download
+   */
+  const exportBackup = async (context = {}) => createBackup(await readValues(context));
+
+  /**
+   * Import a backup file, replacing the saved values or merging them with it
+   * The file is checked completely before anything is written.
+   * @param {string} text - Content of the backup file
+   * @param {"merge"|"replace"} strategy - How to combine the backup with the saved values
+   * @param {Object} [context] - Data the migrations need, e.g. `{ bank }`
+   * @returns {Promise<{imported: boolean, error: string|null, key: string|null}>} Whether the
+   *   backup was imported, and why not
+   */
+  const importBackup = async (text, strategy, context = {}) => {
+    const { values, error, key } = parseBackup(text, context);
+    if (error) return { imported: false, error, key };
+
+    const nextValues =
+      strategy === 'merge' ? mergeBackup(await readValues(context), values) : values;
+
+    let saved = true;
+    for (const storageKey of BACKUP_KEYS) {
+      const value = nextValues[storageKey];
+      const isAdapterKey = ADAPTER_KEYS.includes(storageKey);
+      if (value === undefined) {
+        if (isAdapterKey) await storage.deleteItem(storageKey);
+        else storage.removeItem(storageKey);
+      } else {
+        const success = isAdapterKey
+          ? await storage.saveItem(storageKey, value)
+          : storage.setItem(storageKey, value);
+        saved = saved && success;
+      }
+    }
+
+    return saved
+      ? { imported: true, error: null, key: null }
+      : { imported: false, error: 'saveFailed', key: null };
+  };
+
+  return {
+    exportBackup,
+    importBackup,
+  };
+}
+
+export default useBackup;
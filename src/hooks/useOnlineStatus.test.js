@@ -0,0 +1,41 @@
+import { renderHook, act } from '@testing-library/react'
+import useOnlineStatus from './useOnlineStatus'
+
+describe('useOnlineStatus', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  test('reads the initial connection state', () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+
+    const { result } = renderHook(() => useOnlineStatus())
+
+    expect(result.current).toBe(false)
+  })
+
+  test('follows online and offline events', () => {
+    const { result } = renderHook(() => useOnlineStatus())
+    expect(result.current).toBe(true)
+
+    act(() => {
+      window.dispatchEvent(new Event('offline'))
+    })
+    expect(result.current).toBe(false)
+
+    act(() => {
+      window.dispatchEvent(new Event('online'))
+    })
+    expect(result.current).toBe(true)
+  })
+
+  test('stops listening on unmount', () => {
+    const removeListener = vi.spyOn(window, 'removeEventListener')
+
+    const { unmount } = renderHook(() => useOnlineStatus())
+    unmount()
+
+    expect(removeListener).toHaveBeenCalledWith('online', expect.any(Function))
+    expect(removeListener).toHaveBeenCalledWith('offline', expect.any(Function))
+  })
+})
@@ -1,27 +1,95 @@
 import { useEffect, useReducer, useRef, useCallback } from 'react';
 import yaml from 'js-yaml';
 import useStorage from './useStorage';
+import useAttemptHistory from './useAttemptHistory';
+import {
+  DEFAULT_EXAM_CONFIG,
+  drawExamQuestions,
+  evaluateExam,
+  getExamConfig,
+  hasExceededErrors,
+} from '../utils/exam';
+import { localizeQuestion } from '../i18n';
+import { getDueQuestions, qualityFromAnswer, scheduleReview } from '../utils/scheduler';
+import {
+  RANDOM_PRACTICE_SIZE,
+  calculateMastery,
+  estimateExamReadiness,
+  getLastResult,
+  getWeakestCategories,
+} from '../utils/dashboard';
+import {
+  appendAnswerEvent,
+  calculateQuestionStats,
+  createAnswerEvent,
+  getLastAnswers,
+  getSlowAnswerTime,
+  isLuckyGuess,
+  isSlowAnswer,
+} from '../utils/answerLog';
+import { createAttemptEntry } from '../utils/history';
+import { createMistakePool, getMistakeQuestions, recordMistakeAnswer } from '../utils/mistakes';
+import { countInvalidQuestions, validateQuestionBank } from '../utils/questionSchema';
+import {
+  applyTopics,
+  calculateTopicStats,
+  findCategoryTopic,
+  normalizeTopics,
+  selectQuestionsByTopics,
+} from '../utils/topics';
+import { applySigns, normalizeSigns } from '../utils/signs';
+import { createSeed, shuffle, shuffleQuestions } from '../utils/shuffle';
+import {
+  DEFAULT_GRADING_POLICY,
+  EXAM_GRADING_POLICY,
+  getCorrectTexts,
+  getGradingPolicy,
+  gradeAnswer,
+} from '../utils/grading';
+import { calculateScore, isSameSession, mergeProgress, sanitizeAnswers } from '../utils/progress';
 
 /**
  * @typedef {Object} Question
  * @property {number} id - Unique identifier for the question
  * @property {string} category - Category/topic of the question (e.g., "Speed limits", "Parking")
- * @property {"single"|"multiple"|"image"} type - Type of question
+ * @property {string} [topic] - Key of the topic or subtopic in the taxonomy declared by questions.yaml
+ * @property {string|null} [subtopic] - Subtopic name resolved from the taxonomy
+ * @property {import('../utils/topics').Topic} [topicInfo] - Topic entry resolved from `topic`
+ * @property {"single"|"multiple"|"image"|"ordering"|"true-false"|"hotspot"|"numeric"} type - Type of question
  * @property {string} text - The question text to display
- * @property {string[]} options - Array of answer options
- * @property {string|string[]} correct - Correct answer(s) - string for single choice, array for multiple choice
+ * @property {import('../utils/grading').Option[]} [options] - Answer options with stable IDs (regions of the image for hotspot questions; none for true/false and numeric questions)
+ * @property {string|string[]|boolean|number} correct - ID(s) of the correct option(s) - string for single choice and hotspot, array for multiple choice, the right order for ordering; true/false for true/false statements; the value for numeric questions
+ * @property {number} [tolerance] - Allowed difference from `correct` for numeric questions
+ * @property {string} [unit] - Unit of a numeric answer, e.g. "g/l"
  * @property {string} [explanation] - Optional explanation of the correct answer
  * @property {string} [image] - Optional image URL for visual questions
+ * @property {string} [sign] - Code of the road sign shown by the question, e.g. "B02"
+ * @property {import('../utils/signs').Sign} [signInfo] - Catalogue entry resolved from `sign`
  */
 
 /**
  * @typedef {Object} QuizState
- * @property {Question[]} questions - Array of quiz questions loaded from YAML
+ * @property {Question[]} bank - Every question loaded from YAML
+ * @property {Question[]} questions - Questions of the current session (the whole bank in practice mode), in their shuffled layout
+ * @property {number|null} seed - Seed of the session layout (null keeps the bank order)
+ * @property {"practice"|"exam"|"review"|"topic"|"mistakes"|"random"} mode - Current session mode
+ * @property {string[]|null} topicKeys - Topics and subtopics a topic session was started with
+ * @property {import('../utils/topics').Topic[]} topics - Topic hierarchy declared in questions.yaml
+ * @property {import('../utils/exam').ExamConfig} examConfig - Exam format declared in the YAML meta block
+ * @property {string} gradingPolicy - Scoring policy of practice sessions declared in the YAML meta block
+ * @property {number|null} startedAt - Timestamp when the current session started
+ * @property {number|null} deadline - Timestamp when an exam session runs out of time
+ * @property {number|null} finishedAt - Timestamp when the current session was finished
+ * @property {"completed"|"time"|"errors"|null} finishReason - Why the session was finished
+ * @property {boolean} isAttemptPending - Whether the session finished while the page was closed and is not in the attempt history yet
+ * @property {Object.<number, import('../utils/scheduler').LearningRecord>} learningRecords - Spaced-repetition records mapped by question ID
+ * @property {Object.<number, import('../utils/mistakes').MistakeEntry>} mistakePool - Questions got wrong and not yet cleared, mapped by question ID
+ * @property {import('../utils/answerLog').AnswerEvent[]} answerLog - Every answer given, in any session, oldest first
  * @property {number} currentQuestionIndex - Index of the currently displayed question
- * @property {Object.<number, number|number[]>} answers - User's answers mapped by question ID
- * @property {number} score - Current score (number of correct answers)
+ * @property {Object.<number, string|string[]|number>} answers - IDs of the selected options (in the chosen order for ordering questions, a number for numeric questions) mapped by question ID
  * @property {boolean} loading - Whether questions are currently being loaded
  * @property {string|null} error - Error message if loading failed
+ * @property {import('../utils/questionSchema').ValidationError[]} validationErrors - Schema problems found in questions.yaml
  * @property {number} retryCount - Number of retry attempts for loading questions
  */
 
@@ -31,20 +99,78 @@ import useStorage from './useStorage';
 const quizReducer = (state, action) => {
   switch (action.type) {
     case 'SET_QUESTIONS':
-      return { ...state, questions: action.payload, loading: false, error: null };
+      return {
+        ...state,
+        bank: action.payload.bank,
+        questions: shuffleQuestions(action.payload.bank, action.payload.seed),
+        seed: action.payload.seed,
+        startedAt: action.payload.startedAt,
+        loading: false,
+        error: null,
+        validationErrors: [],
+      };
+    case 'SET_VALIDATION_ERRORS':
+      return { ...state, validationErrors: action.payload };
+    case 'SET_EXAM_CONFIG':
+      return { ...state, examConfig: action.payload };
+    case 'SET_GRADING_POLICY':
+      return { ...state, gradingPolicy: action.payload };
+    case 'SET_TOPICS':
+      return { ...state, topics: action.payload };
+    case 'START_SESSION':
+      return {
+        ...state,
+        mode: action.payload.mode,
+        topicKeys: action.payload.topicKeys ?? null,
+        questions: shuffleQuestions(action.payload.questions, action.payload.seed),
+        seed: action.payload.seed,
+        startedAt: action.payload.startedAt,
+        deadline: action.payload.deadline,
+        currentQuestionIndex: 0,
+        answers: {},
+        finishedAt: null,
+        finishReason: null,
+      };
+    case 'SET_LEARNING_RECORDS':
+      return { ...state, learningRecords: action.payload };
+    case 'SET_MISTAKE_POOL':
+      return { ...state, mistakePool: action.payload };
+    case 'SET_ANSWER_LOG':
+      return { ...state, answerLog: action.payload };
+    case 'UPDATE_LEARNING_RECORD':
+      return {
+        ...state,
+        learningRecords: { ...state.learningRecords, [action.payload.questionId]: action.payload.record },
+      };
+    case 'FINISH_QUIZ':
+      return {
+        ...state,
+        finishedAt: action.payload.finishedAt,
+        finishReason: action.payload.reason,
+        isAttemptPending: Boolean(action.payload.isAttemptPending),
+      };
+    case 'RECORD_ATTEMPT':
+      return { ...state, isAttemptPending: false };
     case 'SET_CURRENT_QUESTION':
       return { ...state, currentQuestionIndex: action.payload };
     case 'ANSWER_QUESTION':
       return {
         ...state,
         answers: { ...state.answers, [action.payload.questionId]: action.payload.answer },
-        score: action.payload.isCorrect ? state.score + 1 : state.score,
       };
     case 'RESTORE_ANSWERS':
       return {
         ...state,
         answers: action.payload.answers,
       };
+    case 'SYNC_PROGRESS':
+      return {
+        ...state,
+        answers: action.payload.answers,
+        currentQuestionIndex: action.payload.currentQuestionIndex,
+        finishedAt: action.payload.finishedAt,
+        finishReason: action.payload.finishReason,
+      };
     case 'SET_LOADING':
       return { ...state, loading: action.payload, error: state.loading && !action.payload ? null : state.error };
     case 'SET_ERROR':
@@ -54,9 +180,17 @@ const quizReducer = (state, action) => {
     case 'RESET_QUIZ':
       return {
         ...state,
+        questions: shuffleQuestions(state.bank, action.payload.seed),
+        seed: action.payload.seed,
+        mode: 'practice',
+        topicKeys: null,
+        startedAt: action.payload.startedAt,
+        deadline: null,
+        finishedAt: null,
+        finishReason: null,
+        isAttemptPending: false,
         currentQuestionIndex: 0,
         answers: {},
-        score: 0,
         error: null,
         retryCount: 0,
       };
@@ -65,6 +199,62 @@ const quizReducer = (state, action) => {
   }
 };
 
+/**
+ * Restore a saved session into quiz state
+ * Practice progress applies to the questions already in state; other sessions are restored
+ * from their question IDs.
+ * @param {Function} dispatch - Quiz reducer dispatch
+ * @param {Object} savedProgress - Progress in the current version
+ * @param {Question[]} bank - Question bank
+ */
+function restoreSession(dispatch, savedProgress, bank) {
+  let isSessionRestored = !savedProgress.mode || savedProgress.mode === 'practice';
+
+  if (!isSessionRestored && Array.isArray(savedProgress.questionIds)) {
+    const sessionQuestions = savedProgress.questionIds
+      .map(id => bank.find(q => q.id === id))
+      .filter(Boolean);
+
+    if (sessionQuestions.length === savedProgress.questionIds.length) {
+      dispatch({
+        type: 'START_SESSION',
+        payload: {
+          mode: savedProgress.mode,
+          topicKeys: savedProgress.topicKeys,
+          questions: sessionQuestions,
+          seed: savedProgress.seed ?? null,
+          startedAt: savedProgress.startedAt,
+          deadline: savedProgress.deadline,
+        },
+      });
+      isSessionRestored = true;
+    }
+  }
+
+  // A finished session, or an exam whose time ran out while the page was closed, is over.
+  // The latter was never finished, so its attempt is still to be recorded.
+  const hasExpired = Boolean(savedProgress.deadline) && savedProgress.deadline <= Date.now();
+  if (isSessionRestored && (savedProgress.finishedAt || hasExpired)) {
+    dispatch({
+      type: 'FINISH_QUIZ',
+      payload: {
+        finishedAt: savedProgress.finishedAt || savedProgress.deadline,
+        reason: savedProgress.finishReason || 'time',
+        isAttemptPending: !savedProgress.finishedAt,
+      },
+    });
+  }
+  dispatch({
+    type: 'SET_CURRENT_QUESTION',
+    payload: savedProgress.currentQuestionIndex || 0,
+  });
+  // Answers of questions removed from the bank, or naming options they no longer have, are dropped
+  dispatch({
+    type: 'RESTORE_ANSWERS',
+    payload: { answers: sanitizeAnswers(savedProgress.answers, bank) },
+  });
+}
+
 /**
  * Custom hook for managing quiz logic and state
  * This hook encapsulates all quiz-related functionality including:
@@ -72,19 +262,36 @@ const quizReducer = (state, action) => {
  * - Managing current question state
  * - Handling user answers
  * - Calculating scores
+ * - Running timed exam simulations
  * - Persisting progress to localStorage
  */
 function useQuiz() {
   const storage = useStorage();
+  const { addAttempt } = useAttemptHistory();
   const hasLoadedRef = useRef(false);
 
   const [state, dispatch] = useReducer(quizReducer, {
+    bank: [],
     questions: [],
+    mode: 'practice',
+    topicKeys: null,
+    seed: null,
+    topics: [],
+    examConfig: DEFAULT_EXAM_CONFIG,
+    gradingPolicy: DEFAULT_GRADING_POLICY,
+    startedAt: null,
+    deadline: null,
+    finishedAt: null,
+    finishReason: null,
+    isAttemptPending: false,
+    learningRecords: {},
+    mistakePool: {},
+    answerLog: [],
     currentQuestionIndex: 0,
     answers: {},
-    score: 0,
     loading: true,
     error: null,
+    validationErrors: [],
     retryCount: 0,
   });
 
@@ -167,27 +374,47 @@ function useQuiz() {
       }
 
       // Validate question structure
-      const invalidQuestions = data.questions.filter(q => 
-        !q.id || !q.text || !q.options || !Array.isArray(q.options) || !q.correct
-      );
-      
-      if (invalidQuestions.length > 0) {
-        throw new Error(`Invalid question format found in ${invalidQuestions.length} question(s)`);
+      const validationErrors = validateQuestionBank(data);
+      dispatch({ type: 'SET_VALIDATION_ERRORS', payload: validationErrors });
+
+      if (validationErrors.length > 0) {
+        throw new Error(
+          `Invalid question format found in ${countInvalidQuestions(validationErrors)} question(s)`
+        );
       }
 
-      dispatch({ type: 'SET_QUESTIONS', payload: data.questions });
+      const topics = normalizeTopics(data.topics);
+      const bank = applySigns(applyTopics(data.questions, topics), normalizeSigns(data.signs));
+      dispatch({ type: 'SET_TOPICS', payload: topics });
+      const examConfig = getExamConfig(data.meta);
+      dispatch({ type: 'SET_EXAM_CONFIG', payload: examConfig });
+      dispatch({ type: 'SET_GRADING_POLICY', payload: getGradingPolicy(data.meta) });
+      // Learning records grow with every question answered, so they live in the storage adapter
+      const learningRecords = await storage.loadItem('learningRecords', {});
+      dispatch({ type: 'SET_LEARNING_RECORDS', payload: learningRecords || {} });
+      // The mistakes pool is kept apart from the sessions, so resets leave it alone. Learners
+      // who answered questions before it was kept start from their last wrong answers.
+      const mistakePool = await storage.loadItem('mistakePool', null);
+      dispatch({
+        type: 'SET_MISTAKE_POOL',
+        payload: mistakePool || createMistakePool(bank, learningRecords),
+      });
+      const answerLog = await storage.loadItem('answerLog', []);
+      dispatch({ type: 'SET_ANSWER_LOG', payload: answerLog || [] });
 
-      // Load saved progress
-      const savedProgress = storage.getItem('quizProgress');
+      // Load saved progress; progress saved before shuffling was introduced has no seed and
+      // keeps the bank order. Older formats are migrated by useStorage, which needs the bank
+      // to convert answers saved as option positions to option IDs. Without saved progress a
+      // new practice session starts now.
+      const savedProgress = storage.getItem('quizProgress', null, { bank });
+      dispatch({
+        type: 'SET_QUESTIONS',
+        payload: savedProgress
+          ? { bank, seed: savedProgress.seed ?? null, startedAt: savedProgress.startedAt ?? null }
+          : { bank, seed: createSeed(), startedAt: Date.now() },
+      });
       if (savedProgress) {
-        dispatch({
-          type: 'SET_CURRENT_QUESTION',
-          payload: savedProgress.currentQuestionIndex || 0,
-        });
-        dispatch({ 
-          type: 'RESTORE_ANSWERS', 
-          payload: { answers: savedProgress.answers || {} } 
-        });
+        restoreSession(dispatch, savedProgress, bank);
       }
       
       // Reset retry count on success
@@ -211,103 +438,319 @@ function useQuiz() {
     loadQuestions(true);
   }, [loadQuestions]);
 
+  // Exams follow the official rule whatever policy practice sessions use
+  const scoringPolicy = state.mode === 'exam' ? EXAM_GRADING_POLICY : state.gradingPolicy;
+
+  /**
+   * Grade an answer under the policy of the current session
+   * @param {Question} question - Question to grade
+   * @param {string|string[]|undefined} answer - Stored answer
+   * @returns {import('../utils/grading').Verdict} Verdict of the answer
+   */
+  const grade = (question, answer) => gradeAnswer(question, answer, scoringPolicy);
+
+  // The score is derived from the answers rather than kept alongside them, so it cannot drift
+  const score = calculateScore(state.questions, state.answers, scoringPolicy);
+
   /**
    * Handle user answer with error handling for storage
-   * @param {number|Array} answer - The selected answer index or array of indices for multiple choice
+   * Every accepted answer is added to the answer log, changed answers included.
+   * @param {string|string[]|number} answer - ID of the selected option, IDs for multiple choice and ordering, or a number
+   * @param {Object} [details] - How the answer was given
+   * @param {"sure"|"unsure"|"guessed"|null} [details.confidence=null] - How sure the learner said they were
+   * @param {number|null} [details.timeSpent=null] - Milliseconds spent on the question
    */
-  const answerQuestion = answer => {
+  const answerQuestion = (answer, { confidence = null, timeSpent = null } = {}) => {
     const currentQuestion = state.questions[state.currentQuestionIndex];
-    if (!currentQuestion) return;
+    if (!currentQuestion || state.finishedAt) return;
 
-    // Prevent duplicate scoring - only score if question hasn't been answered before
     const hasBeenAnswered = state.answers[currentQuestion.id] !== undefined;
 
-    let isCorrect;
-    
-    if (currentQuestion.type === 'multiple') {
-      // For multiple choice questions, correct answer is an array of strings
-      const correctAnswers = currentQuestion.correct;
-      const userAnswers = Array.isArray(answer) ? answer : [answer];
-      
-      // Check if user selected all correct answers and no incorrect ones
-      isCorrect = correctAnswers.length === userAnswers.length &&
-        correctAnswers.every(correctAnswer => {
-          const correctIndex = currentQuestion.options.indexOf(correctAnswer);
-          return userAnswers.includes(correctIndex);
-        });
-    } else {
-      // For single choice questions, correct answer is a string
-      const correctIndex = currentQuestion.options.indexOf(currentQuestion.correct);
-      isCorrect = answer === correctIndex;
+    // Exam answers are final, as on the official exam
+    if (state.mode === 'exam' && hasBeenAnswered) return;
+
+    // Timers of background tabs may fire late: an answer past the deadline ends the exam instead
+    if (state.mode === 'exam' && state.deadline && state.deadline <= Date.now()) {
+      finishQuiz('time');
+      return;
     }
 
+    const { correct: isCorrect } = grade(currentQuestion, answer);
+
     dispatch({
       type: 'ANSWER_QUESTION',
       payload: {
         questionId: currentQuestion.id,
         answer: answer,
-        isCorrect: isCorrect && !hasBeenAnswered, // Only award points if not previously answered
       },
     });
 
     // Save progress to storage with error handling
     try {
-      const progress = {
-        currentQuestionIndex: state.currentQuestionIndex,
-        answers: { ...state.answers, [currentQuestion.id]: answer },
-        score: (isCorrect && !hasBeenAnswered) ? state.score + 1 : state.score,
-      };
-      
-      const success = storage.setItem('quizProgress', progress);
+      const success = saveProgress({ answers: { ...state.answers, [currentQuestion.id]: answer } });
       if (!success && storage.isStorageAvailable === false) {
         console.warn('Progress could not be saved: Storage unavailable. Progress will be lost on page refresh.');
       }
     } catch (error) {
       console.error('Failed to save quiz progress:', error);
     }
+
+    const answerEvent = createAnswerEvent(state.answerLog, {
+      questionId: currentQuestion.id,
+      mode: state.mode,
+      correct: isCorrect,
+      confidence,
+      timeSpent,
+    });
+    const answerLog = appendAnswerEvent(state.answerLog, answerEvent);
+    dispatch({ type: 'SET_ANSWER_LOG', payload: answerLog });
+    storage.saveItem('answerLog', answerLog).then(saved => {
+      if (!saved) console.error('Failed to save answer log');
+    });
+
+    // Schedule the next spaced-repetition review and update the mistakes pool, once per
+    // question and session
+    if (!hasBeenAnswered) {
+      const record = scheduleReview(
+        state.learningRecords[currentQuestion.id],
+        qualityFromAnswer(isCorrect)
+      );
+      dispatch({ type: 'UPDATE_LEARNING_RECORD', payload: { questionId: currentQuestion.id, record } });
+
+      storage
+        .saveItem('learningRecords', { ...state.learningRecords, [currentQuestion.id]: record })
+        .then(saved => {
+          if (!saved) console.error('Failed to save learning record');
+        });
+
+      const mistakePool = recordMistakeAnswer(state.mistakePool, currentQuestion.id, isCorrect);
+      if (mistakePool !== state.mistakePool) {
+        dispatch({ type: 'SET_MISTAKE_POOL', payload: mistakePool });
+        storage.saveItem('mistakePool', mistakePool).then(saved => {
+          if (!saved) console.error('Failed to save mistakes pool');
+        });
+      }
+    }
+
+    // The exam is failed as soon as one error more than allowed is made
+    if (state.mode === 'exam' && !isCorrect) {
+      const errors = answerAnalysis.incorrectAnswers.length + 1;
+      if (hasExceededErrors(errors, state.examConfig)) {
+        finishQuiz('errors', { ...state.answers, [currentQuestion.id]: answer });
+      }
+    }
   };
 
   /**
-   * Move to next question with error handling for storage
+   * Describe the current session for persisting alongside answers
+   * @returns {Object} Session fields stored in quizProgress
    */
-  const nextQuestion = () => {
-    if (state.currentQuestionIndex < state.questions.length - 1) {
-      const newIndex = state.currentQuestionIndex + 1;
-      dispatch({ type: 'SET_CURRENT_QUESTION', payload: newIndex });
-
-      // Update saved progress with error handling
-      try {
-        const progress = storage.getItem('quizProgress') || {};
-        storage.setItem('quizProgress', { ...progress, currentQuestionIndex: newIndex });
-      } catch (error) {
-        console.error('Failed to save navigation progress:', error);
-      }
+  const getSessionProgress = () => ({
+    mode: state.mode,
+    questionIds: state.mode !== 'practice' ? state.questions.map(q => q.id) : null,
+    topicKeys: state.topicKeys,
+    seed: state.seed,
+    startedAt: state.startedAt,
+    deadline: state.deadline,
+    finishedAt: state.finishedAt,
+    finishReason: state.finishReason,
+  });
+
+  /**
+   * Save the current session, its question index and its answers
+   * The score is not saved; it is derived from the answers.
+   * @param {Object} [changes] - Fields that differ from the current state, e.g. new answers
+   * @returns {boolean} True if the progress was saved
+   */
+  const saveProgress = changes =>
+    storage.setItem('quizProgress', {
+      ...getSessionProgress(),
+      currentQuestionIndex: state.currentQuestionIndex,
+      answers: state.answers,
+      ...changes,
+    });
+
+  /**
+   * Start a new session over a subset of the bank and persist it
+   * @param {"exam"|"review"|"topic"} mode - Session mode
+   * @param {Question[]} sessionQuestions - Questions of the session
+   * @param {Object} [options] - Session options
+   * @param {number|null} [options.durationMinutes=null] - Time limit, if any
+   * @param {string[]|null} [options.topicKeys=null] - Selected topics of a topic session
+   */
+  const startSession = (
+    mode,
+    sessionQuestions,
+    { durationMinutes = null, topicKeys = null } = {}
+  ) => {
+    const startedAt = Date.now();
+    const deadline = durationMinutes ? startedAt + durationMinutes * 60 * 1000 : null;
+    const seed = createSeed();
+
+    dispatch({
+      type: 'START_SESSION',
+      payload: { mode, topicKeys, questions: sessionQuestions, seed, startedAt, deadline },
+    });
+
+    try {
+      storage.setItem('quizProgress', {
+        mode,
+        questionIds: sessionQuestions.map(q => q.id),
+        topicKeys,
+        seed,
+        startedAt,
+        deadline,
+        finishedAt: null,
+        finishReason: null,
+        currentQuestionIndex: 0,
+        answers: {},
+      });
+    } catch (error) {
+      console.error(`Failed to save ${mode} session:`, error);
     }
   };
 
   /**
-   * Move to previous question with error handling for storage
+   * Start a timed exam simulation with a category-weighted question draw
+   * @returns {boolean} Whether the exam was started
    */
-  const previousQuestion = () => {
-    if (state.currentQuestionIndex > 0) {
-      const newIndex = state.currentQuestionIndex - 1;
-      dispatch({ type: 'SET_CURRENT_QUESTION', payload: newIndex });
-
-      // Update saved progress with error handling
-      try {
-        const progress = storage.getItem('quizProgress') || {};
-        storage.setItem('quizProgress', { ...progress, currentQuestionIndex: newIndex });
-      } catch (error) {
-        console.error('Failed to save navigation progress:', error);
-      }
+  const startExam = () => {
+    if (!state.bank.length) return false;
+
+    const { questionCount, durationMinutes } = state.examConfig;
+    startSession('exam', drawExamQuestions(state.bank, questionCount), { durationMinutes });
+    return true;
+  };
+
+  /**
+   * Start a daily review session with the questions whose spaced-repetition review is due
+   * @returns {boolean} Whether a review was started; false when nothing is due
+   */
+  const startReview = () => {
+    const dueQuestions = getDueQuestions(state.bank, state.learningRecords);
+    if (!dueQuestions.length) return false;
+
+    startSession('review', dueQuestions);
+    return true;
+  };
+
+  /**
+   * Start a practice session limited to the selected topics and subtopics
+   * @param {string[]} topicKeys - Keys of the selected topics and/or subtopics
+   * @returns {boolean} Whether a session was started; false when the topics have no questions
+   */
+  const startTopicPractice = topicKeys => {
+    const topicQuestions = selectQuestionsByTopics(state.bank, state.topics, topicKeys);
+    if (!topicQuestions.length) return false;
+
+    startSession('topic', topicQuestions, { topicKeys });
+    return true;
+  };
+
+  /**
+   * Questions of the bank in the mistakes pool: got wrong in any session and not answered
+   * correctly enough times in a row since
+   * @returns {Question[]} Questions to practise in mistakes mode
+   */
+  const getMistakes = () => getMistakeQuestions(state.bank, state.mistakePool);
+
+  /**
+   * Start a practice session with the questions of the mistakes pool
+   * @returns {boolean} Whether a session was started; false when there are no such questions
+   */
+  const startMistakesPractice = () => {
+    const mistakes = getMistakes();
+    if (!mistakes.length) return false;
+
+    startSession('mistakes', mistakes);
+    return true;
+  };
+
+  /**
+   * Start a short practice session with questions drawn at random from the bank
+   * @returns {boolean} Whether a session was started
+   */
+  const startRandomPractice = () => {
+    if (!state.bank.length) return false;
+
+    startSession('random', shuffle(state.bank, Math.random).slice(0, RANDOM_PRACTICE_SIZE));
+    return true;
+  };
+
+  /**
+   * Save the current session to the attempt history
+   * @param {"completed"|"time"|"errors"} reason - Why the session ended
+   * @param {Object} answers - Final answers
+   * @param {number} finishedAt - Timestamp when the session ended
+   */
+  const recordAttempt = (reason, answers, finishedAt) => {
+    const finalAnalysis = getAnswerAnalysis(answers);
+    addAttempt(
+      createAttemptEntry({
+        mode: state.mode,
+        startedAt: state.startedAt,
+        finishedAt,
+        totalQuestions: state.questions.length,
+        categoryStats: calculateCategoryStats(answers),
+        answerAnalysis: finalAnalysis,
+        examResult: getExamResult(finalAnalysis, reason),
+      })
+    );
+  };
+
+  /**
+   * Finish the current session; no more answers are accepted afterwards.
+   * The attempt is saved to the attempt history. An exam that ran out of time finishes at its
+   * deadline, however late this runs.
+   * @param {"completed"|"time"|"errors"} [reason='completed'] - Why the session ends
+   * @param {Object} [answers=state.answers] - Final answers, when they are not yet in state
+   */
+  const finishQuiz = (reason = 'completed', answers = state.answers) => {
+    if (state.finishedAt || !state.questions.length) return;
+
+    const finishedAt = reason === 'time' && state.deadline ? state.deadline : Date.now();
+    dispatch({ type: 'FINISH_QUIZ', payload: { finishedAt, reason } });
+    recordAttempt(reason, answers, finishedAt);
+
+    try {
+      saveProgress({ answers, finishedAt, finishReason: reason });
+    } catch (error) {
+      console.error('Failed to save finished session:', error);
+    }
+  };
+
+  /**
+   * Move to a question of the session with error handling for storage
+   * @param {number} index - Index of the question; ignored outside the session
+   */
+  const goToQuestion = index => {
+    if (!Number.isInteger(index) || index < 0 || index >= state.questions.length) return;
+
+    dispatch({ type: 'SET_CURRENT_QUESTION', payload: index });
+
+    // Update saved progress with error handling
+    try {
+      saveProgress({ currentQuestionIndex: index });
+    } catch (error) {
+      console.error('Failed to save navigation progress:', error);
     }
   };
 
+  /**
+   * Move to next question with error handling for storage
+   */
+  const nextQuestion = () => goToQuestion(state.currentQuestionIndex + 1);
+
+  /**
+   * Move to previous question with error handling for storage
+   */
+  const previousQuestion = () => goToQuestion(state.currentQuestionIndex - 1);
+
   /**
    * Reset quiz progress with error handling for storage
    */
   const resetQuiz = () => {
-    dispatch({ type: 'RESET_QUIZ' });
+    dispatch({ type: 'RESET_QUIZ', payload: { seed: createSeed(), startedAt: Date.now() } });
     
     try {
       storage.removeItem('quizProgress');
@@ -324,6 +767,88 @@ function useQuiz() {
     loadQuestions();
   }, [loadQuestions]);
 
+  // Record an exam that ran out of time while the page was closed, once its answers are
+  // restored, and save it as finished so it is recorded only once
+  useEffect(() => {
+    if (!state.isAttemptPending) return;
+
+    dispatch({ type: 'RECORD_ATTEMPT' });
+    recordAttempt(state.finishReason, state.answers, state.finishedAt);
+    try {
+      saveProgress();
+    } catch (error) {
+      console.error('Failed to save finished session:', error);
+    }
+  });
+
+  // An exam runs out of time at its deadline on any screen, not only while its timer is shown.
+  // The latest finishQuiz is kept in a ref so the answers given meanwhile are graded.
+  const finishQuizRef = useRef(finishQuiz);
+
+  useEffect(() => {
+    finishQuizRef.current = finishQuiz;
+  });
+
+  useEffect(() => {
+    if (state.mode !== 'exam' || !state.deadline || state.finishedAt) return undefined;
+
+    const timeoutId = setTimeout(
+      () => finishQuizRef.current('time'),
+      Math.max(0, state.deadline - Date.now())
+    );
+    return () => clearTimeout(timeoutId);
+  }, [state.mode, state.deadline, state.finishedAt]);
+
+  // Reconcile the progress other tabs save, so tabs of the same quiz do not overwrite each
+  // other. The handler is kept in a ref, so it sees the current state while the subscription
+  // only changes with the bank.
+  const syncProgressRef = useRef(null);
+
+  useEffect(() => {
+    syncProgressRef.current = incoming => {
+      // The other tab reset the quiz
+      if (!incoming) {
+        dispatch({ type: 'RESET_QUIZ', payload: { seed: createSeed(), startedAt: Date.now() } });
+        return;
+      }
+
+      const local = {
+        ...getSessionProgress(),
+        currentQuestionIndex: state.currentQuestionIndex,
+        answers: state.answers,
+      };
+
+      if (!isSameSession(local, incoming)) {
+        dispatch({
+          type: 'RESET_QUIZ',
+          payload: { seed: incoming.seed ?? null, startedAt: incoming.startedAt ?? null },
+        });
+        restoreSession(dispatch, incoming, state.bank);
+        return;
+      }
+
+      const merged = mergeProgress(local, incoming);
+      dispatch({
+        type: 'SYNC_PROGRESS',
+        payload: { ...merged, answers: sanitizeAnswers(merged.answers, state.bank) },
+      });
+
+      // Save what only this tab knew, so the other tab merges it in turn
+      if (JSON.stringify(merged) !== JSON.stringify(incoming)) {
+        storage.setItem('quizProgress', merged);
+      }
+    };
+  });
+
+  const { subscribe } = storage;
+  useEffect(() => {
+    if (state.loading || !state.bank.length) return undefined;
+
+    return subscribe('quizProgress', incoming => syncProgressRef.current(incoming), {
+      bank: state.bank,
+    });
+  }, [state.loading, state.bank, subscribe]);
+
   /**
    * Calculate quiz progress and statistics
    */
@@ -332,8 +857,9 @@ function useQuiz() {
     const answeredQuestions = Object.keys(state.answers).length;
     const progressPercentage = totalQuestions > 0 ? Math.round((answeredQuestions / totalQuestions) * 100) : 0;
     const currentProgressPercentage = totalQuestions > 0 ? Math.round(((state.currentQuestionIndex + 1) / totalQuestions) * 100) : 0;
-    const isComplete = state.currentQuestionIndex >= totalQuestions && totalQuestions > 0;
-    const scorePercentage = totalQuestions > 0 ? Math.round((state.score / totalQuestions) * 100) : 0;
+    const isComplete =
+      (state.finishedAt !== null || state.currentQuestionIndex >= totalQuestions) && totalQuestions > 0;
+    const scorePercentage = totalQuestions > 0 ? Math.round((score / totalQuestions) * 100) : 0;
 
     return {
       totalQuestions,
@@ -348,11 +874,20 @@ function useQuiz() {
 
   /**
    * Calculate category-wise statistics
+   * @param {Object} [answers=state.answers] - Answers to evaluate
+   * @param {Question[]} [questions=state.questions] - Questions to count
+   * @param {Function} [getResult] - Whether a question was answered correctly, or undefined when
+   *   it was not answered; grades the answers by default
    */
-  const calculateCategoryStats = () => {
+  const calculateCategoryStats = (
+    answers = state.answers,
+    questions = state.questions,
+    getResult = question =>
+      answers[question.id] === undefined ? undefined : grade(question, answers[question.id]).correct
+  ) => {
     const categoryStats = {};
     
-    state.questions.forEach(question => {
+    questions.forEach(question => {
       const category = question.category || 'Uncategorized';
       if (!categoryStats[category]) {
         categoryStats[category] = {
@@ -364,24 +899,10 @@ function useQuiz() {
       }
       categoryStats[category].total++;
       
-      if (state.answers[question.id] !== undefined) {
+      const isCorrect = getResult(question);
+      if (isCorrect !== undefined) {
         categoryStats[category].answered++;
         
-        // Check if answer was correct
-        let isCorrect = false;
-        if (question.type === 'multiple') {
-          const correctAnswers = question.correct;
-          const userAnswers = Array.isArray(state.answers[question.id]) ? state.answers[question.id] : [state.answers[question.id]];
-          isCorrect = correctAnswers.length === userAnswers.length &&
-            correctAnswers.every(correctAnswer => {
-              const correctIndex = question.options.indexOf(correctAnswer);
-              return userAnswers.includes(correctIndex);
-            });
-        } else {
-          const correctIndex = question.options.indexOf(question.correct);
-          isCorrect = state.answers[question.id] === correctIndex;
-        }
-        
         if (isCorrect) {
           categoryStats[category].correct++;
         } else {
@@ -402,44 +923,34 @@ function useQuiz() {
 
   /**
    * Get detailed answer analysis
+   * @param {Object} [answers=state.answers] - Answers to evaluate
    */
-  const getAnswerAnalysis = () => {
+  const getAnswerAnalysis = (answers = state.answers) => {
     const correctAnswers = [];
     const incorrectAnswers = [];
     const unanswered = [];
 
     state.questions.forEach(question => {
-      if (state.answers[question.id] !== undefined) {
-        // Check if answer was correct
-        let isCorrect = false;
-        if (question.type === 'multiple') {
-          const correctAnswers = question.correct;
-          const userAnswers = Array.isArray(state.answers[question.id]) ? state.answers[question.id] : [state.answers[question.id]];
-          isCorrect = correctAnswers.length === userAnswers.length &&
-            correctAnswers.every(correctAnswer => {
-              const correctIndex = question.options.indexOf(correctAnswer);
-              return userAnswers.includes(correctIndex);
-            });
-        } else {
-          const correctIndex = question.options.indexOf(question.correct);
-          isCorrect = state.answers[question.id] === correctIndex;
-        }
+      if (answers[question.id] !== undefined) {
+        const verdict = grade(question, answers[question.id]);
         
-        if (isCorrect) {
+        if (verdict.correct) {
           correctAnswers.push({
             questionId: question.id,
             question: question.text,
             category: question.category,
-            userAnswer: state.answers[question.id],
+            userAnswer: answers[question.id],
+            verdict,
           });
         } else {
           incorrectAnswers.push({
             questionId: question.id,
             question: question.text,
             category: question.category,
-            userAnswer: state.answers[question.id],
-            correctAnswer: question.correct,
+            userAnswer: answers[question.id],
+            correctAnswer: getCorrectTexts(question),
             explanation: question.explanation,
+            verdict,
           });
         }
       } else {
@@ -458,21 +969,72 @@ function useQuiz() {
     };
   };
 
+  /**
+   * Calculate statistics per subtopic, rolled up into their topics
+   * @param {Object} [answers=state.answers] - Answers to evaluate
+   * @returns {import('../utils/topics').TopicStats[]} Topic statistics, empty without a taxonomy
+   */
+  const calculateTopicStatistics = (answers = state.answers) => {
+    if (!state.topics.length) return [];
+
+    const correctIds = new Set(getAnswerAnalysis(answers).correctAnswers.map(item => item.questionId));
+    return calculateTopicStats(state.questions, state.topics, question =>
+      answers[question.id] === undefined ? undefined : correctIds.has(question.id)
+    );
+  };
+
+  /**
+   * Evaluate the current session against the official exam rule
+   * @param {Object} analysis - Answer analysis of the session
+   * @param {string|null} reason - Why the session finished
+   * @returns {Object|null} Exam verdict, or null outside exam mode
+   */
+  const getExamResult = (analysis, reason) => {
+    if (state.mode !== 'exam') return null;
+
+    return {
+      ...evaluateExam(
+        {
+          correct: analysis.correctAnswers.length,
+          incorrect: analysis.incorrectAnswers.length,
+          unanswered: analysis.unanswered.length,
+        },
+        state.examConfig
+      ),
+      reason,
+    };
+  };
+
   /**
    * Calculate quiz statistics for Results component (backward compatibility)
+   * @param {string} [language] - Language of the question texts and answers, the bank's by default
    */
-  const getQuizStatistics = () => {
+  const getQuizStatistics = language => {
     if (!state.questions.length) return null;
     
     const progress = calculateProgress();
     const categoryStats = calculateCategoryStats();
     const answerAnalysis = getAnswerAnalysis();
+    const slowAnswerTime = getSlowAnswerTime(state.examConfig);
+    // The last logged answer of a question answered in this session is the one it kept
+    const lastAnswers = getLastAnswers(state.answerLog);
+    const getFlagDetails = isFlagged =>
+      state.questions
+        .filter(q => state.answers[q.id] !== undefined && isFlagged(lastAnswers[q.id]))
+        .map(q => ({
+          id: q.id,
+          category: q.category,
+          topicInfo: q.topicInfo ?? null,
+          text: localizeQuestion(q, language).text,
+          timeSpent: lastAnswers[q.id].timeSpent,
+        }));
     
     // Transform category stats to match expected format
     const categoryStatsArray = Object.entries(categoryStats)
       .filter(([, stats]) => stats.answered > 0)
       .map(([category, stats]) => ({
         category,
+        topicInfo: findCategoryTopic(state.questions, category),
         accuracy: stats.correctPercentage / 100,
         missed: stats.incorrect,
         total: stats.answered
@@ -482,41 +1044,103 @@ function useQuiz() {
     return {
       totalQuestions: progress.totalQuestions,
       answeredQuestions: progress.answeredQuestions,
-      correctAnswers: state.score,
+      correctAnswers: score,
       wrongAnswers: answerAnalysis.incorrectAnswers.length,
-      accuracy: progress.totalQuestions > 0 ? (state.score / progress.totalQuestions) * 100 : 0,
+      accuracy: progress.totalQuestions > 0 ? (score / progress.totalQuestions) * 100 : 0,
       categoryStats,
+      topicStats: calculateTopicStatistics(),
       missedCategories: categoryStatsArray,
-      wrongAnswerDetails: answerAnalysis.incorrectAnswers.map(item => ({
-        id: item.questionId,
-        category: item.category,
-        text: item.question,
-        isAnswered: true,
-        isCorrect: false,
-        userAnswer: item.userAnswer,
-        correctAnswer: item.correctAnswer,
-        options: state.questions.find(q => q.id === item.questionId)?.options || []
-      }))
+      wrongAnswerDetails: answerAnalysis.incorrectAnswers.map(item => {
+        const question = localizeQuestion(
+          state.questions.find(q => q.id === item.questionId),
+          language
+        );
+        return {
+          id: item.questionId,
+          category: item.category,
+          topicInfo: question.topicInfo ?? null,
+          text: question.text,
+          isAnswered: true,
+          isCorrect: false,
+          userAnswer: item.userAnswer,
+          correctAnswer: getCorrectTexts(question),
+          options: question.options || []
+        };
+      }),
+      slowAnswerTime,
+      guessedAnswerDetails: getFlagDetails(isLuckyGuess),
+      slowAnswerDetails: getFlagDetails(event => isSlowAnswer(event, slowAnswerTime)),
+    };
+  };
+
+  /**
+   * Summarise the answer log question by question for the statistics screen
+   * @returns {{questions: import('../utils/answerLog').QuestionStats[], slowAnswerTime: number}}
+   *   Statistics of every answered question of the bank, and the time per question past which
+   *   an answer is slow
+   */
+  const getQuestionStatistics = () => {
+    const slowAnswerTime = getSlowAnswerTime(state.examConfig);
+    return {
+      questions: calculateQuestionStats(state.bank, state.answerLog, slowAnswerTime),
+      slowAnswerTime,
+    };
+  };
+
+  /**
+   * Summarise what is known across the whole bank for the home screen
+   * Every question is judged by its last answer, in any session.
+   * @returns {Object} Mastery of the bank, the weakest categories with their topic entries, the
+   *   exam readiness and the number of questions to practise in mistakes mode
+   */
+  const getDashboard = () => {
+    const bankCategoryStats = calculateCategoryStats({}, state.bank, question =>
+      getLastResult(state.learningRecords[question.id])
+    );
+
+    return {
+      mastery: calculateMastery(state.bank, state.learningRecords),
+      weakestCategories: getWeakestCategories(bankCategoryStats).map(stats => ({
+        ...stats,
+        topicInfo: findCategoryTopic(state.bank, stats.category),
+      })),
+      readiness: estimateExamReadiness(state.bank, state.learningRecords, state.examConfig),
+      mistakeCount: getMistakes().length,
     };
   };
 
   const progress = calculateProgress();
   const categoryStats = calculateCategoryStats();
   const answerAnalysis = getAnswerAnalysis();
+  const examResult = getExamResult(answerAnalysis, state.finishReason);
   return {
     ...state,
+    score,
     currentQuestion: state.questions[state.currentQuestionIndex],
+    isFinished: state.finishedAt !== null,
+    examResult,
+    dueReviewCount: getDueQuestions(state.bank, state.learningRecords).length,
     answerQuestion,
+    goToQuestion,
     nextQuestion,
     previousQuestion,
+    startExam,
+    startReview,
+    startTopicPractice,
+    startMistakesPractice,
+    startRandomPractice,
+    finishQuiz,
     resetQuiz,
     loadQuestions,
     retryLoading,
     storageAvailable: storage.isStorageAvailable,
+    storageFallback: storage.storageFallback,
     // Enhanced progress and statistics
     progress,
     categoryStats,
     answerAnalysis,
+    getDashboard,
+    getQuestionStatistics,
     // Backward compatibility
     getQuizStatistics,
   };
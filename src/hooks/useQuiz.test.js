@@ -1,5 +1,17 @@
-import { renderHook, act } from '@testing-library/react'
+import { renderHook, act, waitFor } from '@testing-library/react'
+import yaml from 'js-yaml'
 import useQuiz from './useQuiz'
+import { createSeed } from '../utils/shuffle'
+import { getStorageKey, wrapEntry } from '../utils/storage'
+import { MISTAKE_CLEAR_STREAK } from '../utils/mistakes'
+
+const PROGRESS_KEY = getStorageKey('quizProgress')
+
+// Without a seed sessions keep the bank order, so the first question is always question 1
+vi.mock('../utils/shuffle', async importOriginal => ({
+  ...(await importOriginal()),
+  createSeed: vi.fn(() => null)
+}))
 
 // Mock fetch and yaml to avoid complex async testing
 vi.mock('js-yaml', () => ({
@@ -11,8 +23,12 @@ vi.mock('js-yaml', () => ({
           category: 'Speed limits',
           type: 'single',
           text: 'What is the speed limit?',
-          options: ['50 km/h', '60 km/h', '70 km/h'],
-          correct: '50 km/h',
+          options: [
+            { id: 'a', text: '50 km/h' },
+            { id: 'b', text: '60 km/h' },
+            { id: 'c', text: '70 km/h' }
+          ],
+          correct: 'a',
           explanation: 'Standard urban speed limit'
         },
         {
@@ -20,8 +36,13 @@ vi.mock('js-yaml', () => ({
           category: 'Speed limits',
           type: 'multiple',
           text: 'Which are speed limit signs?',
-          options: ['50 km/h sign', '60 km/h sign', 'Stop sign', 'Yield sign'],
-          correct: ['50 km/h sign', '60 km/h sign'],
+          options: [
+            { id: 'a', text: '50 km/h sign' },
+            { id: 'b', text: '60 km/h sign' },
+            { id: 'c', text: 'Stop sign' },
+            { id: 'd', text: 'Yield sign' }
+          ],
+          correct: ['a', 'b'],
           explanation: 'Speed limit signs show numerical values'
         },
         {
@@ -29,8 +50,12 @@ vi.mock('js-yaml', () => ({
           category: 'Traffic signs',
           type: 'single',
           text: 'What does a stop sign mean?',
-          options: ['Slow down', 'Complete stop', 'Yield'],
-          correct: 'Complete stop',
+          options: [
+            { id: 'a', text: 'Slow down' },
+            { id: 'b', text: 'Complete stop' },
+            { id: 'c', text: 'Yield' }
+          ],
+          correct: 'b',
           explanation: 'Stop signs require complete stop'
         }
       ]
@@ -43,8 +68,12 @@ vi.mock('js-yaml', () => ({
         category: 'Speed limits',
         type: 'single',
         text: 'What is the speed limit?',
-        options: ['50 km/h', '60 km/h', '70 km/h'],
-        correct: '50 km/h',
+        options: [
+          { id: 'a', text: '50 km/h' },
+          { id: 'b', text: '60 km/h' },
+          { id: 'c', text: '70 km/h' }
+        ],
+        correct: 'a',
         explanation: 'Standard urban speed limit'
       },
       {
@@ -52,8 +81,13 @@ vi.mock('js-yaml', () => ({
         category: 'Speed limits',
         type: 'multiple',
         text: 'Which are speed limit signs?',
-        options: ['50 km/h sign', '60 km/h sign', 'Stop sign', 'Yield sign'],
-        correct: ['50 km/h sign', '60 km/h sign'],
+        options: [
+          { id: 'a', text: '50 km/h sign' },
+          { id: 'b', text: '60 km/h sign' },
+          { id: 'c', text: 'Stop sign' },
+          { id: 'd', text: 'Yield sign' }
+        ],
+        correct: ['a', 'b'],
         explanation: 'Speed limit signs show numerical values'
       },
       {
@@ -61,8 +95,12 @@ vi.mock('js-yaml', () => ({
         category: 'Traffic signs',
         type: 'single',
         text: 'What does a stop sign mean?',
-        options: ['Slow down', 'Complete stop', 'Yield'],
-        correct: 'Complete stop',
+        options: [
+          { id: 'a', text: 'Slow down' },
+          { id: 'b', text: 'Complete stop' },
+          { id: 'c', text: 'Yield' }
+        ],
+        correct: 'b',
         explanation: 'Stop signs require complete stop'
       }
     ]
@@ -82,6 +120,7 @@ describe('useQuiz', () => {
     localStorage.setItem.mockClear()
     localStorage.removeItem.mockClear()
     fetch.mockClear()
+    createSeed.mockClear()
   })
 
   test('initializes with correct default state', () => {
@@ -122,14 +161,18 @@ questions:
     category: 'Speed limits'
     type: 'single'
     text: 'What is the speed limit?'
-    options: ['50 km/h', '60 km/h']
-    correct: '50 km/h'
+    options:
+      - { id: 'a', text: '50 km/h' }
+      - { id: 'b', text: '60 km/h' }
+    correct: 'a'
   - id: 2
     category: 'Speed limits'
     type: 'single'
     text: 'Another speed question?'
-    options: ['70 km/h', '80 km/h']
-    correct: '70 km/h'
+    options:
+      - { id: 'a', text: '70 km/h' }
+      - { id: 'b', text: '80 km/h' }
+    correct: 'a'
       `)
     })
 
@@ -209,9 +252,9 @@ questions:
       await new Promise(resolve => setTimeout(resolve, 100))
     })
 
-    // Answer first question correctly (index 0 for '50 km/h')
+    // Answer first question correctly (option 'a' is '50 km/h')
     act(() => {
-      result.current.answerQuestion(0)
+      result.current.answerQuestion('a')
     })
 
     // Check updated progress - adjust to expected mock data with 3 questions  
@@ -228,14 +271,18 @@ questions:
     category: 'Speed limits'
     type: 'single'
     text: 'What is the speed limit?'
-    options: ['50 km/h', '60 km/h']
-    correct: '50 km/h'
+    options:
+      - { id: 'a', text: '50 km/h' }
+      - { id: 'b', text: '60 km/h' }
+    correct: 'a'
   - id: 2
     category: 'Speed limits'
     type: 'single'
     text: 'Highway speed?'
-    options: ['90 km/h', '100 km/h']
-    correct: '90 km/h'
+    options:
+      - { id: 'a', text: '90 km/h' }
+      - { id: 'b', text: '100 km/h' }
+    correct: 'a'
     `
     
     global.fetch.mockResolvedValueOnce({
@@ -252,7 +299,7 @@ questions:
 
     // Answer first question correctly
     act(() => {
-      result.current.answerQuestion(0) // Correct answer for '50 km/h'
+      result.current.answerQuestion('a') // Correct answer for '50 km/h'
     })
 
     // Check category stats
@@ -264,4 +311,796 @@ questions:
     expect(speedLimitsStats.correctPercentage).toBe(100)
     expect(speedLimitsStats.progressPercentage).toBe(50)
   })
-})
\ No newline at end of file
+
+  test('starts a timed exam simulation', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    const before = Date.now()
+    act(() => {
+      result.current.startExam()
+    })
+
+    expect(result.current.mode).toBe('exam')
+    expect(result.current.questions).toHaveLength(3) // Bank is smaller than the 26-question exam
+    expect(result.current.currentQuestionIndex).toBe(0)
+    expect(result.current.deadline - result.current.startedAt).toBe(30 * 60 * 1000)
+    expect(result.current.startedAt).toBeGreaterThanOrEqual(before)
+    expect(localStorage.setItem).toHaveBeenCalledWith(PROGRESS_KEY, expect.stringContaining('"mode":"exam"'))
+  })
+
+  test('ends the exam once the error limit is exceeded', async () => {
+    const examQuestions = [
+      { id: 1, category: 'A', type: 'single', text: 'Q1', options: [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }], correct: 'a' },
+      { id: 2, category: 'A', type: 'single', text: 'Q2', options: [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }], correct: 'a' },
+      { id: 3, category: 'B', type: 'single', text: 'Q3', options: [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }], correct: 'a' },
+    ]
+    yaml.load.mockReturnValueOnce({
+      meta: { exam: { question_count: 3, pass_mark: 2, max_errors: 1, duration_minutes: 5 } },
+      questions: examQuestions,
+    })
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.startExam()
+    })
+
+    act(() => {
+      result.current.answerQuestion('b') // Wrong
+    })
+    expect(result.current.isFinished).toBe(false)
+
+    act(() => {
+      result.current.nextQuestion()
+    })
+    act(() => {
+      result.current.answerQuestion('b') // Second error exceeds max_errors: 1
+    })
+
+    expect(result.current.isFinished).toBe(true)
+    // The question left unanswered counts as an error too
+    expect(result.current.examResult).toMatchObject({ passed: false, errors: 3, reason: 'errors' })
+  })
+
+  test('counts questions left unanswered at the end of an exam as wrong', async () => {
+    yaml.load.mockReturnValueOnce({
+      meta: { exam: { question_count: 3, pass_mark: 1, max_errors: 1, duration_minutes: 5 } },
+      questions: [1, 2, 3].map(id => ({
+        id, category: 'A', type: 'single', text: `Q${id}`, options: [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }], correct: 'a'
+      })),
+    })
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.startExam()
+    })
+    act(() => {
+      result.current.answerQuestion('a') // Correct, enough for the pass mark
+    })
+    act(() => {
+      result.current.finishQuiz()
+    })
+
+    expect(result.current.examResult).toMatchObject({ passed: false, correct: 1, errors: 2 })
+  })
+
+  describe('exam deadline', () => {
+    const loadExam = async () => {
+      yaml.load.mockReturnValueOnce({
+        meta: { exam: { question_count: 3, pass_mark: 1, max_errors: 3, duration_minutes: 5 } },
+        questions: [1, 2, 3].map(id => ({
+          id, category: 'A', type: 'single', text: `Q${id}`, options: [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }], correct: 'a'
+        })),
+      })
+      const { result } = renderHook(() => useQuiz())
+
+      await act(async () => {
+        await new Promise(resolve => setTimeout(resolve, 100))
+      })
+      return result
+    }
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    test('ends an exam at its deadline with no timer on screen', async () => {
+      const result = await loadExam()
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+
+      act(() => {
+        result.current.startExam()
+      })
+      const { deadline } = result.current
+      act(() => {
+        result.current.answerQuestion('a') // Correct
+      })
+      act(() => {
+        vi.advanceTimersByTime(5 * 60 * 1000 - 1)
+      })
+      expect(result.current.isFinished).toBe(false)
+
+      act(() => {
+        vi.advanceTimersByTime(1)
+      })
+
+      expect(result.current.isFinished).toBe(true)
+      expect(result.current.finishedAt).toBe(deadline)
+      expect(result.current.examResult).toMatchObject({ correct: 1, reason: 'time' })
+    })
+
+    test('ends an exam instead of taking an answer past its deadline', async () => {
+      const result = await loadExam()
+
+      act(() => {
+        result.current.startExam()
+      })
+      const { deadline } = result.current
+      const now = vi.spyOn(Date, 'now').mockReturnValue(deadline + 60000)
+      act(() => {
+        result.current.answerQuestion('a')
+      })
+      now.mockRestore()
+
+      expect(result.current.answers).toEqual({})
+      expect(result.current.finishedAt).toBe(deadline)
+      expect(result.current.examResult).toMatchObject({ correct: 0, reason: 'time' })
+    })
+  })
+
+  test('does not accept changed answers during an exam', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.startExam()
+    })
+
+    const questionId = result.current.currentQuestion.id
+    act(() => {
+      result.current.answerQuestion('a')
+    })
+    act(() => {
+      result.current.answerQuestion('b')
+    })
+
+    expect(result.current.answers[questionId]).toBe('a')
+  })
+
+  test('finishing the quiz freezes the answers', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.answerQuestion('a')
+    })
+    act(() => {
+      result.current.finishQuiz()
+    })
+
+    expect(result.current.isFinished).toBe(true)
+    expect(result.current.finishReason).toBe('completed')
+    expect(result.current.progress.isComplete).toBe(true)
+
+    act(() => {
+      result.current.nextQuestion()
+    })
+    act(() => {
+      result.current.answerQuestion('b')
+    })
+
+    expect(result.current.answers).toEqual({ 1: 'a' })
+    expect(result.current.score).toBe(1)
+  })
+
+  test('records a spaced-repetition review when answering', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.answerQuestion('a')
+    })
+
+    expect(result.current.learningRecords[1]).toMatchObject({ repetitions: 1, interval: 1, lapses: 0 })
+    // Saved once the adapter confirms no newer version of the app holds the key
+    await waitFor(() =>
+      expect(localStorage.setItem).toHaveBeenCalledWith(getStorageKey('learningRecords'), expect.stringContaining('"repetitions":1'))
+    )
+  })
+
+  test('starts a daily review with only the due questions', async () => {
+    const dueRecord = { easeFactor: 2.5, interval: 1, repetitions: 0, lapses: 1, dueDate: Date.now() - 1000, lastReviewed: null }
+    const laterRecord = { ...dueRecord, dueDate: Date.now() + 86400000 }
+    localStorage.getItem.mockImplementation(key =>
+      key === 'learningRecords' ? JSON.stringify({ 2: laterRecord, 3: dueRecord }) : null
+    )
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(result.current.dueReviewCount).toBe(1)
+
+    act(() => {
+      result.current.startReview()
+    })
+
+    expect(result.current.mode).toBe('review')
+    expect(result.current.questions.map(q => q.id)).toEqual([3])
+    expect(result.current.deadline).toBeNull()
+
+    localStorage.getItem.mockReset()
+  })
+
+  test('saves a finished attempt to the history', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.answerQuestion('b') // Wrong
+    })
+    act(() => {
+      result.current.finishQuiz()
+    })
+
+    const findHistoryCall = () =>
+      localStorage.setItem.mock.calls.find(([key]) => key === getStorageKey('attemptHistory'))
+    await waitFor(() => expect(findHistoryCall()).toBeDefined())
+    const [entry] = JSON.parse(findHistoryCall()[1]).data
+    expect(entry).toMatchObject({
+      mode: 'practice',
+      score: { correct: 0, answered: 1, total: 3, percentage: 0 },
+      wrongQuestionIds: [1],
+      examResult: null,
+    })
+    expect(entry.categoryAccuracy['Speed limits']).toEqual({ correct: 0, answered: 1, accuracy: 0 })
+  })
+
+  test('times practice attempts from the start of the session', async () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000)
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+    expect(result.current.startedAt).toBe(1000)
+
+    // Starting over starts a new session
+    now.mockReturnValue(61000)
+    act(() => {
+      result.current.resetQuiz()
+    })
+    act(() => {
+      result.current.answerQuestion('a')
+    })
+    expect(JSON.parse(localStorage.setItem.mock.calls.find(([key]) => key === PROGRESS_KEY)[1]).data.startedAt).toBe(61000)
+
+    now.mockReturnValue(91000)
+    act(() => {
+      result.current.finishQuiz()
+    })
+
+    const findHistoryCall = () =>
+      localStorage.setItem.mock.calls.find(([key]) => key === getStorageKey('attemptHistory'))
+    await waitFor(() => expect(findHistoryCall()).toBeDefined())
+    expect(JSON.parse(findHistoryCall()[1]).data[0].durationMs).toBe(30000)
+    now.mockRestore()
+  })
+
+  test('records an exam that ran out of time while the page was closed', async () => {
+    const deadline = Date.now() - 60000
+    const progress = wrapEntry('quizProgress', {
+      mode: 'exam',
+      questionIds: [1, 3],
+      seed: null,
+      startedAt: deadline - 30 * 60000,
+      deadline,
+      finishedAt: null,
+      finishReason: null,
+      currentQuestionIndex: 1,
+      answers: { 1: 'a', 3: 'a' }
+    })
+    localStorage.getItem.mockImplementation(key => (key === PROGRESS_KEY ? JSON.stringify(progress) : null))
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(result.current.isFinished).toBe(true)
+    expect(result.current.finishReason).toBe('time')
+    const historyCalls = localStorage.setItem.mock.calls.filter(([key]) => key === getStorageKey('attemptHistory'))
+    expect(historyCalls).toHaveLength(1)
+    const [entry] = JSON.parse(historyCalls[0][1]).data
+    expect(entry).toMatchObject({
+      id: `attempt-${deadline}`,
+      mode: 'exam',
+      durationMs: 30 * 60000,
+      score: { correct: 1, answered: 2, total: 2 },
+      wrongQuestionIds: [3],
+      examResult: { reason: 'time' }
+    })
+    // Saved as finished, so it is not recorded again
+    const saved = localStorage.setItem.mock.calls.filter(([key]) => key === PROGRESS_KEY).at(-1)
+    expect(JSON.parse(saved[1]).data).toMatchObject({ finishedAt: deadline, finishReason: 'time' })
+
+    localStorage.getItem.mockReset()
+  })
+
+  test('groups questions by topic and practises selected topics', async () => {
+    yaml.load.mockReturnValueOnce({
+      topics: [
+        {
+          key: 'speed',
+          name: 'Speed',
+          subtopics: [
+            { key: 'speed-limits', name: 'Speed limits' },
+            { key: 'speed-cameras', name: 'Speed cameras' }
+          ]
+        },
+        { key: 'signs', name: 'Signs', subtopics: [{ key: 'stop-signs', name: 'Stop signs' }] }
+      ],
+      questions: [
+        { id: 1, topic: 'speed-limits', type: 'single', text: 'Limit?', options: [{ id: 'a', text: '50' }, { id: 'b', text: '70' }], correct: 'a' },
+        { id: 2, topic: 'speed-cameras', type: 'single', text: 'Cameras?', options: [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }], correct: 'a', translations: { ro: { text: 'Camere?', options: { a: 'Da', b: 'Nu' } } } },
+        { id: 3, topic: 'stop-signs', type: 'single', text: 'Stop?', options: [{ id: 'a', text: 'Stop' }, { id: 'b', text: 'Go' }], correct: 'a' }
+      ]
+    })
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(result.current.topics.map(topic => topic.key)).toEqual(['speed', 'signs'])
+    expect(result.current.questions[0]).toMatchObject({ category: 'Speed', subtopic: 'Speed limits' })
+
+    act(() => {
+      result.current.answerQuestion('a') // Correct
+    })
+    act(() => {
+      result.current.nextQuestion()
+    })
+    act(() => {
+      result.current.answerQuestion('b') // Wrong
+    })
+
+    const [speed] = result.current.getQuizStatistics().topicStats
+    expect(result.current.getDashboard().weakestCategories[0].topicInfo.key).toBe('speed')
+    const localized = result.current.getQuizStatistics('ro')
+    expect(localized.missedCategories[0].topicInfo.key).toBe('speed')
+    expect(localized.wrongAnswerDetails).toEqual([
+      expect.objectContaining({ id: 2, text: 'Camere?', correctAnswer: ['Da'] })
+    ])
+    expect(localized.wrongAnswerDetails[0].topicInfo.key).toBe('speed')
+    expect(speed).toMatchObject({ key: 'speed', total: 2, answered: 2, correct: 1, accuracy: 0.5 })
+    expect(speed.subtopics.map(subtopic => [subtopic.key, subtopic.correct])).toEqual([
+      ['speed-limits', 1],
+      ['speed-cameras', 0]
+    ])
+
+    let started
+    act(() => {
+      started = result.current.startTopicPractice(['signs', 'speed-cameras'])
+    })
+
+    expect(started).toBe(true)
+    expect(result.current.mode).toBe('topic')
+    expect(result.current.topicKeys).toEqual(['signs', 'speed-cameras'])
+    expect(result.current.questions.map(q => q.id)).toEqual([2, 3])
+    expect(result.current.answers).toEqual({})
+    const saved = JSON.parse(localStorage.setItem.mock.calls.at(-1)[1]).data
+    expect(saved.topicKeys).toEqual(['signs', 'speed-cameras'])
+
+    act(() => {
+      started = result.current.startTopicPractice(['unknown'])
+    })
+    expect(started).toBe(false)
+    expect(result.current.questions.map(q => q.id)).toEqual([2, 3])
+  })
+
+  test('summarises the bank and practises mistakes or random questions', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    let started
+    act(() => {
+      started = result.current.startMistakesPractice()
+    })
+    expect(started).toBe(false)
+
+    act(() => {
+      result.current.answerQuestion('a') // Correct
+    })
+    act(() => {
+      result.current.nextQuestion()
+    })
+    act(() => {
+      result.current.answerQuestion(['c']) // Wrong
+    })
+
+    const dashboard = result.current.getDashboard()
+    expect(dashboard.mastery).toMatchObject({ total: 3, seen: 2, unseen: 1, mastered: 0 })
+    expect(dashboard.weakestCategories).toEqual([
+      expect.objectContaining({ category: 'Speed limits', answered: 2, correct: 1, incorrect: 1 })
+    ])
+    expect(dashboard.readiness.status).toBe('notReady')
+    expect(dashboard.mistakeCount).toBe(1)
+
+    act(() => {
+      started = result.current.startMistakesPractice()
+    })
+    expect(started).toBe(true)
+    expect(result.current.mode).toBe('mistakes')
+    expect(result.current.questions.map(q => q.id)).toEqual([2])
+
+    act(() => {
+      started = result.current.startRandomPractice()
+    })
+    expect(started).toBe(true)
+    expect(result.current.mode).toBe('random')
+    expect(result.current.questions.map(q => q.id).sort()).toEqual([1, 2, 3])
+  })
+
+  test('keeps mistakes across resets until they are answered right enough times in a row', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.answerQuestion('b') // Wrong
+    })
+    expect(result.current.mistakePool[1]).toMatchObject({ streak: 0 })
+    await waitFor(() =>
+      expect(localStorage.setItem).toHaveBeenCalledWith(getStorageKey('mistakePool'), expect.stringContaining('"1":'))
+    )
+
+    act(() => {
+      result.current.resetQuiz()
+    })
+    expect(result.current.getDashboard().mistakeCount).toBe(1)
+
+    for (let streak = 1; streak <= MISTAKE_CLEAR_STREAK; streak++) {
+      act(() => {
+        result.current.startMistakesPractice()
+      })
+      expect(result.current.questions.map(q => q.id)).toEqual([1])
+      act(() => {
+        result.current.answerQuestion('a') // Correct
+      })
+    }
+
+    expect(result.current.mistakePool).toEqual({})
+    let started
+    act(() => {
+      started = result.current.startMistakesPractice()
+    })
+    expect(started).toBe(false)
+  })
+
+  test('logs every answer with its attempt, time and confidence', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.answerQuestion('b', { confidence: 'sure', timeSpent: 5000 }) // Wrong
+    })
+    act(() => {
+      result.current.answerQuestion('a', { confidence: 'guessed', timeSpent: 100000 }) // Correct
+    })
+
+    expect(result.current.answerLog).toEqual([
+      expect.objectContaining({ questionId: 1, attempt: 1, correct: false, confidence: 'sure' }),
+      expect.objectContaining({ questionId: 1, attempt: 2, correct: true, timeSpent: 100000 })
+    ])
+    await waitFor(() =>
+      expect(localStorage.setItem).toHaveBeenCalledWith(getStorageKey('answerLog'), expect.stringContaining('"attempt":2'))
+    )
+
+    const statistics = result.current.getQuizStatistics()
+    expect(statistics.guessedAnswerDetails.map(item => item.id)).toEqual([1])
+    expect(statistics.slowAnswerDetails).toEqual([
+      expect.objectContaining({ id: 1, timeSpent: 100000 })
+    ])
+
+    const [questionStats] = result.current.getQuestionStatistics().questions
+    expect(questionStats).toMatchObject({ attempts: 2, correct: 1, averageTime: 52500, isGuessed: true })
+  })
+
+  test('goes to a question of the session by its index', async () => {
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    act(() => {
+      result.current.goToQuestion(2)
+    })
+    expect(result.current.currentQuestionIndex).toBe(2)
+    expect(JSON.parse(localStorage.setItem.mock.calls.at(-1)[1]).data.currentQuestionIndex).toBe(2)
+
+    act(() => {
+      result.current.goToQuestion(3)
+    })
+    act(() => {
+      result.current.goToQuestion(-1)
+    })
+    expect(result.current.currentQuestionIndex).toBe(2)
+  })
+  test('shuffles questions and options with a seed stored in the progress', async () => {
+    createSeed.mockReturnValueOnce(12345)
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(result.current.seed).toBe(12345)
+    expect(result.current.questions.map(q => q.id).sort()).toEqual([1, 2, 3])
+
+    // Answers are option IDs, so they do not depend on where the options ended up
+    act(() => {
+      result.current.answerQuestion(result.current.currentQuestion.correct)
+    })
+
+    expect(result.current.score).toBe(1)
+    const progressCall = localStorage.setItem.mock.calls.find(([key]) => key === PROGRESS_KEY)
+    expect(JSON.parse(progressCall[1]).data).toMatchObject({ seed: 12345 })
+  })
+
+  test('restores the shuffled layout of a saved session', async () => {
+    createSeed.mockReturnValueOnce(777)
+    const { result: first } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    const layout = first.current.questions.map(q => [q.id, q.options])
+    localStorage.getItem.mockImplementation(key =>
+      key === 'quizProgress'
+        ? JSON.stringify({ mode: 'practice', seed: 777, currentQuestionIndex: 1, answers: {} })
+        : null
+    )
+
+    const { result: restored } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(restored.current.questions.map(q => [q.id, q.options])).toEqual(layout)
+    expect(restored.current.currentQuestionIndex).toBe(1)
+
+    localStorage.getItem.mockReset()
+  })
+
+  test('keeps the bank order for progress saved without a seed', async () => {
+    localStorage.getItem.mockImplementation(key =>
+      key === 'quizProgress' ? JSON.stringify({ version: 2, answers: { 1: 'a' }, score: 1 }) : null
+    )
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(result.current.seed).toBeNull()
+    expect(result.current.questions.map(q => q.id)).toEqual([1, 2, 3])
+    expect(result.current.answerAnalysis.correctAnswers.map(item => item.questionId)).toEqual([1])
+    expect(createSeed).not.toHaveBeenCalled()
+
+    localStorage.getItem.mockReset()
+  })
+
+  test('migrates answers saved as option positions to option IDs', async () => {
+    localStorage.getItem.mockImplementation(key =>
+      key === 'quizProgress' ? JSON.stringify({ answers: { 1: 0, 2: [1, 0] }, score: 1 }) : null
+    )
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(result.current.answers).toEqual({ 1: 'a', 2: ['b', 'a'] })
+    expect(result.current.answerAnalysis.correctAnswers.map(item => item.questionId)).toEqual([1, 2])
+    expect(result.current.score).toBe(2)
+    const progressCall = localStorage.setItem.mock.calls.find(([key]) => key === PROGRESS_KEY)
+    expect(JSON.parse(progressCall[1])).toEqual({ version: 3, data: { answers: { 1: 'a', 2: ['b', 'a'] } } })
+    expect(localStorage.removeItem).toHaveBeenCalledWith('quizProgress')
+
+    localStorage.getItem.mockReset()
+  })
+
+  test('derives the score of restored answers and drops answers that no longer fit the bank', async () => {
+    localStorage.getItem.mockImplementation(key =>
+      key === PROGRESS_KEY
+        ? JSON.stringify(wrapEntry('quizProgress', { answers: { 1: 'z', 2: ['a', 'b'], 3: 'b', 99: 'a' } }))
+        : null
+    )
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(result.current.answers).toEqual({ 2: ['a', 'b'], 3: 'b' })
+    expect(result.current.score).toBe(2)
+
+    localStorage.getItem.mockReset()
+  })
+
+  test('scores practice answers with the policy declared in the meta block', async () => {
+    const equipment = {
+      id: 1,
+      category: 'Equipment',
+      type: 'multiple',
+      text: 'Mandatory equipment?',
+      options: [
+        { id: 'a', text: 'Fire extinguisher' },
+        { id: 'b', text: 'First aid kit' },
+        { id: 'c', text: 'Tow rope' }
+      ],
+      correct: ['a', 'b']
+    }
+    yaml.load.mockReturnValueOnce({ meta: { grading_policy: 'proportional' }, questions: [equipment] })
+
+    const { result } = renderHook(() => useQuiz())
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    })
+
+    expect(result.current.gradingPolicy).toBe('proportional')
+
+    act(() => {
+      result.current.answerQuestion(['a'])
+    })
+
+    expect(result.current.score).toBe(0.5)
+    expect(result.current.answerAnalysis.incorrectAnswers[0].verdict).toMatchObject({ right: ['a'], missed: ['b'] })
+  })
+
+  describe('sync across tabs', () => {
+    const saveInOtherTab = progress => {
+      act(() => {
+        window.dispatchEvent(
+          new StorageEvent('storage', {
+            key: PROGRESS_KEY,
+            newValue: progress === null ? null : JSON.stringify(wrapEntry('quizProgress', progress))
+          })
+        )
+      })
+    }
+
+    test('merges answers saved in another tab and keeps the furthest question', async () => {
+      const { result } = renderHook(() => useQuiz())
+
+      await act(async () => {
+        await new Promise(resolve => setTimeout(resolve, 100))
+      })
+
+      act(() => {
+        result.current.answerQuestion('a')
+      })
+      localStorage.setItem.mockClear()
+
+      saveInOtherTab({
+        mode: 'practice',
+        seed: null,
+        startedAt: result.current.startedAt,
+        currentQuestionIndex: 2,
+        answers: { 2: ['a', 'b'], 3: 'a' }
+      })
+
+      expect(result.current.answers).toEqual({ 1: 'a', 2: ['a', 'b'], 3: 'a' })
+      expect(result.current.currentQuestionIndex).toBe(2)
+      expect(result.current.score).toBe(2)
+      // This tab's answer is saved back for the other tab
+      const [, saved] = localStorage.setItem.mock.calls.find(([key]) => key === PROGRESS_KEY)
+      expect(JSON.parse(saved).data).toMatchObject({ answers: { 1: 'a', 2: ['a', 'b'], 3: 'a' } })
+    })
+
+    test('keeps one subscription while the session moves on', async () => {
+      const { result } = renderHook(() => useQuiz())
+
+      await act(async () => {
+        await new Promise(resolve => setTimeout(resolve, 100))
+      })
+      const addListener = vi.spyOn(window, 'addEventListener')
+
+      act(() => {
+        result.current.answerQuestion('a')
+      })
+      act(() => {
+        result.current.nextQuestion()
+      })
+
+      expect(addListener.mock.calls.filter(([type]) => type === 'storage')).toHaveLength(0)
+      addListener.mockRestore()
+
+      // The handler still sees the answers given since the subscription
+      saveInOtherTab({
+        mode: 'practice',
+        seed: null,
+        startedAt: result.current.startedAt,
+        currentQuestionIndex: 0,
+        answers: { 3: 'a' }
+      })
+      expect(result.current.answers).toEqual({ 1: 'a', 3: 'a' })
+      expect(result.current.currentQuestionIndex).toBe(1)
+    })
+
+    test('follows a session started or reset in another tab', async () => {
+      const { result } = renderHook(() => useQuiz())
+
+      await act(async () => {
+        await new Promise(resolve => setTimeout(resolve, 100))
+      })
+
+      saveInOtherTab({
+        mode: 'review',
+        questionIds: [3, 1],
+        seed: null,
+        startedAt: 1000,
+        deadline: null,
+        currentQuestionIndex: 1,
+        answers: { 3: 'b' }
+      })
+
+      expect(result.current.mode).toBe('review')
+      expect(result.current.questions.map(q => q.id)).toEqual([3, 1])
+      expect(result.current.currentQuestionIndex).toBe(1)
+      expect(result.current.score).toBe(1)
+
+      saveInOtherTab(null)
+
+      expect(result.current.mode).toBe('practice')
+      expect(result.current.answers).toEqual({})
+      expect(result.current.score).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from 'react';
+import { formatRoute, parseRoute } from '../utils/routes';
+
+/**
+ * Custom hook following the route in the fragment of the URL
+ * Back, forward and edited addresses update the route; navigate() updates the address.
+ * @returns {{route: import('../utils/routes').Route, navigate: Function}} Current route and a
+ *   function to go to another one
+ */
+function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    /**
+     * Follow the address after back, forward or a typed fragment
+     */
+    const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  /**
+   * Go to a route
+   * @param {import('../utils/routes').Route} nextRoute - Route to show
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current history entry instead of
+   *   adding one, for addresses that only normalize the current one
+   */
+  const navigate = useCallback((nextRoute, { replace = false } = {}) => {
+    const hash = formatRoute(nextRoute);
+    if (hash !== window.location.hash) {
+      // Neither call fires hashchange, so the state is updated here
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+    }
+    setRoute(parseRoute(hash));
+  }, []);
+
+  return { route, navigate };
+}
+
+export default useRoute;
@@ -0,0 +1,52 @@
+import { renderHook, act } from '@testing-library/react'
+import useRoute from './useRoute'
+
+describe('useRoute', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '#/')
+  })
+
+  test('reads the route from the address', () => {
+    window.history.replaceState(null, '', '#/exam/3')
+
+    const { result } = renderHook(() => useRoute())
+
+    expect(result.current.route).toEqual({ name: 'exam', questionNumber: 3 })
+  })
+
+  test('adds a history entry for each route it goes to', () => {
+    const { result } = renderHook(() => useRoute())
+    const length = window.history.length
+
+    act(() => {
+      result.current.navigate({ name: 'practice', questionNumber: 2 })
+    })
+
+    expect(window.location.hash).toBe('#/practice/2')
+    expect(window.history.length).toBe(length + 1)
+    expect(result.current.route).toEqual({ name: 'practice', questionNumber: 2 })
+  })
+
+  test('replaces the current entry when asked to', () => {
+    const { result } = renderHook(() => useRoute())
+    const length = window.history.length
+
+    act(() => {
+      result.current.navigate({ name: 'history' }, { replace: true })
+    })
+
+    expect(window.location.hash).toBe('#/history')
+    expect(window.history.length).toBe(length)
+  })
+
+  test('follows back, forward and typed addresses', () => {
+    const { result } = renderHook(() => useRoute())
+
+    act(() => {
+      window.history.replaceState(null, '', '#/questions/42')
+      window.dispatchEvent(new HashChangeEvent('hashchange'))
+    })
+
+    expect(result.current.route).toEqual({ name: 'question', questionId: 42 })
+  })
+})
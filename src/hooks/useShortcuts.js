@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Tell whether a key press is meant for the element it happened in rather than as a shortcut:
+ * typing in a field, or a key combined with a modifier the browser or screen reader uses
+ * @param {KeyboardEvent} event - Key press
+ * @returns {boolean} True if the page should leave the key press alone
+ */
+const isReservedKeyPress = event => {
+  if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) return true;
+  const target = event.target;
+  return Boolean(
+    target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)
+  );
+};
+
+/**
+ * Listen for keyboard shortcuts anywhere on the page
+ * Key presses in form fields and with Ctrl, Alt or Meta are ignored, so shortcuts never get in
+ * the way of typing or of the browser's own keys.
+ * @param {Function} onKeyDown - Called with each shortcut key press; the latest function passed
+ *   is used, so it may close over the current render
+ * @param {boolean} [enabled=true] - Whether to listen at all
+ */
+function useShortcuts(onKeyDown, enabled = true) {
+  const handlerRef = useRef(onKeyDown);
+
+  useEffect(() => {
+    handlerRef.current = onKeyDown;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    /**
+     * Pass key presses that are not reserved on to the current handler
+     * @param {KeyboardEvent} event - Key press
+     */
+    const handleKeyDown = event => {
+      if (!isReservedKeyPress(event)) handlerRef.current(event);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+}
+
+export default useShortcuts;
@@ -0,0 +1,44 @@
+import { renderHook, fireEvent } from '@testing-library/react'
+import useShortcuts from './useShortcuts'
+
+describe('useShortcuts', () => {
+  test('passes key presses on the page to the latest handler', () => {
+    const first = vi.fn()
+    const latest = vi.fn()
+
+    const { rerender } = renderHook(({ handler }) => useShortcuts(handler), {
+      initialProps: { handler: first }
+    })
+    rerender({ handler: latest })
+    fireEvent.keyDown(document.body, { key: '1' })
+
+    expect(first).not.toHaveBeenCalled()
+    expect(latest).toHaveBeenCalledWith(expect.objectContaining({ key: '1' }))
+  })
+
+  test('ignores typing in form fields and keys with modifiers', () => {
+    const handler = vi.fn()
+    const input = document.createElement('input')
+    document.body.appendChild(input)
+
+    renderHook(() => useShortcuts(handler))
+    fireEvent.keyDown(input, { key: '1' })
+    fireEvent.keyDown(document.body, { key: 'ArrowLeft', altKey: true })
+    fireEvent.keyDown(document.body, { key: 'r', ctrlKey: true })
+
+    expect(handler).not.toHaveBeenCalled()
+    input.remove()
+  })
+
+  test('stops listening when disabled', () => {
+    const handler = vi.fn()
+
+    const { rerender } = renderHook(({ enabled }) => useShortcuts(handler, enabled), {
+      initialProps: { enabled: true }
+    })
+    rerender({ enabled: false })
+    fireEvent.keyDown(document.body, { key: 'Enter' })
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+})
@@ -1,14 +1,97 @@
 import { useCallback, useState, useEffect } from 'react';
+import {
+  getQuarantineKey,
+  getStorageKey,
+  isNewerEntry,
+  upgradeEntry,
+  wrapEntry,
+  wrapLegacyEntry,
+} from '../utils/storage';
+import { getStorageAdapter } from '../utils/storageAdapters';
+
+/**
+ * Move a value that cannot be read out of the way, keeping it for inspection
+ * @param {string} key - The storage key
+ * @param {string} raw - Stored text
+ * @param {string} storageKey - Key in localStorage the value was read from
+ * @param {string} reason - Why the value cannot be read
+ */
+function quarantine(key, raw, storageKey, reason) {
+  console.warn(`Quarantined corrupt storage key "${key}": ${reason}`);
+  try {
+    window.localStorage.setItem(getQuarantineKey(key), raw);
+  } catch (error) {
+    console.error(`Error quarantining storage key "${key}":`, error);
+  }
+  window.localStorage.removeItem(storageKey);
+}
+
+/**
+ * Parse and upgrade a stored value
+ * @param {string} key - The storage key
+ * @param {string} raw - Stored text
+ * @param {boolean} isLegacy - Whether the value was saved as bare JSON before namespacing
+ * @param {Object} [context] - Data migrations need
+ * @returns {{data: *, migrated: boolean, error: string|null}} Upgraded value
+ */
+function readEntry(key, raw, isLegacy, context) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    return { data: undefined, migrated: false, error: `invalid JSON (${error.message})` };
+  }
+  return upgradeEntry(key, isLegacy ? wrapLegacyEntry(key, parsed) : parsed, context);
+}
+
+/**
+ * Tell whether stored text holds a value a newer version of the app saved
+ * @param {string} key - The storage key
+ * @param {string|null} raw - Stored text
+ * @returns {boolean} True if the value must not be overwritten
+ */
+function isNewerRaw(key, raw) {
+  if (!raw) return false;
+  try {
+    return isNewerEntry(key, JSON.parse(raw));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Warn that a value is left to the newer version of the app that saved it
+ * @param {string} key - The storage key
+ */
+const warnNewer = key =>
+  console.warn(`Storage key "${key}" was saved by a newer version of the app; leaving it alone`);
+
+/**
+ * Name of the backend a storage adapter fell back to
+ * @param {import('../utils/storageAdapters').StorageAdapter} adapter - Storage adapter
+ * @returns {string|null} Backend in use, or null while the preferred one works
+ */
+const getFallbackName = adapter => (adapter.isDegraded ? adapter.name : null);
 
 /**
  * Custom hook for managing localStorage interactions
  * This hook provides a centralized way to interact with localStorage
  * and ensures consistent data handling across the application.
+ * Values are stored under namespaced keys in versioned envelopes, upgraded by the migrations
+ * registered in utils/storage when they are read; corrupt values are quarantined.
  * Includes fallback mechanisms when localStorage is unavailable.
+ *
+ * getItem, setItem and removeItem are synchronous and use localStorage, whose storage event
+ * keeps tabs in sync. Long-term data goes through the asynchronous loadItem, saveItem and
+ * deleteItem instead, which use the adapter of utils/storageAdapters (IndexedDB by default);
+ * `storageFallback` names the backend the adapter fell back to when its preferred one failed.
  */
 function useStorage() {
   const [isStorageAvailable, setIsStorageAvailable] = useState(true);
   const [fallbackStorage, setFallbackStorage] = useState(new Map());
+  const [storageFallback, setStorageFallback] = useState(() =>
+    getFallbackName(getStorageAdapter())
+  );
 
   // Check localStorage availability on mount
   useEffect(() => {
@@ -25,15 +108,36 @@ function useStorage() {
 
   /**
    * Get an item from localStorage or fallback storage
+   * Values saved before namespacing are moved into the namespace, and older versions are
+   * upgraded and saved back in the current version.
    * @param {string} key - The storage key
-   * @param {*} defaultValue - Default value if key doesn't exist
+   * @param {*} defaultValue - Default value if key doesn't exist or its value is corrupt
+   * @param {Object} [context] - Data the migrations of the key need, e.g. `{ bank }`
    * @returns {*} The stored value or default value
    */
-  const getItem = useCallback((key, defaultValue = null) => {
+  const getItem = useCallback((key, defaultValue = null, context = {}) => {
     try {
       if (isStorageAvailable) {
-        const item = window.localStorage.getItem(key);
-        return item ? JSON.parse(item) : defaultValue;
+        const storageKey = getStorageKey(key);
+        const stored = window.localStorage.getItem(storageKey);
+        const raw = stored || window.localStorage.getItem(key);
+        if (!raw) return defaultValue;
+
+        const isLegacy = !stored;
+        const { data, migrated, error, isNewer } = readEntry(key, raw, isLegacy, context);
+        if (isNewer) {
+          warnNewer(key);
+          return defaultValue;
+        }
+        if (error) {
+          quarantine(key, raw, isLegacy ? key : storageKey, error);
+          return defaultValue;
+        }
+        if (migrated || isLegacy) {
+          window.localStorage.setItem(storageKey, JSON.stringify(wrapEntry(key, data)));
+          if (isLegacy) window.localStorage.removeItem(key);
+        }
+        return data ?? defaultValue;
       } else {
         // Use fallback in-memory storage
         const item = fallbackStorage.get(key);
@@ -47,6 +151,7 @@ function useStorage() {
 
   /**
    * Set an item in localStorage or fallback storage
+   * A value saved by a newer version of the app is not overwritten.
    * @param {string} key - The storage key
    * @param {*} value - The value to store
    * @returns {boolean} - True if storage was successful
@@ -54,7 +159,12 @@ function useStorage() {
   const setItem = useCallback((key, value) => {
     try {
       if (isStorageAvailable) {
-        window.localStorage.setItem(key, JSON.stringify(value));
+        const storageKey = getStorageKey(key);
+        if (isNewerRaw(key, window.localStorage.getItem(storageKey))) {
+          warnNewer(key);
+          return false;
+        }
+        window.localStorage.setItem(storageKey, JSON.stringify(wrapEntry(key, value)));
         return true;
       } else {
         // Use fallback in-memory storage
@@ -83,6 +193,7 @@ function useStorage() {
   const removeItem = useCallback(key => {
     try {
       if (isStorageAvailable) {
+        window.localStorage.removeItem(getStorageKey(key));
         window.localStorage.removeItem(key);
       } else {
         setFallbackStorage(prev => {
@@ -99,10 +210,13 @@ function useStorage() {
   }, [isStorageAvailable]);
 
   /**
-   * Clear all items from localStorage or fallback storage
+   * Clear all items from localStorage or fallback storage, and from the storage adapter
    * @returns {boolean} - True if clearing was successful
    */
   const clear = useCallback(() => {
+    getStorageAdapter()
+      .clear()
+      .catch(error => console.error('Error clearing the storage adapter:', error));
     try {
       if (isStorageAvailable) {
         window.localStorage.clear();
@@ -116,12 +230,140 @@ function useStorage() {
     }
   }, [isStorageAvailable]);
 
+  /**
+   * Load an item through the storage adapter
+   * A value the adapter does not have yet is looked up in localStorage and moved to the adapter.
+   * @param {string} key - The storage key
+   * @param {*} defaultValue - Default value if key doesn't exist or its value is corrupt
+   * @param {Object} [context] - Data the migrations of the key need
+   * @returns {Promise<*>} The stored value or default value
+   */
+  const loadItem = useCallback(async (key, defaultValue = null, context = {}) => {
+    const adapter = getStorageAdapter();
+    const storageKey = getStorageKey(key);
+    try {
+      const envelope = await adapter.get(storageKey);
+      if (envelope === undefined) {
+        const data = getItem(key, null, context);
+        if (data === null) return defaultValue;
+        if (adapter.name !== 'localStorage') {
+          await adapter.set(storageKey, wrapEntry(key, data));
+          removeItem(key);
+        }
+        return data;
+      }
+
+      const { data, migrated, error, isNewer } = upgradeEntry(key, envelope, context);
+      if (isNewer) {
+        warnNewer(key);
+        return defaultValue;
+      }
+      if (error) {
+        console.warn(`Quarantined corrupt storage key "${key}": ${error}`);
+        await adapter.set(getQuarantineKey(key), envelope);
+        await adapter.remove(storageKey);
+        return defaultValue;
+      }
+      if (migrated) await adapter.set(storageKey, wrapEntry(key, data));
+      return data ?? defaultValue;
+    } catch (error) {
+      console.error(`Error loading storage key "${key}" from ${adapter.name}:`, error);
+      return defaultValue;
+    } finally {
+      setStorageFallback(getFallbackName(adapter));
+    }
+  }, [getItem, removeItem]);
+
+  /**
+   * Save an item through the storage adapter
+   * Unlike setItem, a write that fails is reported rather than kept in memory. A value saved by
+   * a newer version of the app is not overwritten.
+   * @param {string} key - The storage key
+   * @param {*} value - The value to store
+   * @returns {Promise<boolean>} True if the value was saved
+   */
+  const saveItem = useCallback(async (key, value) => {
+    const adapter = getStorageAdapter();
+    const storageKey = getStorageKey(key);
+    try {
+      if (isNewerEntry(key, await adapter.get(storageKey))) {
+        warnNewer(key);
+        return false;
+      }
+      await adapter.set(storageKey, wrapEntry(key, value));
+      return true;
+    } catch (error) {
+      console.error(`Error saving storage key "${key}" to ${adapter.name}:`, error);
+      return false;
+    } finally {
+      setStorageFallback(getFallbackName(adapter));
+    }
+  }, []);
+
+  /**
+   * Delete an item from the storage adapter, and any copy left in localStorage
+   * @param {string} key - The storage key
+   * @returns {Promise<boolean>} True if the value was deleted
+   */
+  const deleteItem = useCallback(async key => {
+    const adapter = getStorageAdapter();
+    try {
+      await adapter.remove(getStorageKey(key));
+      removeItem(key);
+      return true;
+    } catch (error) {
+      console.error(`Error deleting storage key "${key}" from ${adapter.name}:`, error);
+      return false;
+    } finally {
+      setStorageFallback(getFallbackName(adapter));
+    }
+  }, [removeItem]);
+
+  /**
+   * Subscribe to changes other tabs make to a key.
+   * Browsers fire the storage event only in the other tabs of the same origin, so writes made
+   * through this hook do not notify their own tab.
+   * @param {string} key - The storage key
+   * @param {Function} callback - Receives the new value, or null when the key was removed or
+   *   the storage cleared
+   * @param {Object} [context] - Data the migrations of the key need
+   * @returns {Function} Unsubscribes from the key
+   */
+  const subscribe = useCallback((key, callback, context = {}) => {
+    const handleStorage = event => {
+      // A null key means the other tab cleared the whole storage
+      if (event.key !== null && event.key !== getStorageKey(key)) return;
+      if (event.key === null || !event.newValue) {
+        callback(null);
+        return;
+      }
+
+      // The other tab owns the value; a corrupt one is ignored rather than quarantined here
+      const { data, error, isNewer } = readEntry(key, event.newValue, false, context);
+      // A newer version of the app in the other tab; this one keeps its own state
+      if (isNewer) return;
+      if (error) {
+        console.error(`Error reading storage key "${key}" changed in another tab: ${error}`);
+        return;
+      }
+      callback(data);
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
   return {
     getItem,
     setItem,
     removeItem,
     clear,
+    subscribe,
+    loadItem,
+    saveItem,
+    deleteItem,
     isStorageAvailable,
+    storageFallback,
   };
 }
 
@@ -1,5 +1,13 @@
 import { renderHook, act } from '@testing-library/react'
 import useStorage from './useStorage'
+import { IDBFactory } from 'fake-indexeddb'
+import { getQuarantineKey, getStorageKey, wrapEntry } from '../utils/storage'
+import {
+  createFallbackAdapter,
+  createIndexedDBAdapter,
+  createLocalStorageAdapter,
+  setStorageAdapter
+} from '../utils/storageAdapters'
 
 describe('useStorage', () => {
   beforeEach(() => {
@@ -14,14 +22,14 @@ describe('useStorage', () => {
     // Arrange
     const key = 'testKey'
     const value = { test: 'data' }
-    localStorage.getItem.mockReturnValue(JSON.stringify(value))
+    localStorage.getItem.mockReturnValue(JSON.stringify({ version: 1, data: value }))
     
     // Act
     const { result } = renderHook(() => useStorage())
     const retrieved = result.current.getItem(key)
     
     // Assert
-    expect(localStorage.getItem).toHaveBeenCalledWith(key)
+    expect(localStorage.getItem).toHaveBeenCalledWith(getStorageKey(key))
     expect(retrieved).toEqual(value)
   })
 
@@ -36,7 +44,7 @@ describe('useStorage', () => {
     const retrieved = result.current.getItem(key, defaultValue)
     
     // Assert
-    expect(localStorage.getItem).toHaveBeenCalledWith(key)
+    expect(localStorage.getItem).toHaveBeenCalledWith(getStorageKey(key))
     expect(retrieved).toBe(defaultValue)
   })
 
@@ -52,7 +60,10 @@ describe('useStorage', () => {
     })
     
     // Assert
-    expect(localStorage.setItem).toHaveBeenCalledWith(key, JSON.stringify(value))
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      getStorageKey(key),
+      JSON.stringify({ version: 1, data: value })
+    )
   })
 
   test('should remove item from localStorage', () => {
@@ -66,7 +77,7 @@ describe('useStorage', () => {
     })
     
     // Assert
-    expect(localStorage.removeItem).toHaveBeenCalledWith(key)
+    expect(localStorage.removeItem).toHaveBeenCalledWith(getStorageKey(key))
   })
 
   test('should clear localStorage', () => {
@@ -93,4 +104,190 @@ describe('useStorage', () => {
     // Assert
     expect(retrieved).toBe(defaultValue)
   })
-})
\ No newline at end of file
+
+  test('moves values saved before namespacing into the namespace', () => {
+    const bank = [{ id: 1, options: [{ id: 'a' }, { id: 'b' }] }]
+    localStorage.getItem.mockImplementation(key =>
+      key === 'quizProgress' ? JSON.stringify({ answers: { 1: 1 }, score: 0 }) : null
+    )
+
+    const { result } = renderHook(() => useStorage())
+    const progress = result.current.getItem('quizProgress', null, { bank })
+
+    expect(progress).toEqual({ answers: { 1: 'b' } })
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      getStorageKey('quizProgress'),
+      JSON.stringify(wrapEntry('quizProgress', progress))
+    )
+    expect(localStorage.removeItem).toHaveBeenCalledWith('quizProgress')
+    localStorage.getItem.mockReset()
+  })
+
+  test('quarantines values that cannot be read', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const corrupt = JSON.stringify({ version: 3, data: { answers: { 1: { id: 'a' } } } })
+    localStorage.getItem.mockImplementation(key =>
+      key === getStorageKey('quizProgress') ? corrupt : null
+    )
+
+    const { result } = renderHook(() => useStorage())
+
+    expect(result.current.getItem('quizProgress', 'default')).toBe('default')
+    expect(localStorage.setItem).toHaveBeenCalledWith(getQuarantineKey('quizProgress'), corrupt)
+    expect(localStorage.removeItem).toHaveBeenCalledWith(getStorageKey('quizProgress'))
+    expect(warn).toHaveBeenCalledWith('Quarantined corrupt storage key "quizProgress": invalid data')
+    warn.mockRestore()
+    localStorage.getItem.mockReset()
+  })
+
+  test('leaves values saved by a newer version of the app alone', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const newer = JSON.stringify({ version: 9, data: { answers: {} } })
+    localStorage.getItem.mockImplementation(key =>
+      key === getStorageKey('quizProgress') ? newer : null
+    )
+
+    const { result } = renderHook(() => useStorage())
+
+    expect(result.current.getItem('quizProgress', 'default')).toBe('default')
+    expect(result.current.setItem('quizProgress', { answers: {} })).toBe(false)
+    expect(localStorage.setItem).not.toHaveBeenCalledWith(getStorageKey('quizProgress'), expect.anything())
+    expect(localStorage.setItem).not.toHaveBeenCalledWith(getQuarantineKey('quizProgress'), expect.anything())
+    expect(localStorage.removeItem).not.toHaveBeenCalledWith(getStorageKey('quizProgress'))
+    warn.mockRestore()
+    localStorage.getItem.mockReset()
+  })
+
+  test('notifies subscribers of changes made in other tabs', () => {
+    const callback = vi.fn()
+    const progress = { answers: { 1: 'a' } }
+    const { result } = renderHook(() => useStorage())
+    const unsubscribe = result.current.subscribe('quizProgress', callback)
+    const changeInOtherTab = (key, newValue) =>
+      window.dispatchEvent(new StorageEvent('storage', { key, newValue }))
+
+    changeInOtherTab('quizProgress', '{}')
+    changeInOtherTab(getStorageKey('quizProgress'), JSON.stringify(wrapEntry('quizProgress', progress)))
+    changeInOtherTab(getStorageKey('quizProgress'), null)
+    changeInOtherTab(null, null)
+
+    expect(callback.mock.calls).toEqual([[progress], [null], [null]])
+
+    unsubscribe()
+    changeInOtherTab(getStorageKey('quizProgress'), null)
+    expect(callback).toHaveBeenCalledTimes(3)
+  })
+
+  describe('storage adapter', () => {
+    let adapter
+
+    beforeEach(() => {
+      adapter = createIndexedDBAdapter({ factory: new IDBFactory() })
+      setStorageAdapter(adapter)
+    })
+
+    afterEach(() => {
+      setStorageAdapter(null)
+      localStorage.getItem.mockReset()
+    })
+
+    test('saves and loads values through the adapter', async () => {
+      const records = { 1: { interval: 6, repetitions: 2 } }
+      const { result } = renderHook(() => useStorage())
+
+      expect(await result.current.saveItem('learningRecords', records)).toBe(true)
+
+      expect(await result.current.loadItem('learningRecords', {})).toEqual(records)
+      expect(await adapter.get(getStorageKey('learningRecords'))).toEqual({ version: 1, data: records })
+      expect(localStorage.setItem).not.toHaveBeenCalledWith(getStorageKey('learningRecords'), expect.anything())
+    })
+
+    test('moves values kept in localStorage to the adapter', async () => {
+      const records = { 1: { interval: 1 } }
+      localStorage.getItem.mockImplementation(key =>
+        key === 'learningRecords' ? JSON.stringify(records) : null
+      )
+      const { result } = renderHook(() => useStorage())
+
+      expect(await result.current.loadItem('learningRecords', {})).toEqual(records)
+      expect(await adapter.get(getStorageKey('learningRecords'))).toEqual({ version: 1, data: records })
+      expect(localStorage.removeItem).toHaveBeenCalledWith(getStorageKey('learningRecords'))
+      expect(localStorage.removeItem).toHaveBeenCalledWith('learningRecords')
+    })
+
+    test('returns the default value for missing keys', async () => {
+      const { result } = renderHook(() => useStorage())
+
+      expect(await result.current.loadItem('attemptHistory', [])).toEqual([])
+    })
+
+    test('quarantines values that cannot be read', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const corrupt = { version: 1, data: ['not a record'] }
+      await adapter.set(getStorageKey('learningRecords'), corrupt)
+      const { result } = renderHook(() => useStorage())
+
+      expect(await result.current.loadItem('learningRecords', {})).toEqual({})
+      expect(await adapter.get(getQuarantineKey('learningRecords'))).toEqual(corrupt)
+      expect(await adapter.get(getStorageKey('learningRecords'))).toBeUndefined()
+      warn.mockRestore()
+    })
+
+    test('leaves values saved by a newer version of the app alone', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const newer = { version: 2, data: { 1: { interval: 30 } } }
+      await adapter.set(getStorageKey('learningRecords'), newer)
+      const { result } = renderHook(() => useStorage())
+
+      expect(await result.current.loadItem('learningRecords', {})).toEqual({})
+      expect(await result.current.saveItem('learningRecords', {})).toBe(false)
+      expect(await adapter.get(getStorageKey('learningRecords'))).toEqual(newer)
+      expect(await adapter.get(getQuarantineKey('learningRecords'))).toBeUndefined()
+      warn.mockRestore()
+    })
+
+    test('deletes values from the adapter and localStorage', async () => {
+      await adapter.set(getStorageKey('attemptHistory'), { version: 1, data: [] })
+      const { result } = renderHook(() => useStorage())
+
+      expect(await result.current.deleteItem('attemptHistory')).toBe(true)
+      expect(await adapter.get(getStorageKey('attemptHistory'))).toBeUndefined()
+      expect(localStorage.removeItem).toHaveBeenCalledWith('attemptHistory')
+    })
+
+    test('reports writes that fail instead of keeping them in memory', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const quotaError = Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' })
+      setStorageAdapter({ ...adapter, set: vi.fn().mockRejectedValue(quotaError) })
+      const { result } = renderHook(() => useStorage())
+
+      expect(await result.current.saveItem('learningRecords', {})).toBe(false)
+      expect(result.current.isStorageAvailable).toBe(true)
+      expect(error).toHaveBeenCalled()
+      error.mockRestore()
+    })
+
+    test('saves to localStorage and says so when IndexedDB cannot be opened', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const factory = new IDBFactory()
+      vi.spyOn(factory, 'open').mockImplementation(() => {
+        throw new Error('IndexedDB is disabled')
+      })
+      setStorageAdapter(
+        createFallbackAdapter([createIndexedDBAdapter({ factory }), createLocalStorageAdapter()])
+      )
+      const { result } = renderHook(() => useStorage())
+      expect(result.current.storageFallback).toBeNull()
+
+      let saved
+      await act(async () => {
+        saved = await result.current.saveItem('learningRecords', {})
+      })
+
+      expect(saved).toBe(true)
+      expect(localStorage.setItem).toHaveBeenCalledWith(getStorageKey('learningRecords'), expect.any(String))
+      expect(result.current.storageFallback).toBe('localStorage')
+      warn.mockRestore()
+    })
+  })
+})
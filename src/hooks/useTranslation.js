@@ -0,0 +1,12 @@
+import { useContext } from 'react';
+import I18nContext from '../i18n/I18nContext';
+
+/**
+ * Custom hook for accessing the interface language
+ * @returns {{language: string, setLanguage: Function, showRomanian: boolean, setShowRomanian: Function, t: Function}}
+ */
+function useTranslation() {
+  return useContext(I18nContext);
+}
+
+export default useTranslation;
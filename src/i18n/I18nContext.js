@@ -0,0 +1,16 @@
+import { createContext } from 'react';
+import { DEFAULT_LANGUAGE, translate } from './index';
+
+/**
+ * Context holding the interface language and the translate function.
+ * The default value renders English, so components work without a provider.
+ */
+const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => {},
+  showRomanian: false,
+  setShowRomanian: () => {},
+  t: (key, params) => translate(DEFAULT_LANGUAGE, key, params),
+});
+
+export default I18nContext;
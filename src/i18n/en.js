@@ -0,0 +1,361 @@
+/**
+ * English interface messages
+ * Keys are grouped by component; `{name}` placeholders are filled in by translate().
+ * Messages that depend on a count are objects keyed by Intl.PluralRules category.
+ */
+const en = {
+  app: {
+    title: 'Romanian Traffic Rules Quiz',
+    subtitle: 'Test your knowledge of Romanian traffic regulations',
+  },
+  language: {
+    label: 'Language',
+    showRomanian: 'Show Romanian wording',
+    names: {
+      en: 'English',
+      ro: 'Română',
+    },
+  },
+  quiz: {
+    loading: 'Loading questions from questions.yaml...',
+    loadingAttempt: 'Loading questions... (Attempt {attempt})',
+    errorTitle: 'Unable to Load Quiz',
+    storageError: '⚠️ Storage is unavailable. Your progress will not be saved.',
+    storageWarning: '⚠️ Storage unavailable. Your progress will not be saved between sessions.',
+    storageFallback:
+      '⚠️ The browser database is unavailable. Your progress is kept in local storage, which holds less.',
+    tryAgain: 'Try Again',
+    reloadPage: 'Reload Page',
+    retryLoading: 'Retry Loading',
+    troubleshooting: 'Troubleshooting Tips',
+    validationErrors: 'Problems in questions.yaml (development)',
+    tips: {
+      connection: 'Check your internet connection',
+      refresh: 'Try refreshing the page',
+      cache: 'Clear your browser cache',
+      browser: 'Try accessing the site in a different browser',
+      support: 'Contact support if the problem persists',
+    },
+    noQuestionsTitle: 'No Questions Available',
+    noQuestionsMessage: 'The quiz questions could not be loaded or the questions file is empty.',
+    examErrors: 'Errors: {errors} / {maxErrors}',
+    home: 'Home',
+    previous: 'Previous',
+    next: 'Next',
+    finish: 'Finish Quiz',
+    confirmFinish: {
+      one: 'You have {count} unanswered question. Unanswered questions count as wrong. Finish anyway?',
+      other:
+        'You have {count} unanswered questions. Unanswered questions count as wrong. Finish anyway?',
+    },
+    finishAnyway: 'Finish Anyway',
+    keepAnswering: 'Keep Answering',
+    questionLink: 'Link to this question',
+  },
+  dashboard: {
+    title: 'Where You Stand',
+    intro: 'Every question counts with your last answer to it, in any session.',
+    mastery: 'Mastered',
+    masteryDetail: '{mastered} of {total} questions answered right at least twice in a row',
+    unseen: 'Not seen yet',
+    unseenDetail: {
+      one: '{count} question you have never answered',
+      other: '{count} questions you have never answered',
+    },
+    readiness: 'Exam readiness',
+    readinessLevels: {
+      ready: 'Ready',
+      almost: 'Almost there',
+      notReady: 'Not yet',
+    },
+    readinessDetail:
+      'About {expectedErrors} wrong answers expected on an exam, {maxErrors} allowed',
+    weakest: 'Weakest Categories',
+    weakestEmpty: 'No wrong answers yet.',
+    categoryAccuracy: '{correct} of {answered} right',
+    modes: 'What Next?',
+    continue: 'Continue',
+    continueQuestion: '{mode}: question {current} of {total}',
+    continueResults: '{mode}: see your results',
+    byTopic: 'Practice by Topic',
+    byTopicDetail: 'Choose the topics and subtopics to practise',
+    mistakes: 'Mistakes Only',
+    mistakesDetail: {
+      one: '{count} question to answer right {streak} times in a row',
+      other: '{count} questions to answer right {streak} times in a row',
+    },
+    exam: 'Exam Simulation',
+    examDetail: '{questionCount} questions in {durationMinutes} minutes, {passMark} right to pass',
+    random: 'Random {count}',
+    randomDetail: '{count} questions drawn from the whole bank',
+    review: 'Daily Review',
+    reviewDetail: {
+      one: '{count} question due for review',
+      other: '{count} questions due for review',
+    },
+    history: 'History',
+    backup: 'Back Up',
+    print: 'Print Sheets',
+    stats: 'Question Statistics',
+  },
+  question: {
+    loading: 'Loading question...',
+    counter: 'Question {current} of {total}',
+    selectAll: 'Select all correct answers:',
+    submit: 'Submit Answer',
+    submitted: 'Answer Submitted',
+    explanation: 'Explanation:',
+    imageAlt: 'Question illustration',
+    imageUnavailable: 'Image unavailable',
+    signCode: 'Sign {code}',
+    true: 'True',
+    false: 'False',
+    orderItems: 'Put the items in the right order:',
+    moveUp: 'Move "{option}" up',
+    moveDown: 'Move "{option}" down',
+    clickRegion: 'Click the right place on the image:',
+    numericLabel: 'Your answer',
+    correctValue: 'Correct answer: {answer}',
+    correctOrder: 'Correct order: {answer}',
+    correct: 'Correct.',
+    incorrect: 'Incorrect.',
+    confidence: {
+      label: 'How sure are you?',
+      sure: 'Sure',
+      unsure: 'Unsure',
+      guessed: 'Guessing',
+    },
+  },
+  progress: {
+    title: 'Your Progress',
+    question: 'Question:',
+    answered: 'Answered:',
+    score: 'Score:',
+  },
+  timer: {
+    label: 'Time left:',
+  },
+  results: {
+    title: 'Quiz Complete!',
+    examTitle: 'Exam Finished',
+    passed: 'Excellent! You passed the quiz.',
+    good: 'Good job! You can do even better.',
+    keepPracticing: 'Keep practicing to improve your score.',
+    examPassed: 'Exam passed! {correct} correct answers ({passMark} needed).',
+    examFailed: 'Exam failed. {detail}',
+    examFailedScore: 'You answered {correct} correctly, but at least {passMark} are needed.',
+    examFailedErrors: 'More than {maxErrors} wrong answers.',
+    examFailedTime: 'Time ran out with {correct} correct answers ({passMark} needed).',
+    statistics: 'Quiz Statistics',
+    showDetails: 'Show Details',
+    hideDetails: 'Hide Details',
+    answered: 'Questions Answered:',
+    accuracy: 'Accuracy:',
+    wrongAnswers: 'Wrong Answers:',
+    areasForImprovement: 'Areas for Improvement',
+    categoryAccuracy: '{accuracy}% ({missed} wrong)',
+    topicResults: 'Results by Topic',
+    topicAccuracy: '{correct} / {answered} correct',
+    wrongQuestions: 'Questions You Got Wrong',
+    correctAnswer: 'Correct: {answer}',
+    category: 'Category: {category}',
+    guessedQuestions: 'Right, but Guessed',
+    slowQuestions: 'Slow to Answer',
+    timeSpent: '{seconds} s, the exam allows {pace} s per question',
+    reviewAnswers: 'Review Answers',
+    startOver: 'Start Over',
+  },
+  review: {
+    counter: 'Question {current} of {total}',
+    notAnswered: 'Not answered',
+    yourAnswer: 'Your answer',
+    correctAnswer: 'Correct answer',
+    yourPosition: 'Your position: {position}',
+    yourValue: 'Your answer: {answer}',
+    empty: 'There are no questions to review.',
+    back: 'Back to Results',
+  },
+  history: {
+    title: 'Attempt History',
+    back: 'Back to Quiz',
+    backToHistory: 'Back to History',
+    empty: 'No finished attempts yet. Finish a quiz to see it here.',
+    trend: 'Score trend over {count} attempts',
+    passed: 'Passed',
+    failed: 'Failed',
+    modes: {
+      practice: 'Practice',
+      exam: 'Exam',
+      review: 'Daily review',
+      topic: 'Topic practice',
+      mistakes: 'Mistakes only',
+      random: 'Random practice',
+    },
+  },
+  topics: {
+    title: 'Practice by Topic',
+    intro: 'Choose the topics to practise. Selecting a topic includes all of its subtopics.',
+    back: 'Back to Quiz',
+    general: 'General',
+    questionCount: {
+      one: '{count} question',
+      other: '{count} questions',
+    },
+    clear: 'Clear Selection',
+    start: {
+      one: 'Practise {count} Question',
+      other: 'Practise {count} Questions',
+    },
+  },
+  backup: {
+    title: 'Back Up Progress',
+    back: 'Back to Quiz',
+    intro:
+      'Move your progress between devices: download a backup on one device and import it on the other.',
+    exportTitle: 'Export',
+    exportDescription:
+      'Saves your current session, attempt history, review schedule, mistakes and answer statistics to a file.',
+    download: 'Download Backup',
+    importTitle: 'Import',
+    file: 'Backup file',
+    strategy: 'Progress already saved on this device',
+    strategies: {
+      merge: 'Merge it with the backup',
+      replace: 'Replace it with the backup',
+    },
+    import: 'Import Backup',
+    imported: 'Backup imported.',
+    keys: {
+      quizProgress: 'the current session',
+      attemptHistory: 'the attempt history',
+      learningRecords: 'the review schedule',
+      mistakePool: 'the mistakes to practise',
+      answerLog: 'the answer statistics',
+      preferences: 'the preferences',
+    },
+    errors: {
+      invalidJson: 'The file is not valid JSON.',
+      notABackup: 'The file is not a backup of this app.',
+      newerVersion:
+        'The backup was made by a newer version of the app. Update the app and try again.',
+      invalidEntry: 'The backup is damaged: {key} cannot be read. Nothing was imported.',
+      readFailed: 'The file could not be read.',
+      saveFailed: 'The backup could not be saved on this device.',
+    },
+  },
+  stats: {
+    title: 'Question Statistics',
+    back: 'Back to Quiz',
+    intro:
+      'Every question you have answered, with how often and how fast. Answers slower than {pace} s, the exam time per question, count as slow.',
+    empty: 'No answers yet. Answer a few questions to see them here.',
+    filter: 'Show',
+    filters: {
+      all: 'All answered questions',
+      guessed: 'Right, but guessed',
+      slow: 'Slow to answer',
+      wrong: 'Last answered wrong',
+    },
+    filterEmpty: 'No questions to show.',
+    columns: {
+      question: 'Question',
+      attempts: 'Attempts',
+      correct: 'Right',
+      averageTime: 'Average time',
+      flags: 'Flags',
+    },
+    seconds: '{seconds} s',
+    flags: {
+      guessed: 'Guessed',
+      slow: 'Slow',
+      wrong: 'Wrong',
+    },
+  },
+  print: {
+    title: 'Print Exam Sheets',
+    back: 'Back to Quiz',
+    intro:
+      'Lay out a paper test from the question bank. Every draw has a code, printed on the sheet and on its answer key.',
+    source: 'Questions',
+    sources: {
+      exam: {
+        one: 'Exam draw ({count} question, weighted by category like the app)',
+        other: 'Exam draw ({count} questions, weighted by category like the app)',
+      },
+      topic: 'Every question of a topic:',
+    },
+    topic: 'Topic',
+    includeAnswerKey: 'Print the answer key on a separate page',
+    newDraw: 'New Draw',
+    print: 'Print',
+    sheet: 'Exam sheet',
+    examTitle: 'Driving Theory Test',
+    sheetCode: 'Sheet {code}',
+    name: 'Name:',
+    date: 'Date:',
+    answer: 'Answer:',
+    instructions: {
+      multiple: 'Tick every correct answer.',
+      ordering: 'Number the items in the right order.',
+      hotspot: 'Tick the letter of the right place on the image.',
+      numeric: 'Write the value.',
+    },
+    answerKey: 'Answer key',
+    answerKeyTitle: 'Answer Key: {title}, sheet {code}',
+    number: 'No.',
+    correctAnswer: 'Correct answer',
+    explanation: 'Explanation',
+  },
+  permalink: {
+    title: 'Question {id}',
+    back: 'Back to Quiz',
+    intro: 'Answer it to see the explanation. Answers given here are not saved.',
+    notFound: 'There is no question {id} in the question bank.',
+  },
+  scene: {
+    layouts: {
+      crossroads: 'Crossroads',
+      roundabout: 'Roundabout',
+    },
+    vehicle: '{label}: {type} coming from the {arm}, {turn}',
+    light: 'Traffic light for traffic from the {arm}: {state}',
+    sign: 'Sign for traffic from the {arm}: {name}',
+    arms: {
+      north: 'north',
+      east: 'east',
+      south: 'south',
+      west: 'west',
+    },
+    turns: {
+      straight: 'going straight on',
+      left: 'turning left',
+      right: 'turning right',
+    },
+    types: {
+      car: 'car',
+      truck: 'lorry',
+      tram: 'tram',
+      bicycle: 'bicycle',
+      ambulance: 'ambulance',
+    },
+    lights: {
+      red: 'red',
+      yellow: 'yellow',
+      green: 'green',
+      off: 'off',
+    },
+  },
+  offline: {
+    message: 'You are offline. Practising with the saved question bank.',
+  },
+  errorBoundary: {
+    title: 'Something went wrong',
+    message:
+      'The application encountered an unexpected error. This usually happens due to a temporary issue.',
+    tryAgain: 'Try Again',
+    reload: 'Reload Page',
+    details: 'Error Details (Development)',
+  },
+};
+
+export default en;
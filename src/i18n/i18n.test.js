@@ -0,0 +1,98 @@
+import { LANGUAGES, MESSAGES, hasTranslation, localizeQuestion, translate } from './index';
+
+/**
+ * Collect every dotted key of a message dictionary
+ */
+const collectKeys = (dictionary, prefix = '') =>
+  Object.entries(dictionary).flatMap(([key, value]) =>
+    typeof value === 'object' && !['one', 'few', 'other'].some(form => form in value)
+      ? collectKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+
+describe('i18n', () => {
+  const question = {
+    id: 1,
+    type: 'single',
+    text: 'What is the urban speed limit?',
+    options: [
+      { id: 'a', text: '50 km/h' },
+      { id: 'b', text: '70 km/h' },
+    ],
+    correct: 'a',
+    explanation: 'Default urban speed.',
+    translations: {
+      ro: {
+        text: 'Care este limita de viteză în localitate?',
+        options: { a: '50 km/oră', b: '70 km/oră' },
+        explanation: 'Viteza implicită în localitate.',
+      },
+    },
+  };
+
+  test('supports English and Romanian', () => {
+    expect(LANGUAGES).toEqual(['en', 'ro']);
+  });
+
+  test('Romanian defines every English message', () => {
+    expect(collectKeys(MESSAGES.ro).sort()).toEqual(collectKeys(MESSAGES.en).sort());
+  });
+
+  test('translates and fills placeholders', () => {
+    expect(translate('en', 'question.counter', { current: 3, total: 10 })).toBe('Question 3 of 10');
+    expect(translate('ro', 'question.counter', { current: 3, total: 10 })).toBe(
+      'Întrebarea 3 din 10'
+    );
+  });
+
+  test('selects plural forms by count', () => {
+    expect(translate('en', 'quiz.confirmFinish', { count: 1 })).toMatch(
+      /^You have 1 unanswered question\./
+    );
+    expect(translate('en', 'quiz.confirmFinish', { count: 5 })).toMatch(
+      /^You have 5 unanswered questions\./
+    );
+    expect(translate('ro', 'quiz.confirmFinish', { count: 3 })).toMatch(/^Ai 3 întrebări/);
+    expect(translate('ro', 'quiz.confirmFinish', { count: 25 })).toMatch(/^Ai 25 de întrebări/);
+  });
+
+  test('falls back to English and then to the key', () => {
+    expect(translate('de', 'quiz.next')).toBe('Next');
+    expect(translate('en', 'quiz.unknown')).toBe('quiz.unknown');
+  });
+
+  test('localizes a question with a translation', () => {
+    expect(localizeQuestion(question, 'ro')).toMatchObject({
+      id: 1,
+      text: 'Care este limita de viteză în localitate?',
+      options: [
+        { id: 'a', text: '50 km/oră' },
+        { id: 'b', text: '70 km/oră' },
+      ],
+      correct: 'a',
+      explanation: 'Viteza implicită în localitate.',
+    });
+  });
+
+  test('keeps the original question without a usable translation', () => {
+    expect(localizeQuestion(question, 'en')).toBe(question);
+
+    const mismatched = {
+      ...question,
+      translations: { ro: { ...question.translations.ro, options: { a: '50 km/oră' } } },
+    };
+    expect(hasTranslation(mismatched, 'ro')).toBe(false);
+    expect(localizeQuestion(mismatched, 'ro')).toBe(mismatched);
+  });
+
+  test('keeps original fields missing from a partial translation', () => {
+    const partial = { ...question, translations: { ro: { text: 'Limita de viteză?' } } };
+
+    expect(localizeQuestion(partial, 'ro')).toMatchObject({
+      text: 'Limita de viteză?',
+      options: question.options,
+      correct: question.correct,
+      explanation: question.explanation,
+    });
+  });
+});
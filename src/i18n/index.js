@@ -0,0 +1,86 @@
+import en from './en';
+import ro from './ro';
+
+/**
+ * Interface messages per language code. Add a language by adding its dictionary here.
+ */
+export const MESSAGES = { en, ro };
+
+export const LANGUAGES = Object.keys(MESSAGES);
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/** Language of the official exam, shown as secondary wording when enabled */
+export const EXAM_LANGUAGE = 'ro';
+
+/**
+ * Look up a dotted key such as "quiz.next" in a message dictionary
+ * @param {Object} dictionary - Message dictionary
+ * @param {string} key - Dotted message key
+ * @returns {*} The message, or undefined if it does not exist
+ */
+const lookup = (dictionary, key) => key.split('.').reduce((node, part) => node?.[part], dictionary);
+
+/**
+ * Translate an interface message.
+ * Falls back to English, then to the key itself. Messages with plural forms are
+ * selected with Intl.PluralRules using the `count` parameter.
+ * @param {string} language - Language code
+ * @param {string} key - Dotted message key
+ * @param {Object} [params={}] - Values for `{name}` placeholders
+ * @returns {string} Translated message
+ */
+export function translate(language, key, params = {}) {
+  let message = lookup(MESSAGES[language], key) ?? lookup(MESSAGES[DEFAULT_LANGUAGE], key);
+
+  if (message && typeof message === 'object' && params.count !== undefined) {
+    const category = new Intl.PluralRules(language).select(params.count);
+    message = message[category] ?? message.other;
+  }
+
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Whether a question has a complete translation for a language
+ * @param {Object} question - Question object
+ * @param {string} language - Language code
+ * @returns {boolean} True if a usable translation exists
+ */
+export function hasTranslation(question, language) {
+  const translation = question?.translations?.[language];
+  if (!translation?.text) return false;
+
+  // Localized options are keyed by option ID and must cover every option
+  return (
+    !translation.options ||
+    (question.options ?? []).every(option => typeof translation.options[option.id] === 'string')
+  );
+}
+
+/**
+ * Get a question in the requested language.
+ * Localized text, option texts and explanation come from `translations.<language>` in
+ * questions.yaml; anything missing keeps the original wording. Option IDs and the correct
+ * answer do not change between languages.
+ * @param {Object} question - Question object
+ * @param {string} language - Language code
+ * @returns {Object} Localized question (the original object when no translation exists)
+ */
+export function localizeQuestion(question, language) {
+  if (!hasTranslation(question, language)) return question;
+
+  const translation = question.translations[language];
+  return {
+    ...question,
+    text: translation.text,
+    options: translation.options
+      ? question.options.map(option => ({ ...option, text: translation.options[option.id] }))
+      : question.options,
+    explanation: translation.explanation ?? question.explanation,
+  };
+}
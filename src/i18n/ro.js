@@ -0,0 +1,371 @@
+/**
+ * Romanian interface messages, using the terminology of the official DRPCIV exam
+ * Keys mirror en.js; missing keys fall back to English.
+ */
+const ro = {
+  app: {
+    title: 'Chestionare auto România',
+    subtitle: 'Verifică-ți cunoștințele despre regulile de circulație din România',
+  },
+  language: {
+    label: 'Limba',
+    showRomanian: 'Arată formularea în română',
+    names: {
+      en: 'English',
+      ro: 'Română',
+    },
+  },
+  quiz: {
+    loading: 'Se încarcă întrebările din questions.yaml...',
+    loadingAttempt: 'Se încarcă întrebările... (Încercarea {attempt})',
+    errorTitle: 'Chestionarul nu poate fi încărcat',
+    storageError: '⚠️ Stocarea nu este disponibilă. Progresul nu va fi salvat.',
+    storageWarning: '⚠️ Stocarea nu este disponibilă. Progresul nu va fi păstrat între sesiuni.',
+    storageFallback:
+      '⚠️ Baza de date a browserului nu este disponibilă. Progresul este păstrat în stocarea locală, care are mai puțin spațiu.',
+    tryAgain: 'Încearcă din nou',
+    reloadPage: 'Reîncarcă pagina',
+    retryLoading: 'Reîncearcă încărcarea',
+    troubleshooting: 'Sfaturi de depanare',
+    validationErrors: 'Probleme în questions.yaml (dezvoltare)',
+    tips: {
+      connection: 'Verifică conexiunea la internet',
+      refresh: 'Reîmprospătează pagina',
+      cache: 'Golește memoria cache a browserului',
+      browser: 'Încearcă site-ul într-un alt browser',
+      support: 'Contactează asistența dacă problema persistă',
+    },
+    noQuestionsTitle: 'Nu există întrebări',
+    noQuestionsMessage: 'Întrebările nu au putut fi încărcate sau fișierul de întrebări este gol.',
+    examErrors: 'Greșeli: {errors} / {maxErrors}',
+    home: 'Acasă',
+    previous: 'Înapoi',
+    next: 'Înainte',
+    finish: 'Finalizează chestionarul',
+    confirmFinish: {
+      one: 'Ai {count} întrebare fără răspuns. Întrebările fără răspuns sunt considerate greșite. Finalizezi oricum?',
+      few: 'Ai {count} întrebări fără răspuns. Întrebările fără răspuns sunt considerate greșite. Finalizezi oricum?',
+      other:
+        'Ai {count} de întrebări fără răspuns. Întrebările fără răspuns sunt considerate greșite. Finalizezi oricum?',
+    },
+    finishAnyway: 'Finalizează oricum',
+    keepAnswering: 'Continuă să răspunzi',
+    questionLink: 'Link către această întrebare',
+  },
+  dashboard: {
+    title: 'Unde te afli',
+    intro: 'Fiecare întrebare contează cu ultimul tău răspuns la ea, din orice sesiune.',
+    mastery: 'Stăpânite',
+    masteryDetail:
+      '{mastered} din {total} întrebări la care ai răspuns corect de cel puțin două ori la rând',
+    unseen: 'Nevăzute încă',
+    unseenDetail: {
+      one: '{count} întrebare la care nu ai răspuns niciodată',
+      few: '{count} întrebări la care nu ai răspuns niciodată',
+      other: '{count} de întrebări la care nu ai răspuns niciodată',
+    },
+    readiness: 'Pregătire pentru examen',
+    readinessLevels: {
+      ready: 'Pregătit',
+      almost: 'Aproape',
+      notReady: 'Încă nu',
+    },
+    readinessDetail:
+      'Aproximativ {expectedErrors} răspunsuri greșite așteptate la examen, permise {maxErrors}',
+    weakest: 'Cele mai slabe categorii',
+    weakestEmpty: 'Niciun răspuns greșit încă.',
+    categoryAccuracy: '{correct} din {answered} corecte',
+    modes: 'Ce urmează?',
+    continue: 'Continuă',
+    continueQuestion: '{mode}: întrebarea {current} din {total}',
+    continueResults: '{mode}: vezi rezultatele',
+    byTopic: 'Exersare pe teme',
+    byTopicDetail: 'Alege temele și subtemele pe care le exersezi',
+    mistakes: 'Doar greșelile',
+    mistakesDetail: {
+      one: '{count} întrebare la care să răspunzi corect de {streak} ori la rând',
+      few: '{count} întrebări la care să răspunzi corect de {streak} ori la rând',
+      other: '{count} de întrebări la care să răspunzi corect de {streak} ori la rând',
+    },
+    exam: 'Simulare examen',
+    examDetail:
+      '{questionCount} de întrebări în {durationMinutes} de minute, {passMark} corecte pentru promovare',
+    random: '{count} la întâmplare',
+    randomDetail: '{count} întrebări extrase din toată baza',
+    review: 'Recapitulare zilnică',
+    reviewDetail: {
+      one: '{count} întrebare de recapitulat',
+      few: '{count} întrebări de recapitulat',
+      other: '{count} de întrebări de recapitulat',
+    },
+    history: 'Istoric',
+    backup: 'Copie de siguranță',
+    print: 'Tipărește chestionare',
+    stats: 'Statistici pe întrebări',
+  },
+  question: {
+    loading: 'Se încarcă întrebarea...',
+    counter: 'Întrebarea {current} din {total}',
+    selectAll: 'Selectează toate răspunsurile corecte:',
+    submit: 'Trimite răspunsul',
+    submitted: 'Răspuns trimis',
+    explanation: 'Explicație:',
+    imageAlt: 'Ilustrație pentru întrebare',
+    imageUnavailable: 'Imagine indisponibilă',
+    signCode: 'Indicatorul {code}',
+    true: 'Adevărat',
+    false: 'Fals',
+    orderItems: 'Aranjează elementele în ordinea corectă:',
+    moveUp: 'Mută „{option}” mai sus',
+    moveDown: 'Mută „{option}” mai jos',
+    clickRegion: 'Apasă pe locul corect din imagine:',
+    numericLabel: 'Răspunsul tău',
+    correctValue: 'Răspuns corect: {answer}',
+    correctOrder: 'Ordinea corectă: {answer}',
+    correct: 'Corect.',
+    incorrect: 'Greșit.',
+    confidence: {
+      label: 'Cât de sigur ești?',
+      sure: 'Sigur',
+      unsure: 'Nesigur',
+      guessed: 'Ghicesc',
+    },
+  },
+  progress: {
+    title: 'Progresul tău',
+    question: 'Întrebarea:',
+    answered: 'Răspunse:',
+    score: 'Punctaj:',
+  },
+  timer: {
+    label: 'Timp rămas:',
+  },
+  results: {
+    title: 'Chestionar finalizat!',
+    examTitle: 'Examen încheiat',
+    passed: 'Excelent! Ai promovat chestionarul.',
+    good: 'Bine! Poți și mai bine.',
+    keepPracticing: 'Continuă să exersezi pentru a-ți îmbunătăți punctajul.',
+    examPassed: 'ADMIS! {correct} răspunsuri corecte (necesare {passMark}).',
+    examFailed: 'RESPINS. {detail}',
+    examFailedScore:
+      'Ai răspuns corect la {correct} întrebări, dar sunt necesare cel puțin {passMark}.',
+    examFailedErrors: 'Mai mult de {maxErrors} răspunsuri greșite.',
+    examFailedTime: 'Timpul a expirat cu {correct} răspunsuri corecte (necesare {passMark}).',
+    statistics: 'Statistici chestionar',
+    showDetails: 'Arată detalii',
+    hideDetails: 'Ascunde detalii',
+    answered: 'Întrebări răspunse:',
+    accuracy: 'Acuratețe:',
+    wrongAnswers: 'Răspunsuri greșite:',
+    areasForImprovement: 'De îmbunătățit',
+    categoryAccuracy: '{accuracy}% ({missed} greșite)',
+    topicResults: 'Rezultate pe teme',
+    topicAccuracy: '{correct} / {answered} corecte',
+    wrongQuestions: 'Întrebări greșite',
+    correctAnswer: 'Corect: {answer}',
+    category: 'Categorie: {category}',
+    guessedQuestions: 'Corecte, dar ghicite',
+    slowQuestions: 'Răspunsuri lente',
+    timeSpent: '{seconds} s, la examen ai {pace} s pe întrebare',
+    reviewAnswers: 'Revezi răspunsurile',
+    startOver: 'Începe din nou',
+  },
+  review: {
+    counter: 'Întrebarea {current} din {total}',
+    notAnswered: 'Fără răspuns',
+    yourAnswer: 'Răspunsul tău',
+    correctAnswer: 'Răspuns corect',
+    yourPosition: 'Poziția ta: {position}',
+    yourValue: 'Răspunsul tău: {answer}',
+    empty: 'Nu există întrebări de revăzut.',
+    back: 'Înapoi la rezultate',
+  },
+  history: {
+    title: 'Istoricul încercărilor',
+    back: 'Înapoi la chestionar',
+    backToHistory: 'Înapoi la istoric',
+    empty: 'Nicio încercare finalizată încă. Finalizează un chestionar pentru a-l vedea aici.',
+    trend: 'Evoluția punctajului în {count} încercări',
+    passed: 'Admis',
+    failed: 'Respins',
+    modes: {
+      practice: 'Exersare',
+      exam: 'Examen',
+      review: 'Recapitulare zilnică',
+      topic: 'Exersare pe teme',
+      mistakes: 'Doar greșelile',
+      random: 'Exersare la întâmplare',
+    },
+  },
+  topics: {
+    title: 'Exersare pe teme',
+    intro: 'Alege temele pe care vrei să le exersezi. O temă selectată include toate subtemele ei.',
+    back: 'Înapoi la chestionar',
+    general: 'General',
+    questionCount: {
+      one: '{count} întrebare',
+      few: '{count} întrebări',
+      other: '{count} de întrebări',
+    },
+    clear: 'Golește selecția',
+    start: {
+      one: 'Exersează {count} întrebare',
+      few: 'Exersează {count} întrebări',
+      other: 'Exersează {count} de întrebări',
+    },
+  },
+  backup: {
+    title: 'Salvează progresul',
+    back: 'Înapoi la chestionar',
+    intro:
+      'Mută-ți progresul între dispozitive: descarcă o copie de siguranță pe un dispozitiv și import-o pe celălalt.',
+    exportTitle: 'Export',
+    exportDescription:
+      'Salvează într-un fișier sesiunea curentă, istoricul încercărilor, programul de recapitulare, greșelile și statisticile răspunsurilor.',
+    download: 'Descarcă copia de siguranță',
+    importTitle: 'Import',
+    file: 'Fișierul copiei de siguranță',
+    strategy: 'Progresul salvat deja pe acest dispozitiv',
+    strategies: {
+      merge: 'Combină-l cu copia de siguranță',
+      replace: 'Înlocuiește-l cu copia de siguranță',
+    },
+    import: 'Importă copia de siguranță',
+    imported: 'Copia de siguranță a fost importată.',
+    keys: {
+      quizProgress: 'sesiunea curentă',
+      attemptHistory: 'istoricul încercărilor',
+      learningRecords: 'programul de recapitulare',
+      mistakePool: 'greșelile de exersat',
+      answerLog: 'statisticile răspunsurilor',
+      preferences: 'preferințele',
+    },
+    errors: {
+      invalidJson: 'Fișierul nu conține JSON valid.',
+      notABackup: 'Fișierul nu este o copie de siguranță a acestei aplicații.',
+      newerVersion:
+        'Copia de siguranță a fost făcută de o versiune mai nouă a aplicației. Actualizează aplicația și încearcă din nou.',
+      invalidEntry:
+        'Copia de siguranță este deteriorată: nu se poate citi {key}. Nu s-a importat nimic.',
+      readFailed: 'Fișierul nu a putut fi citit.',
+      saveFailed: 'Copia de siguranță nu a putut fi salvată pe acest dispozitiv.',
+    },
+  },
+  stats: {
+    title: 'Statistici pe întrebări',
+    back: 'Înapoi la chestionar',
+    intro:
+      'Toate întrebările la care ai răspuns, de câte ori și cât de repede. Răspunsurile mai lente de {pace} s, timpul de la examen pentru o întrebare, sunt considerate lente.',
+    empty: 'Niciun răspuns încă. Răspunde la câteva întrebări ca să le vezi aici.',
+    filter: 'Arată',
+    filters: {
+      all: 'Toate întrebările cu răspuns',
+      guessed: 'Corecte, dar ghicite',
+      slow: 'Răspunsuri lente',
+      wrong: 'Greșite ultima dată',
+    },
+    filterEmpty: 'Nicio întrebare de arătat.',
+    columns: {
+      question: 'Întrebare',
+      attempts: 'Încercări',
+      correct: 'Corecte',
+      averageTime: 'Timp mediu',
+      flags: 'Semnale',
+    },
+    seconds: '{seconds} s',
+    flags: {
+      guessed: 'Ghicită',
+      slow: 'Lentă',
+      wrong: 'Greșită',
+    },
+  },
+  print: {
+    title: 'Tipărește chestionare',
+    back: 'Înapoi la chestionar',
+    intro:
+      'Pregătește un test pe hârtie din banca de întrebări. Fiecare extragere are un cod, tipărit pe chestionar și pe grila de răspunsuri.',
+    source: 'Întrebări',
+    sources: {
+      exam: {
+        one: 'Extragere de examen ({count} întrebare, ponderată pe categorii ca în aplicație)',
+        few: 'Extragere de examen ({count} întrebări, ponderate pe categorii ca în aplicație)',
+        other: 'Extragere de examen ({count} de întrebări, ponderate pe categorii ca în aplicație)',
+      },
+      topic: 'Toate întrebările unei teme:',
+    },
+    topic: 'Tema',
+    includeAnswerKey: 'Tipărește grila de răspunsuri pe o pagină separată',
+    newDraw: 'Extragere nouă',
+    print: 'Tipărește',
+    sheet: 'Chestionar',
+    examTitle: 'Examen teoretic auto',
+    sheetCode: 'Chestionarul {code}',
+    name: 'Nume:',
+    date: 'Data:',
+    answer: 'Răspuns:',
+    instructions: {
+      multiple: 'Bifează toate răspunsurile corecte.',
+      ordering: 'Numerotează elementele în ordinea corectă.',
+      hotspot: 'Bifează litera locului corect din imagine.',
+      numeric: 'Scrie valoarea.',
+    },
+    answerKey: 'Grila de răspunsuri',
+    answerKeyTitle: 'Grila de răspunsuri: {title}, chestionarul {code}',
+    number: 'Nr.',
+    correctAnswer: 'Răspuns corect',
+    explanation: 'Explicație',
+  },
+  permalink: {
+    title: 'Întrebarea {id}',
+    back: 'Înapoi la chestionar',
+    intro: 'Răspunde ca să vezi explicația. Răspunsurile date aici nu se salvează.',
+    notFound: 'Nu există întrebarea {id} în baza de întrebări.',
+  },
+  scene: {
+    layouts: {
+      crossroads: 'Intersecție',
+      roundabout: 'Sens giratoriu',
+    },
+    vehicle: '{label}: {type} care vine dinspre {arm} și {turn}',
+    light: 'Semaforul pentru cei care vin dinspre {arm}: {state}',
+    sign: 'Indicatorul pentru cei care vin dinspre {arm}: {name}',
+    arms: {
+      north: 'nord',
+      east: 'est',
+      south: 'sud',
+      west: 'vest',
+    },
+    turns: {
+      straight: 'merge înainte',
+      left: 'virează la stânga',
+      right: 'virează la dreapta',
+    },
+    types: {
+      car: 'autoturism',
+      truck: 'autocamion',
+      tram: 'tramvai',
+      bicycle: 'bicicletă',
+      ambulance: 'ambulanță',
+    },
+    lights: {
+      red: 'roșu',
+      yellow: 'galben',
+      green: 'verde',
+      off: 'stins',
+    },
+  },
+  offline: {
+    message: 'Ești offline. Exersezi cu setul de întrebări salvat.',
+  },
+  errorBoundary: {
+    title: 'Ceva nu a funcționat',
+    message:
+      'Aplicația a întâmpinat o eroare neașteptată. De obicei este vorba de o problemă temporară.',
+    tryAgain: 'Încearcă din nou',
+    reload: 'Reîncarcă pagina',
+    details: 'Detalii eroare (dezvoltare)',
+  },
+};
+
+export default ro;
@@ -2,9 +2,14 @@ import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import './styles/main.css';
 import App from './App.jsx';
+import { registerServiceWorker } from './utils/serviceWorker';
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>
 );
+
+if (import.meta.env.PROD) {
+  registerServiceWorker();
+}
@@ -0,0 +1,8 @@
+import { configureAxe } from 'vitest-axe'
+
+// Colour contrast needs the rendered page, which jsdom does not lay out
+export const axe = configureAxe({
+  rules: {
+    'color-contrast': { enabled: false }
+  }
+})
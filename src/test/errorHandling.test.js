@@ -10,14 +10,20 @@ vi.mock('js-yaml', () => ({
   load: vi.fn()
 }));
 
-vi.mock('../hooks/useStorage', () => ({
-  default: vi.fn(() => ({
+vi.mock('../hooks/useStorage', () => {
+  // One instance for every render, like the memoized callbacks of the real hook
+  const storage = {
     getItem: vi.fn(),
     setItem: vi.fn(() => true),
     removeItem: vi.fn(() => true),
+    subscribe: vi.fn(() => () => {}),
+    loadItem: vi.fn(async (key, defaultValue) => defaultValue),
+    saveItem: vi.fn(async () => true),
+    deleteItem: vi.fn(async () => true),
     isStorageAvailable: true
-  }))
-}));
+  };
+  return { default: vi.fn(() => storage) };
+});
 
 import yaml from 'js-yaml';
 
@@ -183,6 +189,38 @@ describe('Error Handling Scenarios', () => {
     expect(result.current.error).toContain('Invalid question format found');
   });
 
+  test('reports which question and field failed validation', async () => {
+    // Arrange
+    fetch.mockResolvedValue({
+      ok: true,
+      text: () => Promise.resolve('questions: []')
+    });
+    yaml.load.mockReturnValue({
+      questions: [
+        {
+          id: 5,
+          type: 'single',
+          text: 'Question 5',
+          options: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }],
+          correct: 'c'
+        }
+      ]
+    });
+
+    // Act
+    const { result } = renderHook(() => useQuiz());
+
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    });
+
+    // Assert
+    expect(result.current.error).toContain('Invalid question format found in 1 question(s)');
+    expect(result.current.validationErrors).toEqual([
+      { questionId: 5, field: 'correct', reason: '"c" is not an option id' }
+    ]);
+  });
+
   test('handles request timeout', async () => {
     // Arrange - Mock AbortError for timeout
     fetch.mockRejectedValue(new Error('The operation was aborted due to timeout'));
@@ -205,11 +243,11 @@ describe('Error Handling Scenarios', () => {
       .mockRejectedValueOnce(new Error('Failed to fetch'))
       .mockResolvedValueOnce({
         ok: true,
-        text: () => Promise.resolve('questions: [{id: 1, text: "Test", options: ["A"], correct: "A"}]')
+        text: () => Promise.resolve('questions: [{id: 1, text: "Test", options: [{id: "a", text: "A"}], correct: "a"}]')
       });
     
     yaml.load.mockReturnValue({
-      questions: [{ id: 1, text: 'Test', options: ['A'], correct: 'A' }]
+      questions: [{ id: 1, text: 'Test', options: [{ id: 'a', text: 'A' }], correct: 'a' }]
     });
 
     // Act
@@ -1,4 +1,8 @@
 import '@testing-library/jest-dom'
+import * as axeMatchers from 'vitest-axe/matchers'
+
+// Adds toHaveNoViolations() for the accessibility checks in the component tests
+expect.extend(axeMatchers)
 
 // Mock localStorage for tests
 const localStorageMock = {
@@ -0,0 +1,159 @@
+/**
+ * Answer log
+ * Pure functions keeping every answer the learner gives, with how long it took, which attempt
+ * at the question it was and how sure the learner said they were, and flagging the answers
+ * worth another look: right but guessed, or slower than the exam allows.
+ */
+
+/** Most answers kept; the oldest are dropped first */
+export const MAX_ANSWER_EVENTS = 5000;
+
+/** How sure the learner can say they are, chosen before the answer is revealed */
+export const CONFIDENCE_LEVELS = ['sure', 'unsure', 'guessed'];
+
+/**
+ * @typedef {Object} AnswerEvent
+ * @property {number} questionId - ID of the answered question
+ * @property {string} mode - Mode of the session the answer was given in
+ * @property {number} answeredAt - Timestamp of the answer
+ * @property {number|null} timeSpent - Milliseconds from showing the question to answering it
+ * @property {number} attempt - How many times the question has been answered, this time included
+ * @property {"sure"|"unsure"|"guessed"|null} confidence - How sure the learner said they were
+ * @property {boolean} correct - Whether the answer was correct
+ */
+
+/**
+ * Create the event of an answer
+ * @param {AnswerEvent[]} log - Answers given so far, oldest first
+ * @param {Object} answer - The answer
+ * @param {number} answer.questionId - ID of the answered question
+ * @param {string} answer.mode - Session mode
+ * @param {boolean} answer.correct - Whether the answer was correct
+ * @param {string|null} [answer.confidence] - Confidence level; anything else is recorded as null
+ * @param {number|null} [answer.timeSpent] - Milliseconds spent on the question
+ * @param {number} [now=Date.now()] - Time of the answer
+ * @returns {AnswerEvent} Event to append to the log
+ */
+export function createAnswerEvent(
+  log,
+  { questionId, mode, correct, confidence = null, timeSpent = null },
+  now = Date.now()
+) {
+  // Counted on from the last event rather than by counting events, which the cap drops
+  const previous = log.findLast(event => event.questionId === questionId);
+
+  return {
+    questionId,
+    mode,
+    answeredAt: now,
+    timeSpent: Number.isFinite(timeSpent) && timeSpent >= 0 ? Math.round(timeSpent) : null,
+    attempt: (previous?.attempt || 0) + 1,
+    confidence: CONFIDENCE_LEVELS.includes(confidence) ? confidence : null,
+    correct,
+  };
+}
+
+/**
+ * Append an event to the log, dropping the oldest past MAX_ANSWER_EVENTS
+ * @param {AnswerEvent[]} log - Answers given so far, oldest first
+ * @param {AnswerEvent} event - New answer
+ * @returns {AnswerEvent[]} Updated log
+ */
+export const appendAnswerEvent = (log, event) => [...log, event].slice(-MAX_ANSWER_EVENTS);
+
+/**
+ * Time per question of the exam, past which an answer is slow
+ * @param {import('./exam').ExamConfig} examConfig - Exam format
+ * @returns {number} Milliseconds per question
+ */
+export const getSlowAnswerTime = examConfig =>
+  (examConfig.durationMinutes * 60 * 1000) / examConfig.questionCount;
+
+/**
+ * Whether an answer was right only by luck
+ * @param {AnswerEvent|undefined} event - Answer
+ * @returns {boolean} True for a correct answer the learner said they guessed
+ */
+export const isLuckyGuess = event => Boolean(event?.correct && event.confidence === 'guessed');
+
+/**
+ * Whether an answer took longer than the exam allows per question
+ * @param {AnswerEvent|undefined} event - Answer
+ * @param {number} slowTime - Milliseconds per question, from getSlowAnswerTime
+ * @returns {boolean} True when the answer was timed and slow
+ */
+export const isSlowAnswer = (event, slowTime) =>
+  Number.isFinite(event?.timeSpent) && event.timeSpent > slowTime;
+
+/**
+ * Last answer given to each question
+ * @param {AnswerEvent[]} log - Answers, oldest first
+ * @returns {Object.<string, AnswerEvent>} Last answers mapped by question ID
+ */
+export function getLastAnswers(log) {
+  const lastAnswers = {};
+  log.forEach(event => {
+    lastAnswers[event.questionId] = event;
+  });
+  return lastAnswers;
+}
+
+/**
+ * @typedef {Object} QuestionStats
+ * @property {Object} question - The question
+ * @property {number} attempts - Times the question was answered
+ * @property {number} correct - Correct answers among the logged ones
+ * @property {number|null} averageTime - Average milliseconds spent, null when never timed
+ * @property {AnswerEvent} lastAnswer - Last answer to the question
+ * @property {boolean} isGuessed - Whether the last answer was right but guessed
+ * @property {boolean} isSlow - Whether answering takes longer than the exam allows on average
+ */
+
+/**
+ * Summarise the log question by question
+ * @param {Object[]} questions - Question bank
+ * @param {AnswerEvent[]} log - Answers, oldest first
+ * @param {number} slowTime - Milliseconds per question, from getSlowAnswerTime
+ * @returns {QuestionStats[]} Statistics of the answered questions, in bank order
+ */
+export function calculateQuestionStats(questions, log, slowTime) {
+  const eventsById = {};
+  log.forEach(event => {
+    (eventsById[event.questionId] ||= []).push(event);
+  });
+
+  return questions
+    .filter(question => eventsById[question.id])
+    .map(question => {
+      const events = eventsById[question.id];
+      const lastAnswer = events.at(-1);
+      const times = events.map(event => event.timeSpent).filter(Number.isFinite);
+      const averageTime = times.length
+        ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length)
+        : null;
+
+      return {
+        question,
+        attempts: lastAnswer.attempt,
+        correct: events.filter(event => event.correct).length,
+        averageTime,
+        lastAnswer,
+        isGuessed: isLuckyGuess(lastAnswer),
+        isSlow: averageTime !== null && averageTime > slowTime,
+      };
+    });
+}
+
+/**
+ * Merge two logs, keeping each answer once, oldest first and capped at MAX_ANSWER_EVENTS
+ * @param {AnswerEvent[]} local - Local answers
+ * @param {AnswerEvent[]} incoming - Imported answers
+ * @returns {AnswerEvent[]} Answers of both
+ */
+export function mergeAnswerLogs(local, incoming) {
+  const getKey = event => `${event.questionId}:${event.answeredAt}`;
+  const keys = new Set(local.map(getKey));
+  return [...local, ...incoming.filter(event => !keys.has(getKey(event)))]
+    .sort((a, b) => a.answeredAt - b.answeredAt)
+    .slice(-MAX_ANSWER_EVENTS);
+}
@@ -0,0 +1,115 @@
+import {
+  MAX_ANSWER_EVENTS,
+  appendAnswerEvent,
+  calculateQuestionStats,
+  createAnswerEvent,
+  getLastAnswers,
+  getSlowAnswerTime,
+  isLuckyGuess,
+  isSlowAnswer,
+  mergeAnswerLogs,
+} from './answerLog';
+
+describe('answer log', () => {
+  const questions = [1, 2, 3].map(id => ({ id }));
+  const answer = { questionId: 1, mode: 'practice', correct: true };
+
+  test('records an answer with its time, attempt and confidence', () => {
+    expect(
+      createAnswerEvent([], { ...answer, confidence: 'unsure', timeSpent: 1234.4 }, 100)
+    ).toEqual({
+      questionId: 1,
+      mode: 'practice',
+      answeredAt: 100,
+      timeSpent: 1234,
+      attempt: 1,
+      confidence: 'unsure',
+      correct: true,
+    });
+  });
+
+  test('leaves out unknown confidence levels and invalid times', () => {
+    const event = createAnswerEvent([], { ...answer, confidence: 'certain', timeSpent: -5 });
+
+    expect(event.confidence).toBeNull();
+    expect(event.timeSpent).toBeNull();
+  });
+
+  test('counts attempts per question on from the last answer', () => {
+    let log = [];
+    [1, 2, 1, 1].forEach((questionId, index) => {
+      log = appendAnswerEvent(log, createAnswerEvent(log, { ...answer, questionId }, index));
+    });
+
+    expect(log.map(event => event.attempt)).toEqual([1, 1, 2, 3]);
+    // The earlier answers were dropped, the count goes on
+    expect(createAnswerEvent(log.slice(-1), answer).attempt).toBe(4);
+  });
+
+  test('drops the oldest answers past the cap', () => {
+    const log = Array.from({ length: MAX_ANSWER_EVENTS }, (_, index) => ({ answeredAt: index }));
+
+    const appended = appendAnswerEvent(log, { answeredAt: MAX_ANSWER_EVENTS });
+    expect(appended).toHaveLength(MAX_ANSWER_EVENTS);
+    expect(appended[0].answeredAt).toBe(1);
+  });
+
+  test('flags lucky guesses and answers slower than the exam pace', () => {
+    const slowTime = getSlowAnswerTime({ questionCount: 20, durationMinutes: 10 });
+    expect(slowTime).toBe(30000);
+
+    expect(isLuckyGuess({ correct: true, confidence: 'guessed' })).toBe(true);
+    expect(isLuckyGuess({ correct: false, confidence: 'guessed' })).toBe(false);
+    expect(isLuckyGuess({ correct: true, confidence: 'sure' })).toBe(false);
+    expect(isLuckyGuess(undefined)).toBe(false);
+
+    expect(isSlowAnswer({ timeSpent: 30001 }, slowTime)).toBe(true);
+    expect(isSlowAnswer({ timeSpent: 30000 }, slowTime)).toBe(false);
+    expect(isSlowAnswer({ timeSpent: null }, slowTime)).toBe(false);
+  });
+
+  test('finds the last answer to each question', () => {
+    const log = [
+      { questionId: 1, answeredAt: 1 },
+      { questionId: 2, answeredAt: 2 },
+      { questionId: 1, answeredAt: 3 },
+    ];
+
+    expect(getLastAnswers(log)).toEqual({ 1: log[2], 2: log[1] });
+  });
+
+  test('summarises the answers question by question', () => {
+    const log = [
+      { questionId: 3, attempt: 1, timeSpent: 10000, correct: false, confidence: null },
+      { questionId: 1, attempt: 1, timeSpent: 40000, correct: false, confidence: 'sure' },
+      { questionId: 1, attempt: 2, timeSpent: null, correct: true, confidence: 'unsure' },
+      { questionId: 1, attempt: 3, timeSpent: 30000, correct: true, confidence: 'guessed' },
+    ];
+
+    const stats = calculateQuestionStats(questions, log, 30000);
+    expect(stats.map(entry => entry.question.id)).toEqual([1, 3]);
+    expect(stats[0]).toEqual({
+      question: questions[0],
+      attempts: 3,
+      correct: 2,
+      averageTime: 35000,
+      lastAnswer: log[3],
+      isGuessed: true,
+      isSlow: true,
+    });
+    expect(stats[1]).toMatchObject({ attempts: 1, correct: 0, isGuessed: false, isSlow: false });
+  });
+
+  test('merges logs, keeping each answer once in order', () => {
+    const local = [
+      { questionId: 1, answeredAt: 100 },
+      { questionId: 2, answeredAt: 300 },
+    ];
+    const incoming = [
+      { questionId: 1, answeredAt: 100 },
+      { questionId: 3, answeredAt: 200 },
+    ];
+
+    expect(mergeAnswerLogs(local, incoming)).toEqual([local[0], incoming[1], local[1]]);
+  });
+});
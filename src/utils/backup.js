@@ -0,0 +1,179 @@
+/**
+ * Progress backups
+ * A backup is a JSON file holding everything the app saves for the learner, so progress can be
+ * moved between devices without a server. Every value is kept in the versioned envelope of
+ * utils/storage, so a backup made by an older version of the app is upgraded by the same
+ * migrations as the data it saved. Importing either replaces the local data or merges both.
+ */
+
+import { isSameSession, mergeProgress } from './progress';
+import { upgradeEntry, wrapEntry } from './storage';
+import { MAX_HISTORY_ENTRIES } from './history';
+import { mergeMistakePools } from './mistakes';
+import { mergeAnswerLogs } from './answerLog';
+
+/** Marks a file as a backup of this app */
+export const BACKUP_FORMAT = 'ro-traffic-rules-backup';
+
+/** Version of the backup file layout */
+export const BACKUP_VERSION = 1;
+
+/** Storage keys a backup holds */
+export const BACKUP_KEYS = [
+  'quizProgress',
+  'attemptHistory',
+  'learningRecords',
+  'mistakePool',
+  'answerLog',
+  'preferences',
+];
+
+/** Ways an import combines the backup with the local data */
+export const IMPORT_STRATEGIES = ['merge', 'replace'];
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} format - Always BACKUP_FORMAT
+ * @property {number} version - Layout version, BACKUP_VERSION when written
+ * @property {string} exportedAt - ISO date of the export
+ * @property {Object.<string, {version: number, data: *}>} entries - Saved values by storage key
+ */
+
+/**
+ * Build a backup of the saved values
+ * @param {Object.<string, *>} values - Saved values by storage key; missing ones are left out
+ * @param {number} [now=Date.now()] - Time of the export
+ * @returns {Backup} Backup to serialize
+ */
+export function createBackup(values, now = Date.now()) {
+  const entries = {};
+  BACKUP_KEYS.forEach(key => {
+    if (values[key] !== null && values[key] !== undefined) {
+      entries[key] = wrapEntry(key, values[key]);
+    }
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    entries,
+  };
+}
+
+/**
+ * Name the file a backup is downloaded as
+ * @param {number} [now=Date.now()] - Time of the export
+ * @returns {string} File name, e.g. `ro-traffic-rules-backup-2025-08-17.json`
+ */
+export const getBackupFileName = (now = Date.now()) =>
+  `${BACKUP_FORMAT}-${new Date(now).toISOString().slice(0, 10)}.json`;
+
+/**
+ * Read and check a backup file; nothing is imported unless every entry is valid
+ * @param {string} text - Content of the file
+ * @param {Object} [context={}] - Data the migrations need, e.g. the question bank
+ * @returns {{values: Object.<string, *>|null, error: string|null, key: string|null}} Saved
+ *   values by storage key, or why the file was rejected (`invalidJson`, `notABackup`,
+ *   `newerVersion` or `invalidEntry`) and the key of the invalid entry
+ */
+export function parseBackup(text, context = {}) {
+  const reject = (error, key = null) => ({ values: null, error, key });
+
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    return reject('invalidJson');
+  }
+
+  if (
+    !backup ||
+    backup.format !== BACKUP_FORMAT ||
+    !Number.isInteger(backup.version) ||
+    !backup.entries ||
+    typeof backup.entries !== 'object'
+  ) {
+    return reject('notABackup');
+  }
+  if (backup.version > BACKUP_VERSION) return reject('newerVersion');
+
+  const values = {};
+  for (const key of BACKUP_KEYS) {
+    if (backup.entries[key] === undefined) continue;
+    const { data, error } = upgradeEntry(key, backup.entries[key], context);
+    if (error) return reject('invalidEntry', key);
+    values[key] = data;
+  }
+
+  return { values, error: null, key: null };
+}
+
+/**
+ * Merge two sets of learning records, keeping the most recently reviewed record of each question
+ * @param {Object.<string, Object>} local - Local records
+ * @param {Object.<string, Object>} incoming - Imported records
+ * @returns {Object.<string, Object>} Merged records
+ */
+function mergeLearningRecords(local, incoming) {
+  const merged = { ...local };
+  Object.entries(incoming).forEach(([questionId, record]) => {
+    const current = merged[questionId];
+    if (!current || (record.lastReviewed ?? 0) > (current.lastReviewed ?? 0)) {
+      merged[questionId] = record;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Merge two attempt histories, oldest first and capped at MAX_HISTORY_ENTRIES
+ * @param {Object[]} local - Local attempts
+ * @param {Object[]} incoming - Imported attempts
+ * @returns {Object[]} Attempts of both, each once
+ */
+function mergeHistory(local, incoming) {
+  const ids = new Set(local.map(entry => entry.id));
+  return [...local, ...incoming.filter(entry => !ids.has(entry.id))]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .slice(-MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Merge imported values into the local ones
+ * Attempts, learning records, mistakes and answers of both devices are kept. Session progress is
+ * merged when both sides are the same session; otherwise the local session stays. Local
+ * preferences win.
+ * @param {Object.<string, *>} local - Local values by storage key
+ * @param {Object.<string, *>} incoming - Imported values by storage key
+ * @returns {Object.<string, *>} Values to save
+ */
+export function mergeBackup(local, incoming) {
+  const merged = {};
+  BACKUP_KEYS.forEach(key => {
+    merged[key] = local[key] ?? incoming[key];
+  });
+
+  if (local.quizProgress && incoming.quizProgress) {
+    merged.quizProgress = isSameSession(local.quizProgress, incoming.quizProgress)
+      ? mergeProgress(local.quizProgress, incoming.quizProgress)
+      : local.quizProgress;
+  }
+  if (local.attemptHistory && incoming.attemptHistory) {
+    merged.attemptHistory = mergeHistory(local.attemptHistory, incoming.attemptHistory);
+  }
+  if (local.learningRecords && incoming.learningRecords) {
+    merged.learningRecords = mergeLearningRecords(local.learningRecords, incoming.learningRecords);
+  }
+  if (local.mistakePool && incoming.mistakePool) {
+    merged.mistakePool = mergeMistakePools(local.mistakePool, incoming.mistakePool);
+  }
+  if (local.answerLog && incoming.answerLog) {
+    merged.answerLog = mergeAnswerLogs(local.answerLog, incoming.answerLog);
+  }
+  if (local.preferences && incoming.preferences) {
+    merged.preferences = { ...incoming.preferences, ...local.preferences };
+  }
+
+  return merged;
+}
@@ -0,0 +1,175 @@
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  getBackupFileName,
+  mergeBackup,
+  parseBackup,
+} from './backup';
+import { MAX_HISTORY_ENTRIES } from './history';
+
+describe('backup', () => {
+  const now = Date.UTC(2025, 7, 17, 10, 30);
+  const bank = [
+    {
+      id: 1,
+      options: [
+        { id: 'a', text: 'Yes' },
+        { id: 'b', text: 'No' },
+      ],
+    },
+    {
+      id: 2,
+      options: [
+        { id: 'a', text: 'Yes' },
+        { id: 'b', text: 'No' },
+      ],
+    },
+  ];
+  const progress = {
+    mode: 'practice',
+    questionIds: null,
+    seed: 7,
+    startedAt: 1000,
+    deadline: null,
+    finishedAt: null,
+    finishReason: null,
+    currentQuestionIndex: 0,
+    answers: { 1: 'a' },
+  };
+  const attempt = (id, date) => ({ id, date, mode: 'practice' });
+
+  test('wraps every saved value in a versioned envelope', () => {
+    const backup = createBackup(
+      { quizProgress: progress, attemptHistory: [], preferences: null },
+      now
+    );
+
+    expect(backup).toEqual({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: '2025-08-17T10:30:00.000Z',
+      entries: {
+        quizProgress: { version: 3, data: progress },
+        attemptHistory: { version: 1, data: [] },
+      },
+    });
+    expect(getBackupFileName(now)).toBe('ro-traffic-rules-backup-2025-08-17.json');
+  });
+
+  test('reads back the values of a backup', () => {
+    const text = JSON.stringify(createBackup({ quizProgress: progress, learningRecords: {} }, now));
+
+    expect(parseBackup(text, { bank })).toEqual({
+      values: { quizProgress: progress, learningRecords: {} },
+      error: null,
+      key: null,
+    });
+  });
+
+  test('upgrades entries saved in older formats', () => {
+    const text = JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: 1,
+      entries: { quizProgress: { version: 1, data: { answers: { 1: 1 }, score: 0 } } },
+    });
+
+    expect(parseBackup(text, { bank }).values.quizProgress).toEqual({ answers: { 1: 'b' } });
+  });
+
+  test('rejects files that are not backups', () => {
+    expect(parseBackup('not json').error).toBe('invalidJson');
+    expect(parseBackup('null').error).toBe('notABackup');
+    expect(parseBackup(JSON.stringify({ version: 1, entries: {} })).error).toBe('notABackup');
+    expect(
+      parseBackup(
+        JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, entries: {} })
+      ).error
+    ).toBe('newerVersion');
+  });
+
+  test('rejects the whole backup when one entry is invalid', () => {
+    const backup = createBackup({ quizProgress: progress }, now);
+    backup.entries.learningRecords = { version: 1, data: ['not a record'] };
+
+    expect(parseBackup(JSON.stringify(backup), { bank })).toEqual({
+      values: null,
+      error: 'invalidEntry',
+      key: 'learningRecords',
+    });
+  });
+
+  test('merges the attempts, learning records and mistakes of both devices', () => {
+    const local = {
+      attemptHistory: [attempt('a', '2025-08-02'), attempt('c', '2025-08-04')],
+      learningRecords: {
+        1: { interval: 6, lastReviewed: 200 },
+        2: { interval: 1, lastReviewed: 100 },
+      },
+      mistakePool: { 2: { streak: 2, lastWrongAt: 100 } },
+      answerLog: [{ questionId: 2, answeredAt: 100 }],
+      preferences: { language: 'ro' },
+    };
+    const incoming = {
+      attemptHistory: [attempt('b', '2025-08-03'), attempt('a', '2025-08-02')],
+      learningRecords: {
+        2: { interval: 3, lastReviewed: 300 },
+        3: { interval: 1, lastReviewed: 50 },
+      },
+      mistakePool: { 3: { streak: 0, lastWrongAt: 50 } },
+      answerLog: [
+        { questionId: 2, answeredAt: 100 },
+        { questionId: 3, answeredAt: 50 },
+      ],
+      preferences: { language: 'en', showRomanian: true },
+    };
+
+    const merged = mergeBackup(local, incoming);
+
+    expect(merged.attemptHistory.map(entry => entry.id)).toEqual(['a', 'b', 'c']);
+    expect(merged.learningRecords).toEqual({
+      1: { interval: 6, lastReviewed: 200 },
+      2: { interval: 3, lastReviewed: 300 },
+      3: { interval: 1, lastReviewed: 50 },
+    });
+    expect(merged.mistakePool).toEqual({
+      2: { streak: 2, lastWrongAt: 100 },
+      3: { streak: 0, lastWrongAt: 50 },
+    });
+    expect(merged.answerLog).toEqual([
+      { questionId: 3, answeredAt: 50 },
+      { questionId: 2, answeredAt: 100 },
+    ]);
+    expect(merged.preferences).toEqual({ language: 'ro', showRomanian: true });
+  });
+
+  test('caps the merged history', () => {
+    const history = count =>
+      Array.from({ length: count }, (_, index) =>
+        attempt(`${count}-${index}`, new Date(now + index).toISOString())
+      );
+
+    const merged = mergeBackup(
+      { attemptHistory: history(MAX_HISTORY_ENTRIES) },
+      { attemptHistory: history(10) }
+    );
+
+    expect(merged.attemptHistory).toHaveLength(MAX_HISTORY_ENTRIES);
+  });
+
+  test('merges progress of the same session and keeps the local session otherwise', () => {
+    const sameSession = { ...progress, currentQuestionIndex: 1, answers: { 2: 'b' } };
+    const otherSession = { ...progress, seed: 8, answers: { 2: 'b' } };
+
+    expect(
+      mergeBackup({ quizProgress: progress }, { quizProgress: sameSession }).quizProgress
+    ).toMatchObject({
+      currentQuestionIndex: 1,
+      answers: { 1: 'a', 2: 'b' },
+    });
+    expect(
+      mergeBackup({ quizProgress: progress }, { quizProgress: otherSession }).quizProgress
+    ).toBe(progress);
+    expect(mergeBackup({}, { quizProgress: otherSession }).quizProgress).toBe(otherSession);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Home screen statistics
+ * Pure functions summarising what the learner knows across the whole question bank, read from
+ * the spaced-repetition learning records that outlive sessions and resets.
+ */
+
+/** Consecutive correct reviews after which a question counts as mastered */
+export const MASTERY_REPETITIONS = 2;
+
+/** Number of questions of a random practice session */
+export const RANDOM_PRACTICE_SIZE = 10;
+
+/**
+ * Result of the last time a question was answered
+ * @param {import('./scheduler').LearningRecord|undefined} record - Learning record of the question
+ * @returns {boolean|undefined} Whether the last answer was correct; undefined for unseen questions
+ */
+export const getLastResult = record => (record?.lastReviewed ? record.repetitions > 0 : undefined);
+
+/**
+ * Count the questions seen and mastered
+ * @param {Object[]} questions - Question bank
+ * @param {Object.<string, import('./scheduler').LearningRecord>} records - Learning records
+ *   mapped by question ID
+ * @returns {{total: number, seen: number, unseen: number, mastered: number, percentage: number}}
+ *   Mastery of the bank; the percentage is of mastered questions
+ */
+export function calculateMastery(questions, records) {
+  const total = questions.length;
+  const seen = questions.filter(question => records?.[question.id]?.lastReviewed).length;
+  const mastered = questions.filter(
+    question => (records?.[question.id]?.repetitions || 0) >= MASTERY_REPETITIONS
+  ).length;
+
+  return {
+    total,
+    seen,
+    unseen: total - seen,
+    mastered,
+    percentage: total > 0 ? Math.round((mastered / total) * 100) : 0,
+  };
+}
+
+/**
+ * Pick the categories with the lowest share of correct answers
+ * Categories without a wrong answer are left out.
+ * @param {Object.<string, Object>} categoryStats - Statistics by category, from
+ *   calculateCategoryStats
+ * @param {number} [limit=3] - Number of categories to return
+ * @returns {Object[]} Statistics of the weakest categories, with their `category` name
+ */
+export function getWeakestCategories(categoryStats, limit = 3) {
+  return Object.entries(categoryStats)
+    .filter(([, stats]) => stats.incorrect > 0)
+    .map(([category, stats]) => ({ category, ...stats }))
+    .sort((a, b) => a.correctPercentage - b.correctPercentage || b.incorrect - a.incorrect)
+    .slice(0, limit);
+}
+
+/**
+ * Estimate how an exam taken now would go
+ * Exams draw questions in proportion to the size of their category, so the expected share of
+ * correct answers is the share of the bank last answered correctly. Unseen questions count as
+ * wrong.
+ * @param {Object[]} questions - Question bank
+ * @param {Object.<string, import('./scheduler').LearningRecord>} records - Learning records
+ *   mapped by question ID
+ * @param {import('./exam').ExamConfig} examConfig - Exam format
+ * @returns {{status: "ready"|"almost"|"notReady", expectedErrors: number, maxErrors: number,
+ *   percentage: number}} Readiness, with the expected number of wrong answers and the expected
+ *   share of correct answers
+ */
+export function estimateExamReadiness(questions, records, examConfig) {
+  const known = questions.filter(question => getLastResult(records?.[question.id])).length;
+  const share = questions.length > 0 ? known / questions.length : 0;
+  const expectedErrors = Math.round(examConfig.questionCount * (1 - share));
+
+  let status = 'notReady';
+  if (expectedErrors <= examConfig.maxErrors) {
+    status = 'ready';
+  } else if (expectedErrors <= examConfig.maxErrors * 2) {
+    status = 'almost';
+  }
+
+  return {
+    status,
+    expectedErrors,
+    maxErrors: examConfig.maxErrors,
+    percentage: Math.round(share * 100),
+  };
+}
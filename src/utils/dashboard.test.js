@@ -0,0 +1,68 @@
+import {
+  calculateMastery,
+  estimateExamReadiness,
+  getLastResult,
+  getWeakestCategories,
+} from './dashboard';
+import { scheduleReview } from './scheduler';
+
+describe('home screen statistics', () => {
+  const questions = [1, 2, 3, 4].map(id => ({ id }));
+  const now = Date.UTC(2024, 0, 1);
+  const right = scheduleReview(undefined, 4, now);
+  const wrong = scheduleReview(undefined, 1, now);
+  const mastered = scheduleReview(right, 4, now);
+
+  test('reads the last result of a question from its learning record', () => {
+    expect(getLastResult(undefined)).toBeUndefined();
+    expect(getLastResult(right)).toBe(true);
+    expect(getLastResult(wrong)).toBe(false);
+    expect(getLastResult(scheduleReview(wrong, 4, now))).toBe(true);
+  });
+
+  test('counts seen, unseen and mastered questions', () => {
+    expect(calculateMastery(questions, { 1: mastered, 2: right, 3: wrong })).toEqual({
+      total: 4,
+      seen: 3,
+      unseen: 1,
+      mastered: 1,
+      percentage: 25,
+    });
+    expect(calculateMastery([], {}).percentage).toBe(0);
+  });
+
+  test('picks the categories with the most wrong answers first', () => {
+    const categoryStats = {
+      Signs: { answered: 4, correct: 1, incorrect: 3, correctPercentage: 25 },
+      Priority: { answered: 2, correct: 2, incorrect: 0, correctPercentage: 100 },
+      Parking: { answered: 4, correct: 2, incorrect: 2, correctPercentage: 50 },
+      Speed: { answered: 2, correct: 1, incorrect: 1, correctPercentage: 50 },
+    };
+
+    expect(getWeakestCategories(categoryStats).map(stats => stats.category)).toEqual([
+      'Signs',
+      'Parking',
+      'Speed',
+    ]);
+    expect(getWeakestCategories(categoryStats, 1)).toEqual([
+      { category: 'Signs', answered: 4, correct: 1, incorrect: 3, correctPercentage: 25 },
+    ]);
+  });
+
+  test('estimates the errors of an exam from the share of the bank answered correctly', () => {
+    const examConfig = { questionCount: 20, passMark: 17, maxErrors: 3, durationMinutes: 20 };
+
+    expect(estimateExamReadiness(questions, {}, examConfig)).toEqual({
+      status: 'notReady',
+      expectedErrors: 20,
+      maxErrors: 3,
+      percentage: 0,
+    });
+    expect(
+      estimateExamReadiness(questions, { 1: right, 2: right, 3: right, 4: wrong }, examConfig)
+    ).toMatchObject({ status: 'almost', expectedErrors: 5, percentage: 75 });
+    expect(
+      estimateExamReadiness(questions, { 1: right, 2: right, 3: right, 4: mastered }, examConfig)
+    ).toMatchObject({ status: 'ready', expectedErrors: 0, percentage: 100 });
+  });
+});
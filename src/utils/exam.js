@@ -0,0 +1,113 @@
+/**
+ * Exam simulation helpers
+ * Pure functions describing the official DRPCIV theory exam format: drawing a
+ * category-weighted question set and evaluating an attempt against the pass rule.
+ */
+
+import { shuffle } from './shuffle';
+
+/**
+ * @typedef {Object} ExamConfig
+ * @property {number} questionCount - Number of questions drawn for one exam
+ * @property {number} passMark - Minimum number of correct answers needed to pass
+ * @property {number} maxErrors - Maximum number of wrong answers allowed
+ * @property {number} durationMinutes - Time limit for the whole exam
+ */
+
+/**
+ * Official category B exam format, used when questions.yaml does not declare one
+ * @type {ExamConfig}
+ */
+export const DEFAULT_EXAM_CONFIG = {
+  questionCount: 26,
+  passMark: 22,
+  maxErrors: 4,
+  durationMinutes: 30,
+};
+
+/**
+ * Read the exam format from the meta block of questions.yaml
+ * @param {Object} [meta] - Parsed meta block
+ * @returns {ExamConfig} Exam configuration with defaults for missing values
+ */
+export function getExamConfig(meta) {
+  const exam = meta?.exam || {};
+  const pick = (value, fallback) => (Number.isInteger(value) && value > 0 ? value : fallback);
+
+  return {
+    questionCount: pick(exam.question_count, DEFAULT_EXAM_CONFIG.questionCount),
+    passMark: pick(exam.pass_mark, DEFAULT_EXAM_CONFIG.passMark),
+    maxErrors: pick(exam.max_errors, DEFAULT_EXAM_CONFIG.maxErrors),
+    durationMinutes: pick(exam.duration_minutes, DEFAULT_EXAM_CONFIG.durationMinutes),
+  };
+}
+
+/**
+ * Draw an exam question set weighted by category.
+ * Every category receives a share of the exam proportional to its size in the bank
+ * (largest remainder method, ties broken randomly), then questions are picked at
+ * random inside each category and the final set is shuffled.
+ * @param {Object[]} questions - The full question bank
+ * @param {number} count - Number of questions to draw
+ * @param {Function} [random=Math.random] - Random number generator returning [0, 1)
+ * @returns {Object[]} The drawn questions
+ */
+export function drawExamQuestions(questions, count, random = Math.random) {
+  if (!questions.length || count <= 0) return [];
+  if (count >= questions.length) return shuffle(questions, random);
+
+  const byCategory = new Map();
+  questions.forEach(question => {
+    const category = question.category || 'Uncategorized';
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(question);
+  });
+
+  const quotas = shuffle([...byCategory.entries()], random).map(([category, items]) => {
+    const exact = (items.length * count) / questions.length;
+    return { category, items, quota: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let remaining = count - quotas.reduce((sum, entry) => sum + entry.quota, 0);
+  // Array.prototype.sort is stable, so equal remainders keep their shuffled order
+  [...quotas]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(entry => {
+      if (remaining > 0 && entry.quota < entry.items.length) {
+        entry.quota++;
+        remaining--;
+      }
+    });
+
+  const drawn = quotas.flatMap(entry => shuffle(entry.items, random).slice(0, entry.quota));
+  return shuffle(drawn, random);
+}
+
+/**
+ * Evaluate an exam attempt against the official pass rule
+ * Unanswered questions count as wrong, as they do at the official exam.
+ * @param {Object} counts - Attempt counts
+ * @param {number} counts.correct - Number of correct answers
+ * @param {number} counts.incorrect - Number of wrong answers
+ * @param {number} [counts.unanswered=0] - Number of questions left unanswered
+ * @param {ExamConfig} config - Exam configuration
+ * @returns {{passed: boolean, correct: number, errors: number, passMark: number, maxErrors: number}}
+ */
+export function evaluateExam({ correct, incorrect, unanswered = 0 }, config) {
+  const errors = incorrect + unanswered;
+  return {
+    passed: correct >= config.passMark && errors <= config.maxErrors,
+    correct,
+    errors,
+    passMark: config.passMark,
+    maxErrors: config.maxErrors,
+  };
+}
+
+/**
+ * Whether an exam attempt has made more errors than the rule allows
+ * @param {number} errors - Number of wrong answers so far
+ * @param {ExamConfig} config - Exam configuration
+ * @returns {boolean} True once the attempt can no longer pass
+ */
+export const hasExceededErrors = (errors, config) => errors > config.maxErrors;
@@ -0,0 +1,93 @@
+import {
+  DEFAULT_EXAM_CONFIG,
+  drawExamQuestions,
+  evaluateExam,
+  getExamConfig,
+  hasExceededErrors,
+} from './exam';
+
+/**
+ * Deterministic pseudo-random generator for repeatable draws
+ */
+const seededRandom = seed => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const makeQuestions = categories =>
+  Object.entries(categories).flatMap(([category, count], categoryIndex) =>
+    Array.from({ length: count }, (_, i) => ({ id: categoryIndex * 100 + i + 1, category }))
+  );
+
+describe('exam utilities', () => {
+  test('reads exam format from the YAML meta block', () => {
+    const config = getExamConfig({
+      exam: { question_count: 20, pass_mark: 17, max_errors: 3, duration_minutes: 25 },
+    });
+
+    expect(config).toEqual({ questionCount: 20, passMark: 17, maxErrors: 3, durationMinutes: 25 });
+  });
+
+  test('falls back to the official format when meta is missing or invalid', () => {
+    expect(getExamConfig(undefined)).toEqual(DEFAULT_EXAM_CONFIG);
+    expect(getExamConfig({ exam: { question_count: 'many', pass_mark: -1 } })).toEqual(
+      DEFAULT_EXAM_CONFIG
+    );
+  });
+
+  test('draws the requested number of unique questions', () => {
+    const questions = makeQuestions({ Speed: 40, Signs: 30, Priority: 29 });
+    const drawn = drawExamQuestions(questions, 26, seededRandom(42));
+
+    expect(drawn).toHaveLength(26);
+    expect(new Set(drawn.map(q => q.id)).size).toBe(26);
+  });
+
+  test('weights the draw by category size', () => {
+    const questions = makeQuestions({ Speed: 50, Signs: 30, Priority: 20 });
+    const drawn = drawExamQuestions(questions, 10, seededRandom(7));
+    const countOf = category => drawn.filter(q => q.category === category).length;
+
+    expect(countOf('Speed')).toBe(5);
+    expect(countOf('Signs')).toBe(3);
+    expect(countOf('Priority')).toBe(2);
+  });
+
+  test('returns the whole bank shuffled when it is smaller than the exam', () => {
+    const questions = makeQuestions({ Speed: 3 });
+    const drawn = drawExamQuestions(questions, 26, seededRandom(1));
+
+    expect(drawn).toHaveLength(3);
+    expect(drawn.map(q => q.id).sort()).toEqual([1, 2, 3]);
+  });
+
+  test('returns an empty set for an empty bank', () => {
+    expect(drawExamQuestions([], 26)).toEqual([]);
+  });
+
+  test('passes with enough correct answers and few errors', () => {
+    const result = evaluateExam({ correct: 22, incorrect: 4 }, DEFAULT_EXAM_CONFIG);
+
+    expect(result).toEqual({ passed: true, correct: 22, errors: 4, passMark: 22, maxErrors: 4 });
+  });
+
+  test('fails below the pass mark or above the error limit', () => {
+    expect(evaluateExam({ correct: 21, incorrect: 0 }, DEFAULT_EXAM_CONFIG).passed).toBe(false);
+    expect(evaluateExam({ correct: 22, incorrect: 5 }, DEFAULT_EXAM_CONFIG).passed).toBe(false);
+  });
+
+  test('counts unanswered questions as errors', () => {
+    const config = { ...DEFAULT_EXAM_CONFIG, passMark: 20 };
+
+    expect(evaluateExam({ correct: 21, incorrect: 3, unanswered: 2 }, config)).toMatchObject({
+      passed: false,
+      errors: 5,
+    });
+    expect(evaluateExam({ correct: 22, incorrect: 3, unanswered: 1 }, config).passed).toBe(true);
+  });
+
+  test('detects the fifth error', () => {
+    expect(hasExceededErrors(4, DEFAULT_EXAM_CONFIG)).toBe(false);
+    expect(hasExceededErrors(5, DEFAULT_EXAM_CONFIG)).toBe(true);
+  });
+});
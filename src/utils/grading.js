@@ -0,0 +1,213 @@
+/**
+ * Answer grading
+ * Options carry a stable `id` from questions.yaml and `correct` lists option ids. Stored
+ * answers are option ids too (a string, or a list of strings for multiple choice), so neither
+ * reordering options nor fixing a typo in their text affects grading or saved progress.
+ * The other question types follow the same model where they can:
+ * - `hotspot`: the options are regions of the image, answered like single choice
+ * - `true-false`: the options `true` and `false` are implicit, `correct` is a boolean
+ * - `ordering`: the answer lists every option id, `correct` gives the right order
+ * - `numeric`: the answer is a number, right when it is within `tolerance` of `correct`
+ *
+ * Every consumer (the quiz hook, its statistics and the question views) grades through
+ * `gradeAnswer`. A scoring policy decides how much credit a multiple choice answer earns:
+ * - `all-or-nothing`: full credit for exactly the correct options, nothing otherwise
+ * - `drpciv`: the official theory exam rule. A question only counts when exactly the correct
+ *   options are marked, so it scores like all-or-nothing; exams always use it, whatever
+ *   policy practice sessions use
+ * - `proportional`: the share of correct options selected, minus the share of wrong options
+ *   selected, never below zero; for ordering questions, the share of options in the right place
+ */
+
+/**
+ * @typedef {Object} Option
+ * @property {string} id - Stable option ID, unique within the question
+ * @property {string} text - Option text
+ * @property {{x: number, y: number, width: number, height: number}} [area] - Region of the
+ *   image a hotspot option covers, in percent of the image size
+ */
+
+/**
+ * @typedef {Object} Verdict
+ * @property {string} policy - Scoring policy used
+ * @property {boolean} answered - Whether any option was selected (or a number entered)
+ * @property {boolean} correct - Whether exactly the correct options were selected (in the
+ *   right order for ordering questions, within tolerance for numeric ones)
+ * @property {number} credit - Credit earned, from 0 to 1
+ * @property {string[]} right - Selected option IDs that are correct (placed right when ordering)
+ * @property {string[]} wrong - Selected option IDs that are not correct (placed wrong when ordering)
+ * @property {string[]} missed - Correct option IDs that were not selected
+ */
+
+/** Implicit options of true/false questions; views show translated labels instead of the texts */
+export const TRUE_FALSE_OPTIONS = [
+  { id: 'true', text: 'True' },
+  { id: 'false', text: 'False' },
+];
+
+/** Rounding slack when comparing numeric answers, so 0.1 + 0.2 is within 0.3 ± 0 */
+const NUMERIC_EPSILON = 1e-9;
+
+/** Available scoring policies */
+export const GRADING_POLICIES = ['all-or-nothing', 'drpciv', 'proportional'];
+
+/** Policy of practice sessions when questions.yaml does not declare one */
+export const DEFAULT_GRADING_POLICY = 'all-or-nothing';
+
+/** Policy of exam simulations */
+export const EXAM_GRADING_POLICY = 'drpciv';
+
+/**
+ * Credit earned under each policy
+ * @type {Object.<string, Function>}
+ */
+const CREDIT = {
+  'all-or-nothing': ({ correct }) => (correct ? 1 : 0),
+  drpciv: ({ correct }) => (correct ? 1 : 0),
+  proportional: ({ right, wrong, correctCount, wrongCount }) => {
+    const penalty = wrongCount > 0 ? wrong.length / wrongCount : 0;
+    return Math.max(0, Math.round((right.length / correctCount - penalty) * 100) / 100);
+  },
+};
+
+/**
+ * Read the practice scoring policy from the meta block of questions.yaml
+ * @param {Object} [meta] - Parsed meta block
+ * @returns {string} Declared policy, or the default for a missing or unknown one
+ */
+export const getGradingPolicy = meta =>
+  GRADING_POLICIES.includes(meta?.grading_policy) ? meta.grading_policy : DEFAULT_GRADING_POLICY;
+
+/** Option outcomes of a verdict without options */
+const NO_OPTIONS = { right: [], wrong: [], missed: [] };
+
+/**
+ * Get the selected option IDs of a stored answer
+ * @param {string|string[]|undefined} answer - Stored answer
+ * @returns {string[]} Selected option IDs
+ */
+export const getSelectedIds = answer => {
+  if (answer === undefined || answer === null) return [];
+  return Array.isArray(answer) ? answer : [answer];
+};
+
+/**
+ * Get the options a question is answered with
+ * @param {Object} question - Question object
+ * @returns {Option[]} Options of the question (implicit ones for true/false, none for numeric)
+ */
+export const getAnswerOptions = question =>
+  question.type === 'true-false' ? TRUE_FALSE_OPTIONS : question.options || [];
+
+/**
+ * Get the correct option IDs of a question
+ * @param {Object} question - Question object
+ * @returns {string[]} Correct option IDs, in the right order for ordering questions
+ */
+export function getCorrectIds(question) {
+  if (question.type === 'numeric') return [];
+  if (question.type === 'true-false') return [String(question.correct)];
+  return Array.isArray(question.correct) ? question.correct : [question.correct];
+}
+
+/**
+ * Get the texts of options by ID
+ * @param {Object} question - Question object
+ * @param {string[]} ids - Option IDs
+ * @returns {string[]} Option texts, in the order of the IDs (unknown IDs are skipped)
+ */
+export const getOptionTexts = (question, ids) =>
+  ids
+    .map(id => getAnswerOptions(question).find(option => option.id === id)?.text)
+    .filter(text => text !== undefined);
+
+/**
+ * Format the correct value of a numeric question
+ * @param {Object} question - Numeric question
+ * @returns {string} Value with its unit, e.g. `0.2 g/l`
+ */
+export const formatNumericAnswer = question =>
+  question.unit ? `${question.correct} ${question.unit}` : String(question.correct);
+
+/**
+ * Get the texts of the correct options of a question
+ * @param {Object} question - Question object
+ * @returns {string[]} Correct option texts (the value with its unit for numeric questions)
+ */
+export const getCorrectTexts = question =>
+  question.type === 'numeric'
+    ? [formatNumericAnswer(question)]
+    : getOptionTexts(question, getCorrectIds(question));
+
+/**
+ * Compare the options of an answer with the correct ones
+ * @param {Object} question - Question object
+ * @param {string|string[]|undefined} answer - Stored answer
+ * @returns {{right: string[], wrong: string[], missed: string[]}} Option IDs by outcome
+ */
+function compareOptions(question, answer) {
+  const selected = [...new Set(getSelectedIds(answer))];
+  const correctIds = getCorrectIds(question);
+
+  // Ordering answers list every option; an option is right when it is in its place
+  const isRight =
+    question.type === 'ordering'
+      ? (id, index) => correctIds[index] === id
+      : id => correctIds.includes(id);
+
+  return {
+    right: selected.filter(isRight),
+    wrong: selected.filter((id, index) => !isRight(id, index)),
+    missed: correctIds.filter(id => !selected.includes(id)),
+  };
+}
+
+/**
+ * Grade an answer
+ * @param {Object} question - Question object
+ * @param {string|string[]|number|undefined} answer - Stored answer (a number for numeric questions)
+ * @param {string} [policy=DEFAULT_GRADING_POLICY] - Scoring policy (unknown ones fall back to the default)
+ * @returns {Verdict} Verdict with the credit earned and the options that were right, wrong
+ *   and missed
+ */
+export function gradeAnswer(question, answer, policy = DEFAULT_GRADING_POLICY) {
+  const scoring = CREDIT[policy] ? policy : DEFAULT_GRADING_POLICY;
+
+  if (question.type === 'numeric') {
+    const answered = Number.isFinite(answer);
+    const correct =
+      answered &&
+      Math.abs(answer - question.correct) <= (question.tolerance ?? 0) + NUMERIC_EPSILON;
+    return { policy: scoring, answered, correct, credit: correct ? 1 : 0, ...NO_OPTIONS };
+  }
+
+  const { right, wrong, missed } = compareOptions(question, answer);
+  const correct = wrong.length === 0 && missed.length === 0;
+  const correctCount = getCorrectIds(question).length;
+  const credit = CREDIT[scoring]({
+    correct,
+    right,
+    wrong,
+    correctCount,
+    // Misplaced options cost nothing beyond the credit they miss
+    wrongCount: question.type === 'ordering' ? 0 : getAnswerOptions(question).length - correctCount,
+  });
+
+  return {
+    policy: scoring,
+    answered: right.length + wrong.length > 0,
+    correct,
+    credit,
+    right,
+    wrong,
+    missed,
+  };
+}
+
+/**
+ * Check whether an answer selects exactly the correct options
+ * @param {Object} question - Question object
+ * @param {string|string[]|number|undefined} answer - Stored answer
+ * @returns {boolean} True if every correct option and nothing else was selected
+ */
+export const isAnswerCorrect = (question, answer) => gradeAnswer(question, answer).correct;
@@ -0,0 +1,204 @@
+import {
+  DEFAULT_GRADING_POLICY,
+  getCorrectIds,
+  getAnswerOptions,
+  getCorrectTexts,
+  getGradingPolicy,
+  getOptionTexts,
+  getSelectedIds,
+  gradeAnswer,
+  isAnswerCorrect,
+} from './grading';
+
+const single = {
+  id: 1,
+  type: 'single',
+  options: [
+    { id: 'a', text: '70 km/h' },
+    { id: 'b', text: '50 km/h' },
+  ],
+  correct: 'b',
+};
+const multiple = {
+  id: 2,
+  type: 'multiple',
+  options: [
+    { id: 'bulbs', text: 'Spare bulbs' },
+    { id: 'vest', text: 'Reflective vest' },
+    { id: 'triangle', text: 'Warning triangle' },
+  ],
+  correct: ['triangle', 'vest'],
+};
+
+describe('grading', () => {
+  test('lists the correct option ids and texts', () => {
+    expect(getCorrectIds(single)).toEqual(['b']);
+    expect(getCorrectIds(multiple)).toEqual(['triangle', 'vest']);
+    expect(getCorrectTexts(multiple)).toEqual(['Warning triangle', 'Reflective vest']);
+  });
+
+  test('reads stored answers as lists of option ids', () => {
+    expect(getSelectedIds('a')).toEqual(['a']);
+    expect(getSelectedIds(['vest', 'bulbs'])).toEqual(['vest', 'bulbs']);
+    expect(getSelectedIds(undefined)).toEqual([]);
+    expect(getOptionTexts(multiple, ['vest', 'missing'])).toEqual(['Reflective vest']);
+  });
+
+  test('grades single choice answers by option id', () => {
+    expect(isAnswerCorrect(single, 'b')).toBe(true);
+    expect(isAnswerCorrect(single, 'a')).toBe(false);
+    expect(isAnswerCorrect(single, undefined)).toBe(false);
+  });
+
+  test('requires exactly the correct options for multiple choice', () => {
+    expect(isAnswerCorrect(multiple, ['vest', 'triangle'])).toBe(true);
+    expect(isAnswerCorrect(multiple, ['vest'])).toBe(false);
+    expect(isAnswerCorrect(multiple, ['bulbs', 'vest', 'triangle'])).toBe(false);
+    expect(isAnswerCorrect(multiple, ['vest', 'vest'])).toBe(false);
+  });
+
+  test('is not affected by option order or option text', () => {
+    const reordered = { ...single, options: [...single.options].reverse() };
+    const retyped = {
+      ...single,
+      options: single.options.map(option => ({ ...option, text: `${option.text} ` })),
+    };
+
+    expect(isAnswerCorrect(reordered, 'b')).toBe(true);
+    expect(isAnswerCorrect(retyped, 'b')).toBe(true);
+  });
+
+  // Four options, two of them correct
+  const equipment = {
+    id: 3,
+    type: 'multiple',
+    options: [
+      { id: 'a', text: 'Fire extinguisher' },
+      { id: 'b', text: 'First aid kit' },
+      { id: 'c', text: 'Spare bulbs' },
+      { id: 'd', text: 'Tow rope' },
+    ],
+    correct: ['a', 'b'],
+  };
+
+  test.each([
+    // policy, answer, credit, correct
+    ['all-or-nothing', ['a', 'b'], 1, true],
+    ['all-or-nothing', ['b', 'a'], 1, true],
+    ['all-or-nothing', ['a'], 0, false],
+    ['all-or-nothing', ['a', 'b', 'c'], 0, false],
+    ['all-or-nothing', undefined, 0, false],
+    ['drpciv', ['a', 'b'], 1, true],
+    ['drpciv', ['a'], 0, false],
+    ['drpciv', ['a', 'c'], 0, false],
+    ['drpciv', ['c', 'd'], 0, false],
+    ['proportional', ['a', 'b'], 1, true],
+    ['proportional', ['a'], 0.5, false],
+    ['proportional', ['a', 'b', 'c'], 0.5, false],
+    ['proportional', ['a', 'c'], 0, false],
+    ['proportional', ['c', 'd'], 0, false],
+    ['proportional', [], 0, false],
+  ])('%s policy gives %j a credit of %s', (policy, answer, credit, correct) => {
+    expect(gradeAnswer(equipment, answer, policy)).toMatchObject({ policy, credit, correct });
+  });
+
+  test.each([
+    // answer, right, wrong, missed
+    [['a', 'b'], ['a', 'b'], [], []],
+    [['b'], ['b'], [], ['a']],
+    [['d', 'a'], ['a'], ['d'], ['b']],
+    [['c', 'c'], [], ['c'], ['a', 'b']],
+    [undefined, [], [], ['a', 'b']],
+  ])('answer %j: right %j, wrong %j, missed %j', (answer, right, wrong, missed) => {
+    expect(gradeAnswer(equipment, answer)).toMatchObject({
+      answered: right.length + wrong.length > 0,
+      right,
+      wrong,
+      missed,
+    });
+  });
+
+  test.each(['all-or-nothing', 'drpciv', 'proportional'])(
+    '%s policy grades single choice answers as right or wrong',
+    policy => {
+      expect(gradeAnswer(single, 'b', policy).credit).toBe(1);
+      expect(gradeAnswer(single, 'a', policy).credit).toBe(0);
+    }
+  );
+
+  test('falls back to the default policy', () => {
+    expect(gradeAnswer(equipment, ['a'], 'generous')).toMatchObject({
+      policy: DEFAULT_GRADING_POLICY,
+      credit: 0,
+    });
+    expect(getGradingPolicy({ grading_policy: 'proportional' })).toBe('proportional');
+    expect(getGradingPolicy({ grading_policy: 'generous' })).toBe(DEFAULT_GRADING_POLICY);
+    expect(getGradingPolicy(undefined)).toBe(DEFAULT_GRADING_POLICY);
+  });
+
+  const priority = {
+    id: 4,
+    type: 'ordering',
+    options: [
+      { id: 'tram', text: 'Tram' },
+      { id: 'car', text: 'Car' },
+      { id: 'ambulance', text: 'Ambulance' },
+    ],
+    correct: ['ambulance', 'tram', 'car'],
+  };
+  const statement = { id: 5, type: 'true-false', correct: false };
+  const alcohol = { id: 6, type: 'numeric', correct: 0.2, tolerance: 0.05, unit: 'g/l' };
+  const crossing = {
+    id: 7,
+    type: 'hotspot',
+    image: 'crossing.svg',
+    options: [
+      { id: 'left', text: 'Left car', area: { x: 0, y: 40, width: 30, height: 20 } },
+      { id: 'right', text: 'Right car', area: { x: 70, y: 40, width: 30, height: 20 } },
+    ],
+    correct: 'right',
+  };
+
+  test.each([
+    // type, answer, policy, credit, correct, question
+    ['ordering', ['ambulance', 'tram', 'car'], 'all-or-nothing', 1, true, priority],
+    ['ordering', ['tram', 'ambulance', 'car'], 'all-or-nothing', 0, false, priority],
+    ['ordering', ['tram', 'ambulance', 'car'], 'drpciv', 0, false, priority],
+    ['ordering', ['tram', 'ambulance', 'car'], 'proportional', 0.33, false, priority],
+    ['ordering', ['car', 'tram', 'ambulance'], 'proportional', 0.33, false, priority],
+    ['true-false', 'false', 'all-or-nothing', 1, true, statement],
+    ['true-false', 'true', 'proportional', 0, false, statement],
+    ['numeric', 0.2, 'all-or-nothing', 1, true, alcohol],
+    ['numeric', 0.25, 'drpciv', 1, true, alcohol],
+    ['numeric', 0.15, 'proportional', 1, true, alcohol],
+    ['numeric', 0.3, 'proportional', 0, false, alcohol],
+    ['numeric', undefined, 'all-or-nothing', 0, false, alcohol],
+    ['hotspot', 'right', 'drpciv', 1, true, crossing],
+    ['hotspot', 'left', 'proportional', 0, false, crossing],
+  ])('grades a %s answer %j under %s', (type, answer, policy, credit, correct, question) => {
+    expect(gradeAnswer(question, answer, policy)).toMatchObject({ credit, correct });
+  });
+
+  test('reports misplaced options of an ordering answer', () => {
+    expect(gradeAnswer(priority, ['tram', 'ambulance', 'car'])).toMatchObject({
+      right: ['car'],
+      wrong: ['tram', 'ambulance'],
+      missed: [],
+    });
+    expect(gradeAnswer(priority, undefined)).toMatchObject({
+      answered: false,
+      missed: ['ambulance', 'tram', 'car'],
+    });
+  });
+
+  test('describes the answer of the other question types', () => {
+    expect(getAnswerOptions(statement).map(option => option.id)).toEqual(['true', 'false']);
+    expect(getCorrectIds(statement)).toEqual(['false']);
+    expect(getCorrectTexts(statement)).toEqual(['False']);
+    expect(getCorrectTexts(priority)).toEqual(['Ambulance', 'Tram', 'Car']);
+    expect(getCorrectTexts(alcohol)).toEqual(['0.2 g/l']);
+    expect(getCorrectTexts({ ...alcohol, unit: undefined })).toEqual(['0.2']);
+    expect(gradeAnswer(alcohol, 0.2)).toMatchObject({ answered: true, right: [], missed: [] });
+    expect(gradeAnswer({ ...alcohol, tolerance: undefined }, 0.1 + 0.1).correct).toBe(true);
+  });
+});
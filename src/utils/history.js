@@ -0,0 +1,130 @@
+/**
+ * Attempt history helpers
+ * Pure functions that turn a finished quiz session into a history entry and back
+ * into the statistics shape the Results component understands.
+ */
+
+import { localizeQuestion } from '../i18n';
+import { getCorrectTexts } from './grading';
+import { findCategoryTopic } from './topics';
+
+/** Maximum number of attempts kept in storage, oldest are dropped first */
+export const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * @typedef {Object} AttemptEntry
+ * @property {string} id - Unique identifier of the attempt
+ * @property {string} date - ISO date when the attempt was finished
+ * @property {"practice"|"exam"|"review"|"topic"|"mistakes"|"random"} mode - Session mode
+ * @property {number} durationMs - Time from start to finish in milliseconds
+ * @property {{correct: number, answered: number, total: number, percentage: number}} score - Attempt score
+ * @property {Object.<string, {correct: number, answered: number, accuracy: number}>} categoryAccuracy - Accuracy per category
+ * @property {number[]} wrongQuestionIds - IDs of questions answered incorrectly
+ * @property {Object|null} examResult - Exam verdict for exam simulations
+ */
+
+/**
+ * Build a history entry for a finished attempt
+ * @param {Object} attempt - Finished attempt data
+ * @param {string} attempt.mode - Session mode
+ * @param {number|null} attempt.startedAt - Session start timestamp
+ * @param {number} attempt.finishedAt - Session finish timestamp
+ * @param {number} attempt.totalQuestions - Number of questions in the session
+ * @param {Object} attempt.categoryStats - Category statistics from useQuiz
+ * @param {Object} attempt.answerAnalysis - Answer analysis from useQuiz
+ * @param {Object|null} [attempt.examResult] - Exam verdict, if any
+ * @returns {AttemptEntry} History entry
+ */
+export function createAttemptEntry({
+  mode,
+  startedAt,
+  finishedAt,
+  totalQuestions,
+  categoryStats,
+  answerAnalysis,
+  examResult = null,
+}) {
+  const correct = answerAnalysis.correctAnswers.length;
+  const answered = correct + answerAnalysis.incorrectAnswers.length;
+
+  const categoryAccuracy = {};
+  Object.entries(categoryStats).forEach(([category, stats]) => {
+    if (stats.answered > 0) {
+      categoryAccuracy[category] = {
+        correct: stats.correct,
+        answered: stats.answered,
+        accuracy: stats.correct / stats.answered,
+      };
+    }
+  });
+
+  return {
+    id: `attempt-${finishedAt}`,
+    date: new Date(finishedAt).toISOString(),
+    mode,
+    durationMs: startedAt ? Math.max(0, finishedAt - startedAt) : 0,
+    score: {
+      correct,
+      answered,
+      total: totalQuestions,
+      percentage: totalQuestions > 0 ? Math.round((correct / totalQuestions) * 100) : 0,
+    },
+    categoryAccuracy,
+    wrongQuestionIds: answerAnalysis.incorrectAnswers.map(item => item.questionId),
+    examResult,
+  };
+}
+
+/**
+ * Convert a history entry into the statistics object consumed by Results
+ * @param {AttemptEntry} entry - History entry
+ * @param {Object[]} questions - Question bank used to describe wrong answers
+ * @param {string} [language] - Language of the question texts and answers, the bank's by default
+ * @returns {Object} Quiz statistics
+ */
+export function getAttemptStatistics(entry, questions = [], language) {
+  const { correct, answered, total } = entry.score;
+  const wrongAnswers = answered - correct;
+
+  const categoryStats = {};
+  Object.entries(entry.categoryAccuracy).forEach(([category, stats]) => {
+    categoryStats[category] = {
+      answered: stats.answered,
+      correct: stats.correct,
+      incorrect: stats.answered - stats.correct,
+      correctPercentage: Math.round(stats.accuracy * 100),
+    };
+  });
+
+  return {
+    totalQuestions: total,
+    answeredQuestions: answered,
+    correctAnswers: correct,
+    wrongAnswers,
+    accuracy: total > 0 ? (correct / total) * 100 : 0,
+    categoryStats,
+    missedCategories: Object.entries(entry.categoryAccuracy)
+      .map(([category, stats]) => ({
+        category,
+        topicInfo: findCategoryTopic(questions, category),
+        accuracy: stats.accuracy,
+        missed: stats.answered - stats.correct,
+        total: stats.answered,
+      }))
+      .sort((a, b) => a.accuracy - b.accuracy),
+    wrongAnswerDetails: entry.wrongQuestionIds
+      .map(id => questions.find(q => q.id === id))
+      .filter(Boolean)
+      .map(question => localizeQuestion(question, language))
+      .map(question => ({
+        id: question.id,
+        category: question.category,
+        topicInfo: question.topicInfo ?? null,
+        text: question.text,
+        isAnswered: true,
+        isCorrect: false,
+        correctAnswer: getCorrectTexts(question),
+        options: question.options,
+      })),
+  };
+}
@@ -0,0 +1,120 @@
+import { createAttemptEntry, getAttemptStatistics } from './history';
+
+const FINISHED_AT = Date.UTC(2025, 7, 17, 10, 30);
+
+const questions = [
+  {
+    id: 1,
+    category: 'Speed limits',
+    text: 'Urban limit?',
+    options: [
+      { id: 'a', text: '50' },
+      { id: 'b', text: '70' },
+    ],
+    correct: 'a',
+  },
+  {
+    id: 2,
+    category: 'Speed limits',
+    text: 'Motorway limit?',
+    options: [
+      { id: 'a', text: '130' },
+      { id: 'b', text: '150' },
+    ],
+    correct: 'a',
+  },
+  {
+    id: 3,
+    category: 'Signs',
+    text: 'Stop sign?',
+    options: [
+      { id: 'a', text: 'Stop' },
+      { id: 'b', text: 'Go' },
+    ],
+    correct: 'a',
+  },
+];
+
+const attempt = {
+  mode: 'exam',
+  startedAt: FINISHED_AT - 12 * 60 * 1000,
+  finishedAt: FINISHED_AT,
+  totalQuestions: 3,
+  categoryStats: {
+    'Speed limits': { total: 2, answered: 2, correct: 1, incorrect: 1 },
+    Signs: { total: 1, answered: 0, correct: 0, incorrect: 0 },
+  },
+  answerAnalysis: {
+    correctAnswers: [{ questionId: 1 }],
+    incorrectAnswers: [{ questionId: 2 }],
+    unanswered: [{ questionId: 3 }],
+  },
+  examResult: { passed: false, correct: 1, errors: 1, passMark: 2, maxErrors: 1, reason: 'time' },
+};
+
+describe('attempt history', () => {
+  test('creates a history entry from a finished attempt', () => {
+    expect(createAttemptEntry(attempt)).toEqual({
+      id: `attempt-${FINISHED_AT}`,
+      date: '2025-08-17T10:30:00.000Z',
+      mode: 'exam',
+      durationMs: 12 * 60 * 1000,
+      score: { correct: 1, answered: 2, total: 3, percentage: 33 },
+      categoryAccuracy: { 'Speed limits': { correct: 1, answered: 2, accuracy: 0.5 } },
+      wrongQuestionIds: [2],
+      examResult: attempt.examResult,
+    });
+  });
+
+  test('defaults the duration and exam result', () => {
+    const entry = createAttemptEntry({ ...attempt, startedAt: null, examResult: undefined });
+
+    expect(entry.durationMs).toBe(0);
+    expect(entry.examResult).toBeNull();
+  });
+
+  test('converts an entry back into Results statistics', () => {
+    const statistics = getAttemptStatistics(createAttemptEntry(attempt), questions);
+
+    expect(statistics).toMatchObject({
+      totalQuestions: 3,
+      answeredQuestions: 2,
+      correctAnswers: 1,
+      wrongAnswers: 1,
+      missedCategories: [{ category: 'Speed limits', accuracy: 0.5, missed: 1, total: 2 }],
+    });
+    expect(statistics.accuracy).toBeCloseTo(33.33, 1);
+    expect(statistics.wrongAnswerDetails).toEqual([
+      expect.objectContaining({ id: 2, text: 'Motorway limit?', correctAnswer: ['130'] }),
+    ]);
+  });
+
+  test('describes wrong answers and categories in the requested language', () => {
+    const topicInfo = {
+      key: 'speed',
+      name: 'Speed limits',
+      translations: { ro: { name: 'Viteză' } },
+    };
+    const translated = questions.map(question => ({
+      ...question,
+      topicInfo: question.category === 'Speed limits' ? topicInfo : undefined,
+      translations: {
+        ro: { text: `${question.text} (ro)`, options: { a: 'Da', b: 'Nu' } },
+      },
+    }));
+
+    const statistics = getAttemptStatistics(createAttemptEntry(attempt), translated, 'ro');
+
+    expect(statistics.missedCategories[0].topicInfo).toBe(topicInfo);
+    expect(statistics.wrongAnswerDetails).toEqual([
+      expect.objectContaining({ text: 'Motorway limit? (ro)', correctAnswer: ['Da'], topicInfo }),
+    ]);
+  });
+
+  test('skips wrong answers whose question is no longer in the bank', () => {
+    const statistics = getAttemptStatistics(createAttemptEntry(attempt), []);
+
+    expect(statistics.wrongAnswerDetails).toEqual([]);
+    expect(statistics.wrongAnswers).toBe(1);
+  });
+});
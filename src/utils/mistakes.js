@@ -0,0 +1,91 @@
+/**
+ * Mistakes pool
+ * Pure functions keeping the set of questions the learner got wrong and has not yet answered
+ * correctly enough times since. The pool is stored on its own, so it outlives sessions and
+ * resets.
+ */
+
+import { getLastResult } from './dashboard';
+
+/** Correct answers in a row that take a question out of the pool */
+export const MISTAKE_CLEAR_STREAK = 3;
+
+/**
+ * @typedef {Object} MistakeEntry
+ * @property {number} streak - Correct answers in a row since the last wrong one
+ * @property {number} lastWrongAt - Timestamp of the last wrong answer
+ */
+
+/**
+ * Record an answer in the pool
+ * A wrong answer puts the question in the pool, or starts its streak over. A correct answer
+ * extends the streak of a question in the pool and takes it out once the streak reaches
+ * MISTAKE_CLEAR_STREAK; it leaves questions outside the pool alone.
+ * @param {Object.<string, MistakeEntry>} pool - Pool mapped by question ID
+ * @param {number} questionId - ID of the answered question
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {number} [now=Date.now()] - Time of the answer
+ * @returns {Object.<string, MistakeEntry>} Updated pool; the same object when nothing changed
+ */
+export function recordMistakeAnswer(pool, questionId, isCorrect, now = Date.now()) {
+  if (!isCorrect) {
+    return { ...pool, [questionId]: { streak: 0, lastWrongAt: now } };
+  }
+
+  const entry = pool[questionId];
+  if (!entry) return pool;
+
+  const { [questionId]: _cleared, ...rest } = pool;
+  const streak = entry.streak + 1;
+  return streak >= MISTAKE_CLEAR_STREAK ? rest : { ...pool, [questionId]: { ...entry, streak } };
+}
+
+/**
+ * Fill a pool for learners who answered questions before the pool was kept: every question
+ * whose last answer was wrong
+ * @param {Object[]} questions - Question bank
+ * @param {Object.<string, import('./scheduler').LearningRecord>} records - Learning records
+ *   mapped by question ID
+ * @returns {Object.<string, MistakeEntry>} Pool mapped by question ID
+ */
+export function createMistakePool(questions, records) {
+  const pool = {};
+  questions.forEach(question => {
+    const record = records?.[question.id];
+    if (getLastResult(record) === false) {
+      pool[question.id] = { streak: 0, lastWrongAt: record.lastReviewed };
+    }
+  });
+  return pool;
+}
+
+/**
+ * Select the questions of the pool
+ * @param {Object[]} questions - Question bank
+ * @param {Object.<string, MistakeEntry>} pool - Pool mapped by question ID
+ * @returns {Object[]} Questions to practise, in bank order
+ */
+export const getMistakeQuestions = (questions, pool) =>
+  questions.filter(question => pool[question.id]);
+
+/**
+ * Merge two pools, keeping the entry of each question that was missed most recently
+ * A question one side has cleared stays in the pool while the other side still has it.
+ * @param {Object.<string, MistakeEntry>} local - Local pool
+ * @param {Object.<string, MistakeEntry>} incoming - Imported pool
+ * @returns {Object.<string, MistakeEntry>} Merged pool
+ */
+export function mergeMistakePools(local, incoming) {
+  const merged = { ...local };
+  Object.entries(incoming).forEach(([questionId, entry]) => {
+    const current = merged[questionId];
+    if (
+      !current ||
+      entry.lastWrongAt > current.lastWrongAt ||
+      (entry.lastWrongAt === current.lastWrongAt && entry.streak < current.streak)
+    ) {
+      merged[questionId] = entry;
+    }
+  });
+  return merged;
+}
@@ -0,0 +1,70 @@
+import {
+  MISTAKE_CLEAR_STREAK,
+  createMistakePool,
+  getMistakeQuestions,
+  mergeMistakePools,
+  recordMistakeAnswer,
+} from './mistakes';
+import { scheduleReview } from './scheduler';
+
+describe('mistakes pool', () => {
+  const questions = [1, 2, 3].map(id => ({ id }));
+
+  test('adds wrong answers and starts their streak over', () => {
+    let pool = recordMistakeAnswer({}, 1, false, 100);
+    expect(pool).toEqual({ 1: { streak: 0, lastWrongAt: 100 } });
+
+    pool = recordMistakeAnswer(pool, 1, true, 200);
+    pool = recordMistakeAnswer(pool, 1, false, 300);
+    expect(pool).toEqual({ 1: { streak: 0, lastWrongAt: 300 } });
+  });
+
+  test('takes a question out after enough correct answers in a row', () => {
+    let pool = recordMistakeAnswer({}, 1, false, 100);
+    for (let answer = 1; answer < MISTAKE_CLEAR_STREAK; answer++) {
+      pool = recordMistakeAnswer(pool, 1, true);
+      expect(pool[1].streak).toBe(answer);
+    }
+
+    pool = recordMistakeAnswer(pool, 1, true);
+    expect(pool).toEqual({});
+  });
+
+  test('leaves correct answers to questions outside the pool alone', () => {
+    const pool = { 2: { streak: 1, lastWrongAt: 100 } };
+
+    expect(recordMistakeAnswer(pool, 1, true)).toBe(pool);
+  });
+
+  test('fills a pool from the questions last answered wrong', () => {
+    const now = Date.UTC(2024, 0, 1);
+    const records = {
+      1: scheduleReview(undefined, 1, now),
+      2: scheduleReview(undefined, 4, now),
+    };
+
+    expect(createMistakePool(questions, records)).toEqual({ 1: { streak: 0, lastWrongAt: now } });
+  });
+
+  test('selects the questions of the pool', () => {
+    const pool = {
+      3: { streak: 0, lastWrongAt: 200 },
+      1: { streak: 1, lastWrongAt: 300 },
+      4: { streak: 0, lastWrongAt: 100 },
+    };
+
+    expect(getMistakeQuestions(questions, pool).map(question => question.id)).toEqual([1, 3]);
+    expect(getMistakeQuestions(questions, {})).toEqual([]);
+  });
+
+  test('merges pools by the most recent mistake', () => {
+    const local = { 1: { streak: 2, lastWrongAt: 100 }, 2: { streak: 1, lastWrongAt: 300 } };
+    const incoming = { 1: { streak: 0, lastWrongAt: 200 }, 3: { streak: 0, lastWrongAt: 50 } };
+
+    expect(mergeMistakePools(local, incoming)).toEqual({
+      1: { streak: 0, lastWrongAt: 200 },
+      2: { streak: 1, lastWrongAt: 300 },
+      3: { streak: 0, lastWrongAt: 50 },
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Printable exam sheets
+ * Instructors print paper tests straight from the loaded question bank, so paper and app never
+ * drift apart. A sheet is either the exam draw the app makes (same category weighting and
+ * question count) or every question of a topic. Its seed fixes the draw and the option order,
+ * so the answer key printed with it, or reprinted later from the same seed, always matches.
+ */
+
+import { drawExamQuestions } from './exam';
+import { getAnswerOptions, getCorrectIds } from './grading';
+import { createRandom, createSeed, shuffleQuestions } from './shuffle';
+import { selectQuestionsByTopics } from './topics';
+
+/** Ways to choose the questions of a sheet */
+export const SHEET_SOURCES = ['exam', 'topic'];
+
+/**
+ * @typedef {Object} PrintSheet
+ * @property {number} seed - Seed of the draw and of the option order
+ * @property {string} code - Short code of the seed, printed on the sheet and on its answer key
+ * @property {Object[]} questions - Questions in print order, with their options shuffled
+ */
+
+/**
+ * Letter an option is printed with
+ * @param {number} index - Position of the option
+ * @returns {string} `A`, `B`, `C`, ...
+ */
+export const getOptionLetter = index => String.fromCharCode(65 + index);
+
+/**
+ * Short code identifying the seed of a sheet
+ * @param {number} seed - Sheet seed
+ * @returns {string} Code in base 36, e.g. `1Z141Z3`
+ */
+export const getSheetCode = seed => seed.toString(36).toUpperCase();
+
+/**
+ * Choose and lay out the questions of a sheet
+ * @param {Object[]} bank - Question bank
+ * @param {Object} options - Sheet options
+ * @param {"exam"|"topic"} options.source - Exam draw or topic selection
+ * @param {number} [options.questionCount] - Number of questions of an exam draw
+ * @param {Object[]} [options.topics] - Topic hierarchy, for topic sheets
+ * @param {string[]} [options.topicKeys] - Selected topic and subtopic keys, for topic sheets
+ * @param {number} [options.seed=createSeed()] - Seed of the sheet
+ * @returns {PrintSheet} Sheet to print
+ */
+export function createPrintSheet(
+  bank,
+  { source, questionCount = 0, topics = [], topicKeys = [], seed = createSeed() }
+) {
+  const selection =
+    source === 'exam'
+      ? drawExamQuestions(bank, questionCount, createRandom(seed))
+      : selectQuestionsByTopics(bank, topics, topicKeys);
+
+  return { seed, code: getSheetCode(seed), questions: shuffleQuestions(selection, seed) };
+}
+
+/**
+ * Correct options of a printed question, with the letters they are printed with
+ * @param {Object} question - Question as laid out on the sheet
+ * @returns {{letter: string, id: string, text: string}[]} Correct options, in the right order
+ *   for ordering questions; empty for numeric questions
+ */
+export function getCorrectOptions(question) {
+  const options = getAnswerOptions(question);
+  return getCorrectIds(question)
+    .map(id => options.findIndex(option => option.id === id))
+    .filter(index => index !== -1)
+    .map(index => ({ letter: getOptionLetter(index), ...options[index] }));
+}
@@ -0,0 +1,69 @@
+import { drawExamQuestions } from './exam';
+import { createPrintSheet, getCorrectOptions, getOptionLetter, getSheetCode } from './printSheet';
+import { createRandom } from './shuffle';
+
+describe('print sheets', () => {
+  const option = id => ({ id, text: `Option ${id}` });
+  const bank = Array.from({ length: 12 }, (_, index) => ({
+    id: index + 1,
+    type: 'single',
+    category: index % 2 ? 'Signs' : 'Priority',
+    topic: index < 4 ? 'speed-limits' : 'signs',
+    options: [option('a'), option('b'), option('c')],
+    correct: 'b',
+  }));
+  const topics = [
+    {
+      key: 'speed',
+      name: 'Speed',
+      subtopics: [{ key: 'speed-limits', name: 'Speed limits' }],
+    },
+    { key: 'signs', name: 'Signs', subtopics: [] },
+  ];
+
+  test('draws the same exam questions as the app for a seed', () => {
+    const sheet = createPrintSheet(bank, { source: 'exam', questionCount: 6, seed: 42 });
+    const drawn = drawExamQuestions(bank, 6, createRandom(42));
+
+    expect(sheet.seed).toBe(42);
+    expect(sheet.code).toBe(getSheetCode(42));
+    expect(sheet.questions.map(question => question.id).sort((a, b) => a - b)).toEqual(
+      drawn.map(question => question.id).sort((a, b) => a - b)
+    );
+  });
+
+  test('lays out a seed the same way every time', () => {
+    const first = createPrintSheet(bank, { source: 'exam', questionCount: 6, seed: 7 });
+    const again = createPrintSheet(bank, { source: 'exam', questionCount: 6, seed: 7 });
+
+    expect(again.questions).toEqual(first.questions);
+  });
+
+  test('prints every question of a topic', () => {
+    const sheet = createPrintSheet(bank, {
+      source: 'topic',
+      topics,
+      topicKeys: ['speed'],
+      seed: 1,
+    });
+
+    expect(sheet.questions.map(question => question.id).sort((a, b) => a - b)).toEqual([
+      1, 2, 3, 4,
+    ]);
+  });
+
+  test('letters the correct options as they are printed', () => {
+    expect(getOptionLetter(0)).toBe('A');
+    expect(getOptionLetter(3)).toBe('D');
+
+    const question = { options: [option('c'), option('a'), option('b')], correct: ['b', 'c'] };
+    expect(getCorrectOptions({ ...question, type: 'multiple' })).toEqual([
+      { letter: 'C', id: 'b', text: 'Option b' },
+      { letter: 'A', id: 'c', text: 'Option c' },
+    ]);
+    expect(getCorrectOptions({ type: 'true-false', correct: false })).toEqual([
+      { letter: 'B', id: 'false', text: 'False' },
+    ]);
+    expect(getCorrectOptions({ type: 'numeric', correct: 50 })).toEqual([]);
+  });
+});
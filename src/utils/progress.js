@@ -0,0 +1,170 @@
+/**
+ * Saved quiz progress
+ * quizProgress records the current session and its answers. It is stored through useStorage,
+ * whose envelope gives the version of its format (see storage.js):
+ * - 1: answers are option positions in the displayed layout, which depends on the session seed
+ * - 2: answers are option IDs from questions.yaml; the score is stored next to them
+ * - 3: the score is no longer stored; it is derived from the answers
+ *
+ * Every open tab saves to the same key. When another tab saves progress of the same session,
+ * the two are merged: answers given in either tab are kept (this tab's answer wins when both
+ * answered a question), the furthest question index is kept and the session stays finished
+ * once either tab finished it. Progress of a different session (a new session or a reset in
+ * the other tab) replaces this tab's session, as the latest session started.
+ */
+
+import { getAnswerOptions, gradeAnswer } from './grading';
+import { shuffleOptions } from './shuffle';
+
+/** Current version of the stored progress format */
+export const PROGRESS_VERSION = 3;
+
+/** Session modes progress can be saved for */
+const PROGRESS_MODES = ['practice', 'exam', 'review', 'topic', 'mistakes', 'random'];
+
+/** Question types answered with a list of option IDs */
+const LIST_ANSWER_TYPES = ['multiple', 'ordering'];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Convert an answer stored as option positions into option IDs
+ * @param {Object} question - Question from the bank
+ * @param {number|number[]} answer - Stored positions
+ * @param {number|null} seed - Seed of the session layout the positions refer to
+ * @returns {string|string[]|undefined} Option IDs, undefined if a position no longer exists
+ */
+function positionsToIds(question, answer, seed) {
+  const layout = seed === null || seed === undefined ? question : shuffleOptions(question, seed);
+  const toId = position => layout.options?.[position]?.id;
+
+  if (Array.isArray(answer)) {
+    const ids = answer.map(toId);
+    return ids.every(Boolean) ? ids : undefined;
+  }
+  return toId(answer);
+}
+
+/**
+ * Upgrades of stored progress, by the version they start from
+ * @type {Object.<number, Function>}
+ */
+export const PROGRESS_MIGRATIONS = {
+  // Option positions become option IDs; answers of questions no longer in the bank are dropped
+  1: (progress, { bank }) => {
+    if (!Array.isArray(bank)) throw new Error('the question bank is required');
+
+    const answers = {};
+    Object.entries(progress.answers || {}).forEach(([questionId, answer]) => {
+      const question = bank.find(item => String(item.id) === questionId);
+      const ids = question && positionsToIds(question, answer, progress.seed);
+      if (ids !== undefined) answers[questionId] = ids;
+    });
+    return { ...progress, answers };
+  },
+  // The score and the version field inside the progress are dropped
+  2: progress => {
+    const { score: _score, version: _version, ...rest } = progress;
+    return rest;
+  },
+};
+
+/**
+ * Check that an answer has the shape answers are stored in
+ * @param {*} answer - Stored answer
+ * @returns {boolean} True for an option ID, a list of option IDs or a number
+ */
+const isStoredAnswer = answer =>
+  typeof answer === 'string' ||
+  Number.isFinite(answer) ||
+  (Array.isArray(answer) && answer.every(id => typeof id === 'string'));
+
+/**
+ * Check stored progress in the current version
+ * @param {*} progress - Progress read from storage
+ * @returns {boolean} True if the progress can be restored
+ */
+export const isValidProgress = progress =>
+  isPlainObject(progress) &&
+  (progress.answers === undefined ||
+    (isPlainObject(progress.answers) && Object.values(progress.answers).every(isStoredAnswer))) &&
+  (progress.mode === undefined || PROGRESS_MODES.includes(progress.mode)) &&
+  (progress.currentQuestionIndex === undefined ||
+    (Number.isInteger(progress.currentQuestionIndex) && progress.currentQuestionIndex >= 0)) &&
+  (progress.questionIds === undefined ||
+    progress.questionIds === null ||
+    (Array.isArray(progress.questionIds) && progress.questionIds.every(Number.isInteger))) &&
+  (progress.topicKeys === undefined ||
+    progress.topicKeys === null ||
+    (Array.isArray(progress.topicKeys) &&
+      progress.topicKeys.every(key => typeof key === 'string')));
+
+/**
+ * Keep the stored answers that still fit their question in the bank
+ * @param {Object} answers - Answers mapped by question ID
+ * @param {Object[]} bank - Question bank
+ * @returns {Object} Answers of existing questions, made of options they still have
+ */
+export function sanitizeAnswers(answers, bank) {
+  return Object.fromEntries(
+    Object.entries(answers || {}).filter(([questionId, answer]) => {
+      const question = bank.find(item => String(item.id) === questionId);
+      if (!question) return false;
+      if (question.type === 'numeric') return Number.isFinite(answer);
+      if (Array.isArray(answer) !== LIST_ANSWER_TYPES.includes(question.type)) return false;
+
+      const optionIds = getAnswerOptions(question).map(option => option.id);
+      return [answer].flat().every(id => optionIds.includes(id));
+    })
+  );
+}
+
+/**
+ * Check whether two saved progresses belong to the same session
+ * @param {Object} progress - Saved progress
+ * @param {Object} other - Saved progress to compare with
+ * @returns {boolean} True if mode, seed and start time match
+ */
+export const isSameSession = (progress, other) =>
+  (progress.mode || 'practice') === (other.mode || 'practice') &&
+  (progress.seed ?? null) === (other.seed ?? null) &&
+  (progress.startedAt ?? null) === (other.startedAt ?? null);
+
+/**
+ * Merge progress another tab saved into this tab's progress of the same session
+ * @param {Object} local - Progress of this tab
+ * @param {Object} incoming - Progress saved by the other tab
+ * @returns {Object} Merged progress
+ */
+export function mergeProgress(local, incoming) {
+  // The session ends at the first finish in either tab
+  const finished = [local, incoming]
+    .filter(progress => progress.finishedAt)
+    .sort((a, b) => a.finishedAt - b.finishedAt)[0];
+
+  return {
+    ...incoming,
+    currentQuestionIndex: Math.max(
+      local.currentQuestionIndex || 0,
+      incoming.currentQuestionIndex || 0
+    ),
+    answers: { ...incoming.answers, ...local.answers },
+    finishedAt: finished?.finishedAt ?? null,
+    finishReason: finished?.finishReason ?? null,
+  };
+}
+
+/**
+ * Calculate the score of saved answers
+ * @param {Object[]} bank - Question bank
+ * @param {Object} answers - Answers mapped by question ID
+ * @param {string} policy - Scoring policy
+ * @returns {number} Credit earned, rounded to 0.01
+ */
+export function calculateScore(bank, answers, policy) {
+  const credit = Object.entries(answers || {}).reduce((total, [questionId, answer]) => {
+    const question = bank.find(item => String(item.id) === questionId);
+    return question ? total + gradeAnswer(question, answer, policy).credit : total;
+  }, 0);
+  return Math.round(credit * 100) / 100;
+}
@@ -0,0 +1,143 @@
+import {
+  PROGRESS_MIGRATIONS,
+  calculateScore,
+  isSameSession,
+  isValidProgress,
+  mergeProgress,
+  sanitizeAnswers,
+} from './progress';
+import { shuffleOptions } from './shuffle';
+
+const bank = [
+  {
+    id: 1,
+    type: 'single',
+    options: [
+      { id: 'a', text: '50 km/h' },
+      { id: 'b', text: '70 km/h' },
+      { id: 'c', text: '90 km/h' },
+    ],
+    correct: 'a',
+  },
+  {
+    id: 2,
+    type: 'multiple',
+    options: [
+      { id: 'a', text: 'Warning triangle' },
+      { id: 'b', text: 'Snow chains' },
+      { id: 'c', text: 'Reflective vest' },
+    ],
+    correct: ['a', 'c'],
+  },
+];
+
+describe('progress', () => {
+  const fromPositions = (progress, context = { bank }) => PROGRESS_MIGRATIONS[1](progress, context);
+
+  test('converts option positions in bank order to option ids', () => {
+    const progress = { mode: 'practice', currentQuestionIndex: 1, answers: { 1: 1, 2: [0, 2] } };
+
+    expect(fromPositions(progress)).toEqual({
+      mode: 'practice',
+      currentQuestionIndex: 1,
+      answers: { 1: 'b', 2: ['a', 'c'] },
+    });
+  });
+
+  test('reads positions in the shuffled layout of seeded sessions', () => {
+    const seed = 4242;
+    const layout = shuffleOptions(bank[0], seed);
+    const position = layout.options.findIndex(option => option.id === 'c');
+
+    expect(fromPositions({ seed, answers: { 1: position } }).answers).toEqual({ 1: 'c' });
+  });
+
+  test('drops answers that no longer match the bank', () => {
+    const progress = { answers: { 1: 5, 2: [0, 7], 99: 0 } };
+
+    expect(fromPositions(progress).answers).toEqual({});
+    expect(() => fromPositions(progress, {})).toThrow('the question bank is required');
+  });
+
+  test('stops storing the score next to the answers', () => {
+    expect(PROGRESS_MIGRATIONS[2]({ version: 2, answers: { 1: 'a' }, score: 1 })).toEqual({
+      answers: { 1: 'a' },
+    });
+  });
+
+  test('checks the shape of stored progress', () => {
+    expect(isValidProgress({})).toBe(true);
+    expect(
+      isValidProgress({
+        mode: 'exam',
+        questionIds: [2, 1],
+        currentQuestionIndex: 1,
+        answers: { 1: 'a', 2: ['a', 'c'], 3: 0.5 },
+      })
+    ).toBe(true);
+    expect(isValidProgress([])).toBe(false);
+    expect(isValidProgress({ answers: { 1: null } })).toBe(false);
+    expect(isValidProgress({ mode: 'marathon' })).toBe(false);
+    expect(isValidProgress({ currentQuestionIndex: -1 })).toBe(false);
+    expect(isValidProgress({ questionIds: ['1'] })).toBe(false);
+  });
+
+  test('keeps only answers that still fit their question', () => {
+    const numeric = { id: 3, type: 'numeric', correct: 0.8 };
+
+    expect(sanitizeAnswers({ 1: 'c', 2: ['a', 'b'], 3: 0.8, 4: 'a' }, [...bank, numeric])).toEqual({
+      1: 'c',
+      2: ['a', 'b'],
+      3: 0.8,
+    });
+    expect(sanitizeAnswers({ 1: ['a'], 2: 'a', 3: 'a' }, [...bank, numeric])).toEqual({});
+    expect(sanitizeAnswers({ 1: 'z' }, bank)).toEqual({});
+    expect(sanitizeAnswers(undefined, bank)).toEqual({});
+  });
+
+  test('tells sessions apart by mode, seed and start time', () => {
+    const practice = { mode: 'practice', seed: 7, startedAt: null };
+
+    expect(isSameSession(practice, { seed: 7 })).toBe(true);
+    expect(isSameSession(practice, { ...practice, seed: 8 })).toBe(false);
+    expect(isSameSession(practice, { ...practice, mode: 'exam', startedAt: 1000 })).toBe(false);
+  });
+
+  test('merges progress of the same session saved in two tabs', () => {
+    const local = {
+      mode: 'exam',
+      currentQuestionIndex: 3,
+      answers: { 1: 'a', 2: ['a'] },
+      finishedAt: null,
+      finishReason: null,
+    };
+    const incoming = {
+      mode: 'exam',
+      currentQuestionIndex: 1,
+      answers: { 2: ['a', 'c'], 5: 'b' },
+      finishedAt: 2000,
+      finishReason: 'time',
+      score: 1,
+    };
+
+    expect(mergeProgress(local, incoming)).toEqual({
+      mode: 'exam',
+      currentQuestionIndex: 3,
+      answers: { 1: 'a', 2: ['a'], 5: 'b' },
+      finishedAt: 2000,
+      finishReason: 'time',
+      score: 1,
+    });
+    expect(
+      mergeProgress({ ...local, finishedAt: 1500, finishReason: 'errors' }, incoming)
+    ).toMatchObject({ finishedAt: 1500, finishReason: 'errors' });
+  });
+
+  test('calculates the score of saved answers', () => {
+    const answers = { 1: 'a', 2: ['a'], 9: 'a' };
+
+    expect(calculateScore(bank, answers, 'all-or-nothing')).toBe(1);
+    expect(calculateScore(bank, answers, 'proportional')).toBe(1.5);
+    expect(calculateScore(bank, undefined, 'all-or-nothing')).toBe(0);
+  });
+});
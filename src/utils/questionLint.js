@@ -0,0 +1,231 @@
+/**
+ * Question bank linter
+ * Editorial checks on top of the schema: near-duplicate questions, category spelling
+ * variants, bank statistics and the question count and grading policy declared in the meta block.
+ * Pure functions shared by the `lint:questions` script and the tests.
+ */
+
+import { GRADING_POLICIES } from './grading.js';
+import { validateQuestionBank } from './questionSchema.js';
+import { applySigns, normalizeSigns } from './signs.js';
+import { applyTopics, normalizeTopics } from './topics.js';
+
+/** Word overlap from which two question texts are reported as near-duplicates */
+export const NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+/** Words ignored when comparing category names */
+const CATEGORY_STOP_WORDS = new Set(['and', 'at', 'in', 'of', 'on', 'the']);
+
+/** Separators used for sub-categories, e.g. "Parking - tickets" */
+const SUBCATEGORY_SEPARATOR = /\s[-–]\s/;
+
+/**
+ * @typedef {Object} LintReport
+ * @property {import('./questionSchema').ValidationError[]} errors - Problems that break the bank
+ * @property {import('./questionSchema').ValidationError[]} warnings - Likely editorial mistakes
+ * @property {{total: number, byCategory: Object.<string, number>, byType: Object.<string, number>}} stats - Bank statistics
+ */
+
+/**
+ * Split a text into lowercase words
+ * @param {string} text - Text to split
+ * @returns {string[]} Words without punctuation
+ */
+const toWords = text =>
+  String(text ?? '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Reduce a plural word to its singular form (good enough for category names)
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular form
+ */
+const singular = word =>
+  word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+
+/**
+ * Words of a category name, singular and without stop words
+ * @param {string} category - Category name
+ * @returns {string[]} Normalized words
+ */
+const categoryWords = category =>
+  toWords(category)
+    .filter(word => !CATEGORY_STOP_WORDS.has(word))
+    .map(singular);
+
+/**
+ * Share of words two texts have in common (Jaccard index)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (same words)
+ */
+export function textSimilarity(a, b) {
+  const wordsA = new Set(toWords(a));
+  const wordsB = new Set(toWords(b));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Find pairs of questions with (almost) the same wording.
+ * Questions showing different images may share their text, e.g. "What does this sign mean?".
+ * @param {Object[]} questions - Question bank
+ * @param {number} [threshold=NEAR_DUPLICATE_THRESHOLD] - Minimum similarity to report
+ * @returns {{first: Object, second: Object, similarity: number}[]} Near-duplicate pairs
+ */
+export function findNearDuplicates(questions, threshold = NEAR_DUPLICATE_THRESHOLD) {
+  const pairs = [];
+  questions.forEach((first, index) => {
+    questions.slice(index + 1).forEach(second => {
+      if ((first.image || second.image) && first.image !== second.image) return;
+
+      const similarity = textSimilarity(first.text, second.text);
+      if (similarity >= threshold) {
+        pairs.push({ first, second, similarity });
+      }
+    });
+  });
+  return pairs;
+}
+
+/**
+ * Whether `longer` is a deliberate sub-category of `shorter`, e.g. "Parking - tickets" of "Parking"
+ * @param {string} shorter - Broader category name
+ * @param {string} longer - Narrower category name
+ * @returns {boolean} True if the longer name starts with the shorter one followed by a separator
+ */
+const isSubcategory = (shorter, longer) => {
+  const [head, ...rest] = longer.split(SUBCATEGORY_SEPARATOR);
+  return rest.length > 0 && categoryWords(head).join(' ') === categoryWords(shorter).join(' ');
+};
+
+/**
+ * Find category names that look like spelling variants of each other: the same words in
+ * another order or number ("Fog lights" and "Lights - fog"), or one extra trailing word
+ * ("Seat belts" and "Seat belt rules"). Explicit sub-categories such as "Parking - tickets"
+ * are not reported.
+ * @param {Object[]} questions - Question bank
+ * @returns {{categories: string[], questionIds: number[][]}[]} Pairs of suspicious categories
+ */
+export function findCategoryVariants(questions) {
+  const idsByCategory = new Map();
+  questions.forEach(question => {
+    if (typeof question.category !== 'string') return;
+    if (!idsByCategory.has(question.category)) idsByCategory.set(question.category, []);
+    idsByCategory.get(question.category).push(question.id);
+  });
+
+  const categories = [...idsByCategory.keys()];
+  const variants = [];
+  categories.forEach((first, index) => {
+    categories.slice(index + 1).forEach(second => {
+      const [shorter, longer] = first.length <= second.length ? [first, second] : [second, first];
+      const shortWords = categoryWords(shorter);
+      const longWords = categoryWords(longer);
+
+      const sameWords =
+        shortWords.length === longWords.length &&
+        [...shortWords].sort().join(' ') === [...longWords].sort().join(' ');
+      const oneWordLonger =
+        longWords.length === shortWords.length + 1 &&
+        shortWords.every((word, position) => longWords[position] === word) &&
+        !isSubcategory(shorter, longer);
+
+      if (shortWords.length > 0 && (sameWords || oneWordLonger)) {
+        variants.push({
+          categories: [first, second],
+          questionIds: [idsByCategory.get(first), idsByCategory.get(second)],
+        });
+      }
+    });
+  });
+  return variants;
+}
+
+/**
+ * Count questions by the value of one of their fields
+ * @param {Object[]} questions - Question bank
+ * @param {string} field - Field to group by
+ * @param {string} fallback - Label used when the field is missing
+ * @returns {Object.<string, number>} Counts sorted from the largest group down
+ */
+export function countBy(questions, field, fallback) {
+  const counts = {};
+  questions.forEach(question => {
+    const key = question[field] ?? fallback;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.fromEntries(
+    Object.entries(counts).sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+  );
+}
+
+/**
+ * Lint a parsed questions.yaml document
+ * @param {Object} data - Parsed YAML document
+ * @returns {LintReport} Errors, warnings and statistics
+ */
+export function lintQuestionBank(data) {
+  const errors = validateQuestionBank(data);
+  const questions = applySigns(
+    applyTopics(
+      Array.isArray(data?.questions)
+        ? data.questions.filter(question => question && typeof question === 'object')
+        : [],
+      normalizeTopics(data?.topics)
+    ),
+    normalizeSigns(data?.signs)
+  );
+  const warnings = [];
+
+  const declaredTotal = data?.meta?.total_questions_in_bank;
+  if (declaredTotal !== undefined && declaredTotal !== questions.length) {
+    errors.push({
+      questionId: null,
+      field: 'meta.total_questions_in_bank',
+      reason: `declares ${declaredTotal} questions but the bank has ${questions.length}`,
+    });
+  }
+
+  const gradingPolicy = data?.meta?.grading_policy;
+  if (gradingPolicy !== undefined && !GRADING_POLICIES.includes(gradingPolicy)) {
+    errors.push({
+      questionId: null,
+      field: 'meta.grading_policy',
+      reason: `"${gradingPolicy}" is not one of ${GRADING_POLICIES.join(', ')}`,
+    });
+  }
+
+  findNearDuplicates(questions).forEach(({ first, second, similarity }) => {
+    warnings.push({
+      questionId: second.id,
+      field: 'text',
+      reason: `is ${Math.round(similarity * 100)}% similar to question ${first.id}`,
+    });
+  });
+
+  findCategoryVariants(questions).forEach(({ categories, questionIds }) => {
+    const [first, second] = categories.map(
+      (category, index) => `"${category}" (${questionIds[index].join(', ')})`
+    );
+    warnings.push({
+      questionId: null,
+      field: 'category',
+      reason: `${first} and ${second} look like spellings of the same category`,
+    });
+  });
+
+  return {
+    errors,
+    warnings,
+    stats: {
+      total: questions.length,
+      byCategory: countBy(questions, 'category', 'Uncategorized'),
+      byType: countBy(questions, 'type', 'single'),
+    },
+  };
+}
@@ -0,0 +1,165 @@
+import {
+  countBy,
+  findCategoryVariants,
+  findNearDuplicates,
+  lintQuestionBank,
+  textSimilarity,
+} from './questionLint';
+
+/**
+ * Build a valid single choice question
+ */
+const makeQuestion = (id, overrides = {}) => ({
+  id,
+  category: 'Speed limits',
+  type: 'single',
+  text: `Question number ${id}`,
+  options: [
+    { id: 'a', text: 'A' },
+    { id: 'b', text: 'B' },
+  ],
+  correct: 'a',
+  ...overrides,
+});
+
+describe('questionLint', () => {
+  test('measures word overlap between texts', () => {
+    expect(textSimilarity('Stop at the line', 'stop at the LINE!')).toBe(1);
+    expect(textSimilarity('Stop at the line', 'Give way')).toBe(0);
+    expect(textSimilarity('a b c d', 'a b c e')).toBeCloseTo(3 / 5);
+  });
+
+  test('finds near-duplicate question texts', () => {
+    const questions = [
+      makeQuestion(1, { text: 'What is the speed limit inside built-up areas for cars?' }),
+      makeQuestion(2, {
+        text: 'What is the speed limit inside built-up areas for passenger cars?',
+      }),
+      makeQuestion(3, { text: 'When must you use dipped headlights?' }),
+    ];
+
+    const pairs = findNearDuplicates(questions);
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].first.id).toBe(1);
+    expect(pairs[0].second.id).toBe(2);
+  });
+
+  test('allows the same text on questions with different images', () => {
+    const questions = [
+      makeQuestion(1, { type: 'image', text: 'What does this sign mean?', image: 'stop.png' }),
+      makeQuestion(2, { type: 'image', text: 'What does this sign mean?', image: 'yield.png' }),
+      makeQuestion(3, { type: 'image', text: 'What does this sign mean?', image: 'stop.png' }),
+    ];
+
+    expect(findNearDuplicates(questions).map(pair => [pair.first.id, pair.second.id])).toEqual([
+      [1, 3],
+    ]);
+  });
+
+  test('compares sign questions by the sign they show', () => {
+    const signs = [
+      { code: 'B01', name: 'Give way', file: 'signs/B01.svg', licence: 'CC0-1.0', author: 'Me' },
+      { code: 'B02', name: 'Stop', file: 'signs/B02.svg', licence: 'CC0-1.0', author: 'Me' },
+    ];
+    const signQuestion = (id, sign) =>
+      makeQuestion(id, { type: 'image', text: 'What does this sign mean?', sign });
+
+    const { errors, warnings } = lintQuestionBank({
+      signs,
+      questions: [signQuestion(1, 'B01'), signQuestion(2, 'B02'), signQuestion(3, 'B01')],
+    });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      { questionId: 3, field: 'text', reason: 'is 100% similar to question 1' },
+    ]);
+  });
+
+  test.each([
+    ['Seat belts', 'Seat belt rules', true],
+    ['Fog lights', 'Lights - fog', true],
+    ['Traffic Lights', 'traffic lights', true],
+    ['Parking', 'Parking - tickets', false],
+    ['Lights', 'Traffic lights', false],
+    ['Tram lines', 'Tram tracks', false],
+  ])('"%s" and "%s" are variants: %s', (first, second, expected) => {
+    const questions = [makeQuestion(1, { category: first }), makeQuestion(2, { category: second })];
+
+    expect(findCategoryVariants(questions).length > 0).toBe(expected);
+  });
+
+  test('reports the questions using each category variant', () => {
+    const questions = [
+      makeQuestion(1, { category: 'Seat belts' }),
+      makeQuestion(2, { category: 'Seat belt rules' }),
+      makeQuestion(3, { category: 'Seat belts' }),
+    ];
+
+    expect(findCategoryVariants(questions)).toEqual([
+      { categories: ['Seat belts', 'Seat belt rules'], questionIds: [[1, 3], [2]] },
+    ]);
+  });
+
+  test('counts questions by field, largest group first', () => {
+    const questions = [
+      makeQuestion(1, { type: 'image' }),
+      makeQuestion(2),
+      makeQuestion(3, { type: undefined }),
+    ];
+
+    expect(countBy(questions, 'type', 'single')).toEqual({ single: 2, image: 1 });
+  });
+
+  test('checks the question count declared in meta', () => {
+    const data = {
+      meta: { total_questions_in_bank: 80 },
+      questions: [makeQuestion(1), makeQuestion(2)],
+    };
+
+    expect(lintQuestionBank(data).errors).toEqual([
+      {
+        questionId: null,
+        field: 'meta.total_questions_in_bank',
+        reason: 'declares 80 questions but the bank has 2',
+      },
+    ]);
+    expect(lintQuestionBank({ ...data, meta: { total_questions_in_bank: 2 } }).errors).toEqual([]);
+  });
+
+  test('checks the grading policy declared in meta', () => {
+    const data = { meta: { grading_policy: 'generous' }, questions: [makeQuestion(1)] };
+
+    expect(lintQuestionBank(data).errors).toEqual([
+      {
+        questionId: null,
+        field: 'meta.grading_policy',
+        reason: '"generous" is not one of all-or-nothing, drpciv, proportional',
+      },
+    ]);
+    expect(lintQuestionBank({ ...data, meta: { grading_policy: 'drpciv' } }).errors).toEqual([]);
+  });
+
+  test('combines schema errors, warnings and statistics', () => {
+    const report = lintQuestionBank({
+      questions: [
+        makeQuestion(1, { category: 'Seat belts' }),
+        makeQuestion(1, { category: 'Seat belt rules', correct: 'c' }),
+        makeQuestion(3, { type: 'multiple', correct: ['a'], text: 'Question number 1' }),
+      ],
+    });
+
+    expect(report.errors.map(error => error.field)).toEqual(['correct', 'id']);
+    expect(report.warnings.map(warning => warning.field)).toEqual([
+      'text',
+      'text',
+      'text',
+      'category',
+    ]);
+    expect(report.stats).toEqual({
+      total: 3,
+      byCategory: { 'Seat belt rules': 1, 'Seat belts': 1, 'Speed limits': 1 },
+      byType: { single: 2, multiple: 1 },
+    });
+  });
+});
@@ -0,0 +1,536 @@
+/**
+ * Question bank schema
+ * Pure validation of the parsed questions.yaml. Every problem is reported as a structured
+ * error so it can be shown in the app during development or printed by a Node script.
+ */
+
+import {
+  LIGHT_STATES,
+  SCENE_ARMS,
+  SCENE_LAYOUTS,
+  SCENE_TRACKS,
+  VEHICLE_TURNS,
+  VEHICLE_TYPES,
+  getSceneSignCodes,
+} from './scene.js';
+
+/** Question types the quiz knows how to render */
+export const QUESTION_TYPES = [
+  'single',
+  'multiple',
+  'image',
+  'ordering',
+  'true-false',
+  'hotspot',
+  'numeric',
+];
+
+/** Question types answered without listed options */
+const TYPES_WITHOUT_OPTIONS = ['true-false', 'numeric'];
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {number|string|null} questionId - ID of the question (or `#<position>` when the ID is unusable, null for bank-level errors)
+ * @property {string} field - Path of the offending field, e.g. `correct` or `translations.ro.options`
+ * @property {string} reason - Human readable description of the problem
+ */
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+const isPercentage = value => Number.isFinite(value) && value >= 0 && value <= 100;
+
+/**
+ * Validate the region a hotspot option covers
+ * @param {Object} area - `area` of the option
+ * @param {string} field - Path of the field
+ * @param {Function} report - Callback receiving (field, reason)
+ */
+function validateArea(area, field, report) {
+  if (!area || typeof area !== 'object') {
+    report(field, 'is required for hotspot options');
+    return;
+  }
+  if (!['x', 'y', 'width', 'height'].every(key => isPercentage(area[key]))) {
+    report(field, 'must give x, y, width and height as percentages of the image');
+  } else if (area.x + area.width > 100 || area.y + area.height > 100) {
+    report(field, 'must lie within the image');
+  }
+}
+
+/**
+ * Validate the intersection scene of a question
+ * @param {Object} scene - `scene` block of the question
+ * @param {Function} report - Callback receiving (field, reason)
+ */
+function validateScene(scene, report) {
+  if (!scene || typeof scene !== 'object' || Array.isArray(scene)) {
+    report('scene', 'must be an object');
+    return;
+  }
+
+  const checkEnum = (value, allowed, field) => {
+    if (!allowed.includes(value)) report(field, `must be one of ${allowed.join(', ')}`);
+  };
+  if (scene.layout !== undefined) checkEnum(scene.layout, SCENE_LAYOUTS, 'scene.layout');
+  if (scene.tracks !== undefined) checkEnum(scene.tracks, SCENE_TRACKS, 'scene.tracks');
+
+  if (scene.arms !== undefined) {
+    if (!Array.isArray(scene.arms) || scene.arms.length < 3) {
+      report('scene.arms', 'must list at least three arms');
+    } else {
+      scene.arms.forEach((arm, index) => checkEnum(arm, SCENE_ARMS, `scene.arms[${index}]`));
+    }
+  }
+  const arms = Array.isArray(scene.arms) ? scene.arms : SCENE_ARMS;
+
+  // Vehicles, signs and lights all stand on an arm of the junction
+  const validateList = (key, validateItem) => {
+    if (scene[key] === undefined) return;
+    if (!Array.isArray(scene[key])) {
+      report(`scene.${key}`, 'must be a list');
+      return;
+    }
+    scene[key].forEach((item, index) => {
+      const path = `scene.${key}[${index}]`;
+      if (!item || typeof item !== 'object') {
+        report(path, 'must be an object');
+      } else if (!arms.includes(item.arm)) {
+        report(`${path}.arm`, `must be one of ${arms.join(', ')}`);
+      } else {
+        validateItem(item, path);
+      }
+    });
+  };
+
+  validateList('vehicles', (vehicle, path) => {
+    if (vehicle.type !== undefined) checkEnum(vehicle.type, VEHICLE_TYPES, `${path}.type`);
+    if (vehicle.turn !== undefined) checkEnum(vehicle.turn, VEHICLE_TURNS, `${path}.turn`);
+    if (vehicle.label !== undefined && !isNonEmptyString(String(vehicle.label))) {
+      report(`${path}.label`, 'must be a non-empty string');
+    }
+  });
+  validateList('signs', (sign, path) => {
+    if (!isNonEmptyString(sign.code)) report(`${path}.code`, 'must be a sign code');
+  });
+  validateList('lights', (light, path) => checkEnum(light.state, LIGHT_STATES, `${path}.state`));
+}
+
+/**
+ * Validate the answer of a question without listed options
+ * @param {Object} question - Question object
+ * @param {string} type - `true-false` or `numeric`
+ * @param {Function} report - Callback receiving (field, reason)
+ */
+function validateValueAnswer(question, type, report) {
+  const { correct, tolerance, unit } = question;
+
+  if (question.options !== undefined) {
+    report('options', `are not used by ${type} questions`);
+  }
+
+  if (type === 'true-false') {
+    if (typeof correct !== 'boolean') report('correct', 'must be true or false');
+    return;
+  }
+
+  if (!Number.isFinite(correct)) {
+    report('correct', 'must be a number for numeric questions');
+  }
+  if (tolerance !== undefined && !(Number.isFinite(tolerance) && tolerance >= 0)) {
+    report('tolerance', 'must be a number of at least 0');
+  }
+  if (unit !== undefined && !isNonEmptyString(unit)) {
+    report('unit', 'must be a non-empty string');
+  }
+}
+
+/**
+ * Validate the options and correct answer of a question
+ * @param {Object} question - Question object
+ * @param {string} type - Question type
+ * @param {Function} report - Callback receiving (field, reason)
+ */
+function validateAnswers(question, type, report) {
+  const { options, correct } = question;
+
+  if (TYPES_WITHOUT_OPTIONS.includes(type)) {
+    validateValueAnswer(question, type, report);
+    return;
+  }
+
+  if (!Array.isArray(options)) {
+    report('options', 'must be a list of answer options');
+    return;
+  }
+  if (options.length === 0) {
+    report('options', 'must contain at least one option');
+  }
+
+  const ids = [];
+  const texts = [];
+  options.forEach((option, index) => {
+    if (!option || typeof option !== 'object' || Array.isArray(option)) {
+      report(`options[${index}]`, 'must be an object with an id and a text');
+      return;
+    }
+    if (!isNonEmptyString(option.id)) {
+      report(`options[${index}].id`, 'must be a non-empty string');
+    } else if (ids.includes(option.id)) {
+      report(`options[${index}].id`, `duplicates option id "${option.id}"`);
+    } else {
+      ids.push(option.id);
+    }
+    if (!isNonEmptyString(option.text)) {
+      report(`options[${index}].text`, 'must be a non-empty string');
+    } else if (texts.includes(option.text)) {
+      report(`options[${index}].text`, `duplicates option "${option.text}"`);
+    } else {
+      texts.push(option.text);
+    }
+    if (type === 'hotspot') {
+      validateArea(option.area, `options[${index}].area`, report);
+    }
+  });
+
+  if (type === 'ordering') {
+    if (options.length < 2) {
+      report('options', 'must contain at least two options for ordering questions');
+    }
+    const isPermutation =
+      Array.isArray(correct) &&
+      correct.length === ids.length &&
+      ids.every(id => correct.includes(id));
+    if (!isPermutation) {
+      report('correct', 'must list every option id once, in the right order');
+    }
+    return;
+  }
+
+  if (type === 'multiple') {
+    if (!Array.isArray(correct) || correct.length === 0) {
+      report('correct', 'must be a non-empty list of option ids for multiple choice questions');
+      return;
+    }
+    correct.forEach((answer, index) => {
+      if (!ids.includes(answer)) {
+        report(`correct[${index}]`, `"${answer}" is not an option id`);
+      } else if (correct.indexOf(answer) !== index) {
+        report(`correct[${index}]`, `lists "${answer}" more than once`);
+      }
+    });
+    return;
+  }
+
+  if (Array.isArray(correct)) {
+    report('correct', `must be a single option id for ${type} questions`);
+  } else if (!isNonEmptyString(correct)) {
+    report('correct', 'is required');
+  } else if (!ids.includes(correct)) {
+    report('correct', `"${correct}" is not an option id`);
+  }
+}
+
+/**
+ * Validate the `translations` block of a question
+ * @param {Object} question - Question object
+ * @param {Function} report - Callback receiving (field, reason)
+ */
+function validateTranslations(question, report) {
+  const { translations } = question;
+  if (translations === undefined) return;
+
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    report('translations', 'must map language codes to translated fields');
+    return;
+  }
+
+  const ids = Array.isArray(question.options)
+    ? question.options.map(option => option?.id).filter(isNonEmptyString)
+    : [];
+
+  Object.entries(translations).forEach(([language, translation]) => {
+    const prefix = `translations.${language}.`;
+    if (!translation || typeof translation !== 'object') {
+      report(`translations.${language}`, 'must be an object');
+      return;
+    }
+    if (!isNonEmptyString(translation.text)) {
+      report(`${prefix}text`, 'is required');
+    }
+    if (translation.explanation !== undefined && !isNonEmptyString(translation.explanation)) {
+      report(`${prefix}explanation`, 'must be a non-empty string');
+    }
+    // The correct answer is an option id, the same in every language
+    if (translation.correct !== undefined) {
+      report(`${prefix}correct`, 'is not used: the correct answer is given by option id');
+    }
+
+    // Translated option texts are keyed by option id
+    const { options } = translation;
+    if (options === undefined) return;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      report(`${prefix}options`, 'must map option ids to translated texts');
+      return;
+    }
+    ids.forEach(id => {
+      if (options[id] === undefined) {
+        report(`${prefix}options`, `is missing option "${id}"`);
+      }
+    });
+    Object.entries(options).forEach(([id, text]) => {
+      if (!ids.includes(id)) {
+        report(`${prefix}options.${id}`, `"${id}" is not an option id`);
+      } else if (!isNonEmptyString(text)) {
+        report(`${prefix}options.${id}`, 'must be a non-empty string');
+      }
+    });
+  });
+}
+
+/**
+ * Validate a single question
+ * @param {Object} question - Question object from questions.yaml
+ * @param {number} [position=0] - Position of the question in the bank, used when the ID is unusable
+ * @returns {ValidationError[]} Problems found in the question
+ */
+export function validateQuestion(question, position = 0) {
+  const errors = [];
+  const hasValidId = Number.isInteger(question?.id) && question.id > 0;
+  const questionId = hasValidId ? question.id : `#${position + 1}`;
+  const report = (field, reason) => errors.push({ questionId, field, reason });
+
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    report('question', 'must be an object');
+    return errors;
+  }
+
+  if (!hasValidId) {
+    report('id', 'must be a positive integer');
+  }
+
+  const type = question.type ?? 'single';
+  if (!QUESTION_TYPES.includes(type)) {
+    report('type', `must be one of ${QUESTION_TYPES.join(', ')}`);
+  }
+
+  if (!isNonEmptyString(question.text)) {
+    report('text', 'is required');
+  }
+  if (question.category !== undefined && !isNonEmptyString(question.category)) {
+    report('category', 'must be a non-empty string');
+  }
+  if (question.explanation !== undefined && !isNonEmptyString(question.explanation)) {
+    report('explanation', 'must be a non-empty string');
+  }
+
+  if (question.sign !== undefined && !isNonEmptyString(question.sign)) {
+    report('sign', 'must be a sign code');
+  } else if (question.sign !== undefined && question.image !== undefined) {
+    report('sign', 'cannot be combined with image');
+  }
+  if (question.scene !== undefined) {
+    validateScene(question.scene, report);
+    if (question.image !== undefined || question.sign !== undefined) {
+      report('scene', 'cannot be combined with image or sign');
+    }
+  }
+  const needsImage = type === 'image' || type === 'hotspot';
+  const hasPicture = [question.image, question.sign].some(isNonEmptyString) || question.scene;
+  if (needsImage && !hasPicture) {
+    report('image', `is required for ${type} questions (or a sign code or scene)`);
+  } else if (question.image !== undefined && !isNonEmptyString(question.image)) {
+    report('image', 'must be a non-empty string');
+  }
+
+  validateAnswers(question, type, report);
+  validateTranslations(question, report);
+
+  return errors;
+}
+
+/**
+ * Validate the `topics` hierarchy of the bank
+ * @param {Object[]} topics - Parsed `topics` block
+ * @returns {{errors: ValidationError[], keys: Set<string>}} Problems found and every declared key
+ */
+function validateTopics(topics) {
+  const errors = [];
+  const keys = new Set();
+  const report = (field, reason) => errors.push({ questionId: null, field, reason });
+
+  if (!Array.isArray(topics)) {
+    report('topics', 'must be a list of topics');
+    return { errors, keys };
+  }
+
+  const validateEntry = (entry, path) => {
+    if (!entry || typeof entry !== 'object') {
+      report(path, 'must be an object');
+      return;
+    }
+    if (!isNonEmptyString(entry.key)) {
+      report(`${path}.key`, 'is required');
+    } else if (keys.has(entry.key)) {
+      report(`${path}.key`, `duplicates topic key "${entry.key}"`);
+    } else {
+      keys.add(entry.key);
+    }
+    if (!isNonEmptyString(entry.name)) {
+      report(`${path}.name`, 'is required');
+    }
+  };
+
+  topics.forEach((topic, index) => {
+    validateEntry(topic, `topics[${index}]`);
+    if (topic?.subtopics === undefined) return;
+    if (!Array.isArray(topic.subtopics)) {
+      report(`topics[${index}].subtopics`, 'must be a list of subtopics');
+      return;
+    }
+    topic.subtopics.forEach((subtopic, subIndex) =>
+      validateEntry(subtopic, `topics[${index}].subtopics[${subIndex}]`)
+    );
+  });
+
+  return { errors, keys };
+}
+
+/**
+ * Validate the `signs` catalogue of the bank
+ * @param {Object[]} signs - Parsed `signs` block
+ * @returns {{errors: ValidationError[], codes: Set<string>}} Problems found and every declared code
+ */
+function validateSigns(signs) {
+  const errors = [];
+  const codes = new Set();
+  const report = (field, reason) => errors.push({ questionId: null, field, reason });
+
+  if (!Array.isArray(signs)) {
+    report('signs', 'must be a list of signs');
+    return { errors, codes };
+  }
+
+  signs.forEach((sign, index) => {
+    const path = `signs[${index}]`;
+    if (!sign || typeof sign !== 'object') {
+      report(path, 'must be an object');
+      return;
+    }
+    if (!isNonEmptyString(sign.code)) {
+      report(`${path}.code`, 'is required');
+    } else if (codes.has(sign.code)) {
+      report(`${path}.code`, `duplicates sign code "${sign.code}"`);
+    } else {
+      codes.add(sign.code);
+    }
+    // Self-hosted images must say under which terms they are shipped
+    ['name', 'file', 'licence', 'author'].forEach(field => {
+      if (!isNonEmptyString(sign[field])) report(`${path}.${field}`, 'is required');
+    });
+  });
+
+  return { errors, codes };
+}
+
+/**
+ * Validate a parsed questions.yaml document
+ * @param {Object} data - Parsed YAML document
+ * @returns {ValidationError[]} Problems found in the bank, empty when it is valid
+ */
+export function validateQuestionBank(data) {
+  if (!data || !Array.isArray(data.questions)) {
+    return [{ questionId: null, field: 'questions', reason: 'must be a list of questions' }];
+  }
+  if (data.questions.length === 0) {
+    return [{ questionId: null, field: 'questions', reason: 'must contain at least one question' }];
+  }
+
+  const errors = data.questions.flatMap((question, position) =>
+    validateQuestion(question, position)
+  );
+
+  // Questions reference the topic hierarchy by key once the bank declares one
+  if (data.topics !== undefined) {
+    const { errors: topicErrors, keys } = validateTopics(data.topics);
+    errors.push(...topicErrors);
+
+    data.questions.forEach((question, position) => {
+      if (!question || typeof question !== 'object') return;
+      const questionId =
+        Number.isInteger(question.id) && question.id > 0 ? question.id : `#${position + 1}`;
+      if (!isNonEmptyString(question.topic)) {
+        errors.push({
+          questionId,
+          field: 'topic',
+          reason: 'is required when the bank declares topics',
+        });
+      } else if (!keys.has(question.topic)) {
+        errors.push({
+          questionId,
+          field: 'topic',
+          reason: `"${question.topic}" is not a declared topic`,
+        });
+      }
+    });
+  }
+
+  const { errors: signErrors, codes } =
+    data.signs !== undefined ? validateSigns(data.signs) : { errors: [], codes: new Set() };
+  errors.push(...signErrors);
+  data.questions.forEach((question, position) => {
+    if (!question || typeof question !== 'object') return;
+    const questionId =
+      Number.isInteger(question.id) && question.id > 0 ? question.id : `#${position + 1}`;
+    if (isNonEmptyString(question.sign) && !codes.has(question.sign)) {
+      errors.push({
+        questionId,
+        field: 'sign',
+        reason: `"${question.sign}" is not a declared sign`,
+      });
+    }
+    // Signs drawn in a scene come from the same catalogue
+    getSceneSignCodes(question.scene)
+      .filter(code => !codes.has(code))
+      .forEach(code =>
+        errors.push({
+          questionId,
+          field: 'scene.signs',
+          reason: `"${code}" is not a declared sign`,
+        })
+      );
+  });
+
+  const firstPositions = new Map();
+  data.questions.forEach((question, position) => {
+    if (!Number.isInteger(question?.id)) return;
+    if (firstPositions.has(question.id)) {
+      errors.push({
+        questionId: question.id,
+        field: 'id',
+        reason: `duplicates the ID of question #${firstPositions.get(question.id) + 1}`,
+      });
+    } else {
+      firstPositions.set(question.id, position);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Count the questions affected by a list of validation errors
+ * @param {ValidationError[]} errors - Validation errors
+ * @returns {number} Number of distinct questions with at least one error
+ */
+export const countInvalidQuestions = errors =>
+  new Set(errors.filter(error => error.questionId !== null).map(error => error.questionId)).size;
+
+/**
+ * Format a validation error as a single line
+ * @param {ValidationError} error - Validation error
+ * @returns {string} Readable description, e.g. `Question 12 › correct: "Stop" does not match any option`
+ */
+export function formatValidationError({ questionId, field, reason }) {
+  const location = questionId === null ? field : `Question ${questionId} › ${field}`;
+  return `${location}: ${reason}`;
+}
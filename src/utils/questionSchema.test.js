@@ -0,0 +1,423 @@
+import {
+  countInvalidQuestions,
+  formatValidationError,
+  validateQuestion,
+  validateQuestionBank,
+} from './questionSchema';
+
+const singleQuestion = {
+  id: 1,
+  category: 'Speed limits',
+  type: 'single',
+  text: 'What is the urban speed limit?',
+  options: [
+    { id: 'a', text: '50 km/h' },
+    { id: 'b', text: '70 km/h' },
+  ],
+  correct: 'a',
+  explanation: 'Default urban speed.',
+};
+
+const multipleQuestion = {
+  id: 2,
+  category: 'Equipment',
+  type: 'multiple',
+  text: 'Which items are mandatory?',
+  options: [
+    { id: 'triangle', text: 'Warning triangle' },
+    { id: 'vest', text: 'Reflective vest' },
+    { id: 'bulbs', text: 'Spare bulbs' },
+  ],
+  correct: ['triangle', 'vest'],
+};
+
+const imageQuestion = {
+  id: 3,
+  category: 'Road signs',
+  type: 'image',
+  text: 'What does this sign mean?',
+  image: 'https://example.com/stop.png',
+  options: [
+    { id: 'stop', text: 'Stop' },
+    { id: 'yield', text: 'Give way' },
+  ],
+  correct: 'stop',
+};
+
+const orderingQuestion = {
+  id: 4,
+  type: 'ordering',
+  text: 'In which order do the vehicles pass?',
+  options: [
+    { id: 'tram', text: 'Tram' },
+    { id: 'car', text: 'Car' },
+  ],
+  correct: ['tram', 'car'],
+};
+
+const trueFalseQuestion = {
+  id: 5,
+  type: 'true-false',
+  text: 'You may overtake on a pedestrian crossing.',
+  correct: false,
+};
+
+const hotspotQuestion = {
+  id: 6,
+  type: 'hotspot',
+  text: 'Click the vehicle that passes first.',
+  image: 'intersection.svg',
+  options: [
+    { id: 'left', text: 'Left car', area: { x: 0, y: 40, width: 30, height: 20 } },
+    { id: 'right', text: 'Right car', area: { x: 70, y: 40, width: 30, height: 20 } },
+  ],
+  correct: 'right',
+};
+
+const numericQuestion = {
+  id: 7,
+  type: 'numeric',
+  text: 'What is the blood alcohol limit?',
+  correct: 0,
+  tolerance: 0,
+  unit: 'g/l',
+};
+
+/**
+ * Validate a variant of a question and return the fields reported as invalid
+ */
+const invalidFields = question => validateQuestion(question).map(error => error.field);
+
+describe('questionSchema', () => {
+  test('accepts valid questions of every type', () => {
+    expect(
+      validateQuestionBank({
+        questions: [
+          singleQuestion,
+          multipleQuestion,
+          imageQuestion,
+          orderingQuestion,
+          trueFalseQuestion,
+          hotspotQuestion,
+          numericQuestion,
+        ],
+      })
+    ).toEqual([]);
+  });
+
+  test('treats a question without type as single choice', () => {
+    const { type: _type, ...untyped } = singleQuestion;
+    expect(validateQuestion(untyped)).toEqual([]);
+  });
+
+  test.each([
+    ['a missing id', { ...singleQuestion, id: undefined }, 'id'],
+    ['a non-numeric id', { ...singleQuestion, id: 'one' }, 'id'],
+    ['an unknown type', { ...singleQuestion, type: 'essay' }, 'type'],
+    ['missing text', { ...singleQuestion, text: '  ' }, 'text'],
+    ['an empty category', { ...singleQuestion, category: '' }, 'category'],
+    ['missing options', { ...singleQuestion, options: undefined }, 'options'],
+    ['no options', { ...singleQuestion, options: [] }, 'options'],
+    ['a plain string option', { ...singleQuestion, options: ['50 km/h'] }, 'options[0]'],
+    [
+      'an option without id',
+      { ...singleQuestion, options: [{ text: '50 km/h' }] },
+      'options[0].id',
+    ],
+    [
+      'a duplicate option id',
+      { ...singleQuestion, options: [...singleQuestion.options, { id: 'a', text: '90 km/h' }] },
+      'options[2].id',
+    ],
+    [
+      'an empty option text',
+      { ...singleQuestion, options: [{ id: 'a', text: '' }] },
+      'options[0].text',
+    ],
+    [
+      'a duplicate option text',
+      { ...singleQuestion, options: [...singleQuestion.options, { id: 'c', text: '50 km/h' }] },
+      'options[2].text',
+    ],
+    ['a missing answer', { ...singleQuestion, correct: undefined }, 'correct'],
+    ['an answer that matches no option id', { ...singleQuestion, correct: '50 km/h' }, 'correct'],
+    ['a list answer on a single question', { ...singleQuestion, correct: ['a'] }, 'correct'],
+    ['a string answer on a multiple question', { ...multipleQuestion, correct: 'vest' }, 'correct'],
+    ['an empty answer list', { ...multipleQuestion, correct: [] }, 'correct'],
+    [
+      'an unknown multiple answer',
+      { ...multipleQuestion, correct: ['triangle', 'jack'] },
+      'correct[1]',
+    ],
+    ['an image question without image', { ...imageQuestion, image: undefined }, 'image'],
+  ])('reports %s', (_description, question, field) => {
+    expect(invalidFields(question)).toContain(field);
+  });
+
+  test('requires every option once in the correct order of ordering questions', () => {
+    expect(invalidFields({ ...orderingQuestion, correct: ['tram'] })).toEqual(['correct']);
+    expect(invalidFields({ ...orderingQuestion, correct: ['tram', 'tram'] })).toEqual(['correct']);
+    expect(invalidFields({ ...orderingQuestion, correct: 'tram' })).toEqual(['correct']);
+    expect(
+      invalidFields({ ...orderingQuestion, options: orderingQuestion.options.slice(0, 1) })
+    ).toEqual(['options', 'correct']);
+  });
+
+  test('validates the answer of true/false and numeric questions', () => {
+    expect(invalidFields({ ...trueFalseQuestion, correct: 'false' })).toEqual(['correct']);
+    expect(invalidFields({ ...trueFalseQuestion, options: singleQuestion.options })).toEqual([
+      'options',
+    ]);
+    expect(invalidFields({ ...numericQuestion, correct: '0.2' })).toEqual(['correct']);
+    expect(invalidFields({ ...numericQuestion, tolerance: -1, unit: '' })).toEqual([
+      'tolerance',
+      'unit',
+    ]);
+    expect(validateQuestion({ ...numericQuestion, options: [] })[0].reason).toBe(
+      'are not used by numeric questions'
+    );
+  });
+
+  test('requires an image and option regions for hotspot questions', () => {
+    const { image: _image, ...withoutImage } = hotspotQuestion;
+    const [left, right] = hotspotQuestion.options;
+
+    expect(invalidFields(withoutImage)).toEqual(['image']);
+    expect(
+      invalidFields({ ...hotspotQuestion, options: [{ id: 'left', text: 'Left' }, right] })
+    ).toEqual(['options[0].area']);
+    expect(
+      validateQuestion({
+        ...hotspotQuestion,
+        options: [left, { ...right, area: { ...right.area, x: 80 } }],
+      })
+    ).toEqual([{ questionId: 6, field: 'options[1].area', reason: 'must lie within the image' }]);
+    expect(
+      validateQuestion({ ...hotspotQuestion, options: [{ ...left, area: { x: 10 } }, right] })[0]
+    ).toMatchObject({
+      reason: 'must give x, y, width and height as percentages of the image',
+    });
+  });
+
+  test('accepts an intersection scene instead of an image', () => {
+    const { image: _image, ...withoutImage } = hotspotQuestion;
+    const scene = {
+      layout: 'crossroads',
+      arms: ['north', 'east', 'south'],
+      vehicles: [{ arm: 'south', turn: 'left', type: 'tram' }],
+      signs: [{ arm: 'east', code: 'B01' }],
+      lights: [{ arm: 'north', state: 'green' }],
+    };
+
+    expect(invalidFields({ ...withoutImage, scene })).toEqual([]);
+    expect(invalidFields({ ...hotspotQuestion, scene })).toEqual(['scene']);
+    expect(
+      validateQuestion({
+        ...withoutImage,
+        scene: {
+          layout: 'motorway',
+          arms: ['north', 'south'],
+          vehicles: [{ arm: 'west', type: 'bus' }],
+          lights: [{ arm: 'south', state: 'blue' }],
+          signs: {},
+        },
+      })
+    ).toEqual([
+      {
+        questionId: 6,
+        field: 'scene.layout',
+        reason: 'must be one of crossroads, roundabout',
+      },
+      { questionId: 6, field: 'scene.arms', reason: 'must list at least three arms' },
+      { questionId: 6, field: 'scene.vehicles[0].arm', reason: 'must be one of north, south' },
+      { questionId: 6, field: 'scene.signs', reason: 'must be a list' },
+      {
+        questionId: 6,
+        field: 'scene.lights[0].state',
+        reason: 'must be one of red, yellow, green, off',
+      },
+    ]);
+    expect(invalidFields({ ...withoutImage, scene: 'crossroads' })).toEqual(['scene']);
+  });
+
+  test('checks scene signs against the sign catalogue', () => {
+    const { image: _image, ...withoutImage } = hotspotQuestion;
+    const question = { ...withoutImage, scene: { signs: [{ arm: 'east', code: 'B01' }] } };
+
+    expect(validateQuestionBank({ questions: [question] })).toEqual([
+      { questionId: 6, field: 'scene.signs', reason: '"B01" is not a declared sign' },
+    ]);
+  });
+
+  test('reports the question id, field and reason', () => {
+    expect(validateQuestion({ ...singleQuestion, id: 7, correct: 'c' })).toEqual([
+      { questionId: 7, field: 'correct', reason: '"c" is not an option id' },
+    ]);
+  });
+
+  test('identifies questions without a usable id by position', () => {
+    const [error] = validateQuestionBank({
+      questions: [singleQuestion, { ...singleQuestion, id: null }],
+    });
+
+    expect(error).toMatchObject({ questionId: '#2', field: 'id' });
+  });
+
+  test('reports duplicate ids', () => {
+    const errors = validateQuestionBank({
+      questions: [singleQuestion, { ...multipleQuestion, id: 1 }],
+    });
+
+    expect(errors).toEqual([
+      { questionId: 1, field: 'id', reason: 'duplicates the ID of question #1' },
+    ]);
+  });
+
+  test('validates translations against the original question', () => {
+    const translated = {
+      ...singleQuestion,
+      translations: {
+        ro: {
+          text: 'Care este limita de viteză în localitate?',
+          options: { a: '50 km/h', c: '90 km/h' },
+          correct: 'a',
+        },
+      },
+    };
+
+    expect(validateQuestion(translated)).toEqual([
+      {
+        questionId: 1,
+        field: 'translations.ro.correct',
+        reason: 'is not used: the correct answer is given by option id',
+      },
+      { questionId: 1, field: 'translations.ro.options', reason: 'is missing option "b"' },
+      { questionId: 1, field: 'translations.ro.options.c', reason: '"c" is not an option id' },
+    ]);
+    expect(
+      invalidFields({ ...singleQuestion, translations: { ro: { options: ['a', 'b'] } } })
+    ).toEqual(['translations.ro.text', 'translations.ro.options']);
+    expect(
+      invalidFields({
+        ...singleQuestion,
+        translations: { ro: { text: 'Limita?', options: { a: '50 km/h', b: '70 km/h' } } },
+      })
+    ).toEqual([]);
+  });
+
+  test('reports a bank without questions', () => {
+    expect(validateQuestionBank({})).toEqual([
+      { questionId: null, field: 'questions', reason: 'must be a list of questions' },
+    ]);
+    expect(validateQuestionBank({ questions: [] })[0].field).toBe('questions');
+  });
+
+  test('counts distinct invalid questions', () => {
+    const errors = validateQuestionBank({
+      questions: [{ id: 1, text: 'Question 1' }, { id: 2, options: [] }, singleQuestion],
+    });
+
+    expect(errors.length).toBeGreaterThan(2);
+    expect(countInvalidQuestions(errors)).toBe(2);
+  });
+
+  test('formats errors as readable lines', () => {
+    expect(formatValidationError({ questionId: 12, field: 'image', reason: 'is required' })).toBe(
+      'Question 12 › image: is required'
+    );
+    expect(
+      formatValidationError({ questionId: null, field: 'questions', reason: 'is empty' })
+    ).toBe('questions: is empty');
+  });
+
+  test('checks questions against the declared topics', () => {
+    const topics = [
+      { key: 'speed', name: 'Speed', subtopics: [{ key: 'speed-limits', name: 'Speed limits' }] },
+    ];
+
+    expect(
+      validateQuestionBank({ topics, questions: [{ ...singleQuestion, topic: 'speed-limits' }] })
+    ).toEqual([]);
+    expect(
+      validateQuestionBank({
+        topics,
+        questions: [
+          { ...singleQuestion, topic: 'speed' },
+          { ...multipleQuestion, topic: 'parking' },
+          imageQuestion,
+        ],
+      })
+    ).toEqual([
+      { questionId: 2, field: 'topic', reason: '"parking" is not a declared topic' },
+      { questionId: 3, field: 'topic', reason: 'is required when the bank declares topics' },
+    ]);
+  });
+
+  test('reports malformed topics', () => {
+    const topics = [
+      { key: 'speed', name: 'Speed', subtopics: [{ key: 'speed', name: '' }] },
+      { name: 'Signs', subtopics: 'none' },
+    ];
+
+    expect(
+      validateQuestionBank({ topics, questions: [{ ...singleQuestion, topic: 'speed' }] })
+    ).toEqual([
+      {
+        questionId: null,
+        field: 'topics[0].subtopics[0].key',
+        reason: 'duplicates topic key "speed"',
+      },
+      { questionId: null, field: 'topics[0].subtopics[0].name', reason: 'is required' },
+      { questionId: null, field: 'topics[1].key', reason: 'is required' },
+      { questionId: null, field: 'topics[1].subtopics', reason: 'must be a list of subtopics' },
+    ]);
+  });
+
+  test('accepts a sign code instead of an image URL', () => {
+    const { image: _image, ...signQuestion } = { ...imageQuestion, sign: 'B02' };
+
+    expect(invalidFields(signQuestion)).toEqual([]);
+    expect(invalidFields({ ...signQuestion, sign: '' })).toEqual(['sign', 'image']);
+    expect(invalidFields({ ...imageQuestion, sign: 'B02' })).toEqual(['sign']);
+    expect(invalidFields({ ...signQuestion, sign: undefined })).toEqual(['image']);
+  });
+
+  test('checks sign codes against the sign catalogue', () => {
+    const { image: _image, ...signQuestion } = { ...imageQuestion, sign: 'B02' };
+    const signs = [
+      {
+        code: 'B02',
+        name: 'Stop',
+        file: 'signs/B02.svg',
+        licence: 'CC0-1.0',
+        author: 'Contributors',
+      },
+    ];
+
+    expect(validateQuestionBank({ signs, questions: [signQuestion] })).toEqual([]);
+    expect(validateQuestionBank({ questions: [signQuestion] })).toEqual([
+      { questionId: 3, field: 'sign', reason: '"B02" is not a declared sign' },
+    ]);
+    expect(validateQuestionBank({ signs, questions: [{ ...signQuestion, sign: 'C17' }] })).toEqual([
+      { questionId: 3, field: 'sign', reason: '"C17" is not a declared sign' },
+    ]);
+  });
+
+  test('requires licence metadata for every sign', () => {
+    const signs = [
+      { code: 'B02', name: 'Stop', file: 'signs/B02.svg', licence: 'CC0-1.0', author: 'Me' },
+      { code: 'B02', name: 'Stop again', file: 'signs/B02.svg' },
+      'C17',
+    ];
+
+    expect(validateQuestionBank({ signs, questions: [singleQuestion] })).toEqual([
+      { questionId: null, field: 'signs[1].code', reason: 'duplicates sign code "B02"' },
+      { questionId: null, field: 'signs[1].licence', reason: 'is required' },
+      { questionId: null, field: 'signs[1].author', reason: 'is required' },
+      { questionId: null, field: 'signs[2]', reason: 'must be an object' },
+    ]);
+    expect(validateQuestionBank({ signs: {}, questions: [singleQuestion] })).toEqual([
+      { questionId: null, field: 'signs', reason: 'must be a list of signs' },
+    ]);
+  });
+});
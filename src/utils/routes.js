@@ -0,0 +1,175 @@
+/**
+ * Hash routes
+ * Screens and sessions are addressed by the fragment of the URL, e.g. `#/exam/5` or
+ * `#/topics/priority`, so links work under any base path (the app is served from
+ * `/ro-traffic-rules/` on GitHub Pages) without the server knowing about them. Session routes
+ * carry the position in the session, which keeps browser history in step with the questions.
+ */
+
+/** Routes of quiz sessions, named after the session modes */
+export const SESSION_ROUTES = ['practice', 'topic', 'exam', 'review', 'mistakes', 'random'];
+
+/**
+ * @typedef {Object} Route
+ * @property {string} name - Session mode (`practice`, `topic`, `exam`, `review`, `mistakes`,
+ *   `random`), screen (`topics`, `history`, `stats`, `backup`, `print`, `question`) or `home`
+ * @property {string[]} [topicKeys] - Topics and subtopics of a topic session
+ * @property {number} [questionNumber] - Position in the session, starting at 1
+ * @property {boolean} [results] - Whether the route shows the results of the session
+ * @property {number} [questionId] - ID of the question a permalink shows
+ */
+
+/**
+ * Read the position in a session from a path segment
+ * @param {string} [segment] - `results`, a question number or nothing
+ * @returns {Object} `results` or `questionNumber` fields of the route
+ */
+const parsePosition = segment => {
+  if (segment === 'results') return { results: true };
+  const questionNumber = Number(segment);
+  return Number.isInteger(questionNumber) && questionNumber > 0 ? { questionNumber } : {};
+};
+
+/**
+ * Write the position in a session as a path segment
+ * @param {Route} route - Session route
+ * @returns {string} `/results`, `/<number>` or nothing
+ */
+const formatPosition = route => {
+  if (route.results) return '/results';
+  return route.questionNumber ? `/${route.questionNumber}` : '';
+};
+
+/**
+ * Decode a percent-encoded part of the fragment
+ * @param {string} part - Path segment or topic key as found in the URL
+ * @returns {string} Decoded part, or the part unchanged when it is malformed
+ */
+const decodePart = part => {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return part;
+  }
+};
+
+/**
+ * Read a route from the fragment of the URL
+ * Unknown fragments lead home.
+ * @param {string} hash - `window.location.hash`, e.g. `#/exam/5`
+ * @returns {Route} Route
+ */
+export function parseRoute(hash) {
+  const rawSegments = hash.replace(/^#\/?/, '').split('/').filter(Boolean);
+  const [name, ...rest] = rawSegments.map(decodePart);
+
+  switch (name) {
+    case 'practice':
+    case 'exam':
+    case 'review':
+    case 'mistakes':
+    case 'random':
+      return { name, ...parsePosition(rest[0]) };
+    case 'topics':
+      if (!rest[0]) return { name: 'topics' };
+      return {
+        name: 'topic',
+        // Split before decoding, so commas encoded inside a key stay part of it
+        topicKeys: rawSegments[1].split(',').filter(Boolean).map(decodePart),
+        ...parsePosition(rest[1]),
+      };
+    case 'questions': {
+      const questionId = Number(rest[0]);
+      return Number.isInteger(questionId) ? { name: 'question', questionId } : { name: 'home' };
+    }
+    case 'history':
+    case 'stats':
+    case 'backup':
+    case 'print':
+      return { name };
+    default:
+      return { name: 'home' };
+  }
+}
+
+/**
+ * Write a route as the fragment of a URL
+ * @param {Route} route - Route
+ * @returns {string} Fragment, e.g. `#/topics/priority/3`
+ */
+export function formatRoute(route) {
+  switch (route.name) {
+    case 'practice':
+    case 'exam':
+    case 'review':
+    case 'mistakes':
+    case 'random':
+      return `#/${route.name}${formatPosition(route)}`;
+    case 'topic':
+      return `#/topics/${route.topicKeys.map(encodeURIComponent).join(',')}${formatPosition(route)}`;
+    case 'question':
+      return `#/questions/${route.questionId}`;
+    case 'topics':
+    case 'history':
+    case 'stats':
+    case 'backup':
+    case 'print':
+      return `#/${route.name}`;
+    default:
+      return '#/';
+  }
+}
+
+/**
+ * Tell whether a route shows a session rather than a screen
+ * @param {Route} route - Route
+ * @returns {boolean} True for the session routes
+ */
+export const isSessionRoute = route => SESSION_ROUTES.includes(route.name);
+
+/**
+ * Route of the session in progress, at its current question or at its results
+ * @param {Object} session - Session fields of the quiz state
+ * @param {"practice"|"exam"|"review"|"topic"|"mistakes"|"random"} session.mode - Session mode
+ * @param {string[]|null} [session.topicKeys] - Topics a topic session was started with
+ * @param {Object[]} session.questions - Questions of the session
+ * @param {number} session.currentQuestionIndex - Index of the current question
+ * @param {boolean} session.isFinished - Whether the session was finished
+ * @returns {Route} Session route
+ */
+export function getSessionRoute({ mode, topicKeys, questions, currentQuestionIndex, isFinished }) {
+  const position =
+    isFinished || currentQuestionIndex >= questions.length
+      ? { results: true }
+      : { questionNumber: currentQuestionIndex + 1 };
+
+  if (mode !== 'topic') return { name: mode, ...position };
+
+  // Sessions saved without their topic keys are addressed by the topics of their questions
+  const keys = topicKeys?.length
+    ? topicKeys
+    : [...new Set(questions.map(question => question.topic).filter(Boolean))];
+  return { name: 'topic', topicKeys: keys, ...position };
+}
+
+/**
+ * Tell whether a session route addresses the session in progress
+ * A route without a position matches a running session wherever it is, and any position of a
+ * finished session leads to its results. A route without a position does not match a finished
+ * session, so the mode's address starts it again.
+ * @param {Route} route - Session route
+ * @param {Route} sessionRoute - Route of the session in progress, from getSessionRoute
+ * @returns {boolean} True if the route needs no change to the session
+ */
+export function matchesSession(route, sessionRoute) {
+  if (route.name !== sessionRoute.name) return false;
+  if (
+    route.name === 'topic' &&
+    [...route.topicKeys].sort().join(',') !== [...sessionRoute.topicKeys].sort().join(',')
+  ) {
+    return false;
+  }
+  if (route.results) return Boolean(sessionRoute.results);
+  if (sessionRoute.results) return route.questionNumber !== undefined;
+  return route.questionNumber === undefined || route.questionNumber === sessionRoute.questionNumber;
+}
@@ -0,0 +1,100 @@
+import { formatRoute, getSessionRoute, isSessionRoute, matchesSession, parseRoute } from './routes';
+
+describe('hash routes', () => {
+  test.each([
+    ['#/', { name: 'home' }],
+    ['#/practice/12', { name: 'practice', questionNumber: 12 }],
+    ['#/exam', { name: 'exam' }],
+    ['#/exam/results', { name: 'exam', results: true }],
+    ['#/review/3', { name: 'review', questionNumber: 3 }],
+    ['#/mistakes', { name: 'mistakes' }],
+    ['#/random/results', { name: 'random', results: true }],
+    ['#/topics', { name: 'topics' }],
+    [
+      '#/topics/priority,signs/2',
+      { name: 'topic', topicKeys: ['priority', 'signs'], questionNumber: 2 },
+    ],
+    ['#/topics/a%2Cb,signs', { name: 'topic', topicKeys: ['a,b', 'signs'] }],
+    ['#/questions/42', { name: 'question', questionId: 42 }],
+    ['#/history', { name: 'history' }],
+    ['#/stats', { name: 'stats' }],
+    ['#/backup', { name: 'backup' }],
+    ['#/print', { name: 'print' }],
+  ])('reads and writes %s', (hash, route) => {
+    expect(parseRoute(hash)).toEqual(route);
+    expect(formatRoute(route)).toBe(hash);
+  });
+
+  test('leads unknown and malformed addresses home', () => {
+    expect(parseRoute('')).toEqual({ name: 'home' });
+    expect(parseRoute('#/nowhere')).toEqual({ name: 'home' });
+    expect(parseRoute('#/questions/abc')).toEqual({ name: 'home' });
+    expect(parseRoute('#/exam/0')).toEqual({ name: 'exam' });
+    expect(parseRoute('#/topics/%E0%A4%A')).toEqual({ name: 'topic', topicKeys: ['%E0%A4%A'] });
+  });
+
+  test('tells session routes from screens', () => {
+    expect(isSessionRoute({ name: 'topic', topicKeys: ['signs'] })).toBe(true);
+    expect(isSessionRoute({ name: 'random' })).toBe(true);
+    expect(isSessionRoute({ name: 'home' })).toBe(false);
+    expect(isSessionRoute({ name: 'history' })).toBe(false);
+    expect(isSessionRoute({ name: 'question', questionId: 1 })).toBe(false);
+  });
+
+  describe('session routes', () => {
+    const questions = [
+      { id: 1, topic: 'speed-limits' },
+      { id: 2, topic: 'signs' },
+      { id: 3, topic: 'signs' },
+    ];
+    const session = { mode: 'exam', questions, currentQuestionIndex: 1, isFinished: false };
+
+    test('addresses the current question, or the results once finished', () => {
+      expect(getSessionRoute(session)).toEqual({ name: 'exam', questionNumber: 2 });
+      expect(getSessionRoute({ ...session, isFinished: true })).toEqual({
+        name: 'exam',
+        results: true,
+      });
+    });
+
+    test('addresses topic sessions by their topics', () => {
+      expect(getSessionRoute({ ...session, mode: 'topic', topicKeys: ['speed'] })).toEqual({
+        name: 'topic',
+        topicKeys: ['speed'],
+        questionNumber: 2,
+      });
+      expect(getSessionRoute({ ...session, mode: 'topic', topicKeys: null })).toEqual({
+        name: 'topic',
+        topicKeys: ['speed-limits', 'signs'],
+        questionNumber: 2,
+      });
+    });
+
+    test('matches routes that address the session in progress', () => {
+      const sessionRoute = { name: 'topic', topicKeys: ['signs', 'speed'], questionNumber: 2 };
+
+      expect(matchesSession({ name: 'topic', topicKeys: ['speed', 'signs'] }, sessionRoute)).toBe(
+        true
+      );
+      expect(
+        matchesSession(
+          { name: 'topic', topicKeys: ['signs', 'speed'], questionNumber: 3 },
+          sessionRoute
+        )
+      ).toBe(false);
+      expect(matchesSession({ name: 'topic', topicKeys: ['signs'] }, sessionRoute)).toBe(false);
+      expect(matchesSession({ name: 'exam' }, sessionRoute)).toBe(false);
+    });
+
+    test('leads any position of a finished session to its results', () => {
+      const finished = { name: 'exam', results: true };
+
+      expect(matchesSession({ name: 'exam', questionNumber: 4 }, finished)).toBe(true);
+      expect(matchesSession({ name: 'exam', results: true }, finished)).toBe(true);
+      expect(matchesSession({ name: 'exam' }, finished)).toBe(false);
+      expect(
+        matchesSession({ name: 'exam', results: true }, { name: 'exam', questionNumber: 1 })
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Intersection scenes
+ * Priority questions can describe their diagram declaratively in a `scene` block of
+ * questions.yaml instead of shipping an image: the road layout, the vehicles with the way they
+ * are turning, the signs and the traffic lights of each arm. These pure functions read the block
+ * and compute the geometry the IntersectionScene component draws.
+ *
+ * Every element is laid out once for the south arm (traffic drives on the right, so a vehicle
+ * coming from the south uses the east lane and heads north) and rotated around the centre of
+ * the scene into its own arm.
+ */
+
+/** Size of the square scene, in SVG units; hotspot areas are percentages of it */
+export const SCENE_SIZE = 200;
+
+/** Road layouts */
+export const SCENE_LAYOUTS = ['crossroads', 'roundabout'];
+
+/** Arms of a junction, named after the side of the junction they are on */
+export const SCENE_ARMS = ['north', 'east', 'south', 'west'];
+
+/** Road axes tram tracks can run along */
+export const SCENE_TRACKS = ['north-south', 'east-west'];
+
+/** Vehicles a scene can show */
+export const VEHICLE_TYPES = ['car', 'truck', 'tram', 'bicycle', 'ambulance'];
+
+/** Ways a vehicle can leave the junction */
+export const VEHICLE_TURNS = ['straight', 'left', 'right'];
+
+/** States of a traffic light */
+export const LIGHT_STATES = ['red', 'yellow', 'green', 'off'];
+
+/**
+ * @typedef {Object} SceneVehicle
+ * @property {string} label - Short label drawn on the vehicle, e.g. `A`
+ * @property {string} arm - Arm the vehicle is coming from
+ * @property {string} turn - Way the vehicle leaves the junction
+ * @property {string} type - Kind of vehicle
+ */
+
+/**
+ * @typedef {Object} SceneSign
+ * @property {string} arm - Arm the sign stands on, facing the traffic coming from it
+ * @property {string} code - Sign code from the `signs` catalogue
+ * @property {import('./signs').Sign} [signInfo] - Catalogue entry, resolved by applySigns
+ */
+
+/**
+ * @typedef {Object} SceneLight
+ * @property {string} arm - Arm the traffic light controls
+ * @property {string} state - Light shown to the traffic coming from that arm
+ */
+
+/**
+ * @typedef {Object} Scene
+ * @property {string} layout - Road layout
+ * @property {string[]} arms - Arms of the junction (three for a T-junction)
+ * @property {string|null} tracks - Axis tram tracks run along, if any
+ * @property {SceneVehicle[]} vehicles - Vehicles approaching the junction
+ * @property {SceneSign[]} signs - Signs on the arms
+ * @property {SceneLight[]} lights - Traffic lights on the arms
+ */
+
+const CENTER = SCENE_SIZE / 2;
+
+/** Half the width of a road (one lane each way) */
+export const ROAD_HALF_WIDTH = 30;
+
+/** Clockwise rotation, in degrees, that turns the south arm into each arm */
+const ARM_ROTATION = { south: 0, west: 90, north: 180, east: 270 };
+
+/** Length and width of each vehicle type, in SVG units */
+export const VEHICLE_SIZES = {
+  car: { length: 26, width: 16 },
+  truck: { length: 36, width: 18 },
+  tram: { length: 48, width: 18 },
+  bicycle: { length: 18, width: 6 },
+  ambulance: { length: 28, width: 16 },
+};
+
+/** Where vehicles of the south arm stop, just before the junction */
+const STOP_LINE = CENTER + ROAD_HALF_WIDTH + 4;
+
+/** Lane centre of the traffic coming from the south */
+const LANE = CENTER + ROAD_HALF_WIDTH / 2;
+
+/** Paths of the turn arrows for a vehicle coming from the south, by layout and turn */
+const TURN_PATHS = {
+  crossroads: {
+    straight: `M ${LANE} ${STOP_LINE - 2} V ${CENTER - ROAD_HALF_WIDTH - 8}`,
+    right: `M ${LANE} ${STOP_LINE - 2} Q ${LANE} ${LANE} ${CENTER + ROAD_HALF_WIDTH + 20} ${LANE}`,
+    left: `M ${LANE} ${STOP_LINE - 2} Q ${LANE} ${CENTER - 15} ${CENTER - ROAD_HALF_WIDTH - 20} ${CENTER - 15}`,
+  },
+  // Traffic goes round the island anticlockwise
+  roundabout: {
+    straight: `M ${LANE} ${STOP_LINE - 2} C 150 120, 150 80, ${LANE} ${CENTER - ROAD_HALF_WIDTH - 8}`,
+    right: `M ${LANE} ${STOP_LINE - 2} Q ${LANE} ${LANE} ${CENTER + ROAD_HALF_WIDTH + 20} ${LANE}`,
+    left: `M ${LANE} ${STOP_LINE - 2} C 155 120, 140 55, 100 58 S 60 85, ${CENTER - ROAD_HALF_WIDTH - 20} ${CENTER - 15}`,
+  },
+};
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+/**
+ * Read the `scene` block of a question, dropping malformed entries and filling in defaults
+ * @param {Object} rawScene - Parsed `scene` block
+ * @returns {Scene} Scene ready to draw
+ */
+export function normalizeScene(rawScene) {
+  const scene = isObject(rawScene) ? rawScene : {};
+  const arms = Array.isArray(scene.arms) ? scene.arms.filter(arm => SCENE_ARMS.includes(arm)) : [];
+  const listOf = key => (Array.isArray(scene[key]) ? scene[key].filter(isObject) : []);
+
+  return {
+    layout: pick(scene.layout, SCENE_LAYOUTS, 'crossroads'),
+    arms: arms.length > 0 ? arms : SCENE_ARMS,
+    tracks: pick(scene.tracks, SCENE_TRACKS, null),
+    vehicles: listOf('vehicles')
+      .filter(vehicle => SCENE_ARMS.includes(vehicle.arm))
+      .map((vehicle, index) => ({
+        label:
+          vehicle.label === undefined ? String.fromCharCode(65 + index) : String(vehicle.label),
+        arm: vehicle.arm,
+        turn: pick(vehicle.turn, VEHICLE_TURNS, 'straight'),
+        type: pick(vehicle.type, VEHICLE_TYPES, 'car'),
+      })),
+    signs: listOf('signs').filter(sign => SCENE_ARMS.includes(sign.arm) && sign.code),
+    lights: listOf('lights')
+      .filter(light => SCENE_ARMS.includes(light.arm))
+      .map(light => ({ arm: light.arm, state: pick(light.state, LIGHT_STATES, 'off') })),
+  };
+}
+
+/**
+ * Get the rotation that turns the south arm into an arm
+ * @param {string} arm - Arm name
+ * @returns {number} Clockwise rotation in degrees
+ */
+export const getArmRotation = arm => ARM_ROTATION[arm] ?? 0;
+
+/**
+ * Move a point laid out for the south arm into another arm
+ * @param {string} arm - Arm name
+ * @param {number} x - X coordinate on the south arm
+ * @param {number} y - Y coordinate on the south arm
+ * @returns {{x: number, y: number}} Coordinates on the arm, rounded to 0.01
+ */
+export function placeOnArm(arm, x, y) {
+  const angle = (getArmRotation(arm) * Math.PI) / 180;
+  const dx = x - CENTER;
+  const dy = y - CENTER;
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    x: round(CENTER + dx * Math.cos(angle) - dy * Math.sin(angle)),
+    y: round(CENTER + dx * Math.sin(angle) + dy * Math.cos(angle)),
+  };
+}
+
+/**
+ * Lay out a vehicle waiting at the stop line of the south arm, pointing north
+ * @param {string} type - Vehicle type
+ * @returns {{x: number, y: number, length: number, width: number}} Top-left corner and size
+ */
+export function getVehicleBox(type) {
+  const { length, width } = VEHICLE_SIZES[type] || VEHICLE_SIZES.car;
+  return { x: LANE - width / 2, y: STOP_LINE, length, width };
+}
+
+/**
+ * Get the arrow path of a vehicle coming from the south
+ * @param {string} layout - Road layout
+ * @param {string} turn - Way the vehicle leaves the junction
+ * @returns {string} SVG path data
+ */
+export const getTurnPath = (layout, turn) =>
+  (TURN_PATHS[layout] || TURN_PATHS.crossroads)[turn] || TURN_PATHS.crossroads.straight;
+
+/**
+ * Get where the sign and the traffic light of an arm stand, on the verge right of the traffic
+ * @param {string} arm - Arm name
+ * @returns {{sign: {x: number, y: number}, light: {x: number, y: number}}} Centre points
+ */
+export const getRoadsidePositions = arm => ({
+  light: placeOnArm(arm, CENTER + ROAD_HALF_WIDTH + 12, STOP_LINE + 8),
+  sign: placeOnArm(arm, CENTER + ROAD_HALF_WIDTH + 14, STOP_LINE + 36),
+});
+
+/**
+ * Collect the sign codes a scene references
+ * @param {Object} [rawScene] - Parsed `scene` block
+ * @returns {string[]} Sign codes
+ */
+export const getSceneSignCodes = rawScene => normalizeScene(rawScene).signs.map(sign => sign.code);
@@ -0,0 +1,81 @@
+import {
+  SCENE_ARMS,
+  getRoadsidePositions,
+  getSceneSignCodes,
+  getTurnPath,
+  getVehicleBox,
+  normalizeScene,
+  placeOnArm,
+} from './scene';
+
+describe('scene', () => {
+  test('fills in defaults and drops malformed entries', () => {
+    expect(normalizeScene(undefined)).toEqual({
+      layout: 'crossroads',
+      arms: SCENE_ARMS,
+      tracks: null,
+      vehicles: [],
+      signs: [],
+      lights: [],
+    });
+
+    const scene = normalizeScene({
+      layout: 'roundabout',
+      arms: ['north', 'south', 'west', 'up'],
+      tracks: 'diagonal',
+      vehicles: [
+        { arm: 'south' },
+        { arm: 'east', turn: 'left', type: 'tram', label: 1 },
+        { arm: 'nowhere' },
+        'car',
+      ],
+      signs: [{ arm: 'south', code: 'B01' }, { arm: 'south' }],
+      lights: [{ arm: 'north', state: 'blue' }],
+    });
+
+    expect(scene).toEqual({
+      layout: 'roundabout',
+      arms: ['north', 'south', 'west'],
+      tracks: null,
+      vehicles: [
+        { label: 'A', arm: 'south', turn: 'straight', type: 'car' },
+        { label: '1', arm: 'east', turn: 'left', type: 'tram' },
+      ],
+      signs: [{ arm: 'south', code: 'B01' }],
+      lights: [{ arm: 'north', state: 'off' }],
+    });
+  });
+
+  test('rotates points laid out for the south arm into every arm', () => {
+    expect(placeOnArm('south', 115, 150)).toEqual({ x: 115, y: 150 });
+    expect(placeOnArm('north', 115, 150)).toEqual({ x: 85, y: 50 });
+    expect(placeOnArm('west', 115, 150)).toEqual({ x: 50, y: 115 });
+    expect(placeOnArm('east', 115, 150)).toEqual({ x: 150, y: 85 });
+  });
+
+  test('keeps vehicles in the right-hand lane at the stop line', () => {
+    expect(getVehicleBox('car')).toEqual({ x: 107, y: 134, length: 26, width: 16 });
+    expect(getVehicleBox('hovercraft')).toEqual(getVehicleBox('car'));
+  });
+
+  test('draws turn arrows for every layout', () => {
+    expect(getTurnPath('crossroads', 'straight')).toBe('M 115 132 V 62');
+    expect(getTurnPath('roundabout', 'left')).not.toBe(getTurnPath('crossroads', 'left'));
+    expect(getTurnPath('maze', 'sideways')).toBe(getTurnPath('crossroads', 'straight'));
+  });
+
+  test('places lights and signs on the verge right of the traffic', () => {
+    const { light, sign } = getRoadsidePositions('north');
+
+    expect(light.x).toBeLessThan(70);
+    expect(light.y).toBeLessThan(70);
+    expect(sign.y).toBeLessThan(light.y);
+  });
+
+  test('collects the sign codes of a scene', () => {
+    expect(getSceneSignCodes({ signs: [{ arm: 'east', code: 'B02' }, { code: 'B01' }] })).toEqual([
+      'B02',
+    ]);
+    expect(getSceneSignCodes(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Spaced-repetition scheduler (SM-2)
+ * Pure functions that keep a learning record per question and decide when the
+ * question is due for review again. No React or storage dependencies.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Lowest ease factor allowed by SM-2 */
+export const MIN_EASE_FACTOR = 1.3;
+
+/** Ease factor of a question that has never been reviewed */
+export const INITIAL_EASE_FACTOR = 2.5;
+
+/**
+ * @typedef {Object} LearningRecord
+ * @property {number} easeFactor - How easily the question is remembered (>= 1.3)
+ * @property {number} interval - Days until the next review
+ * @property {number} repetitions - Consecutive successful reviews
+ * @property {number} lapses - Number of times the question was forgotten
+ * @property {number|null} dueDate - Timestamp when the question is due again
+ * @property {number|null} lastReviewed - Timestamp of the last review
+ */
+
+/**
+ * Create an empty learning record for a question that has not been reviewed yet
+ * @returns {LearningRecord} New learning record
+ */
+export function createLearningRecord() {
+  return {
+    easeFactor: INITIAL_EASE_FACTOR,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    dueDate: null,
+    lastReviewed: null,
+  };
+}
+
+/**
+ * Map a quiz result to an SM-2 recall quality (0-5)
+ * @param {boolean} isCorrect - Whether the question was answered correctly
+ * @returns {number} Recall quality
+ */
+export const qualityFromAnswer = isCorrect => (isCorrect ? 4 : 1);
+
+/**
+ * Apply one review to a learning record following the SM-2 algorithm.
+ * A quality below 3 counts as a lapse: the question starts over with a one day interval.
+ * @param {LearningRecord|undefined} record - Current record (a new one is created if missing)
+ * @param {number} quality - Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {number} [now=Date.now()] - Review timestamp
+ * @returns {LearningRecord} Updated record (the input is not modified)
+ */
+export function scheduleReview(record, quality, now = Date.now()) {
+  const current = { ...createLearningRecord(), ...record };
+  const q = Math.min(5, Math.max(0, Math.round(quality)));
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    current.easeFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+  );
+
+  let { repetitions, interval, lapses } = current;
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+  }
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    dueDate: now + interval * DAY_MS,
+    lastReviewed: now,
+  };
+}
+
+/**
+ * Whether a question is due for review
+ * @param {LearningRecord|undefined} record - Learning record of the question
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {boolean} True if the question has been reviewed before and its due date has passed
+ */
+export const isDue = (record, now = Date.now()) =>
+  Boolean(record && record.dueDate !== null && record.dueDate <= now);
+
+/**
+ * Select the questions that are due for review, most overdue first
+ * @param {Object[]} questions - Question bank
+ * @param {Object.<string, LearningRecord>} records - Learning records mapped by question ID
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {Object[]} Due questions
+ */
+export function getDueQuestions(questions, records, now = Date.now()) {
+  return questions
+    .filter(question => isDue(records?.[question.id], now))
+    .sort((a, b) => records[a.id].dueDate - records[b.id].dueDate);
+}
@@ -0,0 +1,99 @@
+import {
+  DAY_MS,
+  INITIAL_EASE_FACTOR,
+  MIN_EASE_FACTOR,
+  createLearningRecord,
+  getDueQuestions,
+  isDue,
+  qualityFromAnswer,
+  scheduleReview,
+} from './scheduler';
+
+const NOW = Date.UTC(2025, 7, 17);
+
+describe('scheduler', () => {
+  test('creates an unreviewed learning record', () => {
+    expect(createLearningRecord()).toEqual({
+      easeFactor: INITIAL_EASE_FACTOR,
+      interval: 0,
+      repetitions: 0,
+      lapses: 0,
+      dueDate: null,
+      lastReviewed: null,
+    });
+  });
+
+  test('maps answers to recall quality', () => {
+    expect(qualityFromAnswer(true)).toBe(4);
+    expect(qualityFromAnswer(false)).toBe(1);
+  });
+
+  test('schedules successful reviews at 1, 6 and then ease-factor days', () => {
+    const first = scheduleReview(undefined, 4, NOW);
+    expect(first.interval).toBe(1);
+    expect(first.dueDate).toBe(NOW + DAY_MS);
+
+    const second = scheduleReview(first, 4, first.dueDate);
+    expect(second.interval).toBe(6);
+
+    const third = scheduleReview(second, 4, second.dueDate);
+    expect(third.interval).toBe(Math.round(6 * third.easeFactor));
+    expect(third.repetitions).toBe(3);
+    expect(third.lapses).toBe(0);
+  });
+
+  test('adjusts the ease factor by recall quality', () => {
+    expect(scheduleReview(undefined, 5, NOW).easeFactor).toBe(2.6);
+    expect(scheduleReview(undefined, 4, NOW).easeFactor).toBe(2.5);
+    expect(scheduleReview(undefined, 3, NOW).easeFactor).toBe(2.36);
+  });
+
+  test('counts a failed review as a lapse and restarts the interval', () => {
+    const learned = { ...createLearningRecord(), repetitions: 4, interval: 30, dueDate: NOW };
+    const lapsed = scheduleReview(learned, 1, NOW);
+
+    expect(lapsed.repetitions).toBe(0);
+    expect(lapsed.interval).toBe(1);
+    expect(lapsed.lapses).toBe(1);
+    expect(lapsed.lastReviewed).toBe(NOW);
+  });
+
+  test('never lowers the ease factor below the SM-2 minimum', () => {
+    let record;
+    for (let i = 0; i < 10; i++) {
+      record = scheduleReview(record, 0, NOW);
+    }
+
+    expect(record.easeFactor).toBe(MIN_EASE_FACTOR);
+    expect(record.lapses).toBe(10);
+  });
+
+  test('does not modify the input record', () => {
+    const record = createLearningRecord();
+    scheduleReview(record, 4, NOW);
+
+    expect(record).toEqual(createLearningRecord());
+  });
+
+  test.each([
+    [undefined, false],
+    [createLearningRecord(), false],
+    [{ ...createLearningRecord(), dueDate: NOW - 1 }, true],
+    [{ ...createLearningRecord(), dueDate: NOW }, true],
+    [{ ...createLearningRecord(), dueDate: NOW + 1 }, false],
+  ])('isDue(%o) is %s', (record, expected) => {
+    expect(isDue(record, NOW)).toBe(expected);
+  });
+
+  test('selects due questions, most overdue first', () => {
+    const questions = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }];
+    const records = {
+      1: { ...createLearningRecord(), dueDate: NOW - DAY_MS },
+      2: { ...createLearningRecord(), dueDate: NOW + DAY_MS },
+      3: { ...createLearningRecord(), dueDate: NOW - 3 * DAY_MS },
+    };
+
+    expect(getDueQuestions(questions, records, NOW).map(q => q.id)).toEqual([3, 1]);
+    expect(getDueQuestions(questions, {}, NOW)).toEqual([]);
+  });
+});
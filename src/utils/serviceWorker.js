@@ -0,0 +1,20 @@
+/**
+ * Service worker registration
+ * The worker (public/sw.js) caches the app shell, the question bank and its images so the
+ * quiz keeps working offline. It is only registered in production builds, where the files
+ * it precaches exist; use `npm run build && npm run preview` to try it locally.
+ */
+
+/**
+ * Register the service worker once the page has loaded
+ * @param {string} [baseUrl=import.meta.env.BASE_URL] - Base URL the app is served from
+ */
+export function registerServiceWorker(baseUrl = import.meta.env.BASE_URL) {
+  if (!('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${baseUrl}sw.js`, { scope: baseUrl }).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
@@ -0,0 +1,27 @@
+import { registerServiceWorker } from './serviceWorker';
+
+describe('serviceWorker', () => {
+  afterEach(() => {
+    delete navigator.serviceWorker;
+    vi.restoreAllMocks();
+  });
+
+  test('registers the worker under the base URL after the page loads', () => {
+    const register = vi.fn(() => Promise.resolve());
+    Object.defineProperty(navigator, 'serviceWorker', { value: { register }, configurable: true });
+
+    registerServiceWorker('/ro-traffic-rules/');
+    expect(register).not.toHaveBeenCalled();
+
+    window.dispatchEvent(new Event('load'));
+    expect(register).toHaveBeenCalledWith('/ro-traffic-rules/sw.js', { scope: '/ro-traffic-rules/' });
+  });
+
+  test('does nothing without service worker support', () => {
+    const addListener = vi.spyOn(window, 'addEventListener');
+
+    registerServiceWorker('/');
+
+    expect(addListener).not.toHaveBeenCalledWith('load', expect.any(Function));
+  });
+});
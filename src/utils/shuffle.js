@@ -0,0 +1,74 @@
+/**
+ * Seeded shuffling of sessions
+ * Question order and option order are derived from a numeric seed stored with the session
+ * progress, so a reload shows exactly the same layout. Answers are stored by option ID, so
+ * they do not depend on the layout.
+ */
+
+/**
+ * Create a random session seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+export const createSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+/**
+ * Create a deterministic pseudo-random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {Function} Returns a number in [0, 1) on every call
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+/**
+ * Shuffle a list (Fisher–Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Number generator returning values in [0, 1)
+ * @returns {Array} Shuffled copy of the list
+ */
+export function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [shuffled[index], shuffled[swapIndex]] = [shuffled[swapIndex], shuffled[index]];
+  }
+  return shuffled;
+}
+
+/**
+ * Shuffle the options of a question.
+ * The option order of a question only depends on the seed and the question ID, not on where
+ * the question appears in the session.
+ * @param {Object} question - Question from the bank
+ * @param {number} seed - Session seed
+ * @returns {Object} Question with reordered options
+ */
+export function shuffleOptions(question, seed) {
+  if (!Array.isArray(question.options)) return question;
+
+  const random = createRandom(seed ^ Math.imul(question.id, 0x9e3779b1));
+  return { ...question, options: shuffle(question.options, random) };
+}
+
+/**
+ * Lay out a session: shuffle the question order and the options of every question.
+ * The layout only depends on the seed and the set of questions, so a session restored from
+ * its question IDs gets the same layout again.
+ * @param {Object[]} questions - Questions of the session
+ * @param {number|null} seed - Session seed; null keeps the bank order (sessions saved before
+ *   shuffling was introduced)
+ * @returns {Object[]} Shuffled questions
+ */
+export function shuffleQuestions(questions, seed) {
+  if (seed === null || seed === undefined) return questions;
+
+  const byId = [...questions].sort((a, b) => a.id - b.id);
+  return shuffle(byId, createRandom(seed)).map(question => shuffleOptions(question, seed));
+}
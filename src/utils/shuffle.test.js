@@ -0,0 +1,61 @@
+import { createRandom, createSeed, shuffle, shuffleOptions, shuffleQuestions } from './shuffle';
+
+const questions = [1, 2, 3, 4, 5, 6].map(id => ({
+  id,
+  text: `Question ${id}`,
+  options: ['a', 'b', 'c', 'd'].map(optionId => ({ id: optionId, text: optionId.toUpperCase() })),
+  correct: 'a',
+}));
+
+describe('shuffle', () => {
+  test('creates unsigned 32-bit seeds', () => {
+    const seed = createSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(2 ** 32);
+  });
+
+  test('generates the same numbers for the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const values = [first(), first(), first()];
+
+    expect([second(), second(), second()]).toEqual(values);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+    expect(createRandom(43)()).not.toBe(values[0]);
+  });
+
+  test('returns a permutation without changing the input', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffle(items, createRandom(7));
+
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...shuffled].sort()).toEqual(items);
+    expect(shuffle(items, createRandom(7))).toEqual(shuffled);
+  });
+
+  test('reorders the options of a question', () => {
+    const shuffled = shuffleOptions(questions[0], 1234);
+
+    expect(shuffled.options.map(option => option.id).sort()).toEqual(['a', 'b', 'c', 'd']);
+    expect(shuffled.options.every(option => option.text === option.id.toUpperCase())).toBe(true);
+    expect(shuffled.correct).toBe('a');
+    expect(shuffleOptions(questions[0], 1234)).toEqual(shuffled);
+  });
+
+  test('lays out a session the same way for the same seed and questions', () => {
+    const layout = shuffleQuestions(questions, 99);
+    const restored = shuffleQuestions([...questions].reverse(), 99);
+
+    expect(restored).toEqual(layout);
+    expect(layout.map(question => question.id).sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(shuffleQuestions(questions, 100)).not.toEqual(layout);
+  });
+
+  test('keeps the bank order without a seed', () => {
+    expect(shuffleQuestions(questions, null)).toBe(questions);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Road sign catalogue helpers
+ * questions.yaml lists the sign images shipped in public/signs in its `signs` block, with their
+ * official names and licence metadata. Questions reference a sign by code (`sign: "B02"`); these
+ * pure functions resolve the references to an image path and a localized name.
+ */
+
+/**
+ * @typedef {Object} Sign
+ * @property {string} code - Catalogue code referenced by questions, e.g. `B02`
+ * @property {string} name - Official English name
+ * @property {Object.<string, {name: string}>} [translations] - Localized names by language code
+ * @property {string} file - Image path relative to questions.yaml
+ * @property {string} licence - SPDX licence identifier of the image
+ * @property {string} author - Author of the image
+ * @property {string} [source] - Reference the drawing is based on
+ */
+
+/**
+ * Read the `signs` block of questions.yaml, dropping malformed entries
+ * @param {Object[]} [rawSigns] - Parsed `signs` block
+ * @returns {Map<string, Sign>} Signs by code (empty when the bank declares none)
+ */
+export function normalizeSigns(rawSigns) {
+  if (!Array.isArray(rawSigns)) return new Map();
+
+  return new Map(
+    rawSigns
+      .filter(
+        sign =>
+          typeof sign?.code === 'string' &&
+          typeof sign.name === 'string' &&
+          typeof sign.file === 'string'
+      )
+      .map(({ code, name, translations, file, licence, author, source }) => [
+        code,
+        { code, name, translations, file, licence, author, source },
+      ])
+  );
+}
+
+/**
+ * Resolve the signs an intersection scene places on its arms
+ * @param {Object} scene - Parsed `scene` block
+ * @param {Map<string, Sign>} signs - Sign catalogue
+ * @returns {Object} Scene whose signs carry their catalogue entry as `signInfo`
+ */
+const applySceneSigns = (scene, signs) =>
+  Array.isArray(scene.signs)
+    ? {
+        ...scene,
+        signs: scene.signs.map(sign => ({ ...sign, signInfo: signs.get(sign?.code) })),
+      }
+    : scene;
+
+/**
+ * Resolve the sign reference of every question.
+ * The sign image becomes the question image, relative to the page like questions.yaml itself;
+ * the catalogue entry is kept as `signInfo` for the alt text. Signs drawn in an intersection
+ * scene are resolved the same way.
+ * @param {Object[]} questions - Questions from questions.yaml
+ * @param {Map<string, Sign>} signs - Sign catalogue
+ * @returns {Object[]} Questions with `image` and `signInfo` filled in from the catalogue
+ */
+export function applySigns(questions, signs) {
+  if (signs.size === 0) return questions;
+
+  return questions.map(question => {
+    const withScene = question.scene
+      ? { ...question, scene: applySceneSigns(question.scene, signs) }
+      : question;
+    const sign = signs.get(question.sign);
+    if (!sign) return withScene;
+
+    return { ...withScene, image: sign.file, signInfo: sign };
+  });
+}
+
+/**
+ * Get the official name of a sign
+ * @param {Sign} sign - Catalogue entry
+ * @param {string} language - Language code
+ * @returns {string} Localized name, the English name when no translation exists
+ */
+export const getSignName = (sign, language) => sign.translations?.[language]?.name || sign.name;
@@ -0,0 +1,69 @@
+import { applySigns, getSignName, normalizeSigns } from './signs';
+
+const signs = normalizeSigns([
+  {
+    code: 'B02',
+    name: 'Stop',
+    translations: { ro: { name: 'Oprire' } },
+    file: 'signs/B02.svg',
+    licence: 'CC0-1.0',
+    author: 'ro-traffic-rules contributors',
+    source: 'SR 1848-1',
+  },
+  { code: 'C17', name: 'No overtaking', file: 'signs/C17.svg', licence: 'CC0-1.0' },
+  { code: 'C03', name: 'No entry' },
+]);
+
+describe('signs', () => {
+  test('indexes the catalogue by code and drops entries without a file', () => {
+    expect(normalizeSigns(undefined).size).toBe(0);
+    expect([...signs.keys()]).toEqual(['B02', 'C17']);
+    expect(signs.get('B02')).toEqual({
+      code: 'B02',
+      name: 'Stop',
+      translations: { ro: { name: 'Oprire' } },
+      file: 'signs/B02.svg',
+      licence: 'CC0-1.0',
+      author: 'ro-traffic-rules contributors',
+      source: 'SR 1848-1',
+    });
+  });
+
+  test('resolves sign codes to images', () => {
+    const questions = [
+      { id: 1, type: 'image', sign: 'B02' },
+      { id: 2, type: 'image', image: 'https://example.com/photo.png' },
+      { id: 3, type: 'image', sign: 'X99' },
+    ];
+    const [stop, photo, unknown] = applySigns(questions, signs);
+
+    expect(stop).toEqual({
+      id: 1,
+      type: 'image',
+      sign: 'B02',
+      image: 'signs/B02.svg',
+      signInfo: signs.get('B02'),
+    });
+    expect(photo).toBe(questions[1]);
+    expect(unknown).toBe(questions[2]);
+    expect(applySigns(questions, new Map())).toBe(questions);
+  });
+
+  test('resolves the signs of intersection scenes', () => {
+    const [question] = applySigns(
+      [{ id: 4, scene: { layout: 'crossroads', signs: [{ arm: 'east', code: 'B02' }] } }],
+      signs
+    );
+
+    expect(question.scene).toEqual({
+      layout: 'crossroads',
+      signs: [{ arm: 'east', code: 'B02', signInfo: signs.get('B02') }],
+    });
+  });
+
+  test('localizes the official sign name', () => {
+    expect(getSignName(signs.get('B02'), 'ro')).toBe('Oprire');
+    expect(getSignName(signs.get('B02'), 'en')).toBe('Stop');
+    expect(getSignName(signs.get('C17'), 'ro')).toBe('No overtaking');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Versioned storage schema
+ * Every value useStorage saves lives under a key in the app's namespace, wrapped in an
+ * envelope with the version of its format: `ro-traffic-rules:quizProgress` holds
+ * `{"version": 3, "data": {...}}`. The registry below declares, per key, the current version,
+ * the migrations that upgrade older payloads one version at a time and a check of the result.
+ *
+ * Values saved before namespacing, as bare JSON under the plain key, are read as their legacy
+ * version and moved into the namespace. A value that cannot be parsed, migrated or validated
+ * is corrupt: it is moved aside to a quarantine key, where it can still be inspected, and
+ * reads fall back to their default. A value saved by a newer version of the app, e.g. from a
+ * tab opened after an update, is not corrupt: it is left alone and not overwritten, and reads
+ * fall back to their default.
+ *
+ * When the format of a stored value changes, bump its version and register a migration from
+ * the previous version.
+ */
+
+import { PROGRESS_MIGRATIONS, PROGRESS_VERSION, isValidProgress } from './progress';
+
+/** Prefix of every key the app stores */
+export const STORAGE_NAMESPACE = 'ro-traffic-rules';
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @typedef {Object} StorageSchema
+ * @property {number} version - Current version of the stored format
+ * @property {Object.<number, Function>} [migrations] - Upgrades by the version they start from;
+ *   each receives (data, context) and returns the data in the next version
+ * @property {Function} [legacyVersion] - Version of a bare value saved before namespacing
+ * @property {Function} [validate] - Returns true when data in the current version is usable
+ */
+
+/**
+ * Registered storage formats, by key
+ * @type {Object.<string, StorageSchema>}
+ */
+export const STORAGE_SCHEMAS = {
+  quizProgress: {
+    version: PROGRESS_VERSION,
+    migrations: PROGRESS_MIGRATIONS,
+    // Progress carried its own version field before it moved into an envelope
+    legacyVersion: data => data?.version ?? 1,
+    validate: isValidProgress,
+  },
+  learningRecords: {
+    version: 1,
+    validate: records => isPlainObject(records) && Object.values(records).every(isPlainObject),
+  },
+  mistakePool: {
+    version: 1,
+    validate: pool => isPlainObject(pool) && Object.values(pool).every(isPlainObject),
+  },
+  answerLog: {
+    version: 1,
+    validate: log => Array.isArray(log) && log.every(isPlainObject),
+  },
+  attemptHistory: {
+    version: 1,
+    validate: history => Array.isArray(history) && history.every(isPlainObject),
+  },
+  preferences: {
+    version: 1,
+    validate: isPlainObject,
+  },
+};
+
+/** Format of keys without a registered schema: stored as is, in version 1 */
+const DEFAULT_SCHEMA = { version: 1 };
+
+const getSchema = key => STORAGE_SCHEMAS[key] || DEFAULT_SCHEMA;
+
+/**
+ * Get the namespaced storage key of a value
+ * @param {string} key - Key of the value, e.g. `quizProgress`
+ * @returns {string} Key in localStorage
+ */
+export const getStorageKey = key => `${STORAGE_NAMESPACE}:${key}`;
+
+/**
+ * Get the key a corrupt value of a key is moved to
+ * @param {string} key - Key of the value
+ * @returns {string} Quarantine key in localStorage
+ */
+export const getQuarantineKey = key => `${STORAGE_NAMESPACE}:quarantine:${key}`;
+
+/**
+ * Wrap a value in an envelope of the current version of its key
+ * @param {string} key - Key of the value
+ * @param {*} data - Value to store
+ * @returns {{version: number, data: *}} Envelope to serialize
+ */
+export const wrapEntry = (key, data) => ({ version: getSchema(key).version, data });
+
+/**
+ * Wrap a value saved before namespacing in an envelope of its legacy version
+ * @param {string} key - Key of the value
+ * @param {*} data - Bare value read from the plain key
+ * @returns {{version: number, data: *}} Envelope to upgrade
+ */
+export const wrapLegacyEntry = (key, data) => ({
+  version: getSchema(key).legacyVersion?.(data) ?? 1,
+  data,
+});
+
+/**
+ * Tell whether a stored envelope was saved by a newer version of the app
+ * @param {string} key - Key of the value
+ * @param {*} envelope - Parsed envelope
+ * @returns {boolean} True for an envelope of a version this build does not know
+ */
+export const isNewerEntry = (key, envelope) =>
+  isPlainObject(envelope) &&
+  Number.isInteger(envelope.version) &&
+  envelope.version > getSchema(key).version;
+
+/**
+ * Bring a stored envelope up to the current version of its key and check it
+ * @param {string} key - Key of the value
+ * @param {*} envelope - Parsed envelope
+ * @param {Object} [context={}] - Data migrations need, e.g. the question bank
+ * @returns {{data: *, migrated: boolean, error: string|null, isNewer?: boolean}} Current data,
+ *   whether it was upgraded, why it cannot be used (null when it is usable) and whether that is
+ *   because a newer version of the app saved it
+ */
+export function upgradeEntry(key, envelope, context = {}) {
+  const schema = getSchema(key);
+  const corrupt = error => ({ data: undefined, migrated: false, error });
+
+  if (!isPlainObject(envelope) || !Number.isInteger(envelope.version) || !('data' in envelope)) {
+    return corrupt('not a versioned entry');
+  }
+  if (isNewerEntry(key, envelope)) {
+    return {
+      ...corrupt(`version ${envelope.version} is newer than ${schema.version}`),
+      isNewer: true,
+    };
+  }
+
+  let { data } = envelope;
+  for (let version = envelope.version; version < schema.version; version++) {
+    const migrate = schema.migrations?.[version];
+    if (!migrate) return corrupt(`no migration from version ${version}`);
+    try {
+      data = migrate(data, context);
+    } catch (error) {
+      return corrupt(`migration from version ${version} failed: ${error.message}`);
+    }
+  }
+
+  if (schema.validate && !schema.validate(data)) return corrupt('invalid data');
+  return { data, migrated: envelope.version !== schema.version, error: null };
+}
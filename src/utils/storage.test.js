@@ -0,0 +1,72 @@
+import {
+  STORAGE_SCHEMAS,
+  getQuarantineKey,
+  getStorageKey,
+  isNewerEntry,
+  upgradeEntry,
+  wrapEntry,
+  wrapLegacyEntry,
+} from './storage';
+
+describe('storage', () => {
+  const bank = [
+    {
+      id: 1,
+      options: [
+        { id: 'a', text: 'Yes' },
+        { id: 'b', text: 'No' },
+      ],
+    },
+  ];
+
+  test('namespaces keys and wraps values in versioned envelopes', () => {
+    expect(getStorageKey('quizProgress')).toBe('ro-traffic-rules:quizProgress');
+    expect(getQuarantineKey('quizProgress')).toBe('ro-traffic-rules:quarantine:quizProgress');
+    expect(wrapEntry('quizProgress', { answers: {} })).toEqual({
+      version: STORAGE_SCHEMAS.quizProgress.version,
+      data: { answers: {} },
+    });
+    expect(wrapEntry('somethingElse', 5)).toEqual({ version: 1, data: 5 });
+  });
+
+  test('reads the version of values saved before namespacing', () => {
+    expect(wrapLegacyEntry('quizProgress', { answers: { 1: 0 } }).version).toBe(1);
+    expect(wrapLegacyEntry('quizProgress', { version: 2, answers: {} }).version).toBe(2);
+    expect(wrapLegacyEntry('attemptHistory', []).version).toBe(1);
+  });
+
+  test('runs every migration from the stored version to the current one', () => {
+    const envelope = { version: 1, data: { seed: null, answers: { 1: 1 }, score: 0 } };
+
+    expect(upgradeEntry('quizProgress', envelope, { bank })).toEqual({
+      data: { seed: null, answers: { 1: 'b' } },
+      migrated: true,
+      error: null,
+    });
+    expect(upgradeEntry('quizProgress', wrapEntry('quizProgress', { answers: {} }))).toEqual({
+      data: { answers: {} },
+      migrated: false,
+      error: null,
+    });
+  });
+
+  test('reports entries that cannot be upgraded as corrupt', () => {
+    const errorOf = (key, envelope, context) => upgradeEntry(key, envelope, context).error;
+
+    expect(errorOf('quizProgress', { answers: {} })).toBe('not a versioned entry');
+    expect(errorOf('quizProgress', { version: 9, data: {} })).toBe('version 9 is newer than 3');
+    expect(errorOf('quizProgress', { version: 1, data: { answers: {} } })).toBe(
+      'migration from version 1 failed: the question bank is required'
+    );
+    expect(errorOf('quizProgress', { version: 0, data: {} })).toBe('no migration from version 0');
+    expect(errorOf('attemptHistory', { version: 1, data: { entries: [] } })).toBe('invalid data');
+  });
+
+  test('tells entries saved by a newer version of the app from corrupt ones', () => {
+    expect(upgradeEntry('quizProgress', { version: 9, data: {} }).isNewer).toBe(true);
+    expect(upgradeEntry('quizProgress', { answers: {} }).isNewer).toBeUndefined();
+    expect(isNewerEntry('learningRecords', { version: 2, data: {} })).toBe(true);
+    expect(isNewerEntry('learningRecords', { version: 1, data: {} })).toBe(false);
+    expect(isNewerEntry('learningRecords', undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Storage adapters
+ * Long-term learning data (learning records, attempt history) outgrows the ~5MB of
+ * localStorage and is slow to parse synchronously, so useStorage reads and writes it through an
+ * asynchronous adapter instead. An adapter keeps versioned envelopes (see utils/storage) under
+ * their namespaced keys; the default one uses IndexedDB where the browser has it, then
+ * localStorage, then memory, and moves down that list when a backend fails.
+ *
+ * Another backend plugs in by implementing the StorageAdapter interface and passing it to
+ * setStorageAdapter before the app renders.
+ */
+
+import { STORAGE_NAMESPACE } from './storage';
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name, e.g. `indexedDB`
+ * @property {function(string): Promise<*>} get - Resolves to the value of a key, or undefined
+ * @property {function(string, *): Promise<void>} set - Stores a value under a key
+ * @property {function(string): Promise<void>} remove - Deletes a key
+ * @property {function(): Promise<void>} clear - Deletes every key
+ * @property {boolean} [isDegraded] - Whether a preferred backend failed and a fallback is in use
+ */
+
+/** Version of the IndexedDB database layout */
+const DATABASE_VERSION = 1;
+
+/** Object store holding the envelopes, keyed by their namespaced key */
+const STORE_NAME = 'entries';
+
+/**
+ * Create an adapter over an in-memory Map, for when no persistent storage is available
+ * Values are lost when the page is closed.
+ * @returns {StorageAdapter} Memory adapter
+ */
+export function createMemoryAdapter() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get: async key => entries.get(key),
+    set: async (key, value) => {
+      entries.set(key, value);
+    },
+    remove: async key => {
+      entries.delete(key);
+    },
+    clear: async () => {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * Create an adapter over localStorage, storing values as JSON
+ * Writes fail with QuotaExceededError once the origin runs out of space.
+ * @param {Storage} [storage=window.localStorage] - Web Storage area to use
+ * @returns {StorageAdapter} localStorage adapter
+ */
+export function createLocalStorageAdapter(storage = window.localStorage) {
+  return {
+    name: 'localStorage',
+    get: async key => {
+      const raw = storage.getItem(key);
+      return raw ? JSON.parse(raw) : undefined;
+    },
+    set: async (key, value) => {
+      storage.setItem(key, JSON.stringify(value));
+    },
+    remove: async key => {
+      storage.removeItem(key);
+    },
+    // Only the app's own keys: other apps may share the origin
+    clear: async () => {
+      Object.keys(storage)
+        .filter(key => key.startsWith(`${STORAGE_NAMESPACE}:`))
+        .forEach(key => storage.removeItem(key));
+    },
+  };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Resolves to the result of the request
+ */
+const settle = request =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Create an adapter over an IndexedDB database with a single object store
+ * Values are kept as structured clones, so reading them needs no JSON parsing. The database is
+ * opened on first use.
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.databaseName='ro-traffic-rules'] - Name of the database
+ * @param {IDBFactory} [options.factory=globalThis.indexedDB] - IndexedDB implementation
+ * @returns {StorageAdapter} IndexedDB adapter
+ */
+export function createIndexedDBAdapter({
+  databaseName = STORAGE_NAMESPACE,
+  factory = globalThis.indexedDB,
+} = {}) {
+  let database = null;
+
+  const open = () => {
+    if (!database) {
+      const request = factory.open(databaseName, DATABASE_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      database = settle(request).catch(error => {
+        // Let the next operation try again
+        database = null;
+        throw error;
+      });
+    }
+    return database;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    const transaction = db.transaction(STORE_NAME, mode);
+    // Writes count once their transaction commits, not when their request succeeds
+    const committed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+    const [result] = await Promise.all([
+      settle(operation(transaction.objectStore(STORE_NAME))),
+      committed,
+    ]);
+    return result;
+  };
+
+  return {
+    name: 'indexedDB',
+    get: key => run('readonly', store => store.get(key)),
+    set: async (key, value) => {
+      await run('readwrite', store => store.put(value, key));
+    },
+    remove: async key => {
+      await run('readwrite', store => store.delete(key));
+    },
+    clear: async () => {
+      await run('readwrite', store => store.clear());
+    },
+  };
+}
+
+/**
+ * Create an adapter that moves on to the next backend when one fails
+ * IndexedDB can exist and still fail to open or write: in private browsing, once the quota is
+ * exceeded or when the browser blocks it. The failed operation is retried on the next backend,
+ * which is used from then on; values only the failed backend held are not carried over.
+ * @param {StorageAdapter[]} adapters - Backends, preferred first
+ * @returns {StorageAdapter} Adapter named after the backend in use
+ */
+export function createFallbackAdapter(adapters) {
+  let index = 0;
+
+  const run = async (method, args) => {
+    for (;;) {
+      const current = index;
+      const adapter = adapters[current];
+      try {
+        return await adapter[method](...args);
+      } catch (error) {
+        if (current === adapters.length - 1) throw error;
+        // Operations failing side by side move down the list once
+        if (index === current) {
+          console.warn(
+            `Storage backend ${adapter.name} failed, using ${adapters[current + 1].name}:`,
+            error
+          );
+          index = current + 1;
+        }
+      }
+    }
+  };
+
+  return {
+    get name() {
+      return adapters[index].name;
+    },
+    get isDegraded() {
+      return index > 0;
+    },
+    get: key => run('get', [key]),
+    set: (key, value) => run('set', [key, value]),
+    remove: key => run('remove', [key]),
+    clear: () => run('clear', []),
+  };
+}
+
+/**
+ * Check whether localStorage can be written to
+ * @returns {boolean} True if localStorage is usable
+ */
+function isLocalStorageAvailable() {
+  try {
+    const testKey = '__storage_test__';
+    window.localStorage.setItem(testKey, 'test');
+    window.localStorage.removeItem(testKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create the best adapter the browser supports: IndexedDB, localStorage, then memory, each
+ * falling back to the next when it fails
+ * @returns {StorageAdapter} Default adapter
+ */
+export function createDefaultAdapter() {
+  const adapters = [];
+  if (typeof globalThis.indexedDB !== 'undefined') adapters.push(createIndexedDBAdapter());
+  if (typeof window !== 'undefined' && isLocalStorageAvailable()) {
+    adapters.push(createLocalStorageAdapter());
+  }
+  adapters.push(createMemoryAdapter());
+  return createFallbackAdapter(adapters);
+}
+
+let currentAdapter = null;
+
+/**
+ * Get the adapter long-term data is stored through, creating the default one on first use
+ * @returns {StorageAdapter} Current adapter
+ */
+export function getStorageAdapter() {
+  if (!currentAdapter) currentAdapter = createDefaultAdapter();
+  return currentAdapter;
+}
+
+/**
+ * Replace the adapter long-term data is stored through
+ * @param {StorageAdapter|null} adapter - Adapter to use, or null to go back to the default
+ */
+export function setStorageAdapter(adapter) {
+  currentAdapter = adapter;
+}
@@ -0,0 +1,188 @@
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  createDefaultAdapter,
+  createFallbackAdapter,
+  createIndexedDBAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+  getStorageAdapter,
+  setStorageAdapter,
+} from './storageAdapters';
+
+/**
+ * Run the behaviour every adapter shares
+ * @param {string} name - Adapter name
+ * @param {Function} createAdapter - Creates a fresh adapter
+ */
+function describeAdapter(name, createAdapter) {
+  describe(name, () => {
+    test('stores, reads and removes values', async () => {
+      const adapter = createAdapter();
+      const envelope = { version: 1, data: { 1: { interval: 3 } } };
+
+      expect(await adapter.get('ro-traffic-rules:learningRecords')).toBeUndefined();
+
+      await adapter.set('ro-traffic-rules:learningRecords', envelope);
+      expect(await adapter.get('ro-traffic-rules:learningRecords')).toEqual(envelope);
+
+      await adapter.remove('ro-traffic-rules:learningRecords');
+      expect(await adapter.get('ro-traffic-rules:learningRecords')).toBeUndefined();
+    });
+
+    test('clears every value', async () => {
+      const adapter = createAdapter();
+      await adapter.set('ro-traffic-rules:a', { version: 1, data: 1 });
+      await adapter.set('ro-traffic-rules:b', { version: 1, data: 2 });
+
+      await adapter.clear();
+
+      expect(await adapter.get('ro-traffic-rules:a')).toBeUndefined();
+      expect(await adapter.get('ro-traffic-rules:b')).toBeUndefined();
+    });
+
+    test('keeps the last of several writes made without waiting', async () => {
+      const adapter = createAdapter();
+
+      await Promise.all([
+        adapter.set('ro-traffic-rules:a', { version: 1, data: 1 }),
+        adapter.set('ro-traffic-rules:a', { version: 1, data: 2 }),
+      ]);
+
+      expect(await adapter.get('ro-traffic-rules:a')).toEqual({ version: 1, data: 2 });
+    });
+  });
+}
+
+/** Web Storage area backed by a plain object */
+const createStorageArea = () => {
+  const area = {};
+  Object.defineProperties(area, {
+    getItem: { value: key => (key in area ? area[key] : null) },
+    setItem: { value: (key, value) => (area[key] = String(value)) },
+    removeItem: { value: key => delete area[key] },
+  });
+  return area;
+};
+
+describe('storageAdapters', () => {
+  describeAdapter('memory', createMemoryAdapter);
+  describeAdapter('localStorage', () => createLocalStorageAdapter(createStorageArea()));
+  describeAdapter('indexedDB', () => createIndexedDBAdapter({ factory: new IDBFactory() }));
+
+  test('clears only the keys of the app from localStorage', async () => {
+    const area = createStorageArea();
+    area.setItem('other-app', 'kept');
+    const adapter = createLocalStorageAdapter(area);
+    await adapter.set('ro-traffic-rules:a', { version: 1, data: 1 });
+
+    await adapter.clear();
+
+    expect(area.getItem('other-app')).toBe('kept');
+    expect(area.getItem('ro-traffic-rules:a')).toBeNull();
+  });
+
+  test('keeps IndexedDB values between connections to the same database', async () => {
+    const factory = new IDBFactory();
+    await createIndexedDBAdapter({ factory }).set('ro-traffic-rules:a', { version: 1, data: 1 });
+
+    const reopened = createIndexedDBAdapter({ factory });
+
+    expect(await reopened.get('ro-traffic-rules:a')).toEqual({ version: 1, data: 1 });
+  });
+
+  test('reports IndexedDB failures and retries opening the database', async () => {
+    const factory = new IDBFactory();
+    const open = vi.spyOn(factory, 'open').mockImplementationOnce(() => {
+      throw new Error('IndexedDB is disabled');
+    });
+    const adapter = createIndexedDBAdapter({ factory });
+
+    await expect(adapter.get('ro-traffic-rules:a')).rejects.toThrow('IndexedDB is disabled');
+    expect(await adapter.get('ro-traffic-rules:a')).toBeUndefined();
+    expect(open).toHaveBeenCalledTimes(2);
+  });
+
+  test('moves on to the next backend when one fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const memory = createMemoryAdapter();
+    const broken = {
+      ...createMemoryAdapter(),
+      name: 'broken',
+      set: vi.fn().mockRejectedValue(new Error('Quota exceeded')),
+    };
+    const adapter = createFallbackAdapter([broken, memory]);
+    expect(adapter.name).toBe('broken');
+    expect(adapter.isDegraded).toBe(false);
+
+    await Promise.all([
+      adapter.set('ro-traffic-rules:a', { version: 1, data: 1 }),
+      adapter.set('ro-traffic-rules:b', { version: 1, data: 2 }),
+    ]);
+
+    expect(adapter.name).toBe('memory');
+    expect(adapter.isDegraded).toBe(true);
+    expect(await memory.get('ro-traffic-rules:b')).toEqual({ version: 1, data: 2 });
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  test('reports failures of the last backend', async () => {
+    const last = { ...createMemoryAdapter(), get: vi.fn().mockRejectedValue(new Error('Gone')) };
+
+    await expect(createFallbackAdapter([last]).get('ro-traffic-rules:a')).rejects.toThrow('Gone');
+  });
+
+  describe('default adapter', () => {
+    afterEach(() => {
+      delete globalThis.indexedDB;
+      setStorageAdapter(null);
+    });
+
+    test('uses IndexedDB when the browser has it', () => {
+      globalThis.indexedDB = new IDBFactory();
+
+      expect(createDefaultAdapter().name).toBe('indexedDB');
+    });
+
+    test('falls back to localStorage when IndexedDB cannot be opened', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      globalThis.indexedDB = new IDBFactory();
+      vi.spyOn(globalThis.indexedDB, 'open').mockImplementation(() => {
+        throw new Error('IndexedDB is disabled');
+      });
+      const adapter = createDefaultAdapter();
+
+      await adapter.set('ro-traffic-rules:a', { version: 1, data: 1 });
+
+      expect(adapter.name).toBe('localStorage');
+      expect(adapter.isDegraded).toBe(true);
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'ro-traffic-rules:a',
+        JSON.stringify({ version: 1, data: 1 })
+      );
+      warn.mockRestore();
+    });
+
+    test('falls back to localStorage without IndexedDB', () => {
+      expect(createDefaultAdapter().name).toBe('localStorage');
+    });
+
+    test('falls back to memory when localStorage cannot be written', () => {
+      localStorage.setItem.mockImplementationOnce(() => {
+        throw new Error('SecurityError');
+      });
+
+      expect(createDefaultAdapter().name).toBe('memory');
+    });
+
+    test('can be replaced', () => {
+      const adapter = createMemoryAdapter();
+
+      setStorageAdapter(adapter);
+      expect(getStorageAdapter()).toBe(adapter);
+
+      setStorageAdapter(null);
+      expect(getStorageAdapter()).not.toBe(adapter);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Topic taxonomy helpers
+ * questions.yaml declares a two-level hierarchy (topic → subtopic) in its `topics` block and
+ * every question references one entry by key. These pure functions resolve the references,
+ * select questions by topic and roll statistics up from subtopics to topics.
+ */
+
+/**
+ * @typedef {Object} Subtopic
+ * @property {string} key - Unique key referenced by questions
+ * @property {string} name - English display name
+ * @property {Object.<string, {name: string}>} [translations] - Localized names by language code
+ */
+
+/**
+ * @typedef {Object} Topic
+ * @property {string} key - Unique key referenced by questions
+ * @property {string} name - English display name
+ * @property {Object.<string, {name: string}>} [translations] - Localized names by language code
+ * @property {Subtopic[]} subtopics - Subtopics of the topic
+ */
+
+/**
+ * @typedef {Object} TopicStats
+ * @property {string} key - Topic or subtopic key
+ * @property {string} name - English display name
+ * @property {Object} [translations] - Localized names
+ * @property {number} total - Number of questions
+ * @property {number} answered - Number of answered questions
+ * @property {number} correct - Number of correct answers
+ * @property {number} incorrect - Number of wrong answers
+ * @property {number|null} accuracy - Share of correct answers among answered questions (null if none)
+ * @property {TopicStats[]} [subtopics] - Statistics of the subtopics (topics only)
+ */
+
+/**
+ * Read the `topics` block of questions.yaml, dropping malformed entries
+ * @param {Object[]} [rawTopics] - Parsed `topics` block
+ * @returns {Topic[]} Topic hierarchy (empty when the bank declares none)
+ */
+export function normalizeTopics(rawTopics) {
+  if (!Array.isArray(rawTopics)) return [];
+
+  const toEntry = ({ key, name, translations }) => ({ key, name, translations });
+  const isEntry = entry => typeof entry?.key === 'string' && typeof entry.name === 'string';
+
+  return rawTopics.filter(isEntry).map(topic => ({
+    ...toEntry(topic),
+    subtopics: Array.isArray(topic.subtopics) ? topic.subtopics.filter(isEntry).map(toEntry) : [],
+  }));
+}
+
+/**
+ * Find the topic (and subtopic) a key refers to
+ * @param {Topic[]} topics - Topic hierarchy
+ * @param {string} key - Topic or subtopic key
+ * @returns {{topic: Topic, subtopic: Subtopic|null}|null} Matching entries, null if the key is unknown
+ */
+export function findTopic(topics, key) {
+  for (const topic of topics) {
+    if (topic.key === key) return { topic, subtopic: null };
+
+    const subtopic = topic.subtopics.find(entry => entry.key === key);
+    if (subtopic) return { topic, subtopic };
+  }
+  return null;
+}
+
+/**
+ * Resolve the topic reference of every question.
+ * The topic name becomes the question category, so category statistics, exam weighting and
+ * history are grouped by topic; the subtopic name is kept alongside it. The topic entry is kept
+ * as `topicInfo` to show its name in the interface language.
+ * @param {Object[]} questions - Questions from questions.yaml
+ * @param {Topic[]} topics - Topic hierarchy
+ * @returns {Object[]} Questions with `category`, `subtopic` and `topicInfo` filled in from the
+ *   taxonomy
+ */
+export function applyTopics(questions, topics) {
+  if (topics.length === 0) return questions;
+
+  return questions.map(question => {
+    const match = findTopic(topics, question.topic);
+    if (!match) return question;
+
+    return {
+      ...question,
+      category: match.topic.name,
+      subtopic: match.subtopic?.name ?? null,
+      topicInfo: match.topic,
+    };
+  });
+}
+
+/**
+ * Get the display name of a topic or subtopic
+ * @param {Topic|Subtopic} entry - Taxonomy entry
+ * @param {string} language - Language code
+ * @returns {string} Localized name, the English name when no translation exists
+ */
+export const getTopicName = (entry, language) => entry.translations?.[language]?.name || entry.name;
+
+/**
+ * Find the topic a category of the statistics is named after
+ * @param {Object[]} questions - Questions with topics applied
+ * @param {string} category - Category name, the English topic name
+ * @returns {Topic|null} Topic entry, null for categories without a topic
+ */
+export const findCategoryTopic = (questions, category) =>
+  questions.find(question => question.category === category)?.topicInfo ?? null;
+
+/**
+ * Select the questions belonging to any of the given topics or subtopics
+ * @param {Object[]} questions - Question bank
+ * @param {Topic[]} topics - Topic hierarchy
+ * @param {string[]} keys - Selected topic and/or subtopic keys
+ * @returns {Object[]} Matching questions in bank order
+ */
+export function selectQuestionsByTopics(questions, topics, keys) {
+  const selected = new Set(keys);
+
+  return questions.filter(question => {
+    const match = findTopic(topics, question.topic);
+    return Boolean(match) && (selected.has(question.topic) || selected.has(match.topic.key));
+  });
+}
+
+/**
+ * Count answers of a group of questions
+ * @param {Object} entry - Topic or subtopic
+ * @param {Object[]} questions - Questions of the group
+ * @param {Function} getResult - Returns true/false for answered questions, undefined otherwise
+ * @returns {TopicStats} Statistics of the group
+ */
+const countResults = (entry, questions, getResult) => {
+  const results = questions.map(getResult).filter(result => result !== undefined);
+  const correct = results.filter(Boolean).length;
+
+  return {
+    key: entry.key,
+    name: entry.name,
+    translations: entry.translations,
+    total: questions.length,
+    answered: results.length,
+    correct,
+    incorrect: results.length - correct,
+    accuracy: results.length > 0 ? correct / results.length : null,
+  };
+};
+
+/**
+ * Sum the statistics of the subtopics into their topic
+ * @param {Topic} topic - Topic
+ * @param {TopicStats[]} subtopics - Statistics of the subtopics
+ * @param {TopicStats} own - Statistics of questions filed directly under the topic
+ * @returns {TopicStats} Rolled up topic statistics
+ */
+const rollUp = (topic, subtopics, own) => {
+  const sum = field => subtopics.reduce((total, stats) => total + stats[field], own[field]);
+  const answered = sum('answered');
+  const correct = sum('correct');
+
+  return {
+    key: topic.key,
+    name: topic.name,
+    translations: topic.translations,
+    total: sum('total'),
+    answered,
+    correct,
+    incorrect: sum('incorrect'),
+    accuracy: answered > 0 ? correct / answered : null,
+    subtopics,
+  };
+};
+
+/**
+ * Calculate per-subtopic statistics and roll them up into their topics
+ * @param {Object[]} questions - Questions to include
+ * @param {Topic[]} topics - Topic hierarchy
+ * @param {Function} getResult - Receives a question, returns true/false if it was answered
+ *   correctly/wrongly and undefined if it was not answered
+ * @returns {TopicStats[]} Statistics of the topics that have questions, in taxonomy order
+ */
+export function calculateTopicStats(questions, topics, getResult) {
+  return topics
+    .map(topic => {
+      const subtopics = topic.subtopics
+        .map(subtopic =>
+          countResults(
+            subtopic,
+            questions.filter(question => question.topic === subtopic.key),
+            getResult
+          )
+        )
+        .filter(stats => stats.total > 0);
+      const own = countResults(
+        topic,
+        questions.filter(question => question.topic === topic.key),
+        getResult
+      );
+      return rollUp(topic, subtopics, own);
+    })
+    .filter(stats => stats.total > 0);
+}
@@ -0,0 +1,128 @@
+import {
+  applyTopics,
+  calculateTopicStats,
+  findTopic,
+  getTopicName,
+  normalizeTopics,
+  selectQuestionsByTopics,
+} from './topics';
+
+const topics = normalizeTopics([
+  {
+    key: 'lights',
+    name: 'Lights',
+    translations: { ro: { name: 'Lumini' } },
+    subtopics: [
+      { key: 'headlights', name: 'Headlights', translations: { ro: { name: 'Faruri' } } },
+      { key: 'fog-lights', name: 'Fog lights' },
+    ],
+  },
+  { key: 'alcohol', name: 'Alcohol' },
+]);
+
+const questions = [
+  { id: 1, topic: 'headlights' },
+  { id: 2, topic: 'fog-lights' },
+  { id: 3, topic: 'headlights' },
+  { id: 4, topic: 'alcohol' },
+  { id: 5, topic: 'unknown' },
+];
+
+describe('topics', () => {
+  test('normalizes the taxonomy and drops malformed entries', () => {
+    expect(normalizeTopics(undefined)).toEqual([]);
+    expect(
+      normalizeTopics([{ key: 'a', name: 'A', subtopics: [{ key: 'b' }] }, { name: 'No key' }])
+    ).toEqual([{ key: 'a', name: 'A', translations: undefined, subtopics: [] }]);
+    expect(topics[1].subtopics).toEqual([]);
+  });
+
+  test('finds topics and subtopics by key', () => {
+    expect(findTopic(topics, 'fog-lights')).toEqual({
+      topic: topics[0],
+      subtopic: topics[0].subtopics[1],
+    });
+    expect(findTopic(topics, 'alcohol')).toEqual({ topic: topics[1], subtopic: null });
+    expect(findTopic(topics, 'unknown')).toBeNull();
+  });
+
+  test('uses the topic name as question category', () => {
+    const [headlights, , , alcohol, unknown] = applyTopics(questions, topics);
+
+    expect(headlights).toEqual({
+      id: 1,
+      topic: 'headlights',
+      category: 'Lights',
+      subtopic: 'Headlights',
+      topicInfo: topics[0],
+    });
+    expect(alcohol).toMatchObject({ category: 'Alcohol', subtopic: null });
+    expect(unknown).toBe(questions[4]);
+  });
+
+  test('keeps questions unchanged without a taxonomy', () => {
+    expect(applyTopics(questions, [])).toBe(questions);
+  });
+
+  test('localizes topic names with an English fallback', () => {
+    expect(getTopicName(topics[0], 'ro')).toBe('Lumini');
+    expect(getTopicName(topics[0].subtopics[1], 'ro')).toBe('Fog lights');
+    expect(getTopicName(topics[0], 'en')).toBe('Lights');
+  });
+
+  test('selects questions by topic or subtopic', () => {
+    const ids = keys =>
+      selectQuestionsByTopics(questions, topics, keys).map(question => question.id);
+
+    expect(ids(['lights'])).toEqual([1, 2, 3]);
+    expect(ids(['fog-lights', 'alcohol'])).toEqual([2, 4]);
+    expect(ids(['unknown'])).toEqual([]);
+    expect(ids([])).toEqual([]);
+  });
+
+  test('rolls subtopic statistics up into topics', () => {
+    const results = { 1: true, 2: false, 4: true };
+    const stats = calculateTopicStats(questions, topics, question => results[question.id]);
+
+    expect(stats).toHaveLength(2);
+    expect(stats[0]).toMatchObject({
+      key: 'lights',
+      total: 3,
+      answered: 2,
+      correct: 1,
+      incorrect: 1,
+      accuracy: 0.5,
+    });
+    expect(stats[0].subtopics).toEqual([
+      expect.objectContaining({
+        key: 'headlights',
+        total: 2,
+        answered: 1,
+        correct: 1,
+        accuracy: 1,
+      }),
+      expect.objectContaining({
+        key: 'fog-lights',
+        total: 1,
+        answered: 1,
+        correct: 0,
+        accuracy: 0,
+      }),
+    ]);
+    expect(stats[1]).toMatchObject({
+      key: 'alcohol',
+      total: 1,
+      answered: 1,
+      correct: 1,
+      subtopics: [],
+    });
+  });
+
+  test('reports no accuracy for unanswered topics and skips empty ones', () => {
+    const stats = calculateTopicStats([{ id: 1, topic: 'fog-lights' }], topics, () => undefined);
+
+    expect(stats).toEqual([
+      expect.objectContaining({ key: 'lights', total: 1, answered: 0, accuracy: null }),
+    ]);
+  });
+});